@@ -3,6 +3,20 @@ const http = require('http'); // Import HTTP module
 const socketIo = require('socket.io'); // Import Socket.IO for WebSocket functionality
 const fs = require('fs'); // Import file system module
 const path = require('path'); // Import path module for file path handling
+const { LevelStore } = require('./server/level-store'); // Level files on disk
+const { ReplayStore } = require('./server/replay-store'); // Recorded runs on disk
+const { GalleryStore } = require('./server/gallery-store'); // Published levels on disk
+const { LeaderboardStore } = require('./server/leaderboard-store'); // Best runs of each level on disk
+const { ValidationError } = require('./server/validation-error'); // Bad input from clients, answered with a 400
+const { RunChecker } = require('./server/run-verifier'); // Replays runs headlessly to check them
+const { loadEngine } = require('./server/engine'); // Shared browser engine, loaded headlessly
+const { createDefaultLevel } = require('./server/simulation'); // Default level for new rooms
+const { RoomManager } = require('./server/rooms'); // Game sessions
+const { ChatError, RateLimiter, KeyedRateLimiter, WordFilter, sanitizeChatText, parseChatCommand, CHAT_COMMANDS } = require('./server/chat'); // Room chat
+const { SessionTokens, SESSION_GRACE_PERIOD } = require('./server/sessions'); // Reconnectable player sessions
+const { createDefaultAvatar, normalizeProfile, validateProfile } = require('./public/js/player-profile'); // Names and avatars
+const { GALLERY_SORTS } = require('./public/js/gallery-format'); // Orders the gallery can be browsed in
+const { formatRunTime } = require('./public/js/leaderboard-format'); // Leaderboard times
 
 // Initialize the Express application
 const app = express();
@@ -16,6 +30,29 @@ app.set('views', path.join(__dirname, 'views'));
 // Serve static files from the 'public' directory
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Parse JSON request bodies (level uploads)
+app.use(express.json({ limit: '2mb' }));
+
+// Store levels as JSON files on the local filesystem; their enemies must be types in the enemy catalog
+const levelStore = new LevelStore(process.env.LEVELS_DIR || path.join(__dirname, 'data', 'levels'), { enemyTypes: Object.keys(loadEngine().ENEMY_TYPES) });
+
+// Store replays of recorded runs alongside them
+const replayStore = new ReplayStore(process.env.REPLAYS_DIR || path.join(__dirname, 'data', 'replays'));
+
+// Store the community gallery of published levels, with their thumbnails, ratings and play counts
+const galleryStore = new GalleryStore(process.env.GALLERY_DIR || path.join(__dirname, 'data', 'gallery'));
+
+// Store each level's daily and all-time leaderboards of checked runs
+const leaderboardStore = new LeaderboardStore(process.env.LEADERBOARDS_DIR || path.join(__dirname, 'data', 'leaderboards'));
+
+// Ratings and play counts rank the gallery, so only so many are taken a minute from each client, e.g. RATINGS_PER_MINUTE=10
+const ratingLimiter = new KeyedRateLimiter(Number(process.env.RATINGS_PER_MINUTE) || 10, 60 * 1000);
+const playLimiter = new KeyedRateLimiter(Number(process.env.PLAYS_PER_MINUTE) || 20, 60 * 1000);
+
+// Checking a run replays it on the server, so only so many are checked a minute for each client, e.g. RUN_CHECKS_PER_MINUTE=10
+const runChecker = new RunChecker(); // Replays them on a worker thread, so rooms keep running meanwhile
+const runChecks = new KeyedRateLimiter(Number(process.env.RUN_CHECKS_PER_MINUTE) || 10, 60 * 1000);
+
 // Create HTTP server
 const httpServer = http.createServer(app);
 
@@ -34,9 +71,24 @@ const httpIo = socketIo(httpServer, {
 });
 
 // Player management
-const players = {}; // Object to store connected players
+const players = {}; // Object to store players, keyed by player ID (not socket ID, which changes on reconnect)
+const sessions = {}; // Server-only session state: playerId -> { socketId, expiryTimer }
 let connectionCount = 0; // Count of active connections
 
+// Session tokens let players reconnect as themselves; set SESSION_SECRET to keep them valid across restarts
+const sessionTokens = new SessionTokens(process.env.SESSION_SECRET);
+
+// Gallery raters are named by tokens the server signs (with its own key), so nobody can rate as someone they made up
+const raterTokens = new SessionTokens(process.env.SESSION_SECRET && `${process.env.SESSION_SECRET}:raters`);
+const raterSignups = new KeyedRateLimiter(Number(process.env.RATERS_PER_HOUR) || 3, 60 * 60 * 1000); // New rater tokens per client
+
+// Game sessions: each room has its own players, level and authoritative simulation
+const roomManager = new RoomManager({ onSnapshot: broadcastSnapshot, onEvent: broadcastWorldEvent });
+
+// Chat moderation: blocked words come from a comma-separated list, e.g. CHAT_BLOCKED_WORDS=foo,bar
+const wordFilter = new WordFilter((process.env.CHAT_BLOCKED_WORDS || '').split(','));
+const chatLimiters = {}; // playerId -> RateLimiter
+
 // Handle new socket connections
 httpIo.on('connection', handleConnection);
 
@@ -53,95 +105,1000 @@ app.get('/', (req, res) => {
     res.render('game-dev-hub', { metaTags });
 });
 
+// Community gallery pages: browse published levels, and one level with its rating and play buttons
+app.get('/gallery', handleGalleryPage);
+app.get('/gallery/:id', handleGalleryLevelPage);
+
+// Level API: list, fetch, create, update and delete saved levels
+app.get('/api/levels', handleListLevels);
+app.get('/api/levels/:id', handleGetLevel);
+app.post('/api/levels', handleCreateLevel);
+app.put('/api/levels/:id', handleUpdateLevel);
+app.delete('/api/levels/:id', handleDeleteLevel);
+
+// Replay API: list a level's replays, fetch one and save a new one
+app.get('/api/replays', handleListReplays);
+app.get('/api/replays/:id', handleGetReplay);
+app.post('/api/replays', handleCreateReplay);
+
+// Gallery API: browse and fetch published levels, publish a saved level, rate it and count plays
+app.get('/api/gallery', handleListGallery);
+app.get('/api/gallery/:id', handleGetGalleryEntry);
+app.get('/api/gallery/:id/thumbnail.png', handleGetGalleryThumbnail);
+app.post('/api/gallery', handlePublishLevel);
+app.post('/api/gallery/raters', handleCreateRater);
+app.post('/api/gallery/:id/ratings', handleRateLevel);
+app.post('/api/gallery/:id/plays', handleRecordPlay);
+
+// Leaderboard API: a level's boards, and submitting a run (its replay) to be checked and ranked
+app.get('/api/leaderboards/:levelId', handleGetLeaderboards);
+app.post('/api/leaderboards/:levelId/runs', handleSubmitRun);
+
 // Start HTTP server listening on port 80
 httpServer.listen(80, () => console.log('HTTP Server listening on port 80'));
 
 /**
- * Handle new socket connections
+ * Handle new socket connections. Sockets presenting a valid session token for a player
+ * who is still within the reconnect grace period take that player back over; everyone
+ * else starts a new session.
  * @param {Socket} socket - The connected socket instance
  */
 function handleConnection(socket) {
-    console.log(`Player ${socket.id} connected`); // Log new connection
+    const auth = socket.handshake.auth || {};
+    const resumedId = sessionTokens.verify(auth.token);
+    const playerId = resumedId && sessions[resumedId] ? resumedId : startSession();
 
-    // Initialize new player and add to the players object
-    const currentPlayer = initializePlayer(socket);
-    players[socket.id] = currentPlayer;
-
-    // Emit player data to the newly connected player
-    emitPlayerData(socket);
+    socket.data.playerId = playerId;
+    socket.join(getPlayerChannel(playerId)); // Messages for this player follow them across reconnects
+    console.log(`Player ${playerId} connected`); // Log new connection
 
     // Set up event listeners for player actions
-    socket.on('playerMovement', handlePlayerMovement);
+    socket.on('setProfile', handleSetProfile);
+    socket.on('createRoom', handleCreateRoom);
+    socket.on('joinRoom', handleJoinRoom);
+    socket.on('leaveRoom', handleLeaveRoom);
+    socket.on('startGame', handleStartGame);
+    socket.on('restartGame', handleRestartGame);
+    socket.on('kickPlayer', handleKickPlayer);
+    socket.on('playerInput', handlePlayerInput);
+    socket.on('snapshotAck', handleSnapshotAck);
     socket.on('playerChat', handlePlayerChat);
+    socket.on('endSession', handleEndSession);
     socket.on('disconnect', handlePlayerDisconnect);
+
+    attachSession(socket, playerId);
+
+    // Emit the session token and player data to the connected player
+    socket.emit('session', { playerId, token: sessionTokens.sign(playerId), resumed: playerId === resumedId });
+    socket.emit('currentPlayer', players[playerId]);
+
+    if (playerId === resumedId) {
+        resumePlayer(socket);
+    }
+}
+
+/**
+ * Start a new player session
+ * @returns {string} - The new player's ID
+ */
+function startSession() {
+    const playerId = SessionTokens.createPlayerId();
+    players[playerId] = initializePlayer(playerId);
+    sessions[playerId] = { socketId: null, expiryTimer: null };
+    return playerId;
+}
+
+/**
+ * Make a socket the player's live connection, replacing any older connection of theirs
+ * @param {Socket} socket - The player's new socket
+ * @param {string} playerId - The player's ID
+ */
+function attachSession(socket, playerId) {
+    const session = sessions[playerId];
+    clearTimeout(session.expiryTimer);
+    session.expiryTimer = null;
+
+    const previous = session.socketId && httpIo.sockets.sockets.get(session.socketId);
+    session.socketId = socket.id;
+    if (previous) {
+        previous.disconnect(true); // Only one live connection per player, e.g. the same session in two tabs
+    }
+    players[playerId].connected = true;
+}
+
+/**
+ * Put a reconnected player back where they were: their room, its chat and its running game
+ * @param {Socket} socket - The player's new socket
+ */
+function resumePlayer(socket) {
+    const playerId = socket.data.playerId;
+    const room = getPlayerRoom(playerId);
+    if (!room) return;
+
+    socket.join(room.channel);
+    emitRoomUpdate(room); // Shows the player as connected again
+    socket.emit('chatHistory', { messages: room.chat.history });
+
+    const state = room.simulation && room.simulation.getPlayerState(playerId);
+    socket.emit('sessionResumed', {
+        room: room.describe(players),
+        level: state ? room.getWorldLevel() : null, // Only sent while the game is running
+        seq: state ? state.seq : 0          // Last input the server applied, so the client keeps counting from there
+    });
+}
+
+/**
+ * End a player's session for good: take them out of their room and forget them
+ * @param {string} playerId - The player's ID
+ */
+function endSession(playerId) {
+    const session = sessions[playerId];
+    if (!session) return;
+
+    clearTimeout(session.expiryTimer);
+    removePlayerFromRoom(playerId); // Notifies the rest of the player's room
+    delete players[playerId]; // Remove player from the object
+    delete sessions[playerId];
+    delete chatLimiters[playerId];
 }
 
 /**
  * Initialize a new player object
- * @param {Socket} socket - The socket instance for the connected player
+ * @param {string} playerId - The new player's ID
  * @returns {Object} - The initialized player object
  */
-function initializePlayer(socket) {
+function initializePlayer(playerId) {
+    const connectionNum = ++connectionCount; // Increment connection count
     return {
-        playerId: socket.id, // Unique ID for the player
-        connectionNum: ++connectionCount, // Increment connection count
+        playerId, // Unique ID for the player
+        connectionNum,
+        name: `Player ${connectionNum}`, // Display name until the player picks one
+        avatar: createDefaultAvatar(connectionNum - 1), // Sprite and palette other players see
+        connected: false, // Whether the player currently has a live connection
         gameData: { pos: [0, 0] }, // Initial player position
-        chatMessage: '', // Store last chat message
+        roomCode: null, // Code of the room the player is in
     };
 }
 
 /**
- * Emit current player data to the client
- * @param {Socket} socket - The socket instance for the connected player
+ * Get the Socket.IO room that reaches one player's current connection
+ * @param {string} playerId - The player's ID
+ * @returns {string}
+ */
+function getPlayerChannel(playerId) {
+    return `player:${playerId}`;
+}
+
+/**
+ * Get a player's live socket
+ * @param {string} playerId - The player's ID
+ * @returns {Socket|null} - The socket, or null while the player is disconnected
  */
-function emitPlayerData(socket) {
-    socket.emit('currentPlayer', players[socket.id]); // Send current player data
+function getPlayerSocket(playerId) {
+    const session = sessions[playerId];
+    return (session && session.socketId && httpIo.sockets.sockets.get(session.socketId)) || null;
+}
 
-    // Send existing players data
-    const existingPlayers = Object.values(players);
+/**
+ * Get the name other players see for a player
+ * @param {string} playerId - The player's ID
+ * @returns {string} - e.g. 'Player 3' until they choose a name
+ */
+function getPlayerName(playerId) {
+    return players[playerId].name;
+}
+
+/**
+ * Get the room a player is currently in
+ * @param {string} playerId - The player's ID
+ * @returns {Room|null} - The player's room, or null if they aren't in one
+ */
+function getPlayerRoom(playerId) {
+    const player = players[playerId];
+    return player && player.roomCode ? roomManager.getRoom(player.roomCode) : null;
+}
+
+/**
+ * Wrap an optional Socket.IO acknowledgement so handlers can always call it
+ * @param {Function} [ack] - The acknowledgement callback sent by the client
+ * @returns {Function} - A callback that is safe to call
+ */
+function toAck(ack) {
+    return typeof ack === 'function' ? ack : () => {};
+}
+
+/**
+ * Send the current room details to everyone in the room
+ * @param {Room} room - The room to describe
+ */
+function emitRoomUpdate(room) {
+    httpIo.to(room.channel).emit('roomUpdate', room.describe(players));
+}
+
+/**
+ * Put a socket's player into a room and tell the room about them
+ * @param {Socket} socket - The player's socket
+ * @param {Room} room - The room to join
+ */
+function addPlayerToRoom(socket, room) {
+    const player = players[socket.data.playerId];
+
+    socket.join(room.channel);
+    room.addPlayer(player.playerId);
+    player.roomCode = room.code;
+
+    // Send existing players in this room only
+    const existingPlayers = room.describe(players).players;
     socket.emit('existingPlayers', { existingPlayers });
 
-    // Notify other clients of the new player
-    socket.broadcast.emit('newPlayer', players[socket.id]);
+    // Notify the rest of the room of the new player
+    socket.to(room.channel).emit('newPlayer', player);
+    emitRoomUpdate(room);
+
+    // Catch up on the conversation so far
+    socket.emit('chatHistory', { messages: room.chat.history });
+
+    // Late joiners go straight into a running game
+    if (room.state === 'playing') {
+        socket.emit('worldLevel', room.getWorldLevel()); // With the blocks broken so far
+    }
+}
+
+/**
+ * Take a player out of their room, closing the room once it is empty
+ * @param {string} playerId - The player's ID
+ */
+function removePlayerFromRoom(playerId) {
+    const room = getPlayerRoom(playerId);
+    if (!room) return;
+
+    room.removePlayer(playerId);
+    httpIo.in(getPlayerChannel(playerId)).socketsLeave(room.channel);
+    players[playerId].roomCode = null;
+
+    // Notify the rest of the room of the player's departure
+    httpIo.to(room.channel).emit('playerDisconnected', { playerId });
+
+    if (room.playerIds.size === 0) {
+        roomManager.removeRoom(room);
+    } else {
+        emitRoomUpdate(room);
+    }
+}
+
+/**
+ * Handle room creation. The creator becomes the host and joins the room.
+ * @param {Object} options - { levelId, maxPlayers }
+ * @param {Function} [ack] - Called with { ok, room } or { ok: false, error }
+ */
+async function handleCreateRoom(options, ack) {
+    const reply = toAck(ack);
+    const { levelId, maxPlayers } = options || {};
+
+    let level = createDefaultLevel();
+    if (levelId) {
+        level = await levelStore.get(levelId);
+        if (!level) return reply({ ok: false, error: 'Level not found' });
+    }
+    const playerId = this.data.playerId;
+    if (!players[playerId] || !this.connected) return; // Disconnected while the level was loading
+
+    removePlayerFromRoom(playerId); // A player can only be in one room at a time
+    const room = roomManager.createRoom(playerId, level, { maxPlayers: Number(maxPlayers) || undefined });
+    addPlayerToRoom(this, room);
+    reply({ ok: true, room: room.describe(players) });
+}
+
+/**
+ * Handle joining a room by code
+ * @param {Object} data - { code }
+ * @param {Function} [ack] - Called with { ok, room } or { ok: false, error }
+ */
+function handleJoinRoom(data, ack) {
+    const reply = toAck(ack);
+    const room = roomManager.getRoom(data && data.code);
+
+    if (!room) return reply({ ok: false, error: 'Room not found' });
+    if (room.playerIds.has(this.data.playerId)) return reply({ ok: true, room: room.describe(players) });
+    if (room.isFull()) return reply({ ok: false, error: 'Room is full' });
+
+    removePlayerFromRoom(this.data.playerId);
+    addPlayerToRoom(this, room);
+    reply({ ok: true, room: room.describe(players) });
+}
+
+/**
+ * Handle leaving the current room
+ * @param {Function} [ack] - Called with { ok }
+ */
+function handleLeaveRoom(ack) {
+    removePlayerFromRoom(this.data.playerId);
+    toAck(ack)({ ok: true });
+}
+
+/**
+ * Get the room a socket's player hosts
+ * @param {Socket} socket - The player's socket
+ * @returns {Room|null} - The room, or null if the player isn't its host
+ */
+function getHostedRoom(socket) {
+    const playerId = socket.data.playerId;
+    const room = getPlayerRoom(playerId);
+    return room && room.hostId === playerId ? room : null;
+}
+
+/**
+ * Start a fresh simulation in a room, keeping it in the lobby if the level can't be simulated
+ * @param {Room} room - The room
+ * @returns {boolean} - Whether the game started
+ */
+function startRoom(room) {
+    try {
+        room.start();
+        return true;
+    } catch (error) {
+        console.error(`Failed to start room ${room.code}:`, error.message);
+        emitRoomUpdate(room); // start() stops any game first, so the room is back in the lobby
+        return false;
+    }
+}
+
+/**
+ * Handle the host starting the game for everyone in the room
+ * @param {Function} [ack] - Called with { ok } or { ok: false, error }
+ */
+function handleStartGame(ack) {
+    const reply = toAck(ack);
+    const room = getHostedRoom(this);
+    if (!room) return reply({ ok: false, error: 'Only the host can start the game' });
+
+    if (!startRoom(room)) return reply({ ok: false, error: 'The level could not be started' });
+    httpIo.to(room.channel).emit('worldLevel', room.level);
+    emitRoomUpdate(room);
+    reply({ ok: true });
+}
+
+/**
+ * Handle the host restarting the level from the beginning
+ * @param {Function} [ack] - Called with { ok } or { ok: false, error }
+ */
+function handleRestartGame(ack) {
+    const reply = toAck(ack);
+    const room = getHostedRoom(this);
+    if (!room) return reply({ ok: false, error: 'Only the host can restart the game' });
+
+    if (!startRoom(room)) return reply({ ok: false, error: 'The level could not be restarted' }); // A fresh simulation puts everyone back at the start
+    httpIo.to(room.channel).emit('worldLevel', room.level);
+    httpIo.to(room.channel).emit('gameRestarted');
+    reply({ ok: true });
+}
+
+/**
+ * Handle the host kicking a player from the room
+ * @param {Object} data - { playerId }
+ * @param {Function} [ack] - Called with { ok } or { ok: false, error }
+ */
+function handleKickPlayer(data, ack) {
+    const reply = toAck(ack);
+    const room = getHostedRoom(this);
+    const targetId = data && data.playerId;
+    if (!room) return reply({ ok: false, error: 'Only the host can kick players' });
+    if (targetId === this.data.playerId || !room.playerIds.has(targetId)) return reply({ ok: false, error: 'Player not in room' });
+
+    kickFromRoom(room, targetId);
+    reply({ ok: true });
+}
+
+/**
+ * Remove a player from a room and tell them they were kicked
+ * @param {Room} room - The room to remove them from
+ * @param {string} targetId - The player to remove
+ */
+function kickFromRoom(room, targetId) {
+    httpIo.to(getPlayerChannel(targetId)).emit('kicked', { code: room.code });
+    removePlayerFromRoom(targetId);
+}
+
+/**
+ * Handle player input commands. Clients never send positions; their inputs are queued
+ * and applied by their room's simulation one tick at a time.
+ * @param {Object} input - The input command { seq, left, right, jump, fire }
+ */
+function handlePlayerInput(input) {
+    const room = getPlayerRoom(this.data.playerId);
+    if (room && room.simulation) {
+        room.simulation.queueInput(this.data.playerId, input);
+    }
+}
+
+/**
+ * Handle a client acknowledging a world snapshot; later snapshots are delta-encoded against it
+ * @param {number|null} tick - The tick of the snapshot the client received, or null to ask for a full one
+ */
+function handleSnapshotAck(tick) {
+    const room = getPlayerRoom(this.data.playerId);
+    if (room) {
+        room.acknowledgeSnapshot(this.data.playerId, tick);
+    }
+}
+
+/**
+ * Send an authoritative world snapshot to each player in a room, delta-encoded against
+ * the last snapshot that player acknowledged
+ * @param {Room} room - The room the snapshot belongs to
+ * @param {Object} snapshot - The simulation snapshot
+ */
+function broadcastSnapshot(room, snapshot) {
+    // Keep the player list's positions in step with the simulation
+    snapshot.players.forEach(state => {
+        if (players[state.playerId]) {
+            players[state.playerId].gameData.pos = state.pos;
+        }
+    });
+
+    room.recordSnapshot(snapshot);
+    const encoded = {}; // Players acknowledging the same baseline share one encoding
+    room.playerIds.forEach(playerId => {
+        const socket = getPlayerSocket(playerId);
+        if (!socket) return; // Reconnecting players catch up from a full snapshot
+
+        const baseline = room.snapshotAcks.has(playerId) ? room.snapshotAcks.get(playerId) : 'full';
+        if (!encoded[baseline]) {
+            encoded[baseline] = room.encodeSnapshotFor(playerId, snapshot.tick);
+        }
+        socket.volatile.emit('worldSnapshot', encoded[baseline]); // Safe to drop: the next one is encoded against the last ack
+    });
+}
+
+/**
+ * Send a world event (e.g. a projectile fired or removed) to everyone in a room
+ * @param {Room} room - The room the event happened in
+ * @param {Object} event - The simulation event ({ type, tick, ... })
+ */
+function broadcastWorldEvent(room, event) {
+    httpIo.to(room.channel).emit('worldEvent', event); // Not volatile: a lost removal would leave a projectile flying
+}
+
+/**
+ * Handle player chat events: plain messages go to the whole room, and messages starting
+ * with '/' run chat commands (see CHAT_COMMANDS)
+ * @param {string} text - The chat text sent by the player
+ * @param {Function} [ack] - Called with { ok, notice } or { ok: false, error }
+ */
+function handlePlayerChat(text, ack) {
+    const reply = toAck(ack);
+    const room = getPlayerRoom(this.data.playerId);
+    if (!room) return reply({ ok: false, error: 'Join a room to chat' }); // Chat is per session
+
+    try {
+        const cleaned = sanitizeChatText(text);
+        if (!cleaned) return reply({ ok: true });
+
+        const command = parseChatCommand(cleaned);
+        if (command) return reply({ ok: true, ...runChatCommand(this, room, command) });
+
+        sendChatMessage(this, room, { type: 'chat', text: cleaned });
+        reply({ ok: true });
+    } catch (error) {
+        if (!(error instanceof ChatError)) throw error;
+        reply({ ok: false, error: error.message });
+    }
+}
+
+/**
+ * Run a chat command
+ * @param {Socket} socket - The socket of the player running it
+ * @param {Room} room - The player's room
+ * @param {Object} command - The parsed command { name, args, rest }
+ * @returns {Object} - Extra reply fields, e.g. { notice } to show only to the sender
+ * @throws {ChatError} - If the command is unknown, not allowed or malformed
+ */
+function runChatCommand(socket, room, command) {
+    switch (command.name) {
+        case 'help':
+            return { notice: Object.values(CHAT_COMMANDS).join('\n') };
+        case 'me':
+            if (!command.rest) throw new ChatError(CHAT_COMMANDS.me);
+            sendChatMessage(socket, room, { type: 'emote', text: command.rest });
+            return {};
+        case 'w': {
+            const targetId = findRoomPlayer(room, command.args[0]);
+            const text = command.rest.slice((command.args[0] || '').length).trim();
+            if (!text) throw new ChatError(CHAT_COMMANDS.w);
+            if (!targetId) throw new ChatError('No such player in this room');
+            if (targetId === socket.data.playerId) throw new ChatError('You cannot whisper to yourself');
+            sendChatMessage(socket, room, { type: 'whisper', text, to: targetId });
+            return {};
+        }
+        case 'mute':
+        case 'unmute':
+        case 'kick': {
+            if (room.hostId !== socket.data.playerId) throw new ChatError(`Only the host can use /${command.name}`);
+            const targetId = findRoomPlayer(room, command.args[0]);
+            if (!targetId) throw new ChatError(command.args[0] ? 'No such player in this room' : CHAT_COMMANDS[command.name]);
+            if (targetId === socket.data.playerId) throw new ChatError(`You cannot ${command.name} yourself`);
+
+            if (command.name === 'kick') {
+                kickFromRoom(room, targetId);
+                sendSystemMessage(room, `${getPlayerName(targetId)} was kicked by the host`);
+            } else {
+                room.chat.setMuted(targetId, command.name === 'mute');
+                sendSystemMessage(room, `${getPlayerName(targetId)} was ${command.name}d by the host`);
+            }
+            return {};
+        }
+        default:
+            throw new ChatError(`Unknown command /${command.name}. Type /help for a list.`);
+    }
 }
 
 /**
- * Handle player movement events
- * @param {Object} data - The movement data from the client
+ * Find a player in a room from a chat command argument
+ * @param {Room} room - The room to search
+ * @param {string} [reference] - A display name (spaces left out), player number ('3', 'Player3', '#3') or player ID
+ * @returns {string|null} - The player's ID, or null if there's no such player in the room
  */
-function handlePlayerMovement(data) {
-    // Update player's position based on the received data
-    players[this.id].gameData.pos = data.pos;
+function findRoomPlayer(room, reference) {
+    if (!reference) return null;
+    if (room.playerIds.has(reference)) return reference;
+
+    const roomPlayers = Array.from(room.playerIds, playerId => players[playerId]);
+    const byName = roomPlayers.find(player => player.name.replace(/\s+/g, '').toLowerCase() === reference.toLowerCase());
+    if (byName) return byName.playerId;
 
-    // Broadcast the new position to other players
-    this.broadcast.emit('playerMoved', { player: players[this.id] });
+    const number = Number(reference.replace(/^(player|#)/i, ''));
+    const byNumber = roomPlayers.find(player => player.connectionNum === number);
+    return byNumber ? byNumber.playerId : null;
 }
 
 /**
- * Handle player chat events
- * @param {string} message - The chat message sent by the player
+ * Send a player's chat message after applying mutes, rate limits and the word filter.
+ * Whispers go to the sender and recipient only; everything else goes to the whole room.
+ * @param {Socket} socket - The sender's socket
+ * @param {Room} room - The sender's room
+ * @param {Object} fields - { type: 'chat' | 'emote' | 'whisper', text, to }
+ * @throws {ChatError} - If the sender is muted or sending too fast
  */
-function handlePlayerChat(message) {
-    // Update player's last chat message
-    players[this.id].chatMessage = message;
+function sendChatMessage(socket, room, fields) {
+    const playerId = socket.data.playerId;
+    if (room.chat.isMuted(playerId)) throw new ChatError('You have been muted by the host');
+
+    const limiter = chatLimiters[playerId] || (chatLimiters[playerId] = new RateLimiter());
+    if (!limiter.take()) throw new ChatError('You are sending messages too quickly');
+
+    const message = room.chat.post({
+        ...fields,
+        from: playerId,
+        name: getPlayerName(playerId),
+        text: wordFilter.clean(fields.text)
+    });
 
-    // Clear chat message after 30 seconds
-    setTimeout(() => {
-        players[this.id].chatMessage = '';
-        this.emit('chatUpdate', { playerId: this.id, chatMessage: '' });
-    }, 30000);
+    if (message.type === 'whisper') {
+        socket.emit('chatMessage', message);
+        httpIo.to(getPlayerChannel(message.to)).emit('chatMessage', message);
+    } else {
+        httpIo.to(room.channel).emit('chatMessage', message);
+    }
+}
 
-    // Broadcast the chat message to other players
-    this.broadcast.emit('chatUpdate', { playerId: this.id, chatMessage: message });
+/**
+ * Send a notice from the server to everyone in a room
+ * @param {Room} room - The room to notify
+ * @param {string} text - The notice
+ */
+function sendSystemMessage(room, text) {
+    httpIo.to(room.channel).emit('chatMessage', room.chat.post({ type: 'system', text }));
 }
 
 /**
- * Handle player disconnection events
+ * Handle a player leaving for good (e.g. closing the online session), so their next
+ * disconnect ends the session immediately instead of waiting for them to come back
+ * @param {Function} [ack] - Called with { ok }
+ */
+function handleEndSession(ack) {
+    this.data.endSession = true;
+    toAck(ack)({ ok: true });
+}
+
+/**
+ * Handle player disconnection events. The player keeps their place, room and position for
+ * SESSION_GRACE_PERIOD so a brief network drop doesn't look like leaving and rejoining.
  */
 function handlePlayerDisconnect() {
-    console.log(`Player ${this.id} disconnected`);
-    delete players[this.id]; // Remove player from the object
+    const playerId = this.data.playerId;
+    const session = sessions[playerId];
+    if (!session || session.socketId !== this.id) return; // Replaced by a newer connection
+
+    console.log(`Player ${playerId} disconnected`);
+    session.socketId = null;
+    players[playerId].connected = false;
+    if (this.data.endSession) return endSession(playerId);
+
+    const room = getPlayerRoom(playerId);
+    if (room) emitRoomUpdate(room); // Shows the player as reconnecting
+    session.expiryTimer = setTimeout(() => endSession(playerId), SESSION_GRACE_PERIOD);
+}
+
+/**
+ * Handle a player changing their display name or avatar
+ * @param {Object} profile - { name, avatar: { sprite, palette } }; either field may be left out
+ * @param {Function} [ack] - Called with { ok, player } or { ok: false, error }
+ */
+function handleSetProfile(profile, ack) {
+    const reply = toAck(ack);
+    const player = players[this.data.playerId];
+    const normalized = normalizeProfile(profile);
+
+    const errors = validateProfile(normalized);
+    if (normalized.name && wordFilter.clean(normalized.name) !== normalized.name) {
+        errors.push('Please choose a different name.');
+    }
+    if (errors.length) return reply({ ok: false, error: errors.join(' ') });
+
+    Object.assign(player, normalized);
+    const room = getPlayerRoom(player.playerId);
+    if (room) emitRoomUpdate(room);
+    reply({ ok: true, player });
+}
+
+/**
+ * Find the player who made an HTTP request, from the session token in its Authorization
+ * header ('Bearer <token>')
+ * @param {Request} req - The Express request
+ * @returns {Object|null} - The player, or null without a token of a live session
+ */
+function getRequestPlayer(req) {
+    const match = /^Bearer (\S+)$/.exec(req.get('Authorization') || '');
+    const playerId = match && sessionTokens.verify(match[1]);
+    return (playerId && players[playerId]) || null;
+}
+
+/**
+ * Send an error response for a failed level, replay, gallery or leaderboard request
+ * @param {Response} res - The Express response
+ * @param {Error} error - The error that occurred
+ * @param {string} label - What the request was for, for the log (e.g. 'Level')
+ */
+function sendStoreError(res, error, label) {
+    if (error instanceof ValidationError) {
+        res.status(400).json({ error: error.message, details: error.details });
+    } else {
+        console.error(`${label} request failed:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+/**
+ * List summaries of all saved levels
+ * @param {Request} req - The Express request
+ * @param {Response} res - The Express response
+ */
+async function handleListLevels(req, res) {
+    try {
+        res.json({ levels: await levelStore.list() });
+    } catch (error) {
+        sendStoreError(res, error, 'Level');
+    }
+}
+
+/**
+ * Fetch a single level, migrated to the current format version
+ * @param {Request} req - The Express request
+ * @param {Response} res - The Express response
+ */
+async function handleGetLevel(req, res) {
+    try {
+        const level = await levelStore.get(req.params.id);
+        if (!level) return res.status(404).json({ error: 'Level not found' });
+        res.json(level);
+    } catch (error) {
+        sendStoreError(res, error, 'Level');
+    }
+}
+
+/**
+ * Create a new level from the request body
+ * @param {Request} req - The Express request
+ * @param {Response} res - The Express response
+ */
+async function handleCreateLevel(req, res) {
+    try {
+        const level = await levelStore.create(req.body);
+        res.status(201).json(level);
+    } catch (error) {
+        sendStoreError(res, error, 'Level');
+    }
+}
+
+/**
+ * Replace an existing level with the request body
+ * @param {Request} req - The Express request
+ * @param {Response} res - The Express response
+ */
+async function handleUpdateLevel(req, res) {
+    try {
+        const level = await levelStore.update(req.params.id, req.body);
+        if (!level) return res.status(404).json({ error: 'Level not found' });
+        res.json(level);
+    } catch (error) {
+        sendStoreError(res, error, 'Level');
+    }
+}
+
+/**
+ * Delete a level, take it out of the gallery if it was published and drop its leaderboards
+ * @param {Request} req - The Express request
+ * @param {Response} res - The Express response
+ */
+async function handleDeleteLevel(req, res) {
+    try {
+        const deleted = await levelStore.remove(req.params.id);
+        if (!deleted) return res.status(404).json({ error: 'Level not found' });
+        await galleryStore.remove(req.params.id);
+        await leaderboardStore.remove(req.params.id);
+        res.status(204).end();
+    } catch (error) {
+        sendStoreError(res, error, 'Level');
+    }
+}
+
+/**
+ * List summaries of the replays of the level given by the `level` query parameter
+ * @param {Request} req - The Express request
+ * @param {Response} res - The Express response
+ */
+async function handleListReplays(req, res) {
+    if (!LevelStore.isValidId(req.query.level)) return res.status(400).json({ error: 'A level ID is required' });
+    try {
+        res.json({ replays: await replayStore.list(req.query.level) });
+    } catch (error) {
+        sendStoreError(res, error, 'Replay');
+    }
+}
+
+/**
+ * Fetch a single replay
+ * @param {Request} req - The Express request
+ * @param {Response} res - The Express response
+ */
+async function handleGetReplay(req, res) {
+    try {
+        const replay = await replayStore.get(req.params.id);
+        if (!replay) return res.status(404).json({ error: 'Replay not found' });
+        res.json(replay);
+    } catch (error) {
+        sendStoreError(res, error, 'Replay');
+    }
+}
+
+/**
+ * Save a new replay from the request body. Its level must exist.
+ * @param {Request} req - The Express request
+ * @param {Response} res - The Express response
+ */
+async function handleCreateReplay(req, res) {
+    try {
+        const levelId = req.body && req.body.levelId;
+        if (!await levelStore.get(levelId)) {
+            throw new ValidationError([`Level "${levelId}" does not exist.`], 'Replay failed validation.');
+        }
+        const replay = await replayStore.create(req.body);
+        res.status(201).json(replay);
+    } catch (error) {
+        sendStoreError(res, error, 'Replay');
+    }
+}
+
+/**
+ * Read the gallery filters from a request's query string
+ * @param {Object} query - The Express request's query
+ * @returns {Object} - { sort, query, tag, page } (see GalleryStore.list)
+ */
+function readGalleryQuery(query) {
+    const text = (value) => typeof value === 'string' ? value : '';
+    return { sort: text(query.sort), query: text(query.q), tag: text(query.tag), page: Number(query.page) || 1 };
+}
 
-    // Notify other clients of the player's disconnection
-    this.broadcast.emit('playerDisconnected', { playerId: this.id });
+/**
+ * Render the gallery page: one page of published levels, found and sorted by the query string
+ * (`sort`, `q`, `tag`, `page`)
+ * @param {Request} req - The Express request
+ * @param {Response} res - The Express response
+ */
+async function handleGalleryPage(req, res) {
+    try {
+        const filters = readGalleryQuery(req.query);
+        const gallery = await galleryStore.list(filters);
+        const metaTags = {
+            title: 'Level Gallery - Game Dev Central Hub',
+            description: 'Browse, rate and play pixel side scroller levels made by the community.',
+            keywords: 'level gallery, community levels, pixel art, side scroller, multiplayer'
+        };
+        res.render('gallery', { metaTags, filters, gallery, sorts: GALLERY_SORTS });
+    } catch (error) {
+        console.error('Gallery page failed:', error);
+        res.status(500).send('Internal server error');
+    }
+}
+
+/**
+ * Render the page of one published level
+ * @param {Request} req - The Express request
+ * @param {Response} res - The Express response
+ */
+async function handleGalleryLevelPage(req, res) {
+    try {
+        const entry = await galleryStore.get(req.params.id);
+        if (!entry) return res.status(404).send('Level not found');
+        const summary = GalleryStore.summarize(entry);
+        const level = await levelStore.get(summary.id);
+        const leaderboards = await leaderboardStore.get(summary.id, level ? level.meta.updated : null);
+        const formatTime = (ticks) => formatRunTime(ticks, loadEngine().TICKS_PER_SECOND);
+        const metaTags = {
+            title: `${summary.title} - Level Gallery`,
+            description: summary.description || `A level by ${summary.author || 'an anonymous player'} in the Game Dev Central Hub gallery.`,
+            keywords: ['level gallery', ...summary.tags].join(', ')
+        };
+        res.render('gallery-level', { metaTags, entry: summary, leaderboards, formatTime });
+    } catch (error) {
+        console.error('Gallery page failed:', error);
+        res.status(500).send('Internal server error');
+    }
+}
+
+/**
+ * List one page of published levels, found and sorted by the query string (`sort`, `q`, `tag`, `page`)
+ * @param {Request} req - The Express request
+ * @param {Response} res - The Express response
+ */
+async function handleListGallery(req, res) {
+    try {
+        res.json(await galleryStore.list(readGalleryQuery(req.query)));
+    } catch (error) {
+        sendStoreError(res, error, 'Gallery');
+    }
+}
+
+/**
+ * Fetch a published level's gallery entry
+ * @param {Request} req - The Express request
+ * @param {Response} res - The Express response
+ */
+async function handleGetGalleryEntry(req, res) {
+    try {
+        const entry = await galleryStore.get(req.params.id);
+        if (!entry) return res.status(404).json({ error: 'Level not published' });
+        res.json(GalleryStore.summarize(entry));
+    } catch (error) {
+        sendStoreError(res, error, 'Gallery');
+    }
+}
+
+/**
+ * Send a published level's thumbnail
+ * @param {Request} req - The Express request
+ * @param {Response} res - The Express response
+ */
+async function handleGetGalleryThumbnail(req, res) {
+    try {
+        const thumbnail = await galleryStore.getThumbnail(req.params.id);
+        if (!thumbnail) return res.status(404).json({ error: 'Thumbnail not found' });
+        res.type('png').send(thumbnail);
+    } catch (error) {
+        sendStoreError(res, error, 'Gallery');
+    }
+}
+
+/**
+ * Publish a saved level to the gallery from the request body, or update its entry. The level must exist.
+ * @param {Request} req - The Express request
+ * @param {Response} res - The Express response
+ */
+async function handlePublishLevel(req, res) {
+    try {
+        const levelId = req.body && req.body.levelId;
+        if (!await levelStore.get(levelId)) {
+            throw new ValidationError([`Level "${levelId}" does not exist.`], 'Gallery request failed validation.');
+        }
+        const entry = await galleryStore.publish(req.body);
+        res.status(201).json(entry);
+    } catch (error) {
+        sendStoreError(res, error, 'Gallery');
+    }
+}
+
+/**
+ * Issue a rater token: a new rater ID, signed so it can't be made up. Only a few are issued
+ * to each client, so rating a level many times takes more than leaving the token out
+ * @param {Request} req - The Express request
+ * @param {Response} res - The Express response
+ */
+function handleCreateRater(req, res) {
+    if (!raterSignups.take(req.ip)) return res.status(429).json({ error: 'Too many new raters, try again later' });
+    res.status(201).json({ token: raterTokens.sign(SessionTokens.createPlayerId()) });
+}
+
+/**
+ * Rate a published level from the request body ({ token, stars }), as the rater whose token
+ * it carries (see handleCreateRater)
+ * @param {Request} req - The Express request
+ * @param {Response} res - The Express response
+ */
+async function handleRateLevel(req, res) {
+    try {
+        if (!ratingLimiter.take(req.ip)) return res.status(429).json({ error: 'Too many ratings, try again in a minute' });
+        const { token, stars } = req.body || {};
+        const entry = await galleryStore.rate(req.params.id, { raterId: raterTokens.verify(token), stars });
+        if (!entry) return res.status(404).json({ error: 'Level not published' });
+        res.json(entry);
+    } catch (error) {
+        sendStoreError(res, error, 'Gallery');
+    }
+}
+
+/**
+ * Count a play of a published level. Clears are only counted from checked runs (see handleSubmitRun)
+ * @param {Request} req - The Express request
+ * @param {Response} res - The Express response
+ */
+async function handleRecordPlay(req, res) {
+    try {
+        if (!playLimiter.take(req.ip)) return res.status(429).json({ error: 'Too many plays, try again in a minute' });
+        const entry = await galleryStore.recordPlay(req.params.id);
+        if (!entry) return res.status(404).json({ error: 'Level not published' });
+        res.json(entry);
+    } catch (error) {
+        sendStoreError(res, error, 'Gallery');
+    }
+}
+
+/**
+ * Fetch a level's daily and all-time leaderboards
+ * @param {Request} req - The Express request
+ * @param {Response} res - The Express response
+ */
+async function handleGetLeaderboards(req, res) {
+    try {
+        const level = await levelStore.get(req.params.levelId);
+        if (!level) return res.status(404).json({ error: 'Level not found' });
+        res.json(await leaderboardStore.get(level.id, level.meta.updated));
+    } catch (error) {
+        sendStoreError(res, error, 'Leaderboard');
+    }
+}
+
+/**
+ * Check a run from its replay in the request body and rank it. The replay is played back
+ * headlessly on the saved level, so only the time and score it really makes are ranked; a
+ * run that checks out is saved as a replay too, and counts as a clear in the gallery. It's ranked under the name of the player whose
+ * session token the request carries (see getRequestPlayer), or as Anonymous.
+ * @param {Request} req - The Express request
+ * @param {Response} res - The Express response
+ */
+async function handleSubmitRun(req, res) {
+    try {
+        const { levelId } = req.params;
+        const level = await levelStore.get(levelId);
+        if (!level) return res.status(404).json({ error: 'Level not found' });
+        if (!runChecks.take(req.ip)) return res.status(429).json({ error: 'Too many runs checked, try again in a minute' });
+        if (!req.body || req.body.levelId !== levelId) {
+            throw new ValidationError([`The replay is not of level "${levelId}".`], 'Run failed validation.');
+        }
+
+        const { errors, run } = await runChecker.check(req.body, level);
+        if (errors.length) throw new ValidationError(errors, 'Run failed validation.');
+        const player = getRequestPlayer(req);
+        const replay = await replayStore.create({ ...req.body, name: player ? player.name : 'Anonymous' });
+        let result;
+        try {
+            result = await leaderboardStore.submit(levelId, level.meta.updated, { name: replay.name, ...run, replayId: replay.id });
+        } catch (error) {
+            await replayStore.remove(replay.id); // Only ranked runs are kept
+            throw error;
+        }
+        await galleryStore.recordPlay(levelId, true); // A checked clear; ignored for levels that aren't published
+        res.status(201).json(result);
+    } catch (error) {
+        sendStoreError(res, error, 'Leaderboard');
+    }
 }
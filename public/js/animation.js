@@ -0,0 +1,200 @@
+/**
+ * Animation - Named animation clips played from SpriteManager sheets.
+ * A clip is a sequence of sheet frame indices with per-frame durations and a playback mode.
+ * Clips can name events on frames (e.g. 'footstep'), which fire each time that frame starts.
+ * Entities own an Animator and pick the clip to play each tick from their own state.
+ *
+ * Clip definition: { frames: [index, ...], durations: ms | [ms, ...], mode, events: { position: name } }
+ * Event positions count through the clip's frame sequence, not the sheet.
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// How a clip continues after its last frame
+const ANIMATION_MODES = {
+    LOOP: 'loop',           // Start again from the first frame
+    PING_PONG: 'pingPong',  // Play backwards to the first frame, then forwards again
+    ONCE: 'once'            // Stop on the last frame
+};
+
+// Default clip sets, keyed by set name; each sheet using a set lays its frames out the same way
+const ANIMATION_SETS = {
+    player: {
+        idle: { frames: [0], durations: 1000 },
+        run: { frames: [1, 2, 3, 2], durations: 80, events: { 0: 'footstep', 2: 'footstep' } },
+        jump: { frames: [4], durations: 1000, mode: ANIMATION_MODES.ONCE },
+        die: { frames: [5, 6], durations: [200, 600], mode: ANIMATION_MODES.ONCE }
+    },
+    enemy: {
+        idle: { frames: [0], durations: 1000 },
+        run: { frames: [0, 1], durations: 150 },
+        die: { frames: [2], durations: 500, mode: ANIMATION_MODES.ONCE },
+        shell: { frames: [3], durations: 1000 }
+    },
+    powerUp: {
+        idle: { frames: [0, 1, 2, 3], durations: 100, mode: ANIMATION_MODES.PING_PONG },
+        die: { frames: [4], durations: 100, mode: ANIMATION_MODES.ONCE }
+    },
+    projectile: {
+        idle: { frames: [0, 1, 2, 3], durations: 60 } // Spins while flying
+    }
+};
+
+/**
+ * AnimationClip - One named, immutable animation.
+ */
+class AnimationClip {
+    /**
+     * @param {string} name - The clip's name (e.g. 'run').
+     * @param {Object} definition - { frames, durations, mode, events }
+     */
+    constructor(name, definition) {
+        const { frames, durations = 100, mode = ANIMATION_MODES.LOOP, events = {} } = definition;
+        if (!Array.isArray(frames) || !frames.length) {
+            throw new Error(`Animation "${name}" needs at least one frame.`);
+        }
+        if (!Object.values(ANIMATION_MODES).includes(mode)) {
+            throw new Error(`Animation "${name}" has unknown mode "${mode}".`);
+        }
+
+        this.name = name;
+        this.frames = frames.slice();           // Sheet frame indices, in playback order
+        this.durations = frames.map((frame, i) => Math.max(1, Array.isArray(durations) ? durations[i] : durations)); // ms per frame
+        this.mode = mode;
+        this.events = { ...events };            // Frame position -> event name
+    }
+}
+
+/**
+ * Animator - Plays one clip at a time from a set of clips.
+ */
+class Animator {
+    /**
+     * @param {Object} clips - Clip definitions or AnimationClips, keyed by name.
+     */
+    constructor(clips) {
+        this.clips = {};                        // name -> AnimationClip
+        Object.keys(clips).forEach(name => {
+            const clip = clips[name];
+            this.clips[name] = clip instanceof AnimationClip ? clip : new AnimationClip(name, clip);
+        });
+        this.clip = null;                       // Clip playing now
+        this.position = 0;                      // Position in the clip's frame sequence
+        this.elapsed = 0;                       // Time spent on the current frame (ms)
+        this.direction = 1;                     // Playback direction for ping-pong clips
+        this.isFinished = false;                // Set when a 'once' clip reaches its last frame
+        this.pendingEvents = [];                // Events fired since the last update
+    }
+
+    /**
+     * The clip playing now, by name.
+     * @returns {string|null}
+     */
+    get current() {
+        return this.clip ? this.clip.name : null;
+    }
+
+    /**
+     * The sheet frame index to draw.
+     * @returns {number}
+     */
+    get frame() {
+        return this.clip ? this.clip.frames[this.position] : 0;
+    }
+
+    /**
+     * Whether a clip is available.
+     * @param {string} name - The clip's name.
+     * @returns {boolean}
+     */
+    has(name) {
+        return Boolean(this.clips[name]);
+    }
+
+    /**
+     * Switches to a clip. Playing the clip that is already playing does nothing unless restart is set.
+     * @param {string} name - The clip's name.
+     * @param {boolean} [restart=false] - Start the clip over even if it's already playing.
+     * @returns {boolean} - False if there's no clip with that name.
+     */
+    play(name, restart = false) {
+        const clip = this.clips[name];
+        if (!clip) return false;
+        if (clip === this.clip && !restart) return true;
+
+        this.clip = clip;
+        this.position = 0;
+        this.elapsed = 0;
+        this.direction = 1;
+        this.isFinished = false;
+        this._enterFrame();
+        return true;
+    }
+
+    /**
+     * Advances the current clip.
+     * @param {number} dt - Time passed (ms).
+     * @returns {string[]} - Names of the events fired, in order.
+     */
+    update(dt) {
+        const clip = this.clip;
+        if (clip) {
+            this.elapsed += dt;
+            while (!this.isFinished && this.elapsed >= clip.durations[this.position]) {
+                this.elapsed -= clip.durations[this.position];
+                this._advance();
+            }
+        }
+
+        const events = this.pendingEvents;
+        this.pendingEvents = [];
+        return events;
+    }
+
+    /**
+     * Moves to the next frame according to the clip's mode.
+     * @private
+     */
+    _advance() {
+        const count = this.clip.frames.length;
+
+        switch (this.clip.mode) {
+            case ANIMATION_MODES.ONCE:
+                if (this.position === count - 1) {
+                    this.isFinished = true; // Hold the last frame
+                    return;
+                }
+                this.position++;
+                break;
+            case ANIMATION_MODES.PING_PONG:
+                if (count === 1) return;
+                if (this.position + this.direction < 0 || this.position + this.direction >= count) {
+                    this.direction = -this.direction; // Bounce off either end
+                }
+                this.position += this.direction;
+                break;
+            default:
+                this.position = (this.position + 1) % count;
+        }
+        this._enterFrame();
+    }
+
+    /**
+     * Queues the event of the frame that just started, if it has one.
+     * @private
+     */
+    _enterFrame() {
+        const event = this.clip.events[this.position];
+        if (event) this.pendingEvents.push(event);
+    }
+}
+
+/**
+ * Creates an animator for one of the default clip sets.
+ * @param {string} setName - A key of ANIMATION_SETS.
+ * @returns {Animator}
+ */
+function createAnimator(setName) {
+    return new Animator(ANIMATION_SETS[setName] || {});
+}
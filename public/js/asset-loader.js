@@ -0,0 +1,271 @@
+/**
+ * AssetLoader - Downloads and decodes the assets listed in a manifest (see asset-manifest.js)
+ * before anything is drawn or played. Each image and sound is fetched and decoded once per
+ * URL, however many sheets or names share it, and loading reports progress as every asset
+ * finishes so a LoadingScreen can show it.
+ * An asset that can't be loaded never stops the others: the failure is reported with the
+ * asset's name and URL, and a missing sheet is replaced with a checkered placeholder texture
+ * so the gap is obvious in the editor and the game.
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Placeholder texture drawn in place of a missing sheet: squares of these colours
+const PLACEHOLDER_COLOURS = ['#ff00ff', '#000000'];
+
+// Size of one placeholder square in pixels
+const PLACEHOLDER_SQUARE = 4;
+
+// Failed assets the loading screen names before summing up the rest
+const LOADING_SCREEN_FAILURES = 8;
+
+/**
+ * Error raised for an asset that couldn't be loaded.
+ */
+class AssetLoadError extends Error {
+    /**
+     * @param {string} kind - 'sheet', 'sound' or 'level'.
+     * @param {string} assetName - The asset's name in the manifest.
+     * @param {string} url - Where it was loaded from.
+     * @param {string} reason - What went wrong.
+     */
+    constructor(kind, assetName, url, reason) {
+        super(`Missing ${kind} "${assetName}" (${url}): ${reason}`);
+        this.name = 'AssetLoadError';
+        this.kind = kind;
+        this.assetName = assetName;
+        this.url = url;
+    }
+}
+
+/**
+ * Counts the frames a sheet must have for its animation set.
+ * @param {Object} entry - The sheet's manifest entry.
+ * @returns {number} - One more than the highest frame any clip uses (1 for tile sheets).
+ */
+function sheetFrameCount(entry) {
+    const clips = ANIMATION_SETS[entry.animations];
+    if (!clips) return 1;
+    return Math.max(...Object.values(clips).map(clip => Math.max(...clip.frames))) + 1;
+}
+
+/**
+ * Draws a checkered placeholder with as many frames as a sheet needs.
+ * @param {Object} entry - The sheet's manifest entry.
+ * @returns {HTMLCanvasElement}
+ */
+function createPlaceholderTexture(entry) {
+    const canvas = document.createElement('canvas');
+    canvas.width = entry.frameWidth * sheetFrameCount(entry);
+    canvas.height = entry.frameHeight;
+    const context = canvas.getContext('2d');
+
+    for (let y = 0; y < canvas.height; y += PLACEHOLDER_SQUARE) {
+        for (let x = 0; x < canvas.width; x += PLACEHOLDER_SQUARE) {
+            context.fillStyle = PLACEHOLDER_COLOURS[(x + y) / PLACEHOLDER_SQUARE % 2];
+            context.fillRect(x, y, PLACEHOLDER_SQUARE, PLACEHOLDER_SQUARE);
+        }
+    }
+    return canvas;
+}
+
+class AssetLoader extends EventBus {
+    /**
+     * @param {Object} [options] - Optional settings.
+     * @param {AudioContext} [options.audioContext] - Decodes sounds; without one sounds are skipped.
+     */
+    constructor(options = {}) {
+        super();
+        this.audioContext = options.audioContext || null;
+        this.images = {};                       // URL -> Promise of the decoded image
+        this.audioBuffers = {};                 // URL -> Promise of the decoded sound
+        this.loaded = 0;                        // Assets finished, loaded or not
+        this.total = 0;                         // Assets asked for so far
+        this.errors = [];                       // AssetLoadErrors of everything that failed
+    }
+
+    /**
+     * Downloads and decodes an image, once per URL.
+     * @param {string} url - The image's URL.
+     * @returns {Promise<HTMLImageElement>}
+     */
+    loadImage(url) {
+        if (!this.images[url]) {
+            this.images[url] = new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new Error('the image could not be downloaded or decoded.'));
+                image.src = url;
+            });
+        }
+        return this.images[url];
+    }
+
+    /**
+     * Downloads and decodes a sound, once per URL.
+     * @param {string} url - The sound's URL.
+     * @returns {Promise<AudioBuffer>}
+     */
+    loadAudio(url) {
+        if (!this.audioBuffers[url]) {
+            this.audioBuffers[url] = (async () => {
+                if (!this.audioContext) throw new Error('no audio context to decode it with.');
+                const response = await fetch(url);
+                if (!response.ok) throw new Error(`HTTP ${response.status}.`);
+                return this.audioContext.decodeAudioData(await response.arrayBuffer());
+            })();
+        }
+        return this.audioBuffers[url];
+    }
+
+    /**
+     * Downloads a level file and brings it up to the current level format.
+     * @param {string} url - The level's URL.
+     * @returns {Promise<Object>} - The migrated level.
+     */
+    async loadLevel(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}.`);
+        const level = migrateLevel(await response.json());
+        const errors = validateLevel(level);
+        if (errors.length) throw new Error(errors.join(' '));
+        return level;
+    }
+
+    /**
+     * Loads a sheet's image and checks it holds every frame its animations use. A sheet
+     * that can't be used is reported and replaced by a placeholder texture.
+     * @param {string} name - The sheet's name.
+     * @param {Object} entry - { url, frameWidth, frameHeight, animations, palettes }
+     * @returns {Promise<Object>} - { image, frameWidth, frameHeight, palettes, placeholder }
+     */
+    async loadSheet(name, entry) {
+        const { frameWidth, frameHeight } = entry;
+        const palettes = entry.palettes || null;
+        try {
+            const image = await this.loadImage(entry.url);
+            const frames = Math.floor(image.width / frameWidth) * Math.floor(image.height / frameHeight);
+            const needed = sheetFrameCount(entry);
+            if (frames < needed) {
+                throw new Error(`it has ${frames} ${frameWidth}x${frameHeight} frames but its animations use ${needed}.`);
+            }
+            return { image, frameWidth, frameHeight, palettes, placeholder: false };
+        } catch (error) {
+            this._fail('sheet', name, entry.url, error);
+            return { image: createPlaceholderTexture(entry), frameWidth, frameHeight, palettes, placeholder: true };
+        }
+    }
+
+    /**
+     * Loads everything in a manifest. Emits 'progress' (loaded, total, name) as each asset
+     * finishes, 'error' (AssetLoadError) for each one that fails and 'loaded' (assets) at
+     * the end. Never rejects: failed sounds and levels are left out, and failed sheets get
+     * placeholders.
+     * @param {Object} manifest - { sheets, sounds, levels } (see asset-manifest.js); any part may be left out.
+     * @returns {Promise<Object>} - { sheets: { name: sheet }, sounds: { name: AudioBuffer }, levels: { id: level } }
+     */
+    async load(manifest) {
+        const { sheets = {}, sounds = {}, levels = {} } = manifest;
+        const assets = { sheets: {}, sounds: {}, levels: {} };
+        const track = (name, promise) => promise.then(() => this.emit('progress', ++this.loaded, this.total, name));
+
+        const tasks = [
+            ...Object.keys(sheets).map(name => track(name, this.loadSheet(name, sheets[name]).then(sheet => {
+                assets.sheets[name] = sheet;
+            }))),
+            ...Object.keys(sounds).map(name => track(name, this.loadAudio(sounds[name]).then(buffer => {
+                assets.sounds[name] = buffer;
+            }, error => this._fail('sound', name, sounds[name], error)))),
+            ...Object.keys(levels).map(id => track(id, this.loadLevel(levels[id]).then(level => {
+                assets.levels[id] = level;
+            }, error => this._fail('level', id, levels[id], error))))
+        ];
+        this.total += tasks.length;
+        this.emit('progress', this.loaded, this.total, null);
+
+        await Promise.all(tasks);
+        this.emit('loaded', assets);
+        return assets;
+    }
+
+    /**
+     * Reports an asset that couldn't be loaded.
+     * @param {string} kind - 'sheet', 'sound' or 'level'.
+     * @param {string} name - The asset's name.
+     * @param {string} url - Where it was loaded from.
+     * @param {Error} error - What went wrong.
+     * @private
+     */
+    _fail(kind, name, url, error) {
+        const failure = new AssetLoadError(kind, name, url, error.message);
+        this.errors.push(failure);
+        console.error(failure.message);
+        this.emit('error', failure);
+    }
+}
+
+/**
+ * LoadingScreen - Draws an AssetLoader's progress on a canvas: a progress bar, and the assets
+ * that failed so far.
+ */
+class LoadingScreen {
+    /**
+     * @param {HTMLCanvasElement} canvas - The canvas to draw on.
+     * @param {AssetLoader} loader - The loader to follow.
+     */
+    constructor(canvas, loader) {
+        this.context = canvas.getContext('2d');
+        this.loader = loader;
+        this.current = null;                    // Name of the asset that finished last
+        this.listeners = {                      // Loader event -> handler, kept so close() can remove them
+            progress: (loaded, total, name) => {
+                this.current = name;
+                this.render();
+            },
+            error: () => this.render()
+        };
+        Object.keys(this.listeners).forEach(event => loader.on(event, this.listeners[event]));
+        this.render();
+    }
+
+    /**
+     * Stops following the loader; whatever draws next takes the canvas back.
+     */
+    close() {
+        Object.keys(this.listeners).forEach(event => this.loader.off(event, this.listeners[event]));
+    }
+
+    render() {
+        const { context, loader } = this;
+        const { width, height } = context.canvas;
+        const barWidth = width / 2;
+        const barX = (width - barWidth) / 2;
+        const barY = height / 2;
+
+        context.save();
+        context.fillStyle = '#000000';
+        context.fillRect(0, 0, width, height);
+        context.textAlign = 'center';
+        context.fillStyle = '#ffffff';
+        context.font = '16px monospace';
+        context.fillText('Loading', width / 2, barY - 24);
+        context.font = '10px monospace';
+        context.fillText(`${loader.loaded}/${loader.total}${this.current ? ` ${this.current}` : ''}`, width / 2, barY - 6);
+
+        context.strokeStyle = '#ffffff';
+        context.strokeRect(barX, barY, barWidth, 8);
+        context.fillStyle = '#f8d000';
+        context.fillRect(barX, barY, loader.total ? barWidth * loader.loaded / loader.total : 0, 8);
+
+        context.fillStyle = '#ff4040';
+        const listed = loader.errors.slice(0, LOADING_SCREEN_FAILURES);
+        listed.forEach((failure, i) => {
+            context.fillText(`Missing ${failure.kind}: ${failure.assetName}`, width / 2, barY + 26 + i * 12);
+        });
+        if (loader.errors.length > listed.length) {
+            context.fillText(`...and ${loader.errors.length - listed.length} more (see the console)`, width / 2, barY + 26 + listed.length * 12);
+        }
+        context.restore();
+    }
+}
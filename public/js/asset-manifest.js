@@ -0,0 +1,69 @@
+/**
+ * Asset Manifest - Every sprite sheet, sound and bundled level file the hub loads up front
+ * (see asset-loader.js).
+ *
+ * Sheet: { url, frameWidth, frameHeight, animations, palettes }
+ *   animations - Key of ANIMATION_SETS the sheet's frames are laid out for; tile sheets have none
+ *   palettes   - Key of PALETTE_SETS the sheet is drawn in, for sheets that can be recoloured
+ * Sound: URL, by name (the names DEFAULT_SOUND_BINDINGS and level music refer to)
+ * Level: URL of a level file, by level ID
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+const ASSET_MANIFEST = {
+    sheets: {
+        grass: { url: '/sprites/grass.png', frameWidth: 16, frameHeight: 16, palettes: 'tiles' },
+        floor: { url: '/sprites/floor.png', frameWidth: 16, frameHeight: 16, palettes: 'tiles' },
+        // One player sheet per size (PLAYER_SIZES), and the same again for each avatar (AVATAR_SPRITES)
+        player: { url: '/sprites/player.png', frameWidth: 16, frameHeight: 16, animations: 'player' },
+        'player-big': { url: '/sprites/player-big.png', frameWidth: 16, frameHeight: 32, animations: 'player' },
+        'player-fire': { url: '/sprites/player-fire.png', frameWidth: 16, frameHeight: 32, animations: 'player' },
+        'avatar-runner': { url: '/sprites/avatars/runner.png', frameWidth: 16, frameHeight: 16, animations: 'player', palettes: 'avatar' },
+        'avatar-runner-big': { url: '/sprites/avatars/runner-big.png', frameWidth: 16, frameHeight: 32, animations: 'player', palettes: 'avatar' },
+        'avatar-runner-fire': { url: '/sprites/avatars/runner-fire.png', frameWidth: 16, frameHeight: 32, animations: 'player', palettes: 'avatar' },
+        'avatar-knight': { url: '/sprites/avatars/knight.png', frameWidth: 16, frameHeight: 16, animations: 'player', palettes: 'avatar' },
+        'avatar-knight-big': { url: '/sprites/avatars/knight-big.png', frameWidth: 16, frameHeight: 32, animations: 'player', palettes: 'avatar' },
+        'avatar-knight-fire': { url: '/sprites/avatars/knight-fire.png', frameWidth: 16, frameHeight: 32, animations: 'player', palettes: 'avatar' },
+        'avatar-robot': { url: '/sprites/avatars/robot.png', frameWidth: 16, frameHeight: 16, animations: 'player', palettes: 'avatar' },
+        'avatar-robot-big': { url: '/sprites/avatars/robot-big.png', frameWidth: 16, frameHeight: 32, animations: 'player', palettes: 'avatar' },
+        'avatar-robot-fire': { url: '/sprites/avatars/robot-fire.png', frameWidth: 16, frameHeight: 32, animations: 'player', palettes: 'avatar' },
+        powerUp: { url: '/sprites/power-up.png', frameWidth: 16, frameHeight: 16, animations: 'powerUp' },
+        'projectile-fireball': { url: '/sprites/projectiles/fireball.png', frameWidth: 8, frameHeight: 8, animations: 'projectile' }
+    },
+    sounds: {
+        'jump-small': '/sounds/jump-small.wav',
+        'jump-super': '/sounds/jump-super.wav',
+        stomp: '/sounds/stomp.wav',
+        coin: '/sounds/coin.wav',
+        powerup: '/sounds/powerup.wav',
+        itemAppear: '/sounds/itemAppear.wav',
+        bump: '/sounds/bump.wav',
+        breakblock: '/sounds/breakblock.wav',
+        kick: '/sounds/kick.wav',
+        fireball: '/sounds/fireball.wav',
+        pipe: '/sounds/pipe.wav',
+        flagpole: '/sounds/flagpole.wav',
+        mariodie: '/sounds/mariodie.wav',
+        stage_clear: '/sounds/stage_clear.wav',
+        aboveground_bgm: '/sounds/aboveground_bgm.ogg',
+        underground_bgm: '/sounds/underground_bgm.ogg'
+    },
+    levels: {}                                  // None are bundled yet; saved levels come from /api/levels
+};
+
+/**
+ * Lists the sheets of the enemy types in the catalog, which only become known once the
+ * catalog has loaded (see loadEnemyCatalog).
+ * @param {Object} [types=ENEMY_TYPES] - Enemy type name -> definition.
+ * @returns {Object} - Sheet name ('enemy-<type>') -> sheet entry.
+ */
+function enemyAssetSheets(types = ENEMY_TYPES) {
+    const sheets = {};
+    Object.keys(types).forEach(type => {
+        const { sprite, animations } = types[type];
+        if (sprite) sheets[`enemy-${type}`] = { url: sprite, frameWidth: 16, frameHeight: 16, animations };
+    });
+    return sheets;
+}
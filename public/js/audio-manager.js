@@ -0,0 +1,253 @@
+/**
+ * AudioManager - Web Audio playback for the sounds in the asset manifest, once the AssetLoader
+ * has decoded them (see asset-manifest.js).
+ * Sound effects and music run through separate buses with their own volume and mute.
+ * Background music loops and crossfades when the level's track changes, and everything
+ * pauses while the game is paused. Sound effects are bound declaratively to DevGameMaker
+ * events (see DEFAULT_SOUND_BINDINGS).
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Game event -> sound effect. A binding is a sound name or { sound, localOnly, volume };
+// localOnly bindings only play when the event's first argument is the local player.
+const DEFAULT_SOUND_BINDINGS = {
+    playerJump: { sound: 'jump-small', localOnly: true },
+    playerHit: 'pipe',
+    playerPowerUp: 'powerup',
+    projectileFired: 'fireball',
+    projectileHit: 'kick',
+    blockBumped: 'bump',
+    blockBroken: 'breakblock',
+    coinCollected: 'coin',
+    itemSpawned: 'itemAppear',
+    playerWarped: { sound: 'pipe', localOnly: true },
+    playerDied: { sound: 'mariodie', localOnly: true },
+    goalReached: 'flagpole',
+    levelCleared: 'stage_clear',
+    gameRestarted: 'itemAppear'
+};
+
+// Seconds one music track takes to fade into the next
+const MUSIC_CROSSFADE_TIME = 1.5;
+
+class AudioManager {
+    /**
+     * @param {Object} [options] - Optional settings.
+     * @param {number} [options.musicVolume=0.6] - Initial music volume (0..1).
+     * @param {number} [options.sfxVolume=0.8] - Initial sound effect volume (0..1).
+     */
+    constructor(options = {}) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        this.context = new AudioContextClass();     // Web Audio graph
+        this.buffers = {};                          // Decoded sounds, by name
+        this.buses = {
+            sfx: this._createBus(options.sfxVolume !== undefined ? options.sfxVolume : 0.8),
+            music: this._createBus(options.musicVolume !== undefined ? options.musicVolume : 0.6)
+        };
+        this.music = null;                          // Playing track: { name, source, gain }
+        this.isPaused = false;                      // Paused along with the game
+        this.game = null;                           // Game whose events play sounds
+        this.gameListeners = [];                    // [event, callback] pairs registered on the game
+
+        // Browsers keep audio suspended until the page has been interacted with
+        this._unlock = () => {
+            if (!this.isPaused) this.context.resume();
+        };
+        window.addEventListener('keydown', this._unlock);
+        window.addEventListener('pointerdown', this._unlock);
+    }
+
+    /**
+     * Creates a bus: a gain node feeding the speakers.
+     * @param {number} volume - Initial volume (0..1).
+     * @returns {Object} - { gain, volume, muted }
+     * @private
+     */
+    _createBus(volume) {
+        const gain = this.context.createGain();
+        gain.gain.value = volume;
+        gain.connect(this.context.destination);
+        return { gain, volume, muted: false };
+    }
+
+    /**
+     * Makes decoded sounds playable.
+     * @param {Object} buffers - Sound name -> AudioBuffer (see AssetLoader.load).
+     */
+    addSounds(buffers) {
+        Object.assign(this.buffers, buffers);
+    }
+
+    /**
+     * Plays a sound effect once.
+     * @param {string} name - The sound's name.
+     * @param {number} [volume=1] - Volume relative to the sound effect bus (0..1).
+     * @returns {boolean} - False if the sound isn't loaded.
+     */
+    playSound(name, volume = 1) {
+        const buffer = this.buffers[name];
+        if (!buffer || this.isPaused) return false;
+
+        const source = this.context.createBufferSource();
+        const gain = this.context.createGain();
+        source.buffer = buffer;
+        gain.gain.value = volume;
+        source.connect(gain);
+        gain.connect(this.buses.sfx.gain);
+        source.start();
+        return true;
+    }
+
+    /**
+     * Starts a looping music track, crossfading from the one playing. Asking for the track
+     * that is already playing does nothing.
+     * @param {string} name - The track's name (e.g. 'aboveground_bgm').
+     * @param {number} [fadeTime=MUSIC_CROSSFADE_TIME] - Crossfade length in seconds.
+     * @returns {boolean} - False if the track isn't loaded.
+     */
+    playMusic(name, fadeTime = MUSIC_CROSSFADE_TIME) {
+        if (this.music && this.music.name === name) return true;
+        const buffer = this.buffers[name];
+        if (!buffer) return false;
+
+        const now = this.context.currentTime;
+        const source = this.context.createBufferSource();
+        const gain = this.context.createGain();
+        source.buffer = buffer;
+        source.loop = true;
+        gain.gain.setValueAtTime(this.music ? 0 : 1, now);   // Nothing to fade from: start at full volume
+        gain.gain.linearRampToValueAtTime(1, now + fadeTime);
+        source.connect(gain);
+        gain.connect(this.buses.music.gain);
+        source.start();
+
+        this.stopMusic(fadeTime);
+        this.music = { name, source, gain };
+        return true;
+    }
+
+    /**
+     * Fades out and stops the music.
+     * @param {number} [fadeTime=MUSIC_CROSSFADE_TIME] - Fade length in seconds (0 stops at once).
+     */
+    stopMusic(fadeTime = MUSIC_CROSSFADE_TIME) {
+        if (!this.music) return;
+        const { source, gain } = this.music;
+        const now = this.context.currentTime;
+
+        gain.gain.cancelScheduledValues(now);
+        gain.gain.setValueAtTime(gain.gain.value, now);
+        gain.gain.linearRampToValueAtTime(0, now + fadeTime);
+        source.stop(now + fadeTime);
+        this.music = null;
+    }
+
+    /**
+     * Sets a bus's volume.
+     * @param {string} bus - 'sfx' or 'music'.
+     * @param {number} volume - Volume (0..1).
+     */
+    setVolume(bus, volume) {
+        const target = this.buses[bus];
+        target.volume = Math.min(Math.max(volume, 0), 1);
+        this._applyBus(target);
+    }
+
+    /**
+     * Mutes or unmutes a bus without losing its volume.
+     * @param {string} bus - 'sfx' or 'music'.
+     * @param {boolean} muted - Whether the bus should be silent.
+     */
+    setMuted(bus, muted) {
+        const target = this.buses[bus];
+        target.muted = muted;
+        this._applyBus(target);
+    }
+
+    /**
+     * Pushes a bus's volume and mute state to its gain node.
+     * @param {Object} bus - The bus.
+     * @private
+     */
+    _applyBus(bus) {
+        bus.gain.gain.setValueAtTime(bus.muted ? 0 : bus.volume, this.context.currentTime);
+    }
+
+    /**
+     * Pauses or resumes all audio.
+     * @param {boolean} paused - Whether audio should be paused.
+     */
+    setPaused(paused) {
+        this.isPaused = paused;
+        if (paused) {
+            this.context.suspend();
+        } else {
+            this.context.resume();
+        }
+    }
+
+    /**
+     * Plays sounds for a game's events: the bound sound effects, the level's music (which
+     * stops with the game) and pausing with the game.
+     * @param {DevGameMaker} game - The game to listen to.
+     * @param {Object} [bindings=DEFAULT_SOUND_BINDINGS] - Event name -> sound binding.
+     */
+    attach(game, bindings = DEFAULT_SOUND_BINDINGS) {
+        this.detach();
+        this.game = game;
+        game.audio = this; // Lets the game's options screen change the volumes
+
+        Object.keys(bindings).forEach(event => {
+            const binding = typeof bindings[event] === 'string' ? { sound: bindings[event] } : bindings[event];
+            this._listen(event, (subject) => {
+                if (binding.localOnly && subject !== game.player) return;
+                if (game.replay && game.replay.isSeeking) return; // Skipping through a replay
+                this.playSound(binding.sound, binding.volume);
+            });
+        });
+
+        this._listen('started', () => this._playLevelMusic());
+        this._listen('levelLoaded', () => {
+            if (game.isRunning) this._playLevelMusic();
+        });
+        this._listen('stopped', () => this.stopMusic());
+        this._listen('gameOver', () => this.stopMusic(0));
+        this._listen('levelCleared', () => this.stopMusic(0)); // The stage-clear jingle plays alone
+        this._listen('gameRestarted', () => this._playLevelMusic());
+        this._listen('pauseToggled', (isPaused) => this.setPaused(isPaused));
+    }
+
+    /**
+     * Stops listening to the attached game.
+     */
+    detach() {
+        if (!this.game) return;
+        this.gameListeners.forEach(([event, callback]) => this.game.off(event, callback));
+        this.gameListeners = [];
+        this.game.audio = null;
+        this.game = null;
+        this.stopMusic();
+    }
+
+    /**
+     * Registers a listener on the attached game, remembering it for detach().
+     * @param {string} event - The game event.
+     * @param {Function} callback - The listener.
+     * @private
+     */
+    _listen(event, callback) {
+        this.game.on(event, callback);
+        this.gameListeners.push([event, callback]);
+    }
+
+    /**
+     * Plays the current level's music track, if it has one.
+     * @private
+     */
+    _playLevelMusic() {
+        const level = this.game.currentLevel;
+        if (level && level.music) this.playMusic(level.music);
+    }
+}
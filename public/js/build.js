@@ -1,372 +1,872 @@
 /**
  * DevGameMaker - All-in-one game development controller.
  * Combines map creation, player control, event handling, input management, and enemy handling.
- * Replaces all client-side JavaScript modules into one object.
+ * The entities it runs are in entities.js. It draws, reads controls and runs frames through
+ * the adapters it is given (see game-adapters.js), so the same game can be stepped headlessly.
  * 
  * Author: BadNintendo (https://github.com/BadNintendo/mario)
  * © 2024 StickPM. All Rights Reserved.
  */
 
-/**
- * DevGameMaker - All-in-one game development controller.
- * Combines map creation, player control, event handling, input management, and enemy handling.
- * Replaces all client-side JavaScript modules into one object.
- * 
- * Author: BadNintendo (https://github.com/BadNintendo/mario)
- * © 2024 StickPM. All Rights Reserved.
- */
+// Entities this close to the edge of the view are still drawn, so sprites larger than their hitbox don't pop in
+const ENTITY_CULL_MARGIN = 32;
 
-class DevGameMaker {
-    constructor() {
+// How far below an enemy's top the player's feet may have been last tick and still count as a stomp (px)
+const STOMP_TOLERANCE = 4;
+
+// Upward speed the player bounces off a stomped enemy with (px per tick)
+const STOMP_BOUNCE_SPEED = 6;
+
+// Lives the player starts with (and gets back on continue)
+const PLAYER_LIVES = 3;
+
+// Ticks the stage-clear screen stays up after the time bonus is tallied, before the next level loads
+const STAGE_CLEAR_TICKS = 300;
+
+// Slack when deciding whether a whole tick has built up, so rounding in frame timestamps never drops a tick (ms)
+const TICK_TIME_EPSILON = 1e-6;
+
+class DevGameMaker extends EventBus {
+    /**
+     * @param {Object} [options] - Optional game settings.
+     * @param {Object} [options.renderer] - What to draw on (see game-adapters.js); leave out to run headless.
+     * @param {HTMLCanvasElement} [options.canvas] - Canvas to draw on, wrapped in a CanvasRenderer when no renderer is given.
+     * @param {SpriteManager} [options.spriteManager] - Sprite manager used to draw map tiles.
+     * @param {boolean} [options.autoStart=true] - Whether to start the game loop immediately.
+     * @param {InputManager} [options.input] - Controls to read (defaults to a new InputManager, listening to the window in a browser).
+     * @param {Object} [options.loop] - Loop driver that runs the frames (defaults to an AnimationFrameLoop in a browser, a ManualLoop headless).
+     */
+    constructor(options = {}) {
+        super();
         // Initialize game entities and state
-        this.maps = {};                // Maps collection
+        this.renderer = options.renderer || (options.canvas ? new CanvasRenderer(options.canvas) : null); // Rendering target
+        this.loop = options.loop || (typeof requestAnimationFrame !== 'undefined' ? new AnimationFrameLoop() : new ManualLoop()); // Decides when frames run
+        this.spriteManager = options.spriteManager || null; // Sprite sheets for map tiles
+        this.maps = {};                // Maps collection (name -> TileMap)
         this.enemies = [];             // Enemies array
         this.powerUps = [];            // Power-ups array
-        this.eventListeners = {};      // Event listeners collection
+        this.projectiles = new ProjectilePool(); // Fireballs and bullets in the air
+        this.localProjectiles = true;  // False online, where the server fires the player's projectiles and decides what they hit
+        this.localTiles = true;        // False online, where the server runs interactive tiles and sends their changes
+        this.localProgression = true;  // False online, where the server decides when players die and levels end
+        this.isLoadingLevel = false;   // Set while openLevel() is downloading a level
+        this.goals = [];               // Goals that clear the level (see progression.js)
+        this.checkpoints = [];         // Checkpoints the player can respawn at
+        this.checkpoint = null;        // Spawn point of the last checkpoint reached, or null for the level start
+        this.timeLeft = null;          // Ticks left on the level timer, or null without a time limit
+        this.levelState = 'playing';   // 'playing', 'cleared' (stage-clear screen), 'finished' (nothing follows) or 'gameOver'
+        this.clearTicks = 0;           // Ticks the stage-clear screen stays up once the tally is done
+        this.world = null;             // WorldMap being played through, if any
+        this.random = new SeededRandom(); // Everything random in the simulation draws from this (reseeded for every run)
+        this.replay = null;            // ReplayPlayer whose recorded input replaces the controls (see replay.js)
+        this.scenes = new SceneManager(this); // Title, menus and playing (see scenes.js)
+        this.hud = new Hud(this);      // Score, coins, lives, timer and power-ups drawn over the world
+        this.audio = null;             // AudioManager attached to the game, if any (see AudioManager.attach)
         this.player = new Player({ x: 50, y: 100 }); // Initialize player at given position
         this.currentMap = null;        // Track the current map
-        this.playerLives = 3;          // Number of player lives
+        this.currentLevel = null;      // Level file the current map was loaded from
+        this.playerLives = PLAYER_LIVES; // Number of player lives
         this.isPaused = false;         // State to manage game pause
         this.score = 0;                // Player's score
-        this.init();                   // Call the init method to set up the game
+        this.coins = 0;                // Coins collected
+        this.tick = 0;                 // Number of fixed simulation steps run so far
+        this.accumulator = 0;          // Unsimulated time carried over between frames (ms)
+        this.lastFrameTime = null;     // Timestamp of the previous animation frame
+        this.viewport = [0, 0];        // Top-left of the visible area in world pixels (set from the camera)
+        this.camera = new Camera(this.renderer ? { width: this.renderer.width, height: this.renderer.height } : {}); // Follows the player
+        this.camera.follow(this.player);
+        this.isRunning = false;        // Whether the game loop is active
+        this.input = options.input || new InputManager(); // Keyboard, gamepad and touch controls
+        this.pendingInput = createInput(); // Input injected for the next tick, on top of the controls
+        this.remotePlayers = {};       // Other players in an online session (playerId -> Player)
+        this.inputBlocked = false;     // Set while another control (e.g. the chat box) owns the keyboard
+        this.init(options.autoStart !== false, !options.input); // Call the init method to set up the game
     }
 
-    init() {
+    /**
+     * Sets up input handling and optionally starts the game loop.
+     * @param {boolean} autoStart - Whether to start the game loop right away.
+     * @param {boolean} [listen=true] - Whether the controls should listen to the window's keyboard.
+     */
+    init(autoStart, listen = true) {
         // Set up event listeners and start the game loop
-        window.addEventListener('keydown', (event) => this.handleKeyPress(event)); // Key press handling
-        requestAnimationFrame(this.gameLoop.bind(this)); // Start the game loop
-    }
-
-    /**
-     * Handles key press events.
-     * @param {KeyboardEvent} event - The keyboard event object.
-     */
-    handleKeyPress(event) {
-        if (this.isPaused) return; // Ignore inputs if the game is paused
-
-        switch(event.code) {
-            case 'ArrowLeft':
-                this.player.moveLeft(); // Move player left
-                break;
-            case 'ArrowRight':
-                this.player.moveRight(); // Move player right
-                break;
-            case 'Space':
-                this.player.jump(); // Make player jump
-                break;
-            case 'KeyF':
-                this.player.fire(); // Player fires
-                break;
-            case 'Escape':
-                this.togglePause(); // Toggle pause on Escape key
-                break;
-            case 'KeyR':
-                this.restartGame(); // Restart game on 'R' key
-                break;
+        if (listen && !this.input.target && typeof window !== 'undefined') this.input.attach(window); // Listen to the keyboard
+        this.on('enemyFired', (enemy, kind, direction) => {
+            const [x, y, w, h] = enemy.hitbox;
+            this.spawnProjectile(kind, enemy, direction > 0 ? x + w : x, y + h / 2, direction);
+        });
+        if (autoStart) {
+            this.start(); // Start the game loop
         }
     }
 
     /**
-     * Toggles the pause state of the game.
+     * Starts (or resumes) the game loop.
+     * @param {string} [scene='playing'] - The scene to start in (see scenes.js).
+     */
+    start(scene = 'playing') {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.accumulator = 0;
+        this.lastFrameTime = null;
+        this.input.reset(); // Keys pressed before the game started don't count
+        this.scenes.go(scene);
+        this.loop.start(timestamp => this.gameLoop(timestamp)); // Start the game loop
+        this.emit('started');
+    }
+
+    /**
+     * Stops the game loop and ignores input until started again.
+     */
+    stop() {
+        if (!this.isRunning) return;
+        this.isRunning = false;
+        this.loop.stop();
+        this.emit('stopped');
+    }
+
+    /**
+     * Builds the input command for the next tick from the controls and any injected input.
+     * Movement is collected into a command rather than applied immediately, so the same
+     * commands can be replayed for network reconciliation. While a replay is playing, its
+     * recorded input is used instead.
+     * @returns {Object} - { left, right, down, jump, jumpHeld, fire }
+     */
+    readInput() {
+        if (this.replay) {
+            this.pendingInput = createInput();
+            return this.replay.nextInput();
+        }
+        const command = this.inputBlocked ? createInput() : this.input.takeCommand();
+        const injected = this.pendingInput;
+        this.pendingInput = createInput();
+        Object.keys(command).forEach(key => {
+            command[key] = command[key] || injected[key];
+        });
+        return command;
+    }
+
+    /**
+     * Pauses the game behind the pause menu, or resumes it.
      */
     togglePause() {
-        this.isPaused = !this.isPaused;
-        this.emit('pauseToggled', this.isPaused);
-    
-        if (this.isPaused) {
-            // Optionally handle UI changes or audio pauses
-            console.log("Game paused");
-        } else {
-            console.log("Game resumed");
+        const pausing = !this.isPaused;
+        this.scenes.go(pausing ? 'paused' : 'playing'); // Emits 'pauseToggled'
+    }
+
+    /**
+     * Main game loop: reads the controls, lets the current scene update (the playing scene
+     * advances the simulation) and draws it. The loop driver calls this once per frame.
+     * @param {number} timestamp - The frame timestamp (ms).
+     */
+    gameLoop(timestamp) {
+        if (!this.isRunning) return; // Skip loop if stopped
+
+        const elapsed = this.lastFrameTime === null ? PHYSICS.FIXED_STEP : timestamp - this.lastFrameTime;
+        this.lastFrameTime = timestamp;
+        this.input.update();
+        this.scenes.update(elapsed);
+        this.emit('frame', timestamp); // Lets listeners (e.g. network interpolation) update before drawing
+        this.scenes.render(this.getRenderingContext());
+    }
+
+    /**
+     * Advances the simulation by the time since the previous frame and moves the camera.
+     * The simulation runs in fixed PHYSICS.FIXED_STEP ticks so movement does not depend on
+     * the display's frame rate; time left over carries into the next frame.
+     * @param {number} elapsed - Time since the previous frame (ms).
+     */
+    simulate(elapsed) {
+        this.accumulator = Math.min(this.accumulator + elapsed, PHYSICS.FIXED_STEP * PHYSICS.MAX_STEPS_PER_FRAME);
+        while (this.accumulator >= PHYSICS.FIXED_STEP - TICK_TIME_EPSILON) {
+            this.step();                              // Advance the simulation by one tick
+            this.accumulator -= PHYSICS.FIXED_STEP;
         }
+        this.updateCamera(elapsed);  // Scroll to where the player moved
     }
 
     /**
-     * Main game loop that updates game state and renders.
+     * Advances the simulation by exactly one fixed tick. While the stage-clear or game-over
+     * screen is up the world stands still.
      */
-    gameLoop() {
-        if (this.isPaused) return; // Skip loop if paused
+    step() {
+        const input = this.readInput();
+        if (this.levelState !== 'playing') {
+            this.stepLevelState();
+            this.tick++;
+            return;
+        }
+        const canJump = this.player.grounded;
+        this.player.applyInput(input);         // Apply this tick's input command
+        this.emit('playerInput', input, this.tick);
+        if (input.jump && canJump) {
+            this.emit('playerJump', this.player);
+        }
+        const shot = this.player.takeShot();
+        if (shot && this.localProjectiles) {
+            this.spawnProjectile(shot.kind, this.player, shot.x, shot.y, shot.direction);
+        }
+
         this.updateEntities();      // Update all entities (player, enemies, power-ups)
+        this.handleTileInteractions(); // Blocks the player bumped, coins they touched, pipes they entered
         this.handleCollisions();     // Handle collision detection
-        this.renderEntities();       // Render all entities to the screen
+        this.updateProgression();    // Checkpoints, goals, the level timer and falling into pits
+        this.animateEntities();      // Advance animations and forward their events
         this.cleanup();              // Clean up any destroyed entities
-        requestAnimationFrame(this.gameLoop.bind(this)); // Request the next animation frame
+        this.tick++;
     }
 
     /**
      * Updates the state of all game entities.
      */
     updateEntities() {
-        // Update each entity's state
-        this.enemies.forEach(enemy => enemy.update()); // Update each enemy
-        this.powerUps.forEach(powerUp => powerUp.update()); // Update each power-up
-        this.player.update(); // Update player
+        // Update each entity's state against the current map
+        const map = this.currentMap;
+        const context = { map, player: this.player, enemies: this.enemies, game: this }; // What enemy behaviours can see
+        this.enemies.forEach(enemy => enemy.update(map, context)); // Update each enemy
+        this.powerUps.forEach(powerUp => powerUp.update(map)); // Update each power-up
+        this.projectiles.update(map); // Move projectiles; those that hit a wall or fizzle out are released
+        this.player.update(map); // Update player
+        this.player.updateTimers(); // Once per tick, never when reconciling
     }
 
     /**
-     * Registers an event listener for a specific event.
-     * @param {string} event - The name of the event.
-     * @param {Function} callback - The callback function to execute when the event occurs.
+     * Launches a projectile, unless its owner already has as many in the air as its kind allows.
+     * Emits 'projectileFired'.
+     * @param {string} kind - Key of PROJECTILE_TYPES.
+     * @param {Entity} owner - Who fires it.
+     * @param {number} x - World X of its centre.
+     * @param {number} y - World Y of its centre.
+     * @param {number} direction - 1 to fly right, -1 to fly left.
+     * @returns {Projectile|null} - The projectile, or null if it wasn't fired.
      */
-    on(event, callback) {
-        if (!this.eventListeners[event]) {
-            this.eventListeners[event] = []; // Create array for new events
-        }
-        this.eventListeners[event].push(callback); // Add callback to the event
+    spawnProjectile(kind, owner, x, y, direction) {
+        const projectile = this.projectiles.fire(kind, owner, x, y, direction);
+        if (projectile) this.emit('projectileFired', projectile, owner);
+        return projectile;
     }
 
     /**
-     * Emits an event, calling all registered callbacks with the provided arguments.
-     * @param {string} event - The name of the event to emit.
-     * @param {...*} args - The arguments to pass to the event callbacks.
+     * Runs the interactive tiles the player triggered this tick (see tile-behaviours.js).
      */
-    emit(event, ...args) {
-        if (this.eventListeners[event]) {
-            this.eventListeners[event].forEach(callback => callback(...args)); // Call each callback
-        }
+    handleTileInteractions() {
+        if (!this.localTiles || this.isLoadingLevel || !this.currentMap) return;
+        const warps = this.currentLevel ? this.currentLevel.warps : [];
+        this.applyTileOutcomes(interactWithTiles(this.player, this.currentMap, warps));
     }
 
     /**
-     * Handles collision detection between player and other entities.
+     * Carries out what interactive tiles did: knocks out enemies standing on bumped blocks,
+     * collects coins, spawns block contents and warps the player. Emits 'tileChanged',
+     * 'blockBumped' and 'blockBroken' with the outcome.
+     * @param {Object[]} outcomes - Outcomes from interactWithTiles().
      */
-    handleCollisions() {
-        this.enemies.forEach(enemy => this.checkPlayerCollisionWithEnemy(enemy));
-        this.powerUps.forEach(powerUp => this.checkPlayerCollisionWithPowerUp(powerUp));
+    applyTileOutcomes(outcomes) {
+        outcomes.forEach(outcome => {
+            switch (outcome.type) {
+                case 'tileChanged':
+                    this.emit('tileChanged', outcome);
+                    break;
+                case 'blockBumped':
+                case 'blockBroken':
+                    this.knockEnemiesOnBlock(outcome.col, outcome.row);
+                    this.emit(outcome.type, outcome);
+                    break;
+                case 'coinCollected':
+                    this.collectCoin(outcome);
+                    break;
+                case 'itemSpawned':
+                    this.spawnBlockItem(outcome.contents, outcome.col, outcome.row);
+                    break;
+                case 'warp':
+                    this.warpPlayer(outcome.to);
+                    break;
+            }
+        });
     }
 
     /**
-     * Checks for collision between the player and an enemy.
-     * If a collision occurs, the player takes damage and lives are decremented.
-     * Emits a 'playerHit' event when the player collides with an enemy.
-     * 
-     * @param {Enemy} enemy - The enemy to check collision against.
+     * Knocks out the enemies standing on a block that was bumped from below.
+     * @param {number} col - The block's column.
+     * @param {number} row - The block's row.
      */
-    checkPlayerCollisionWithEnemy(enemy) {
-        if (this.player.isCollideWith(enemy) && !enemy.dying && !this.player.invincibility) {
-            this.emit('playerHit', enemy); // Emit player hit event
-            this.player.takeDamage(enemy.damage); // Player takes damage from enemy
-            this.playerLives -= 1; // Reduce player lives
-            console.log(`Player hit! Lives remaining: ${this.playerLives}`);
-            if (this.playerLives <= 0) {
-                this.emit('gameOver'); // Emit game over if lives are 0
-                console.log('Game Over!');
-                this.restartGame(); // Restart game after game over
+    knockEnemiesOnBlock(col, row) {
+        const ts = this.currentMap.tileSize;
+        this.enemies.forEach(enemy => {
+            const [x, y, w, h] = enemy.hitbox;
+            if (Math.abs(y + h - row * ts) <= STOMP_TOLERANCE && x < (col + 1) * ts && x + w > col * ts) {
+                this.killEnemy(enemy, this.player);
             }
-        }
+        });
     }
 
     /**
-     * Checks for collision between the player and a power-up.
-     * If a collision occurs, the power-up is activated and destroyed.
-     * Emits a 'playerPowerUp' event when the player collects a power-up.
-     * 
-     * @param {PowerUp} powerUp - The power-up to check collision against.
+     * Adds a coin and its score. Emits 'coinCollected'.
+     * @param {Object} [source] - The outcome the coin came from ({ col, row }).
      */
-    checkPlayerCollisionWithPowerUp(powerUp) {
-        if (this.player.isCollideWith(powerUp)) {
-            this.emit('playerPowerUp', powerUp); // Emit power-up event
-            powerUp.activate(this.player); // Activate the power-up
-            powerUp.destroy(); // Destroy power-up after collection
+    collectCoin(source) {
+        this.coins++;
+        this.score += COIN_SCORE;
+        this.emit('coinCollected', source);
+    }
+
+    /**
+     * Gives what came out of a question block: a coin straight away, or a power-up placed on
+     * top of the block. Emits 'itemSpawned' with the power-up.
+     * @param {string} contents - 'coin' or a power-up type.
+     * @param {number} col - The block's column.
+     * @param {number} row - The block's row.
+     * @returns {PowerUp|null} - The power-up, or null for a coin.
+     */
+    spawnBlockItem(contents, col, row) {
+        if (contents === 'coin') {
+            this.collectCoin({ col, row });
+            return null;
         }
+        const ts = this.currentMap.tileSize;
+        const powerUp = new PowerUp({ x: col * ts, y: (row - 1) * ts }, contents);
+        this.powerUps.push(powerUp);
+        this.emit('itemSpawned', powerUp);
+        return powerUp;
     }
 
     /**
-     * Renders all entities to the screen.
-     * This includes the player, enemies, power-ups, and the current map.
+     * Moves the player through a warp. Destinations in another level load it first; the
+     * player arrives at its start unless the warp gives a position. Emits 'playerWarped'.
+     * @param {Object} to - { x, y, level } (see level-format.js).
+     * @returns {Promise<boolean>} - Resolves once the player has arrived, false if the level couldn't be loaded.
      */
-    renderEntities() {
-        // Clear the canvas or render area
-        this.clearCanvas(); // Clear the rendering area before drawing
+    async warpPlayer(to) {
+        this.emit('playerWarped', this.player, to);
+        if (to.level && (!this.currentLevel || to.level !== this.currentLevel.id)) {
+            const map = await this.openLevel(to.level);
+            if (!map) return false;
+            if (to.x === undefined) return true; // Already at the level's start
+        }
+        this.player.spawnAt(to);
+        this.resetCamera();
+        return true;
+    }
 
-        // Render the current map if it exists
-        if (this.currentMap) {
-            this.currentMap.render(); // Render the map
+    /**
+     * Downloads a saved level from the server and loads it (see loadLevel).
+     * @param {string} id - The level ID.
+     * @returns {Promise<TileMap|null>} - The level's map, or null if it couldn't be fetched or loaded.
+     */
+    async openLevel(id) {
+        this.isLoadingLevel = true;
+        try {
+            const response = await fetch(`/api/levels/${encodeURIComponent(id)}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return this.loadLevel(await response.json());
+        } catch (error) {
+            console.error(`Level "${id}" could not be fetched (${error.message}).`);
+            return null;
+        } finally {
+            this.isLoadingLevel = false;
         }
+    }
 
-        // Render all game entities
-        this.player.render(); // Render player
-        this.enemies.forEach(enemy => enemy.render()); // Render enemies
-        this.powerUps.forEach(powerUp => powerUp.render()); // Render power-ups
+    /**
+     * Downloads a replay's level and starts playing the replay back in it (see replay.js).
+     * Emits 'replayStarted' (ReplayPlayer).
+     * @param {Object} replay - The replay (see replay-format.js).
+     * @returns {Promise<ReplayPlayer|null>} - The playback controls, or null if the level couldn't be loaded.
+     */
+    async watchReplay(replay) {
+        this.stopReplay();
+        if (!await this.openLevel(replay.levelId)) return null;
+        this.replay = new ReplayPlayer(this, replay, this.currentLevel);
+        this.replay.restart();
+        this.emit('replayStarted', this.replay);
+        return this.replay;
     }
 
     /**
-     * Clears the rendering area (canvas).
+     * Stops playing a replay back; the controls take over again. Emits 'replayStopped'.
      */
-    clearCanvas() {
-        // Assuming you have a method to get the rendering context
-        const context = this.getRenderingContext(); // Obtain the rendering context
-        context.clearRect(0, 0, canvas.width, canvas.height); // Clear the canvas
+    stopReplay() {
+        if (!this.replay) return;
+        const replay = this.replay;
+        this.replay = null;
+        this.emit('replayStopped', replay);
     }
 
     /**
-     * Cleans up destroyed entities from the game.
+     * Plays through a world map, starting at one of its levels.
+     * @param {WorldMap} world - The world (see progression.js).
+     * @param {string} [id] - The level to start at (defaults to the first).
+     * @returns {Promise<TileMap|null>} - The level's map, or null if it couldn't be loaded.
      */
-    cleanup() {
-        this.enemies = this.enemies.filter(enemy => !enemy.isDestroyed);
-        this.powerUps = this.powerUps.filter(powerUp => !powerUp.isDestroyed);
+    playWorld(world, id = world.levels[0].id) {
+        this.world = world;
+        return this.openLevel(id);
     }
-    
+
     /**
-     * Restarts the game to the initial state.
+     * Checks the player against checkpoints and goals, counts down the level timer and takes
+     * a life from a player who fell into a pit or ran out of time. Emits 'checkpointReached'.
      */
-    restartGame() {
-        this.playerLives = 3; // Reset player lives
-        this.score = 0; // Reset score
-        this.player.setPosition(50, 100); // Reset player position
-        this.enemies.forEach(enemy => enemy.reset()); // Reset enemies
-        this.powerUps.forEach(powerUp => powerUp.reset()); // Reset power-ups
-        this.currentMap.reset(); // Reset the current map
-        this.isPaused = false; // Unpause the game
-        this.emit('gameRestarted'); // Emit event for game restart
-        //this.initGameEntities();
+    updateProgression() {
+        if (!this.localProgression) return; // The server decides online
+        const player = this.player;
+
+        this.checkpoints.forEach(checkpoint => {
+            if (checkpoint.reached || !player.isCollideWith(checkpoint)) return;
+            checkpoint.reached = true;
+            this.checkpoint = checkpoint.spawn;
+            this.emit('checkpointReached', checkpoint);
+        });
+
+        const goal = this.goals.find(other => player.isCollideWith(other));
+        if (goal) {
+            this.completeLevel(goal);
+            return;
+        }
+
+        if (this.timeLeft !== null && --this.timeLeft <= 0) {
+            this.loseLife('timeUp');
+        } else if (player.fellOffMap) {
+            this.loseLife('fell');
+        }
     }
-}
 
-// Base Entity class for reusability (Player, Enemy, PowerUp all extend this)
-class Entity {
-    constructor(pos, sprite) {
-        this.pos = [pos.x, pos.y];              // Position of the entity [x, y]
-        this.vel = [0, 0];                      // Velocity [x, y]
-        this.sprite = sprite;                   // Associated sprite
-        this.hitbox = [pos.x, pos.y, 16, 16];   // Default hitbox
-        this.dying = false;                     // State to manage enemy lifecycle
+    /**
+     * Clears the level: scores the goal's bonus, marks the level cleared in the world and
+     * brings up the stage-clear screen, which tallies the time left into the score before
+     * the next level loads. Emits 'goalReached' (goal, bonus) and 'levelCleared' (level).
+     * @param {Goal} goal - The goal the player touched.
+     */
+    completeLevel(goal) {
+        const bonus = goal.bonusFor(this.player);
+        this.score += bonus;
+        this.player.vel = [0, 0];
+        this.projectiles.clear();
+        this.levelState = 'cleared';
+        this.clearTicks = STAGE_CLEAR_TICKS;
+        if (this.timeLeft !== null) {
+            this.timeLeft = Math.ceil(this.timeLeft / TICKS_PER_SECOND) * TICKS_PER_SECOND; // Only whole seconds score
+        }
+        this.emit('goalReached', goal, bonus);
+        if (this.world && this.currentLevel.id) this.world.markCleared(this.currentLevel.id);
+        this.emit('levelCleared', this.currentLevel);
     }
 
-    update() {
-        this.pos[0] += this.vel[0];
-        this.pos[1] += this.vel[1];
-        this.checkBounds(); // Ensure entities stay within game bounds
+    /**
+     * Runs a tick after the level has ended. Once cleared, one second of the timer moves
+     * into the score each tick, then after a wait the next level loads. Finished and
+     * game-over levels wait for the player to choose what's next (see scenes.js).
+     */
+    stepLevelState() {
+        if (this.levelState !== 'cleared' || this.isLoadingLevel) return;
+        if (this.timeLeft > 0) {
+            this.timeLeft = Math.max(this.timeLeft - TICKS_PER_SECOND, 0);
+            this.score += TIME_BONUS_PER_SECOND;
+        } else if (--this.clearTicks <= 0) {
+            this.advanceLevel();
+        }
     }
 
-    checkBounds() {
-        if (this.pos[0] < 0) {
-            this.pos[0] = 0; // Prevent moving out of bounds
-        } else if (this.pos[0] > canvas.width - this.hitbox[2]) {
-            this.pos[0] = canvas.width - this.hitbox[2];
+    /**
+     * Loads the level after the current one: the level's own `next`, or the next level in
+     * the world being played. Emits 'worldCleared' when nothing follows.
+     * @returns {Promise<boolean>} - True if another level was loaded.
+     */
+    async advanceLevel() {
+        const following = this.world && this.currentLevel.id ? this.world.after(this.currentLevel.id) : null;
+        const next = this.currentLevel.next || (following && following.id);
+        if (!next) {
+            this.levelState = 'finished';
+            this.emit('worldCleared', this.world);
+            return false;
         }
-        // Add vertical bounds if necessary
+        if (await this.openLevel(next)) return true;
+        this.levelState = 'finished'; // Nowhere to go; the player can replay this level
+        return false;
     }
 
-    render(ctx, vX = 0, vY = 0) {
-        this.sprite.render(ctx, this.pos[0], this.pos[1], vX, vY);
+    /**
+     * Takes a life from the player. With lives left they respawn at the last checkpoint (or
+     * the level start) with the level reset; without, the game is over.
+     * Emits 'playerDied' (player, cause).
+     * @param {Entity|string} cause - What killed them: the entity that hurt them, 'fell' or 'timeUp'.
+     */
+    loseLife(cause) {
+        if (this.levelState !== 'playing') return;
+        this.playerLives -= 1; // Reduce player lives
+        this.player.health = this.player.maxHealth;
+        this.emit('playerDied', this.player, cause);
+        if (this.playerLives <= 0) {
+            this.gameOver();
+        } else if (this.localProgression && this.currentLevel) {
+            this.respawnPlayer();
+        }
+    }
+
+    /**
+     * Resets the level around the player and puts them back, small, at the last checkpoint
+     * they reached or the level start.
+     */
+    respawnPlayer() {
+        const checkpoint = this.checkpoint;
+        if (this.currentMap) this.currentMap.reset();
+        this.spawnLevelEntities();
+        this.player.resetPower();
+        if (checkpoint) {
+            this.checkpoint = checkpoint;
+            this.checkpoints.forEach(other => {
+                other.reached = other.spawn.x === checkpoint.x && other.spawn.y === checkpoint.y;
+            });
+            this.player.spawnAt(checkpoint);
+        }
+        this.resetCamera();
     }
 
-    isCollideWith(entity) {
-        const [x1, y1, w1, h1] = this.hitbox;
-        const [x2, y2, w2, h2] = entity.hitbox;
-        return !(x1 > x2 + w2 || x1 + w1 < x2 || y1 > y2 + h2 || y1 + h1 < y2);
+    /**
+     * Ends the game, which brings up the game-over screen. Emits 'gameOver'.
+     */
+    gameOver() {
+        this.levelState = 'gameOver';
+        this.projectiles.clear();
+        this.emit('gameOver'); // Emit game over if lives are 0
     }
 
-    destroy() {
-        this.dying = true; // Set entity state to dying
-        this.emit('destroyed'); // Emit destroyed event
+    /**
+     * Continues after a game over: the current level starts again with full lives and no
+     * score. Emits 'gameContinued'.
+     */
+    continueGame() {
+        this.restartGame();
+        this.emit('gameContinued', this.currentLevel);
     }
-}
 
-// Player class extending Entity
-class Player extends Entity {
-    constructor(pos) {
-        super(pos, new Sprite('path/to/player/sprite')); // Update with the actual sprite path
-        this.health = 100; // Initial health
-        this.invincibility = false; // Initial state
+    /**
+     * Moves the camera and takes the viewport from it.
+     * @param {number} dt - Time since the previous frame (ms).
+     */
+    updateCamera(dt) {
+        if (this.renderer) this.camera.resize(this.renderer.width, this.renderer.height);
+        this.camera.update(dt);
+        this.viewport = this.camera.viewport;
     }
 
-    moveLeft() {
-        this.vel[0] = -5; // Move left
+    /**
+     * Fits the camera to the current map and level, and moves it straight to the player.
+     */
+    resetCamera() {
+        const map = this.currentMap;
+        this.camera.setBounds(map ? map.pixelWidth : null, map ? map.pixelHeight : undefined);
+        this.camera.setLockRegions(this.currentLevel ? this.currentLevel.camera.lockRegions : []);
+        this.camera.snap();
+        this.viewport = this.camera.viewport;
     }
 
-    moveRight() {
-        this.vel[0] = 5; // Move right
+    /**
+     * Advances every entity's animation by one tick. Animation events (e.g. 'footstep') are
+     * emitted as game events with the entity as the argument.
+     */
+    animateEntities() {
+        const entities = [this.player, ...this.enemies, ...this.powerUps, ...this.projectiles.active, ...Object.values(this.remotePlayers)];
+        entities.forEach(entity => {
+            entity.animate(PHYSICS.FIXED_STEP).forEach(event => this.emit(event, entity));
+        });
     }
 
-    jump() {
-        this.vel[1] = -10; // Jump up
+    /**
+     * Creates a new named map and adds it to the maps collection.
+     * The first map created becomes the current map.
+     * @param {string} name - The unique name of the map (e.g., 'Level1').
+     * @param {number} width - Width of the map in tiles.
+     * @param {number} height - Height of the map in tiles.
+     * @param {Object} [options] - TileMap options (tileSize, tiles, layers).
+     * @returns {TileMap} - The created map.
+     */
+    createMap(name, width, height, options = {}) {
+        const map = new TileMap(name, width, height, options);
+        this.maps[name] = map;
+        if (!this.currentMap) {
+            this.currentMap = map; // Use the first map as the starting level
+            this.resetCamera();
+        }
+        this.emit('mapCreated', map);
+        return map;
     }
 
-    fire() {
-        console.log('Player fired!');
-        // Logic for firing a projectile
+    /**
+     * Switches the current map to another named map.
+     * @param {string} name - The name of the map to switch to.
+     * @returns {TileMap|null} - The new current map, or null if not found.
+     */
+    loadMap(name) {
+        const map = this.maps[name];
+        if (!map) {
+            console.error(`Map "${name}" not found.`);
+            return null;
+        }
+        this.currentMap = map;
+        this.resetCamera();
+        this.emit('mapLoaded', map);
+        return map;
     }
 
-    update() {
-        super.update();
-        // Add gravity and collision with the ground
-        this.vel[1] += 0.5; // Apply gravity
+    /**
+     * Loads a level file: builds its map, makes it current and spawns its entities.
+     * Older level versions are migrated first. The run starts from a new random seed.
+     * @param {Object} level - The level data (see level-format.js).
+     * @param {Object} [options] - Optional settings.
+     * @param {number} [options.seed] - Seed for the run's random numbers (defaults to a fresh one), e.g. to repeat a replay.
+     * @returns {TileMap|null} - The level's map, or null if the level is invalid.
+     */
+    loadLevel(level, options = {}) {
+        let migrated;
+        try {
+            migrated = migrateLevel(level);
+        } catch (error) {
+            console.error(`Could not load level: ${error.message}`);
+            return null;
+        }
 
-        // Reset velocity for left/right movement
-        if (this.vel[0] !== 0) {
-            this.vel[0] = 0; // Reset horizontal movement
+        const errors = validateLevel(migrated);
+        if (errors.length) {
+            console.error('Could not load level:', errors);
+            return null;
         }
+
+        const name = migrated.id || migrated.meta.title;
+        const map = new TileMap(name, migrated.map.width, migrated.map.height, levelToMapOptions(migrated));
+        this.maps[name] = map;
+        this.currentMap = map;
+        this.currentLevel = migrated;
+        if (this.levelState === 'gameOver') this.playerLives = PLAYER_LIVES; // Loading a level after a game over starts afresh
+        this.levelState = 'playing';
+        this.checkpoint = null;
+        this.random = new SeededRandom(options.seed);
+        this.spawnLevelEntities();
+        this.resetCamera();
+        this.emit('levelLoaded', migrated);
+        return map;
     }
 
-    render() {
-        // Custom render logic if needed
-        super.render(); // Call parent render
+    /**
+     * Places the player at the level's start, spawns its enemies, power-ups, goals and
+     * checkpoints, and starts the level timer.
+     */
+    spawnLevelEntities() {
+        const { spawns, timeLimit } = this.currentLevel;
+        this.player.spawnAt(spawns.player);
+        this.enemies = spawns.enemies.map(spawn => new Enemy(spawn, spawn.type));
+        this.powerUps = spawns.powerUps.map(spawn => new PowerUp(spawn, spawn.type));
+        const { tileSize } = this.currentMap;
+        this.goals = spawns.goals.map(spawn => new Goal(spawn, spawn.type, tileSize));
+        this.checkpoints = spawns.checkpoints.map(spawn => new Checkpoint(spawn, tileSize));
+        this.timeLeft = timeLimit ? timeLimit * TICKS_PER_SECOND : null;
+        this.projectiles.clear();
     }
-}
 
-// Enemy class extending Entity
-class Enemy extends Entity {
-    constructor(pos) {
-        super(pos, new Sprite('path/to/enemy/sprite')); // Update with actual sprite path
-        this.dying = false; // Enemy state
+    /**
+     * Makes a named map current and draws it immediately.
+     * @param {string} name - The name of the map to render.
+     */
+    renderMap(name) {
+        const map = this.loadMap(name);
+        const context = this.getRenderingContext();
+        if (!map || !context || !this.spriteManager) return; // Nothing to draw with yet
+        map.render(context, this.spriteManager);
     }
 
-    update() {
-        super.update();
-        // Enemy movement logic (e.g., patrol)
-        // For example, move left and right or towards the player
+    /**
+     * Gets the 2D rendering context of the renderer.
+     * @returns {CanvasRenderingContext2D|null} - The context, or null when running headless.
+     */
+    getRenderingContext() {
+        return this.renderer ? this.renderer.getContext() : null;
     }
 
-    render() {
-        // Custom render logic for enemy if needed
-        super.render(); // Call parent render
+    /**
+     * Handles collision detection between player and other entities.
+     */
+    handleCollisions() {
+        this.enemies.forEach(enemy => this.checkPlayerCollisionWithEnemy(enemy));
+        this.powerUps.forEach(powerUp => this.checkPlayerCollisionWithPowerUp(powerUp));
+        this.projectiles.active.forEach(projectile => this.checkProjectileCollision(projectile));
+        this.projectiles.releaseExpired();
     }
-}
 
-// PowerUp class extending Entity
-class PowerUp extends Entity {
-    constructor(pos, type) {
-        super(pos, new Sprite('path/to/powerup/sprite')); // Update with actual sprite path
-        this.type = type; // Type of power-up (e.g., 'speed', 'invincibility')
-    }
-
-    activate(player) {
-        switch (this.type) {
-            case 'speed':
-                console.log('Speed power-up activated!');
-                // Increase player speed logic
-                break;
-            case 'invincibility':
-                console.log('Invincibility power-up activated!');
-                player.invincibility = true;
-                setTimeout(() => {
-                    player.invincibility = false;
-                }, 5000); // Lasts for 5 seconds
-                break;
-            // Add more power-up types as needed
+    /**
+     * Checks for collision between the player and an enemy.
+     * Landing on top of an enemy stomps it; any other contact hurts the player, who loses a
+     * life when their health runs out. An invincible player knocks enemies out by touch.
+     * Emits 'enemyStomped' for stomps and 'playerHit' when the player is hurt.
+     * 
+     * @param {Enemy} enemy - The enemy to check collision against.
+     */
+    checkPlayerCollisionWithEnemy(enemy) {
+        const player = this.player;
+        if (enemy.dying || !player.isCollideWith(enemy)) return;
+
+        if (player.invincibility) {
+            this.killEnemy(enemy, player);
+            return;
+        }
+
+        const previousBottom = player.pos[1] + player.hitbox[3] - player.vel[1];
+        if (enemy.stompable && player.vel[1] > 0 && previousBottom <= enemy.pos[1] + STOMP_TOLERANCE) {
+            player.vel[1] = -STOMP_BOUNCE_SPEED; // Bounce off; holding jump bounces higher
+            player.isJumping = true;
+            this.emit('enemyStomped', enemy);
+            if (!enemy.stomp(player, this)) this.killEnemy(enemy, player);
+            return;
         }
+
+        if (enemy.touch(player, this)) return; // e.g. kicking a resting shell
+        this.hurtPlayer(enemy.damage, enemy);
     }
 
-    render() {
-        // Custom render logic for power-up if needed
-        super.render(); // Call parent render
+    /**
+     * Checks a projectile against what it can hit: the player for enemy projectiles, enemies
+     * for everyone else's. A projectile stops at the first thing it hits.
+     * Emits 'projectileHit' with the projectile and what it hit.
+     * @param {Projectile} projectile - The projectile.
+     */
+    checkProjectileCollision(projectile) {
+        if (projectile.expired || projectile.replicated) return; // The server decides what replicated projectiles hit
+
+        if (projectile.owner instanceof Enemy) {
+            const player = this.player;
+            if (player.dying || !projectile.isCollideWith(player)) return;
+            projectile.expired = true;
+            this.emit('projectileHit', projectile, player);
+            this.hurtPlayer(projectile.damage, projectile);
+            return;
+        }
+
+        const enemy = this.enemies.find(other => !other.dying && projectile.isCollideWith(other));
+        if (!enemy) return;
+        projectile.expired = true;
+        this.emit('projectileHit', projectile, enemy);
+        this.killEnemy(enemy, projectile);
     }
-}
 
-// Sprite class for handling sprite rendering
-class Sprite {
-    constructor(imagePath) {
-        this.image = new Image();
-        this.image.src = imagePath; // Load the image
+    /**
+     * Hurts the player, who loses a life when their health runs out.
+     * Emits 'playerHit' when the player is hurt.
+     * @param {number} amount - Health to lose.
+     * @param {Entity} source - What hurt them (an enemy, a projectile, ...).
+     * @returns {boolean} - True if the player was hurt.
+     */
+    hurtPlayer(amount, source) {
+        const player = this.player;
+        if (this.levelState !== 'playing') return false; // Nothing hurts on the stage-clear or game-over screen
+        if (!player.takeDamage(amount)) return false; // Still recovering from the last hit
+
+        this.emit('playerHit', source); // Emit player hit event
+        this.camera.shake(4, 250); // Jolt the view
+        if (player.health > 0) return true;
+
+        this.loseLife(source);
+        return true;
     }
 
-    render(ctx, x, y, vX = 0, vY = 0) {
-        ctx.drawImage(this.image, x - vX, y - vY);
+    /**
+     * Knocks an enemy out and scores it.
+     * @param {Enemy} enemy - The enemy.
+     * @param {Entity} cause - What knocked it out (the player, a shell, ...).
+     */
+    killEnemy(enemy, cause) {
+        if (enemy.dying) return;
+        enemy.destroy();
+        this.score += enemy.score;
+        this.emit('enemyKilled', enemy, cause);
     }
-}
 
-// Example of how to initialize the game
-const game = new DevGameMaker();
-game.createMap('Level1', 100, 100);
-game.renderMap('Level1');
+    /**
+     * Checks for collision between the player and a power-up.
+     * If a collision occurs, the power-up is activated and destroyed.
+     * Emits a 'playerPowerUp' event when the player collects a power-up.
+     * 
+     * @param {PowerUp} powerUp - The power-up to check collision against.
+     */
+    checkPlayerCollisionWithPowerUp(powerUp) {
+        if (powerUp.replicated) return; // Online, the server decides who collects it
+        if (this.player.isCollideWith(powerUp) && !powerUp.dying) {
+            this.emit('playerPowerUp', powerUp); // Emit power-up event
+            powerUp.activate(this.player); // Activate the power-up
+            powerUp.destroy(); // Destroy power-up after collection
+        }
+    }
+
+    /**
+     * Renders all entities to the screen.
+     * This includes the parallax backgrounds, the current map, the player, enemies, power-ups and projectiles.
+     * Only what the camera can see is drawn.
+     */
+    renderEntities() {
+        // Clear the canvas or render area
+        this.clearCanvas(); // Clear the rendering area before drawing
+
+        // Render the backgrounds and current map if they exist
+        const context = this.getRenderingContext();
+        const [vX, vY] = this.viewport;
+        const sprites = this.spriteManager;
+        if (this.currentLevel && sprites) {
+            this.currentLevel.backgrounds.forEach(layer => this.camera.renderParallax(context, sprites, layer, this.currentLevel.theme)); // Farthest first
+        }
+        if (this.currentMap && sprites) {
+            this.currentMap.render(context, sprites, vX, vY); // Render the map
+        }
+
+        // Render all game entities that are on screen
+        const onScreen = (entity) => this.camera.isVisible(...entity.hitbox, ENTITY_CULL_MARGIN);
+        [...this.checkpoints, ...this.goals].filter(onScreen).forEach(entity => entity.render(context, vX, vY)); // Render checkpoints and goals
+        this.enemies.filter(onScreen).forEach(enemy => enemy.render(context, vX, vY, sprites)); // Render enemies
+        this.powerUps.filter(onScreen).forEach(powerUp => powerUp.render(context, vX, vY, sprites)); // Render power-ups
+        this.projectiles.active.filter(onScreen).forEach(projectile => projectile.render(context, vX, vY, sprites)); // Render projectiles
+        Object.values(this.remotePlayers).filter(onScreen).forEach(player => player.render(context, vX, vY, sprites)); // Render other players
+        this.player.render(context, vX, vY, sprites); // Render player on top
+        this.hud.render(context);
+        this.emit('rendered', context, vX, vY); // Overlays (e.g. chat) draw on top of the world
+    }
+
+    /**
+     * Clears the rendering area.
+     */
+    clearCanvas() {
+        this.renderer.clear();
+    }
+
+    /**
+     * Cleans up destroyed entities from the game.
+     */
+    cleanup() {
+        this.enemies = this.enemies.filter(enemy => !enemy.isDestroyed);
+        this.powerUps = this.powerUps.filter(powerUp => !powerUp.isDestroyed);
+    }
+    
+    /**
+     * Restarts the game to the initial state.
+     */
+    restartGame() {
+        this.playerLives = PLAYER_LIVES; // Reset player lives
+        this.score = 0; // Reset score
+        this.coins = 0;
+        this.levelState = 'playing';
+        this.checkpoint = null; // Back to the level start
+        this.player.resetPower(); // Back to small, full health and no effects
+        this.projectiles.clear(); // Nothing stays in the air across a restart
+        this.random = new SeededRandom(); // A new run
+        if (this.currentLevel) {
+            this.spawnLevelEntities(); // Respawn the player, enemies and power-ups from the level file
+        } else {
+            this.player.setPosition(50, 100); // Reset player position
+            this.enemies.forEach(enemy => enemy.reset()); // Reset enemies
+            this.powerUps.forEach(powerUp => powerUp.reset()); // Reset power-ups
+        }
+        if (this.currentMap) {
+            this.currentMap.reset(); // Reset the current map back to its authored state
+        }
+        this.camera.snap(); // Jump back to the respawned player
+        this.viewport = this.camera.viewport;
+        this.scenes.go('playing'); // Out of any menu
+        this.emit('gameRestarted'); // Emit event for game restart
+    }
+}
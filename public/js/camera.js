@@ -0,0 +1,283 @@
+/**
+ * Camera - Works out which part of a level is on screen.
+ * Follows a target (normally the player) with a dead zone it can move inside freely and a
+ * look-ahead in the direction it faces, never shows anything outside the map, and can be
+ * held inside lock regions (e.g. a boss arena) and shaken for impacts.
+ * Also draws parallax background layers and answers whether something is visible, so
+ * renderers can skip whatever is off screen. Emits 'lockEntered' and 'lockExited'.
+ *
+ * Lock region: { x, y, width, height } in world pixels. While the target is inside one,
+ * the camera stays inside it; regions smaller than the screen are centred.
+ * Parallax layer: { sprite: { type, item }, factor, y } - factor 0 stays put, 1 scrolls with the map.
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Default camera settings
+const CAMERA_DEFAULTS = {
+    width: 640,             // View size in pixels
+    height: 480,
+    deadZone: { width: 96, height: 96 }, // Centred box the target can move in without scrolling
+    lookAhead: 48,          // Pixels shown ahead of the target in the direction it faces
+    smoothing: 0.2          // Fraction of the distance to its goal covered per 60 Hz frame (1 = instant)
+};
+
+class Camera extends EventBus {
+    /**
+     * @param {Object} [options] - Overrides for CAMERA_DEFAULTS.
+     * @param {SeededRandom} [options.random] - Where shake offsets come from (defaults to a freshly seeded one).
+     */
+    constructor(options = {}) {
+        super();
+        const settings = { ...CAMERA_DEFAULTS, ...options };
+        this.width = settings.width;            // View width in pixels
+        this.height = settings.height;          // View height in pixels
+        this.deadZone = { ...settings.deadZone };
+        this.lookAhead = settings.lookAhead;
+        this.smoothing = settings.smoothing;
+        this.pos = [0, 0];                      // Top-left of the view in world pixels, before shake
+        this.target = null;                     // Entity being followed
+        this.lookOffset = 0;                    // Current look-ahead, eased towards the target's facing
+        this.bounds = null;                     // { width, height } of the map in pixels
+        this.lockRegions = [];                  // Regions that hold the camera while the target is inside
+        this.activeLock = null;                 // Lock region holding the camera now
+        this.forcedLock = null;                 // Region set with lock(), which wins over lockRegions
+        this.shakeIntensity = 0;                // Largest shake offset in pixels
+        this.shakeDuration = 0;                 // Length of the current shake (ms)
+        this.shakeTime = 0;                     // Time left in the current shake (ms)
+        this.shakeOffset = [0, 0];              // Offset added to the view this frame
+        this.random = options.random || new SeededRandom(); // Kept apart from the game's, as shakes follow the frame rate
+    }
+
+    /**
+     * Top-left of the visible area in whole world pixels, including shake.
+     * @returns {number[]} - [x, y]
+     */
+    get viewport() {
+        return [Math.round(this.pos[0] + this.shakeOffset[0]), Math.round(this.pos[1] + this.shakeOffset[1])];
+    }
+
+    /**
+     * Starts following an entity.
+     * @param {Entity} target - The entity to keep on screen.
+     */
+    follow(target) {
+        this.target = target;
+    }
+
+    /**
+     * Changes the view size (e.g. when the canvas is resized).
+     * @param {number} width - View width in pixels.
+     * @param {number} height - View height in pixels.
+     */
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    /**
+     * Sets the area the camera may show, usually the map's size. Null removes the limit.
+     * @param {number|null} width - Map width in pixels.
+     * @param {number} [height] - Map height in pixels.
+     */
+    setBounds(width, height) {
+        this.bounds = width === null ? null : { width, height };
+    }
+
+    /**
+     * Replaces the lock regions, e.g. with the ones a level defines.
+     * @param {Object[]} regions - [{ x, y, width, height }]
+     */
+    setLockRegions(regions) {
+        this.lockRegions = regions.map(region => ({ ...region }));
+        this.activeLock = null;
+    }
+
+    /**
+     * Holds the camera inside a region until unlock() is called, wherever the target goes.
+     * @param {Object} region - { x, y, width, height }
+     */
+    lock(region) {
+        this.forcedLock = { ...region };
+    }
+
+    /**
+     * Releases a region set with lock().
+     */
+    unlock() {
+        this.forcedLock = null;
+    }
+
+    /**
+     * Shakes the view. A stronger shake replaces a weaker one; it fades out over its duration.
+     * @param {number} intensity - Largest offset in pixels.
+     * @param {number} duration - Length in ms.
+     */
+    shake(intensity, duration) {
+        if (this.shakeTime > 0 && this.currentShake() > intensity) return; // Keep the stronger shake
+        this.shakeIntensity = intensity;
+        this.shakeDuration = duration;
+        this.shakeTime = duration;
+    }
+
+    /**
+     * How far the view may be offset by the shake right now.
+     * @returns {number}
+     */
+    currentShake() {
+        return this.shakeDuration > 0 ? this.shakeIntensity * (this.shakeTime / this.shakeDuration) : 0;
+    }
+
+    /**
+     * Jumps straight to a position without easing.
+     * @param {number} x - World X of the view's left edge.
+     * @param {number} y - World Y of the view's top edge.
+     */
+    moveTo(x, y) {
+        this.pos = this._clamp([x, y], this.forcedLock || this.activeLock);
+    }
+
+    /**
+     * Jumps straight to where the camera would settle on its target, e.g. after a respawn.
+     */
+    snap() {
+        if (!this.target) return;
+        this.lookOffset = this.target.facing * this.lookAhead;
+        this.activeLock = this._findLock();
+        const [x, y] = this._focus();
+        this.moveTo(x - this.width / 2, y - this.height / 2);
+    }
+
+    /**
+     * Moves the camera towards its target and advances the shake.
+     * @param {number} dt - Time passed (ms).
+     */
+    update(dt) {
+        this._updateShake(dt);
+        if (!this.target) return;
+
+        const lock = this._findLock();
+        if (lock !== this.activeLock) {
+            if (this.activeLock) this.emit('lockExited', this.activeLock);
+            this.activeLock = lock;
+            if (lock) this.emit('lockEntered', lock);
+        }
+
+        // Ease the look-ahead so turning around doesn't jerk the view
+        const frames = dt / PHYSICS.FIXED_STEP;
+        const ease = 1 - Math.pow(1 - this.smoothing, frames);
+        this.lookOffset += (this.target.facing * this.lookAhead - this.lookOffset) * ease;
+
+        // Only scroll once the focus point leaves the dead zone around the view's centre
+        const [focusX, focusY] = this._focus();
+        const goal = this.pos.slice();
+        const centerX = this.pos[0] + this.width / 2;
+        const centerY = this.pos[1] + this.height / 2;
+        const halfW = this.deadZone.width / 2;
+        const halfH = this.deadZone.height / 2;
+        if (focusX < centerX - halfW) goal[0] += focusX - (centerX - halfW);
+        else if (focusX > centerX + halfW) goal[0] += focusX - (centerX + halfW);
+        if (focusY < centerY - halfH) goal[1] += focusY - (centerY - halfH);
+        else if (focusY > centerY + halfH) goal[1] += focusY - (centerY + halfH);
+
+        const clamped = this._clamp(goal, this.forcedLock || this.activeLock);
+        this.pos[0] += (clamped[0] - this.pos[0]) * ease;
+        this.pos[1] += (clamped[1] - this.pos[1]) * ease;
+    }
+
+    /**
+     * Whether a rectangle overlaps the view.
+     * @param {number} x - World X.
+     * @param {number} y - World Y.
+     * @param {number} width - Width in pixels.
+     * @param {number} height - Height in pixels.
+     * @param {number} [margin=0] - Extra pixels around the view that still count as visible.
+     * @returns {boolean}
+     */
+    isVisible(x, y, width, height, margin = 0) {
+        const [vX, vY] = this.viewport;
+        return x + width > vX - margin && x < vX + this.width + margin &&
+            y + height > vY - margin && y < vY + this.height + margin;
+    }
+
+    /**
+     * Draws a parallax background layer, repeated across the view.
+     * @param {CanvasRenderingContext2D} ctx - The rendering context.
+     * @param {SpriteManager} spriteManager - Sheets to draw from.
+     * @param {Object} layer - { sprite: { type, item }, factor, y }
+     * @param {string} [theme] - Palette to draw it in (see LEVEL_THEMES).
+     */
+    renderParallax(ctx, spriteManager, layer, theme = null) {
+        const sheet = spriteManager.sprites[layer.sprite.type];
+        if (!sheet || !sheet.items[layer.sprite.item]) return; // Unknown sheet or item (e.g. headless)
+
+        const [vX, vY] = this.viewport;
+        const width = sheet.spriteWidth;
+        const offset = -(((vX * layer.factor) % width) + width) % width; // Wrap so the layer repeats forever
+        const y = (layer.y || 0) - vY * layer.factor;
+        for (let x = offset; x < this.width; x += width) {
+            spriteManager.drawSprite(ctx, layer.sprite.type, layer.sprite.item, x, y, undefined, undefined, false, theme ? { palette: theme } : null);
+        }
+    }
+
+    /**
+     * The point the camera tries to keep in its dead zone: the target's centre plus the look-ahead.
+     * @returns {number[]} - [x, y]
+     * @private
+     */
+    _focus() {
+        const [, , w, h] = this.target.hitbox;
+        return [this.target.pos[0] + w / 2 + this.lookOffset, this.target.pos[1] + h / 2];
+    }
+
+    /**
+     * Finds the lock region the target is in, preferring the one already active.
+     * @returns {Object|null}
+     * @private
+     */
+    _findLock() {
+        const [, , w, h] = this.target.hitbox;
+        const x = this.target.pos[0] + w / 2;
+        const y = this.target.pos[1] + h / 2;
+        const inside = (region) => x >= region.x && x < region.x + region.width && y >= region.y && y < region.y + region.height;
+
+        if (this.activeLock && inside(this.activeLock)) return this.activeLock;
+        return this.lockRegions.find(inside) || null;
+    }
+
+    /**
+     * Keeps a view position inside a region (or the map). Regions smaller than the view are
+     * centred; a map smaller than the view is shown from its top-left corner.
+     * @param {number[]} pos - [x, y]
+     * @param {Object|null} region - { x, y, width, height }, or null for the map bounds.
+     * @returns {number[]} - The clamped position.
+     * @private
+     */
+    _clamp(pos, region) {
+        const area = region || (this.bounds && { x: 0, y: 0, width: this.bounds.width, height: this.bounds.height });
+        if (!area) return pos.slice();
+
+        const clampAxis = (value, start, size, view) => {
+            if (size <= view) return region ? start + (size - view) / 2 : start; // Centre small regions; small maps stay top-left
+            return Math.min(Math.max(value, start), start + size - view);
+        };
+        return [
+            clampAxis(pos[0], area.x, area.width, this.width),
+            clampAxis(pos[1], area.y, area.height, this.height)
+        ];
+    }
+
+    /**
+     * Advances the shake and picks this frame's offset.
+     * @param {number} dt - Time passed (ms).
+     * @private
+     */
+    _updateShake(dt) {
+        this.shakeTime = Math.max(0, this.shakeTime - dt);
+        const amount = this.currentShake();
+        this.shakeOffset = amount > 0
+            ? [this.random.range(-amount, amount), this.random.range(-amount, amount)]
+            : [0, 0];
+    }
+}
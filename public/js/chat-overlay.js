@@ -0,0 +1,304 @@
+/**
+ * ChatOverlay - In-canvas chat for online games.
+ * Draws the room's recent chat in the corner of the game canvas and a speech bubble above
+ * each player who just spoke. Press Enter (or '/') during a game to type; Enter sends and
+ * Escape cancels. While typing, the game ignores the keyboard.
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Mirrors the server's limit so the input box stops where the server would reject
+const CHAT_INPUT_MAX_LENGTH = 200;
+
+// Scrollback kept on the client and the number of lines drawn
+const CHAT_SCROLLBACK_SIZE = 100;
+const CHAT_VISIBLE_LINES = 6;
+
+// How long lines stay visible after arriving, and how long speech bubbles last (ms)
+const CHAT_LINE_LIFETIME = 10000;
+const CHAT_BUBBLE_LIFETIME = 5000;
+
+// Characters per speech bubble line, and the most lines a bubble shows
+const CHAT_BUBBLE_WIDTH = 24;
+const CHAT_BUBBLE_MAX_LINES = 3;
+
+// Colours of each kind of chat line
+const CHAT_COLORS = {
+    chat: '#ffffff',
+    emote: '#c9a0ff',
+    whisper: '#ff9ad5',
+    system: '#ffd54a',
+    error: '#ff6b6b'
+};
+
+class ChatOverlay {
+    /**
+     * @param {DevGameMaker} game - The game whose canvas the chat is drawn on.
+     * @param {NetClient} netClient - The connection used to send and receive messages.
+     */
+    constructor(game, netClient) {
+        this.game = game;                       // Game providing the canvas and player sprites
+        this.netClient = netClient;             // Server connection
+        this.lines = [];                        // Scrollback: [{ text, color, time }], oldest first
+        this.bubbles = {};                      // playerId -> { lines, emote, expires }
+        this.isTyping = false;                  // Whether the input box is open
+        this.draft = '';                        // Text typed so far
+
+        this._onKeyDown = (event) => this.handleKeyDown(event);
+        this._onRendered = (context) => this.render(context);
+        this._onHistory = (messages) => {
+            this.lines = [];
+            messages.forEach(message => this.addMessage(message, false));
+        };
+        this._onMessage = (message) => this.addMessage(message, true);
+
+        window.addEventListener('keydown', this._onKeyDown);
+        game.on('rendered', this._onRendered);
+        netClient.on('chatHistory', this._onHistory);
+        netClient.on('chatMessage', this._onMessage);
+    }
+
+    /**
+     * Gets the name shown for a player in our room.
+     * @param {string} playerId - The player's ID.
+     * @returns {string}
+     */
+    getPlayerName(playerId) {
+        const room = this.netClient.room;
+        const player = room && room.players.find(p => p.playerId === playerId);
+        return player ? player.name : 'Someone';
+    }
+
+    /**
+     * Formats a message as a scrollback line.
+     * @param {Object} message - { type, from, name, to, text }
+     * @returns {string}
+     */
+    formatMessage(message) {
+        switch (message.type) {
+            case 'emote':
+                return `* ${message.name} ${message.text}`;
+            case 'whisper':
+                return message.from === this.netClient.playerId
+                    ? `To ${this.getPlayerName(message.to)}: ${message.text}`
+                    : `${message.name} whispers: ${message.text}`;
+            case 'system':
+                return message.text;
+            default:
+                return `${message.name}: ${message.text}`;
+        }
+    }
+
+    /**
+     * Adds a message to the scrollback and, if it was spoken, shows it above the speaker.
+     * @param {Object} message - The server's message.
+     * @param {boolean} live - False for history, which shouldn't pop up bubbles.
+     */
+    addMessage(message, live) {
+        this.addLine(this.formatMessage(message), CHAT_COLORS[message.type] || CHAT_COLORS.chat, live ? Date.now() : 0);
+
+        if (live && message.from && message.type !== 'whisper') {
+            this.bubbles[message.from] = {
+                lines: this.wrapText(message.type === 'emote' ? `*${message.text}*` : message.text),
+                emote: message.type === 'emote',
+                expires: Date.now() + CHAT_BUBBLE_LIFETIME
+            };
+        }
+    }
+
+    /**
+     * Adds a line of text to the scrollback.
+     * @param {string} text - The line.
+     * @param {string} color - CSS colour to draw it in.
+     * @param {number} [time=Date.now()] - When it arrived (0 keeps it hidden until the box is opened).
+     */
+    addLine(text, color, time = Date.now()) {
+        text.split('\n').forEach(line => this.lines.push({ text: line, color, time }));
+        if (this.lines.length > CHAT_SCROLLBACK_SIZE) {
+            this.lines.splice(0, this.lines.length - CHAT_SCROLLBACK_SIZE);
+        }
+    }
+
+    /**
+     * Splits text into bubble-sized lines, ending with an ellipsis if it doesn't fit.
+     * @param {string} text - The text to wrap.
+     * @returns {string[]}
+     */
+    wrapText(text) {
+        const lines = [];
+        let line = '';
+        text.split(' ').forEach(word => {
+            while (word.length > CHAT_BUBBLE_WIDTH) { // Break up words longer than a line
+                if (line) lines.push(line);
+                lines.push(word.slice(0, CHAT_BUBBLE_WIDTH));
+                word = word.slice(CHAT_BUBBLE_WIDTH);
+                line = '';
+            }
+            if (line && line.length + 1 + word.length > CHAT_BUBBLE_WIDTH) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        });
+        if (line) lines.push(line);
+
+        if (lines.length > CHAT_BUBBLE_MAX_LINES) {
+            lines.length = CHAT_BUBBLE_MAX_LINES;
+            lines[CHAT_BUBBLE_MAX_LINES - 1] = lines[CHAT_BUBBLE_MAX_LINES - 1].slice(0, CHAT_BUBBLE_WIDTH - 1) + '…';
+        }
+        return lines;
+    }
+
+    /**
+     * Handles the keyboard: opens the input box, edits the draft, sends or cancels.
+     * @param {KeyboardEvent} event - The keyboard event object.
+     */
+    handleKeyDown(event) {
+        if (!this.isTyping) {
+            if (!this.game.isRunning || !this.netClient.room) return; // Chat only during online games
+            if (event.key === 'Enter' || event.key === '/') {
+                event.preventDefault();
+                this.open(event.key === '/' ? '/' : '');
+            }
+            return;
+        }
+
+        event.preventDefault(); // Keep keys like Space and Backspace from scrolling or navigating
+        if (event.key === 'Enter') {
+            this.send();
+        } else if (event.key === 'Escape') {
+            this.close();
+        } else if (event.key === 'Backspace') {
+            this.draft = this.draft.slice(0, -1);
+        } else if (event.key.length === 1 && this.draft.length < CHAT_INPUT_MAX_LENGTH) {
+            this.draft += event.key;
+        }
+    }
+
+    /**
+     * Opens the input box and takes the keyboard from the game.
+     * @param {string} [draft=''] - Text to start with.
+     */
+    open(draft = '') {
+        this.isTyping = true;
+        this.draft = draft;
+        this.game.inputBlocked = true;
+    }
+
+    /**
+     * Closes the input box and gives the keyboard back to the game.
+     */
+    close() {
+        this.isTyping = false;
+        this.draft = '';
+        this.game.inputBlocked = false;
+    }
+
+    /**
+     * Sends the draft and closes the input box. Errors and notices from the server are shown
+     * only to us.
+     */
+    async send() {
+        const text = this.draft.trim();
+        this.close();
+        if (!text) return;
+
+        const reply = await this.netClient.sendChat(text);
+        if (!reply.ok) this.addLine(reply.error, CHAT_COLORS.error);
+        else if (reply.notice) this.addLine(reply.notice, CHAT_COLORS.system);
+    }
+
+    /**
+     * Draws the scrollback, the input box and the speech bubbles on top of the game.
+     * @param {CanvasRenderingContext2D} ctx - The game's rendering context.
+     */
+    render(ctx) {
+        const now = Date.now();
+        ctx.save();
+        ctx.font = '10px monospace';
+        ctx.textBaseline = 'top';
+
+        this.renderBubbles(ctx, now);
+        this.renderScrollback(ctx, now);
+        ctx.restore();
+    }
+
+    /**
+     * Draws a speech bubble above each player who spoke recently.
+     * @param {CanvasRenderingContext2D} ctx - The rendering context.
+     * @param {number} now - The current time (ms).
+     */
+    renderBubbles(ctx, now) {
+        const [vX, vY] = this.game.viewport;
+        const lineHeight = 11;
+
+        Object.keys(this.bubbles).forEach(playerId => {
+            const bubble = this.bubbles[playerId];
+            const entity = playerId === this.netClient.playerId ? this.game.player : this.game.remotePlayers[playerId];
+            if (bubble.expires <= now || !entity) {
+                delete this.bubbles[playerId];
+                return;
+            }
+
+            const width = Math.max(...bubble.lines.map(line => ctx.measureText(line).width)) + 8;
+            const height = bubble.lines.length * lineHeight + 6;
+            const x = Math.round(entity.pos[0] - vX + entity.hitbox[2] / 2 - width / 2);
+            const y = Math.round(entity.pos[1] - vY - height - 6);
+
+            ctx.fillStyle = bubble.emote ? 'rgba(240, 228, 255, 0.95)' : 'rgba(255, 255, 255, 0.95)';
+            ctx.strokeStyle = '#000';
+            ctx.fillRect(x, y, width, height);
+            ctx.strokeRect(x + 0.5, y + 0.5, width - 1, height - 1);
+            ctx.beginPath(); // Tail pointing at the speaker
+            ctx.moveTo(x + width / 2 - 3, y + height);
+            ctx.lineTo(x + width / 2, y + height + 5);
+            ctx.lineTo(x + width / 2 + 3, y + height);
+            ctx.fill();
+
+            ctx.fillStyle = '#000';
+            bubble.lines.forEach((line, i) => ctx.fillText(line, x + 4, y + 3 + i * lineHeight));
+        });
+    }
+
+    /**
+     * Draws recent chat lines, and the input box while typing, in the bottom-left corner.
+     * @param {CanvasRenderingContext2D} ctx - The rendering context.
+     * @param {number} now - The current time (ms).
+     */
+    renderScrollback(ctx, now) {
+        const lineHeight = 12;
+        const lines = this.lines
+            .filter(line => this.isTyping || now - line.time < CHAT_LINE_LIFETIME) // Old lines fade out until the box is opened
+            .slice(-CHAT_VISIBLE_LINES);
+        const rows = lines.length + (this.isTyping ? 1 : 0);
+        if (!rows) return;
+
+        const width = Math.min(ctx.canvas.width - 8, 320);
+        const top = ctx.canvas.height - 4 - rows * lineHeight - 4;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(4, top, width, rows * lineHeight + 4);
+
+        lines.forEach((line, i) => {
+            ctx.fillStyle = line.color;
+            ctx.fillText(line.text, 8, top + 2 + i * lineHeight, width - 8);
+        });
+        if (this.isTyping) {
+            const cursor = Math.floor(now / 500) % 2 ? '' : '_';
+            ctx.fillStyle = CHAT_COLORS.chat;
+            ctx.fillText(`> ${this.draft}${cursor}`, 8, top + 2 + lines.length * lineHeight, width - 8);
+        }
+    }
+
+    /**
+     * Stops listening to the keyboard, the game and the connection.
+     */
+    destroy() {
+        this.close();
+        window.removeEventListener('keydown', this._onKeyDown);
+        this.game.off('rendered', this._onRendered);
+        this.netClient.off('chatHistory', this._onHistory);
+        this.netClient.off('chatMessage', this._onMessage);
+    }
+}
@@ -0,0 +1,251 @@
+/**
+ * Enemies - Composable enemy behaviours and the enemy type catalog.
+ * An enemy type (from public/data/enemies.json) names its sprite sheet, hitbox, speed,
+ * damage and a list of behaviours. Each behaviour runs every tick in list order, so later
+ * behaviours can override the velocity set by earlier ones (e.g. 'chase' over 'patrol').
+ *
+ * Behaviour entry: 'name' or { type: 'name', ...options }
+ * Behaviour hooks (all optional):
+ *   init(enemy)                     - Once, when the enemy is created or reset.
+ *   update(enemy, context)          - Every tick. context: { map, player, enemies, game }
+ *   stomp(enemy, player, context)   - Player landed on top; return true to stop the enemy dying.
+ *   touch(enemy, player, context)   - Player ran into it; return true to stop the player being hurt.
+ *   whileShelled                    - Keep running while the enemy is in its shell.
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Used for enemy spawns without a type, or with a type the catalog doesn't have
+const DEFAULT_ENEMY_TYPE = 'walker';
+
+// Stands in for missing types until the catalog has loaded
+const FALLBACK_ENEMY_TYPE = {
+    sprite: null,
+    animations: 'enemy',
+    hitbox: [16, 16],
+    speed: 1,
+    damage: 1,
+    score: 100,
+    stompable: true,
+    behaviours: ['patrol']
+};
+
+// Enemy types by name (see registerEnemyTypes); no prototype, so names like 'toString' aren't types
+const ENEMY_TYPES = Object.create(null);
+
+/**
+ * Whether there is something to stand on just past the enemy's leading foot.
+ * @param {Enemy} enemy - The enemy.
+ * @param {TileMap} map - The current map.
+ * @returns {boolean}
+ */
+function hasGroundAhead(enemy, map) {
+    const [x, y, w, h] = enemy.hitbox;
+    const aheadX = enemy.direction > 0 ? x + w + 1 : x - 1;
+    const [col, row] = map.worldToTile(aheadX, y + h + 1);
+    return map.getMetaAt(col, row).solid;
+}
+
+/**
+ * Horizontal distance from the enemy to the player, and whether the player is within range.
+ * @param {Enemy} enemy - The enemy.
+ * @param {Player} player - The player.
+ * @param {number} range - Distance in pixels.
+ * @returns {number|null} - The signed distance, or null if the player is out of range.
+ */
+function playerOffset(enemy, player, range) {
+    if (!player || player.dying) return null;
+    const dx = (player.pos[0] + player.hitbox[2] / 2) - (enemy.pos[0] + enemy.hitbox[2] / 2);
+    const dy = (player.pos[1] + player.hitbox[3] / 2) - (enemy.pos[1] + enemy.hitbox[3] / 2);
+    return Math.abs(dx) <= range && Math.abs(dy) <= range ? dx : null;
+}
+
+// Behaviour factories by name; each takes the options from the catalog entry
+const ENEMY_BEHAVIOURS = {
+    /**
+     * Walks back and forth, turning at walls and (unless turnAtEdges is false) at ledges.
+     */
+    patrol: ({ turnAtEdges = true } = {}) => ({
+        update(enemy, { map }) {
+            if ((enemy.direction < 0 && enemy.contacts.left) || (enemy.direction > 0 && enemy.contacts.right)) {
+                enemy.direction = -enemy.direction;
+            } else if (turnAtEdges && map && enemy.grounded && !hasGroundAhead(enemy, map)) {
+                enemy.direction = -enemy.direction;
+            }
+            enemy.vel[0] = enemy.direction * enemy.speed;
+        }
+    }),
+
+    /**
+     * Walks towards the player while they are within range.
+     */
+    chase: ({ range = 160, speed } = {}) => ({
+        update(enemy, { player }) {
+            const dx = playerOffset(enemy, player, range);
+            if (dx === null || Math.abs(dx) < 1) return;
+            enemy.direction = Math.sign(dx);
+            enemy.vel[0] = enemy.direction * (speed !== undefined ? speed : enemy.speed);
+        }
+    }),
+
+    /**
+     * Jumps every interval ticks while standing on something.
+     */
+    hop: ({ interval = 90, strength = 7 } = {}) => ({
+        update(enemy) {
+            if (enemy.grounded && enemy.age % interval === 0) enemy.vel[1] = -strength;
+        }
+    }),
+
+    /**
+     * Flies in a sine wave around its spawn height, ignoring gravity.
+     */
+    fly: ({ amplitude = 24, period = 120 } = {}) => ({
+        init(enemy) {
+            enemy.gravity = 0;
+        },
+        update(enemy) {
+            const targetY = enemy.spawn.y + Math.sin((enemy.age / period) * Math.PI * 2) * amplitude;
+            enemy.vel[1] = targetY - enemy.pos[1];
+        }
+    }),
+
+    /**
+     * Fires at the player every interval ticks while they are within range. The game turns
+     * the 'enemyFired' event into a projectile.
+     */
+    shoot: ({ interval = 120, range = 240, projectile = 'bullet' } = {}) => ({
+        update(enemy, { player, game }) {
+            if (enemy.age % interval !== 0) return;
+            const dx = playerOffset(enemy, player, range);
+            if (dx === null) return;
+            enemy.direction = Math.sign(dx) || enemy.direction;
+            if (game) game.emit('enemyFired', enemy, projectile, enemy.direction);
+        }
+    }),
+
+    /**
+     * Stomping hides the enemy in its shell instead of killing it. A resting shell is kicked
+     * by stomping or walking into it; a sliding shell knocks out other enemies and hurts the
+     * player, until it is stomped again.
+     */
+    shell: ({ kickSpeed = 6, graceTicks = 12 } = {}) => {
+        const kick = (enemy, player) => {
+            const playerCenter = player.pos[0] + player.hitbox[2] / 2;
+            enemy.direction = playerCenter < enemy.pos[0] + enemy.hitbox[2] / 2 ? 1 : -1; // Away from the player
+            enemy.shell = 'sliding';
+            enemy.shellGrace = graceTicks; // Don't hurt the player who kicked it on the way out
+        };
+
+        return {
+            whileShelled: true,
+            update(enemy, { enemies, game }) {
+                if (enemy.shellGrace > 0) enemy.shellGrace--;
+                if (enemy.shell === 'resting') {
+                    enemy.vel[0] = 0;
+                } else if (enemy.shell === 'sliding') {
+                    if ((enemy.direction < 0 && enemy.contacts.left) || (enemy.direction > 0 && enemy.contacts.right)) {
+                        enemy.direction = -enemy.direction; // Bounce off walls
+                    }
+                    enemy.vel[0] = enemy.direction * kickSpeed;
+                    (enemies || []).forEach(other => {
+                        if (other !== enemy && !other.dying && enemy.isCollideWith(other) && game) game.killEnemy(other, enemy);
+                    });
+                }
+            },
+            stomp(enemy, player) {
+                if (enemy.shell === 'resting') kick(enemy, player);
+                else enemy.shell = 'resting'; // Into the shell, or stopped mid-slide
+                return true;
+            },
+            touch(enemy, player) {
+                if (enemy.shell === 'resting') {
+                    kick(enemy, player);
+                    return true;
+                }
+                return enemy.shell === 'sliding' && enemy.shellGrace > 0;
+            }
+        };
+    }
+};
+
+/**
+ * Validates an enemy type definition.
+ * @param {string} name - The type's name.
+ * @param {Object} definition - The definition from the catalog.
+ * @returns {string[]} - Human-readable problems; empty when the definition is valid.
+ */
+function validateEnemyType(name, definition) {
+    const errors = [];
+    if (!definition || typeof definition !== 'object') return [`Enemy type "${name}" must be an object.`];
+
+    const { hitbox, speed, damage, behaviours } = definition;
+    if (hitbox !== undefined && !(Array.isArray(hitbox) && hitbox.length === 2 && hitbox.every(size => Number.isFinite(size) && size > 0))) {
+        errors.push(`Enemy type "${name}": "hitbox" must be [width, height].`);
+    }
+    if (speed !== undefined && !(Number.isFinite(speed) && speed >= 0)) errors.push(`Enemy type "${name}": "speed" must be a number of at least 0.`);
+    if (damage !== undefined && !(Number.isInteger(damage) && damage >= 0)) errors.push(`Enemy type "${name}": "damage" must be a whole number of at least 0.`);
+    if (behaviours !== undefined && !Array.isArray(behaviours)) {
+        errors.push(`Enemy type "${name}": "behaviours" must be an array.`);
+    } else {
+        (behaviours || []).forEach(entry => {
+            const type = typeof entry === 'string' ? entry : entry && entry.type;
+            if (!Object.prototype.hasOwnProperty.call(ENEMY_BEHAVIOURS, type)) errors.push(`Enemy type "${name}": unknown behaviour "${type}".`);
+        });
+    }
+    return errors;
+}
+
+/**
+ * Adds enemy types to the catalog, replacing types with the same name. Invalid types are
+ * skipped and reported.
+ * @param {Object} catalog - Type name -> definition (the contents of enemies.json).
+ * @returns {string[]} - Problems with the types that were skipped.
+ */
+function registerEnemyTypes(catalog) {
+    const errors = [];
+    Object.keys(catalog).forEach(name => {
+        const problems = validateEnemyType(name, catalog[name]);
+        if (problems.length) {
+            errors.push(...problems);
+            return;
+        }
+        ENEMY_TYPES[name] = { ...FALLBACK_ENEMY_TYPE, ...catalog[name] };
+    });
+    return errors;
+}
+
+/**
+ * Downloads a catalog file and registers its types.
+ * @param {string} [url='/data/enemies.json'] - Where the catalog is served.
+ * @returns {Promise<string[]>} - Problems with the types that were skipped.
+ */
+async function loadEnemyCatalog(url = '/data/enemies.json') {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Could not load the enemy catalog (HTTP ${response.status}).`);
+    const errors = registerEnemyTypes(await response.json());
+    if (errors.length) console.error('Skipped invalid enemy types:', errors);
+    return errors;
+}
+
+/**
+ * Gets an enemy type's definition.
+ * @param {string} [name=DEFAULT_ENEMY_TYPE] - The type's name.
+ * @returns {Object} - The definition (the fallback type if the name is unknown).
+ */
+function getEnemyType(name = DEFAULT_ENEMY_TYPE) {
+    return ENEMY_TYPES[name] || ENEMY_TYPES[DEFAULT_ENEMY_TYPE] || FALLBACK_ENEMY_TYPE;
+}
+
+/**
+ * Builds the behaviours listed in an enemy type.
+ * @param {Array} entries - 'name' or { type, ...options } entries.
+ * @returns {Object[]} - The behaviour objects, in order.
+ */
+function createBehaviours(entries) {
+    return entries.map(entry => {
+        const { type, ...options } = typeof entry === 'string' ? { type: entry } : entry;
+        return ENEMY_BEHAVIOURS[type](options);
+    });
+}
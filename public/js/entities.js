@@ -0,0 +1,625 @@
+/**
+ * Entities - The things that move around a level: the Player, enemies and power-ups, and the
+ * Entity base class they (and projectiles, goals and checkpoints) share. Entities only touch
+ * the map, physics and animation modules, never the page, so the same classes run in the
+ * browser and headlessly on the server.
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Player health, and how long the player can't be hurt again after a hit (ticks)
+const PLAYER_MAX_HEALTH = 3;
+const PLAYER_HURT_TICKS = 90;
+
+// Player walking speed before effects (px per tick)
+const PLAYER_RUN_SPEED = 5;
+
+// Base Entity class for reusability (Player, Enemy, PowerUp all extend this)
+class Entity {
+    constructor(pos, sprite) {
+        this.pos = [pos.x, pos.y];              // Position of the entity [x, y]
+        this.vel = [0, 0];                      // Velocity [x, y]
+        this.sprite = sprite;                   // Associated sprite
+        this.hitbox = [pos.x, pos.y, 16, 16];   // Default hitbox
+        this.dying = false;                     // State to manage enemy lifecycle
+        this.gravity = PHYSICS.GRAVITY;         // Downward acceleration per tick (0 for floating entities)
+        this.contacts = createContacts();       // Ground/ceiling/wall contacts from the last tick
+        this.fellOffMap = false;                // Set once the entity drops below the map
+        this.spawn = { x: pos.x, y: pos.y };    // Position restored by reset()
+        this.color = '#ff00ff';                 // Fallback colour while the sprite is missing
+        this.sheet = null;                      // SpriteManager sheet the animation frames come from
+        this.animator = null;                   // Plays the entity's clips (see animation.js)
+        this.facing = 1;                        // 1 when facing right, -1 when facing left
+        this.lastAnimatedPos = [pos.x, pos.y];  // Position at the previous animation tick
+    }
+
+    /**
+     * Picks the clip that matches what the entity is doing. Subclasses override this.
+     * @param {number} dx - Horizontal distance moved since the last animation tick.
+     * @param {number} dy - Vertical distance moved since the last animation tick.
+     * @returns {string} - The clip name.
+     */
+    getAnimationState(dx, dy) {
+        return this.dying ? 'die' : 'idle';
+    }
+
+    /**
+     * Advances the animation by one tick. Motion is measured from the change in position, so
+     * the same state machine works for locally simulated and network-driven entities.
+     * A dying entity is destroyed once its 'die' clip has played through.
+     * @param {number} dt - Time passed (ms).
+     * @returns {string[]} - Names of the animation events fired.
+     */
+    animate(dt) {
+        const dx = this.pos[0] - this.lastAnimatedPos[0];
+        const dy = this.pos[1] - this.lastAnimatedPos[1];
+        this.lastAnimatedPos = this.pos.slice();
+        if (Math.abs(dx) > 0.01) this.facing = Math.sign(dx);
+
+        if (!this.animator) {
+            if (this.dying) this.isDestroyed = true;
+            return [];
+        }
+        const state = this.getAnimationState(dx, dy);
+        if (!this.animator.play(state)) this.animator.play('idle');
+        const events = this.animator.update(dt);
+
+        if (this.dying && (this.animator.current !== 'die' || this.animator.isFinished)) {
+            this.isDestroyed = true; // Removed by DevGameMaker.cleanup
+        }
+        return events;
+    }
+
+    /**
+     * Whether the entity is standing on something solid.
+     * @returns {boolean}
+     */
+    get grounded() {
+        return this.contacts.ground;
+    }
+
+    /**
+     * Advances the entity by one fixed tick.
+     * @param {TileMap} [map] - The map to collide against; without one the entity moves freely.
+     */
+    update(map) {
+        this.vel[1] = Math.min(this.vel[1] + this.gravity, PHYSICS.MAX_FALL_SPEED); // Apply gravity
+
+        if (map) {
+            moveAndCollide(this, map); // Sweep against the map's solid tiles
+        } else {
+            this.pos[0] += this.vel[0];
+            this.pos[1] += this.vel[1];
+        }
+        this.checkBounds(map); // Ensure entities stay within game bounds
+        this.updateHitbox();
+    }
+
+    /**
+     * Keeps the entity inside the horizontal bounds of the map (only off its left edge
+     * without one) and flags it once it falls below the bottom of the map.
+     * @param {TileMap} [map] - The current map.
+     */
+    checkBounds(map) {
+        const maxX = map ? map.pixelWidth - this.hitbox[2] : Infinity;
+        if (this.pos[0] < 0) {
+            this.pos[0] = 0; // Prevent moving out of bounds
+            this.contacts.left = true; // The map edge acts as a wall
+        } else if (this.pos[0] > maxX) {
+            this.pos[0] = maxX;
+            this.contacts.right = true;
+        }
+
+        if (map && this.pos[1] > map.pixelHeight) {
+            this.fellOffMap = true; // Fell into a pit
+        }
+    }
+
+    /**
+     * Moves the hitbox to the entity's current position.
+     */
+    updateHitbox() {
+        this.hitbox[0] = this.pos[0];
+        this.hitbox[1] = this.pos[1];
+    }
+
+    /**
+     * Gets the movement state shared with the server and replayed during reconciliation.
+     * @returns {Object} - { pos, vel, grounded }
+     */
+    getState() {
+        return { pos: this.pos.slice(), vel: this.vel.slice(), grounded: this.contacts.ground };
+    }
+
+    /**
+     * Restores movement state received from the server.
+     * @param {Object} state - { pos, vel, grounded }
+     */
+    setState(state) {
+        this.pos = state.pos.slice();
+        this.vel = state.vel.slice();
+        this.contacts = createContacts();
+        this.contacts.ground = state.grounded;
+        this.updateHitbox();
+    }
+
+    /**
+     * Returns the entity to its spawn position and state.
+     */
+    reset() {
+        this.setPosition(this.spawn.x, this.spawn.y);
+        this.dying = false;
+        this.isDestroyed = false;
+        if (this.animator) this.animator.play('idle', true);
+    }
+
+    /**
+     * Places the entity at a position and stops it.
+     * @param {number} x - World X in pixels.
+     * @param {number} y - World Y in pixels.
+     */
+    setPosition(x, y) {
+        this.pos = [x, y];
+        this.vel = [0, 0];
+        this.contacts = createContacts();
+        this.fellOffMap = false;
+        this.lastAnimatedPos = [x, y];         // Teleporting isn't running
+        this.updateHitbox();
+    }
+
+    /**
+     * Draws the entity's current animation frame, its static sprite if it has no animation
+     * sheet loaded, or a coloured hitbox until its artwork is available.
+     * @param {CanvasRenderingContext2D} ctx - The rendering context.
+     * @param {number} [vX=0] - Viewport X offset.
+     * @param {number} [vY=0] - Viewport Y offset.
+     * @param {SpriteManager} [spriteManager] - Sheets to draw animation frames from.
+     */
+    render(ctx, vX = 0, vY = 0, spriteManager = null) {
+        const x = this.pos[0] - vX;
+        const y = this.pos[1] - vY;
+        if (spriteManager && this.sheet && this.animator &&
+            spriteManager.drawSprite(ctx, this.sheet, this.animator.frame, x, y, undefined, undefined, this.facing < 0, this.recolour())) {
+            return;
+        }
+        if (!this.sprite.isLoaded()) {
+            // Draw the hitbox in the entity's colour until its artwork is available
+            ctx.fillStyle = this.color;
+            ctx.fillRect(x, y, this.hitbox[2], this.hitbox[3]);
+            return;
+        }
+        this.sprite.render(ctx, this.pos[0], this.pos[1], vX, vY);
+    }
+
+    /**
+     * The palette and effect the entity's sheet is drawn with (see SpriteManager.getSheetImage).
+     * @returns {Object|null} - { palette, effect }, or null for the sheet's own colours.
+     */
+    recolour() {
+        return null;
+    }
+
+    isCollideWith(entity) {
+        const [x1, y1, w1, h1] = this.hitbox;
+        const [x2, y2, w2, h2] = entity.hitbox;
+        return !(x1 > x2 + w2 || x1 + w1 < x2 || y1 > y2 + h2 || y1 + h1 < y2);
+    }
+
+    destroy() {
+        this.dying = true; // Plays the 'die' clip, after which the entity is removed
+    }
+}
+
+/**
+ * Creates an empty input command for one tick.
+ * jump is set on the tick jump is pressed; jumpHeld for as long as it stays down.
+ * down is held to enter pipes.
+ * @returns {Object} - { left, right, down, jump, jumpHeld, fire } all false.
+ */
+function createInput() {
+    return { left: false, right: false, down: false, jump: false, jumpHeld: false, fire: false };
+}
+
+// Player class extending Entity
+class Player extends Entity {
+    constructor(pos) {
+        super(pos, new Sprite(null)); // Drawn from the player sheets
+        this.maxHealth = PLAYER_MAX_HEALTH; // Hits the player can take before losing a life
+        this.health = this.maxHealth; // Initial health
+        this.hurtTicks = 0; // Ticks left before the player can be hurt again
+        this.effects = new PlayerEffects(); // Timed power-up effects (see power-ups.js)
+        this.color = '#e52521'; // Fallback colour
+        this.isJumping = false; // Rising from a jump, which letting go of jump cuts short
+        this.wantsToFire = false; // Set by fire() until the shot is taken
+        this.holdingDown = false; // Whether this tick's input holds down
+        this.avatar = null; // Chosen sprite and palette, if any (see setAvatar)
+        this.baseSheet = 'player'; // Sheet for the small size; bigger sizes add their suffix (e.g. 'player-big')
+        this.animator = createAnimator('player');
+        this.setSize('small');
+    }
+
+    /**
+     * Whether the player can't be hurt, and knocks out enemies by touching them.
+     * @returns {boolean}
+     */
+    get invincibility() {
+        return this.effects.has('invincibility');
+    }
+
+    /**
+     * Changes how the player looks. Avatar sheets ('avatar-<sprite>') share the player's clip layout.
+     * @param {Object} avatar - { sprite, palette } (see player-profile.js)
+     */
+    setAvatar(avatar) {
+        this.baseSheet = `avatar-${avatar.sprite}`;
+        this.sheet = this.baseSheet + PLAYER_SIZES[this.size].sheetSuffix;
+        this.color = AVATAR_PALETTES[avatar.palette] || this.color; // Tints the fallback drawing
+        this.avatar = { ...avatar };
+    }
+
+    /**
+     * Changes the player's size state, resizing the hitbox around their feet.
+     * @param {string} size - One of PLAYER_SIZES.
+     */
+    setSize(size) {
+        const state = PLAYER_SIZES[size];
+        const [width, height] = state.hitbox;
+        this.pos[1] += this.hitbox[3] - height; // Keep standing on the same ground
+        this.hitbox[2] = width;
+        this.hitbox[3] = height;
+        this.size = size;
+        this.projectile = state.projectile; // Kind of projectile fire() launches, if any (see projectiles.js)
+        this.sheet = this.baseSheet + state.sheetSuffix;
+        this.updateHitbox();
+    }
+
+    /**
+     * Places the player at a spawn point, facing right and not mid-jump or about to fire, so
+     * every run from a spawn point starts the same way. Spawn points mark where a small
+     * player stands, so bigger players are raised to stand on the same ground.
+     * @param {Object} spawn - { x, y }
+     */
+    spawnAt(spawn) {
+        this.setPosition(spawn.x, spawn.y + PLAYER_SIZES.small.hitbox[1] - this.hitbox[3]);
+        this.facing = 1;
+        this.isJumping = false;
+        this.wantsToFire = false;
+    }
+
+    /**
+     * Collects a power-up: grows into its size (never shrinking) or starts its effect.
+     * @param {string} type - One of POWER_UP_TYPES.
+     * @returns {boolean} - False for an unknown type.
+     */
+    applyPowerUp(type) {
+        const definition = POWER_UP_TYPES[type];
+        if (!definition) {
+            console.error(`Unknown power-up "${type}".`);
+            return false;
+        }
+        if (definition.size && PLAYER_SIZES[definition.size].rank > PLAYER_SIZES[this.size].rank) {
+            this.setSize(definition.size);
+        }
+        if (definition.effect) this.effects.add(definition.effect, definition.duration);
+        return true;
+    }
+
+    /**
+     * Takes the player back to small, with full health and no effects.
+     */
+    resetPower() {
+        this.setSize('small');
+        this.effects.clear();
+        this.health = this.maxHealth;
+        this.hurtTicks = 0;
+    }
+
+    /**
+     * Gets the power-up state for save states and network sync.
+     * @returns {Object} - { size, health, hurtTicks, effects }
+     */
+    getPowerState() {
+        return { size: this.size, health: this.health, hurtTicks: this.hurtTicks, effects: this.effects.serialize() };
+    }
+
+    /**
+     * Restores a power-up state from getPowerState().
+     * @param {Object} state - { size, health, hurtTicks, effects }
+     */
+    setPowerState(state) {
+        if (PLAYER_SIZES[state.size]) this.setSize(state.size);
+        this.health = state.health;
+        this.hurtTicks = state.hurtTicks;
+        this.effects.restore(state.effects);
+    }
+
+    /**
+     * Walking speed, including effects such as speed boots.
+     * @returns {number} - Pixels per tick.
+     */
+    get runSpeed() {
+        return PLAYER_RUN_SPEED * (1 + this.effects.modifier('runSpeed'));
+    }
+
+    /**
+     * Picks the player's clip: dying, in the air, running or standing still.
+     * @param {number} dx - Horizontal distance moved since the last animation tick.
+     * @returns {string}
+     */
+    getAnimationState(dx) {
+        if (this.dying) return 'die';
+        if (!this.grounded) return 'jump';
+        return Math.abs(dx) > 0.01 ? 'run' : 'idle';
+    }
+
+    moveLeft() {
+        this.vel[0] = -this.runSpeed; // Move left
+        this.facing = -1; // Shots go the way the player faces, even where nothing animates (the server)
+    }
+
+    moveRight() {
+        this.vel[0] = this.runSpeed; // Move right
+        this.facing = 1;
+    }
+
+    jump() {
+        if (!this.grounded) return; // Can only jump off the ground
+        this.vel[1] = -PHYSICS.JUMP_SPEED; // Jump up
+        this.isJumping = true;
+    }
+
+    /**
+     * Asks to fire the player's projectile. The game (or the server) launches it with takeShot().
+     */
+    fire() {
+        this.wantsToFire = true;
+    }
+
+    /**
+     * Takes the shot asked for with fire(), if any.
+     * @returns {Object|null} - { kind, x, y, direction } with the muzzle in world pixels, or null.
+     */
+    takeShot() {
+        const wantsToFire = this.wantsToFire;
+        this.wantsToFire = false;
+        if (!wantsToFire || !this.projectile || this.dying) return null; // Only some sizes can shoot
+        const [x, y, w, h] = this.hitbox;
+        return { kind: this.projectile, x: this.facing > 0 ? x + w : x, y: y + h / 2, direction: this.facing };
+    }
+
+    /**
+     * Hurts the player unless they are invincible or still recovering from the last hit. A
+     * powered-up player drops to a smaller size instead of losing health.
+     * @param {number} [amount=1] - Health to lose.
+     * @returns {boolean} - True if the player was hurt.
+     */
+    takeDamage(amount = 1) {
+        if (this.invincibility || this.hurtTicks > 0 || amount <= 0) return false;
+        const smaller = PLAYER_SIZES[this.size].downgrade;
+        if (smaller) {
+            this.setSize(smaller);
+        } else {
+            this.health = Math.max(0, this.health - amount);
+        }
+        this.hurtTicks = PLAYER_HURT_TICKS;
+        return true;
+    }
+
+    /**
+     * Applies one tick's input command. Used for local play, server simulation and replaying
+     * unacknowledged inputs, so all three move the player identically.
+     * Letting go of jump while still rising cuts the jump short, so jump height depends on
+     * how long jump is held.
+     * @param {Object} input - { left, right, down, jump, jumpHeld, fire }
+     */
+    applyInput(input) {
+        if (input.left) {
+            this.moveLeft();
+        } else if (input.right) {
+            this.moveRight();
+        }
+        if (input.jump) this.jump();
+        if (this.isJumping && !input.jump && !input.jumpHeld && this.vel[1] < -PHYSICS.JUMP_RELEASE_SPEED) {
+            this.vel[1] = -PHYSICS.JUMP_RELEASE_SPEED; // Released early: short hop
+        }
+        if (input.fire) this.fire();
+        this.holdingDown = Boolean(input.down); // Read by tiles the player stands on (e.g. pipes)
+    }
+
+    /**
+     * Restores movement state received from the server. Rising through the air counts as a
+     * jump, so replayed inputs can still cut it short.
+     * @param {Object} state - { pos, vel, grounded }
+     */
+    setState(state) {
+        super.setState(state);
+        this.isJumping = !state.grounded && state.vel[1] < 0;
+    }
+
+    update(map) {
+        super.update(map); // Gravity and tile collision
+        if (this.vel[1] >= 0 || this.grounded) this.isJumping = false; // Past the top of the jump
+
+        // Reset velocity for left/right movement
+        if (this.vel[0] !== 0) {
+            this.vel[0] = 0; // Reset horizontal movement
+        }
+    }
+
+    /**
+     * Counts down the post-hit grace period and timed effects by one game tick. Kept apart from
+     * update(), which the net client runs again for every unacknowledged input when it reconciles.
+     */
+    updateTimers() {
+        if (this.hurtTicks > 0) this.hurtTicks--;
+        this.effects.update(); // Effects run on game time, so they stop while paused
+    }
+
+    /**
+     * Draws the player in their avatar's palette, flashing while invincible and tinted while
+     * recovering from a hit.
+     * @returns {Object|null} - { palette, effect }
+     */
+    recolour() {
+        let effect = null;
+        if (this.invincibility) {
+            const step = Math.floor(this.effects.remaining('invincibility') / INVINCIBILITY_FLASH_TICKS);
+            effect = INVINCIBILITY_FLASH[step % INVINCIBILITY_FLASH.length];
+        } else if (this.hurtTicks > 0) {
+            effect = 'hurt';
+        }
+        const palette = this.avatar ? this.avatar.palette : null;
+        return palette || effect ? { palette, effect } : null;
+    }
+
+    render(ctx, vX = 0, vY = 0, spriteManager = null) {
+        if (this.hurtTicks > 0 && Math.floor(this.hurtTicks / 4) % 2) return; // Flicker while recovering from a hit
+        super.render(ctx, vX, vY, spriteManager); // Call parent render
+    }
+}
+
+// Enemy class extending Entity
+class Enemy extends Entity {
+    /**
+     * @param {Object} pos - Spawn position { x, y }.
+     * @param {string} [type=DEFAULT_ENEMY_TYPE] - Enemy type from the catalog (see enemies.js).
+     */
+    constructor(pos, type = DEFAULT_ENEMY_TYPE) {
+        const definition = getEnemyType(type);
+        super(pos, new Sprite(null)); // Drawn from its type's sheet
+        this.type = type; // Catalog type name
+        this.dying = false; // Enemy state
+        this.color = '#8b4513'; // Fallback colour
+        this.sheet = `enemy-${type}`; // Sheet registered for the type, laid out for its clip set
+        this.animator = createAnimator(definition.animations);
+        this.hitbox[2] = definition.hitbox[0];
+        this.hitbox[3] = definition.hitbox[1];
+        this.speed = definition.speed; // Walking speed in pixels per tick
+        this.damage = definition.damage; // Health the player loses on contact
+        this.score = definition.score; // Points for knocking it out
+        this.stompable = definition.stompable; // Whether landing on it counts as a stomp
+        this.behaviours = createBehaviours(definition.behaviours);
+        this.initBehaviours();
+    }
+
+    /**
+     * Puts the enemy in its starting state and lets its behaviours set themselves up.
+     */
+    initBehaviours() {
+        this.age = 0; // Ticks since spawning; behaviours time themselves with it
+        this.direction = -1; // Walks towards the player's usual start first
+        this.shell = null; // 'resting' or 'sliding' while hiding in its shell
+        this.shellGrace = 0;
+        this.gravity = PHYSICS.GRAVITY;
+        this.behaviours.forEach(behaviour => behaviour.init && behaviour.init(this));
+    }
+
+    /**
+     * Picks the enemy's clip: dying, in its shell, walking or standing still.
+     * @param {number} dx - Horizontal distance moved since the last animation tick.
+     * @returns {string}
+     */
+    getAnimationState(dx) {
+        if (this.dying) return 'die';
+        if (this.shell) return 'shell';
+        return Math.abs(dx) > 0.01 ? 'run' : 'idle';
+    }
+
+    /**
+     * Runs the enemy's behaviours, then moves it. Only shell behaviours run while it's in its shell.
+     * @param {TileMap} [map] - The map to collide against.
+     * @param {Object} [context] - { map, player, enemies, game } for the behaviours.
+     */
+    update(map, context = { map }) {
+        if (!this.dying) {
+            this.age++;
+            this.behaviours.forEach(behaviour => {
+                if (behaviour.update && (!this.shell || behaviour.whileShelled)) behaviour.update(this, context);
+            });
+        } else {
+            this.vel[0] = 0;
+        }
+        super.update(map); // Rest on the ground like the player
+        if (this.fellOffMap) this.isDestroyed = true; // Fell into a pit
+    }
+
+    /**
+     * Lets the behaviours react to being stomped.
+     * @param {Player} player - The player who landed on it.
+     * @param {DevGameMaker} game - The game.
+     * @returns {boolean} - True if a behaviour handled it; otherwise the enemy is knocked out.
+     */
+    stomp(player, game) {
+        return this.behaviours.some(behaviour => behaviour.stomp && behaviour.stomp(this, player, game));
+    }
+
+    /**
+     * Lets the behaviours react to the player running into it.
+     * @param {Player} player - The player.
+     * @param {DevGameMaker} game - The game.
+     * @returns {boolean} - True if a behaviour handled it; otherwise the player is hurt.
+     */
+    touch(player, game) {
+        return this.behaviours.some(behaviour => behaviour.touch && behaviour.touch(this, player, game));
+    }
+
+    reset() {
+        super.reset();
+        this.initBehaviours();
+    }
+
+    render(ctx, vX = 0, vY = 0, spriteManager = null) {
+        // Custom render logic for enemy if needed
+        super.render(ctx, vX, vY, spriteManager); // Call parent render
+    }
+}
+
+// PowerUp class extending Entity
+class PowerUp extends Entity {
+    constructor(pos, type) {
+        super(pos, new Sprite(null)); // Drawn from the 'powerUp' sheet
+        this.type = type || DEFAULT_POWER_UP_TYPE; // Key of POWER_UP_TYPES (e.g., 'mushroom', 'invincibility')
+        this.id = null; // The server's ID for items that came out of blocks online
+        this.replicated = false; // Mirrors a server item; only the server decides who collects it
+        this.color = '#f8d000'; // Fallback colour
+        this.sheet = 'powerUp';
+        this.animator = createAnimator('powerUp'); // Shimmers until collected
+    }
+
+    /**
+     * Gives the power-up to a player (see POWER_UP_TYPES).
+     * @param {Player} player - The player who collected it.
+     * @returns {boolean} - False for an unknown type.
+     */
+    activate(player) {
+        return player.applyPowerUp(this.type);
+    }
+
+    render(ctx, vX = 0, vY = 0, spriteManager = null) {
+        // Custom render logic for power-up if needed
+        super.render(ctx, vX, vY, spriteManager); // Call parent render
+    }
+}
+
+// Sprite class for handling sprite rendering
+class Sprite {
+    /**
+     * @param {HTMLImageElement|HTMLCanvasElement|null} image - An image decoded by the AssetLoader, or null if drawn from sheets only.
+     */
+    constructor(image) {
+        this.image = image || null;
+    }
+
+    /**
+     * Whether there is an image to draw.
+     * @returns {boolean}
+     */
+    isLoaded() {
+        return Boolean(this.image);
+    }
+
+    render(ctx, x, y, vX = 0, vY = 0) {
+        ctx.drawImage(this.image, x - vX, y - vY);
+    }
+}
@@ -0,0 +1,48 @@
+/**
+ * EventBus - Named events with any number of listeners.
+ * Base class for the objects other code listens to (the game, its camera, the net client), so
+ * they publish events the same way in the browser and in a headless simulation.
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+class EventBus {
+    constructor() {
+        this.eventListeners = {};               // Event listeners collection (event -> callbacks)
+    }
+
+    /**
+     * Registers an event listener for a specific event.
+     * @param {string} event - The name of the event.
+     * @param {Function} callback - The callback function to execute when the event occurs.
+     */
+    on(event, callback) {
+        if (!this.eventListeners[event]) {
+            this.eventListeners[event] = []; // Create array for new events
+        }
+        this.eventListeners[event].push(callback); // Add callback to the event
+    }
+
+    /**
+     * Removes a previously registered event listener.
+     * @param {string} event - The name of the event.
+     * @param {Function} callback - The callback function to remove.
+     */
+    off(event, callback) {
+        if (this.eventListeners[event]) {
+            this.eventListeners[event] = this.eventListeners[event].filter(listener => listener !== callback);
+        }
+    }
+
+    /**
+     * Emits an event, calling all registered callbacks with the provided arguments.
+     * @param {string} event - The name of the event to emit.
+     * @param {...*} args - The arguments to pass to the event callbacks.
+     */
+    emit(event, ...args) {
+        if (this.eventListeners[event]) {
+            this.eventListeners[event].forEach(callback => callback(...args)); // Call each callback
+        }
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * Gallery Format - What a level published to the community gallery carries, and the checks
+ * a publication and a rating must pass. Shared by the browser (publishing and rating) and the
+ * server (validating both), so they accept exactly the same input.
+ *
+ * Publication: {
+ *   levelId,                                 - ID of the saved level being published
+ *   title, description,                      - Shown in the gallery
+ *   tags: ['castle', 'speedrun'],            - Lowercase words to browse by (see normalizeGalleryTags)
+ *   author,                                  - Who published it (optional)
+ *   thumbnail                                - PNG data URL rendered from the map
+ * }
+ * Rating: { raterId, stars }                 - raterId is read from a rater token the server signed, one rating per level each
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Orders the gallery can be browsed in
+const GALLERY_SORTS = ['newest', 'popular', 'top'];
+
+// Size limits that keep publications reasonable
+const GALLERY_LIMITS = {
+    maxTitleLength: 64,
+    maxDescriptionLength: 500,
+    maxAuthorLength: 32,
+    maxTags: 5,
+    maxThumbnailLength: 256 * 1024,         // Characters of the data URL
+    pageSize: 12                            // Levels per gallery page
+};
+
+// A tag: lowercase letters, digits and dashes
+const GALLERY_TAG_PATTERN = /^[a-z0-9-]{1,20}$/;
+
+// Thumbnails must be PNG data URLs
+const GALLERY_THUMBNAIL_PREFIX = 'data:image/png;base64,';
+
+/**
+ * Turns what a player typed into tags: lowercase, spaces and punctuation become dashes,
+ * and empty or repeated tags are dropped.
+ * @param {string|string[]} input - Comma-separated text, or a list of tags.
+ * @returns {string[]}
+ */
+function normalizeGalleryTags(input) {
+    const words = Array.isArray(input) ? input : String(input || '').split(',');
+    const tags = words
+        .map(word => String(word).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''))
+        .filter(Boolean);
+    return [...new Set(tags)];
+}
+
+/**
+ * Checks a publication against the format.
+ * @param {Object} publication - The publication to check.
+ * @returns {string[]} - A list of problems; empty when the publication is valid.
+ */
+function validatePublication(publication) {
+    if (!publication || typeof publication !== 'object') return ['Publication must be an object.'];
+    const errors = [];
+    const isText = (value, max) => typeof value === 'string' && value.length <= max;
+
+    if (typeof publication.levelId !== 'string' || !publication.levelId) errors.push('Publication needs the ID of a saved level.');
+    if (!isText(publication.title, GALLERY_LIMITS.maxTitleLength) || !publication.title.trim()) {
+        errors.push(`Title must be text of 1 to ${GALLERY_LIMITS.maxTitleLength} characters.`);
+    }
+    if (!isText(publication.description, GALLERY_LIMITS.maxDescriptionLength)) {
+        errors.push(`Description must be text of at most ${GALLERY_LIMITS.maxDescriptionLength} characters.`);
+    }
+    if (publication.author !== undefined && !isText(publication.author, GALLERY_LIMITS.maxAuthorLength)) {
+        errors.push(`Author must be text of at most ${GALLERY_LIMITS.maxAuthorLength} characters.`);
+    }
+    if (!Array.isArray(publication.tags) || publication.tags.length > GALLERY_LIMITS.maxTags ||
+        !publication.tags.every(tag => typeof tag === 'string' && GALLERY_TAG_PATTERN.test(tag))) {
+        errors.push(`Tags must be at most ${GALLERY_LIMITS.maxTags} words of lowercase letters, digits and dashes.`);
+    }
+    if (!isText(publication.thumbnail, GALLERY_LIMITS.maxThumbnailLength) || !publication.thumbnail.startsWith(GALLERY_THUMBNAIL_PREFIX)) {
+        errors.push(`Thumbnail must be a PNG data URL of at most ${GALLERY_LIMITS.maxThumbnailLength} characters.`);
+    }
+    return errors;
+}
+
+/**
+ * Checks a rating.
+ * @param {Object} rating - { raterId, stars }
+ * @returns {string[]} - A list of problems; empty when the rating is valid.
+ */
+function validateRating(rating) {
+    if (!rating || typeof rating !== 'object') return ['Rating must be an object.'];
+    const errors = [];
+    if (typeof rating.raterId !== 'string' || !rating.raterId) errors.push('Rating needs a rater token from the server.');
+    if (!Number.isInteger(rating.stars) || rating.stars < 1 || rating.stars > 5) errors.push('Rating must be 1 to 5 stars.');
+    return errors;
+}
+
+// Shared with the server, which validates publications and ratings with the same rules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GALLERY_SORTS,
+        GALLERY_LIMITS,
+        GALLERY_THUMBNAIL_PREFIX,
+        normalizeGalleryTags,
+        validatePublication,
+        validateRating
+    };
+}
@@ -0,0 +1,125 @@
+/**
+ * Game adapters - What DevGameMaker uses to reach the outside world, so the simulation itself
+ * never touches the page. A renderer gives it something to draw on, a loop driver decides
+ * when frames run, and the controls come from an InputManager (see input.js).
+ * In the browser a CanvasRenderer draws on the page and an AnimationFrameLoop runs a frame
+ * per display refresh. Headless (on the server, or stepping a game frame by frame) the
+ * renderer is left out and a ManualLoop runs frames only when advance() is called.
+ *
+ * Renderer: { width, height, getContext(), clear() }
+ * Loop driver: { start(callback), stop() } - callback(timestamp) is called once per frame.
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+/**
+ * CanvasRenderer - Draws the game on a canvas element.
+ */
+class CanvasRenderer {
+    /**
+     * @param {HTMLCanvasElement} canvas - The canvas to draw on.
+     */
+    constructor(canvas) {
+        this.canvas = canvas;                   // Rendering target
+    }
+
+    get width() {
+        return this.canvas.width;
+    }
+
+    get height() {
+        return this.canvas.height;
+    }
+
+    /**
+     * Gets the 2D rendering context of the canvas.
+     * @returns {CanvasRenderingContext2D}
+     */
+    getContext() {
+        return this.canvas.getContext('2d');
+    }
+
+    /**
+     * Clears the whole canvas.
+     */
+    clear() {
+        this.getContext().clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+}
+
+/**
+ * AnimationFrameLoop - Runs a frame every time the browser repaints.
+ */
+class AnimationFrameLoop {
+    constructor() {
+        this.callback = null;                   // Called with each frame's timestamp while running
+        this.frameId = null;                    // Pending requestAnimationFrame request
+    }
+
+    /**
+     * Starts calling back once per animation frame.
+     * @param {Function} callback - Called with the frame timestamp (ms).
+     */
+    start(callback) {
+        this.stop();
+        this.callback = callback;
+        const frame = (timestamp) => {
+            this.frameId = requestAnimationFrame(frame); // Request the next animation frame
+            this.callback(timestamp);
+        };
+        this.frameId = requestAnimationFrame(frame);
+    }
+
+    /**
+     * Stops calling back.
+     */
+    stop() {
+        if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+        this.callback = null;
+    }
+}
+
+/**
+ * ManualLoop - Runs frames only when told to, with timestamps it makes up itself, so the
+ * same frames run the same way every time.
+ */
+class ManualLoop {
+    /**
+     * @param {number} [frameTime=PHYSICS.FIXED_STEP] - Time between frames (ms).
+     */
+    constructor(frameTime = PHYSICS.FIXED_STEP) {
+        this.frameTime = frameTime;
+        this.callback = null;                   // Called for each frame while running
+        this.time = 0;                          // Timestamp of the last frame run (ms)
+    }
+
+    /**
+     * Starts accepting frames.
+     * @param {Function} callback - Called with the frame timestamp (ms).
+     */
+    start(callback) {
+        this.callback = callback;
+    }
+
+    /**
+     * Stops accepting frames; advance() does nothing until started again.
+     */
+    stop() {
+        this.callback = null;
+    }
+
+    /**
+     * Runs frames one after another.
+     * @param {number} [frames=1] - How many frames to run.
+     * @returns {number} - The timestamp of the last frame run (ms).
+     */
+    advance(frames = 1) {
+        for (let i = 0; i < frames && this.callback; i++) {
+            this.time += this.frameTime;
+            this.callback(this.time);
+        }
+        return this.time;
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * Hud - The heads-up display drawn over the game world.
+ * A bar along the top shows the score, coins, lives, the level being played and the time
+ * left on the level timer. Under it on the left are the player's size and their active
+ * power-up effects, each effect with a bar showing the time it has left.
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Default HUD settings
+const HUD_DEFAULTS = {
+    font: '10px monospace',
+    color: '#ffffff',
+    hurryColor: '#e52521',  // Timer colour once time is running out
+    hurrySeconds: 100,      // Seconds left when the timer turns to the hurry colour
+    barColor: '#f8d000',    // Bars showing how long effects have left
+    backdrop: 'rgba(0, 0, 0, 0.5)'
+};
+
+class Hud {
+    /**
+     * @param {DevGameMaker} game - The game whose state is shown.
+     * @param {Object} [options] - Overrides for HUD_DEFAULTS.
+     */
+    constructor(game, options = {}) {
+        this.game = game;                       // Game being shown
+        this.settings = { ...HUD_DEFAULTS, ...options };
+        this.visible = true;                    // Whether render() draws anything
+    }
+
+    /**
+     * Draws the HUD.
+     * @param {CanvasRenderingContext2D} context - The rendering context.
+     */
+    render(context) {
+        if (!this.visible) return;
+        context.save();
+        context.font = this.settings.font;
+        this.renderStatusBar(context);
+        this.renderPowerStatus(context);
+        context.restore();
+    }
+
+    /**
+     * Draws the score, coins, lives, level title and timer across the top.
+     * @param {CanvasRenderingContext2D} context - The rendering context.
+     */
+    renderStatusBar(context) {
+        const { game, settings } = this;
+        const width = context.canvas.width;
+        const fields = [
+            `SCORE ${String(game.score).padStart(6, '0')}`,
+            `COINS x${String(game.coins).padStart(2, '0')}`,
+            `LIVES x${Math.max(game.playerLives, 0)}`,
+            game.currentLevel ? game.currentLevel.meta.title.toUpperCase() : ''
+        ];
+
+        context.fillStyle = settings.backdrop;
+        context.fillRect(0, 0, width, 16);
+        context.fillStyle = settings.color;
+        context.textAlign = 'left';
+        fields.forEach((field, i) => context.fillText(field, 8 + i * 104, 11));
+
+        if (game.timeLeft !== null) {
+            const seconds = Math.ceil(game.timeLeft / TICKS_PER_SECOND);
+            context.fillStyle = seconds <= settings.hurrySeconds ? settings.hurryColor : settings.color;
+            context.textAlign = 'right';
+            context.fillText(`TIME ${seconds}`, width - 8, 11);
+        }
+    }
+
+    /**
+     * Draws the player's size and active effects under the status bar.
+     * @param {CanvasRenderingContext2D} context - The rendering context.
+     */
+    renderPowerStatus(context) {
+        const { game, settings } = this;
+        const lines = [{ label: PLAYER_SIZES[game.player.size].label, fraction: null }];
+        game.player.effects.serialize().forEach(effect => {
+            const stacks = effect.stacks > 1 ? ` x${effect.stacks}` : '';
+            const seconds = Math.ceil(effect.remaining * PHYSICS.FIXED_STEP / 1000);
+            lines.push({ label: `${PLAYER_EFFECTS[effect.name].label}${stacks} ${seconds}s`, fraction: effect.remaining / effect.duration });
+        });
+
+        context.textAlign = 'left';
+        lines.forEach((line, i) => {
+            const y = 22 + i * 14;
+            context.fillStyle = settings.backdrop;
+            context.fillRect(4, y - 2, 96, 13);
+            context.fillStyle = settings.color;
+            context.fillText(line.label, 8, y + 8);
+            if (line.fraction !== null) {
+                context.fillStyle = settings.barColor;
+                context.fillRect(4, y + 10, 96 * line.fraction, 1); // Time left
+            }
+        });
+    }
+}
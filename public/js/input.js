@@ -0,0 +1,374 @@
+/**
+ * InputManager - Maps keyboard, gamepad and touch controls to game actions.
+ * Devices are read once per update() into per-action state: held (down now), pressed (went
+ * down since the previous update) and released (went up since the previous update). Taps
+ * shorter than a frame still count as a press. Key bindings can be changed by the player
+ * and are remembered in localStorage. 'up' only moves through menus; its default keys also
+ * jump.
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Actions the game understands, in the order the controls are listed
+const INPUT_ACTIONS = ['left', 'right', 'up', 'down', 'jump', 'fire', 'pause', 'restart'];
+
+// Labels shown for each action in the controls list and on touch buttons
+const INPUT_ACTION_LABELS = {
+    left: 'Left',
+    right: 'Right',
+    up: 'Up',
+    down: 'Down',
+    jump: 'Jump',
+    fire: 'Fire',
+    pause: 'Pause',
+    restart: 'Restart'
+};
+
+// Action -> KeyboardEvent.code values
+const DEFAULT_KEY_BINDINGS = {
+    left: ['ArrowLeft', 'KeyA'],
+    right: ['ArrowRight', 'KeyD'],
+    up: ['ArrowUp', 'KeyW'],
+    down: ['ArrowDown', 'KeyS'],
+    jump: ['Space', 'ArrowUp', 'KeyW'],
+    fire: ['KeyF', 'KeyJ'],
+    pause: ['Escape', 'KeyP'],
+    restart: ['KeyR']
+};
+
+// Action -> button indices in the browser's "standard" gamepad layout
+const DEFAULT_GAMEPAD_BINDINGS = {
+    left: [14],             // D-pad left
+    right: [15],            // D-pad right
+    up: [12],               // D-pad up
+    down: [13],             // D-pad down
+    jump: [0],              // Bottom face button (A / Cross)
+    fire: [2, 1],           // Left or right face button
+    pause: [9],             // Start
+    restart: [8]            // Select / Back
+};
+
+// How far the left stick has to be pushed to count as a direction
+const GAMEPAD_AXIS_THRESHOLD = 0.5;
+
+// Actions that get an on-screen touch button
+const TOUCH_ACTIONS = ['left', 'right', 'down', 'jump', 'fire', 'pause'];
+
+// Where the player's key bindings are remembered
+const KEY_BINDINGS_STORAGE_KEY = 'pixelGameDev.keyBindings';
+
+/**
+ * Turns a KeyboardEvent.code into something readable (e.g. 'KeyA' -> 'A').
+ * @param {string} code - The key code.
+ * @returns {string}
+ */
+function describeKey(code) {
+    return code
+        .replace(/^Key/, '')
+        .replace(/^Digit/, '')
+        .replace(/^Arrow(.*)$/, '$1 arrow');
+}
+
+class InputManager {
+    /**
+     * @param {Object} [options] - Optional settings.
+     * @param {Storage} [options.storage=localStorage] - Where key bindings are saved (null to not save).
+     */
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.keyBindings = this.loadBindings();                 // Action -> key codes
+        this.gamepadBindings = { ...DEFAULT_GAMEPAD_BINDINGS }; // Action -> gamepad button indices
+        this.keysDown = new Set();              // Key codes down right now
+        this.keysTapped = new Set();            // Key codes that went down since the last update
+        this.touchesDown = new Set();           // Actions whose touch button is held
+        this.touchesTapped = new Set();         // Actions whose touch button went down since the last update
+        this.held = {};                         // Action -> down at the last update
+        this.pressed = {};                      // Action -> went down at the last update
+        this.released = {};                     // Action -> went up at the last update
+        this.capture = null;                    // { action, resolve } while waiting for a key to rebind
+        this.target = null;                     // Element the keyboard listeners are on
+        this.eventListeners = {};               // Event listeners collection
+
+        this._onKeyDown = (event) => this.handleKeyDown(event);
+        this._onKeyUp = (event) => this.keysDown.delete(event.code);
+        this._onBlur = () => this.reset(); // Keys let go in another window never send keyup
+    }
+
+    /**
+     * Starts listening to the keyboard.
+     * @param {EventTarget} [target=window] - Where key events are received.
+     */
+    attach(target = window) {
+        this.detach();
+        this.target = target;
+        target.addEventListener('keydown', this._onKeyDown);
+        target.addEventListener('keyup', this._onKeyUp);
+        target.addEventListener('blur', this._onBlur);
+    }
+
+    /**
+     * Stops listening to the keyboard.
+     */
+    detach() {
+        if (!this.target) return;
+        this.target.removeEventListener('keydown', this._onKeyDown);
+        this.target.removeEventListener('keyup', this._onKeyUp);
+        this.target.removeEventListener('blur', this._onBlur);
+        this.target = null;
+    }
+
+    /**
+     * Registers an event listener ('bindingsChanged').
+     * @param {string} event - The name of the event.
+     * @param {Function} callback - The callback function to execute when the event occurs.
+     */
+    on(event, callback) {
+        if (!this.eventListeners[event]) {
+            this.eventListeners[event] = [];
+        }
+        this.eventListeners[event].push(callback);
+    }
+
+    /**
+     * Emits an event, calling all registered callbacks with the provided arguments.
+     * @param {string} event - The name of the event to emit.
+     * @param {...*} args - The arguments to pass to the event callbacks.
+     */
+    emit(event, ...args) {
+        if (this.eventListeners[event]) {
+            this.eventListeners[event].forEach(callback => callback(...args));
+        }
+    }
+
+    /**
+     * Records a key going down, or finishes a rebind. Typing into form fields is ignored.
+     * @param {KeyboardEvent} event - The keyboard event object.
+     */
+    handleKeyDown(event) {
+        if (this.capture) {
+            event.preventDefault();
+            const { action, resolve } = this.capture;
+            this.capture = null;
+            if (event.code === 'Escape') {
+                resolve(null); // Cancelled
+            } else {
+                this.bind(action, event.code);
+                resolve(event.code);
+            }
+            return;
+        }
+
+        const tag = event.target && event.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+        if (!this.keysDown.has(event.code)) this.keysTapped.add(event.code); // Ignore key repeat
+        this.keysDown.add(event.code);
+    }
+
+    /**
+     * Reads every device and works out which actions were pressed, held and released since
+     * the previous update. Call once per frame.
+     */
+    update() {
+        const gamepad = this.getGamepad();
+
+        INPUT_ACTIONS.forEach(action => {
+            const down = this.keyBindings[action].some(code => this.keysDown.has(code) || this.keysTapped.has(code)) ||
+                this.touchesDown.has(action) || this.touchesTapped.has(action) ||
+                (gamepad !== null && this.isGamepadDown(gamepad, action));
+
+            this.pressed[action] = down && !this.held[action];
+            this.released[action] = !down && Boolean(this.held[action]);
+            this.held[action] = down;
+        });
+        this.keysTapped.clear();
+        this.touchesTapped.clear();
+    }
+
+    /**
+     * Whether an action is down.
+     * @param {string} action - One of INPUT_ACTIONS.
+     * @returns {boolean}
+     */
+    isHeld(action) {
+        return Boolean(this.held[action]);
+    }
+
+    /**
+     * Whether an action went down at the last update.
+     * @param {string} action - One of INPUT_ACTIONS.
+     * @returns {boolean}
+     */
+    wasPressed(action) {
+        return Boolean(this.pressed[action]);
+    }
+
+    /**
+     * Whether an action went up at the last update.
+     * @param {string} action - One of INPUT_ACTIONS.
+     * @returns {boolean}
+     */
+    wasReleased(action) {
+        return Boolean(this.released[action]);
+    }
+
+    /**
+     * Builds the input command for one simulation tick. Presses are used up by the first tick
+     * that reads them, so a frame that runs several ticks only jumps or fires once.
+     * @returns {Object} - { left, right, down, jump, jumpHeld, fire } (see createInput)
+     */
+    takeCommand() {
+        const command = {
+            left: this.isHeld('left'),
+            right: this.isHeld('right'),
+            down: this.isHeld('down'),
+            jump: this.wasPressed('jump'),
+            jumpHeld: this.isHeld('jump'),
+            fire: this.wasPressed('fire')
+        };
+        this.pressed.jump = false;
+        this.pressed.fire = false;
+        return command;
+    }
+
+    /**
+     * Forgets every key and button that is down, e.g. when the game starts or the window
+     * loses focus.
+     */
+    reset() {
+        this.keysDown.clear();
+        this.keysTapped.clear();
+        this.touchesDown.clear();
+        this.touchesTapped.clear();
+        this.held = {};
+        this.pressed = {};
+        this.released = {};
+    }
+
+    /**
+     * Gets the first connected gamepad.
+     * @returns {Gamepad|null}
+     */
+    getGamepad() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+        return Array.from(navigator.getGamepads()).find(gamepad => gamepad && gamepad.connected) || null;
+    }
+
+    /**
+     * Whether a gamepad is holding an action, by button or (for directions) the left stick.
+     * @param {Gamepad} gamepad - The gamepad.
+     * @param {string} action - One of INPUT_ACTIONS.
+     * @returns {boolean}
+     */
+    isGamepadDown(gamepad, action) {
+        const buttons = this.gamepadBindings[action] || [];
+        if (buttons.some(index => gamepad.buttons[index] && gamepad.buttons[index].pressed)) return true;
+
+        const stick = gamepad.axes[0] || 0;
+        if (action === 'left') return stick <= -GAMEPAD_AXIS_THRESHOLD;
+        if (action === 'right') return stick >= GAMEPAD_AXIS_THRESHOLD;
+        if (action === 'up') return (gamepad.axes[1] || 0) <= -GAMEPAD_AXIS_THRESHOLD;
+        if (action === 'down') return (gamepad.axes[1] || 0) >= GAMEPAD_AXIS_THRESHOLD;
+        return false;
+    }
+
+    /**
+     * Reads the saved key bindings, falling back to the defaults for anything missing.
+     * @returns {Object} - Action -> key codes.
+     */
+    loadBindings() {
+        const bindings = {};
+        let saved = null;
+        try {
+            saved = this.storage ? JSON.parse(this.storage.getItem(KEY_BINDINGS_STORAGE_KEY)) : null;
+        } catch (error) {
+            console.error('Ignoring unreadable key bindings:', error);
+        }
+
+        INPUT_ACTIONS.forEach(action => {
+            const codes = saved && saved[action];
+            const valid = Array.isArray(codes) && codes.every(code => typeof code === 'string');
+            bindings[action] = valid ? codes.slice() : DEFAULT_KEY_BINDINGS[action].slice();
+        });
+        return bindings;
+    }
+
+    /**
+     * Saves the key bindings.
+     */
+    saveBindings() {
+        if (this.storage) this.storage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify(this.keyBindings));
+    }
+
+    /**
+     * Makes a key the only key for an action, taking it away from any other action (which
+     * may leave that action without a key until it is rebound).
+     * @param {string} action - One of INPUT_ACTIONS.
+     * @param {string} code - The KeyboardEvent.code to use.
+     */
+    bind(action, code) {
+        if (!INPUT_ACTIONS.includes(action)) {
+            console.error(`Unknown input action "${action}".`);
+            return;
+        }
+        INPUT_ACTIONS.forEach(other => {
+            this.keyBindings[other] = this.keyBindings[other].filter(existing => existing !== code);
+        });
+        this.keyBindings[action] = [code];
+        this.saveBindings();
+        this.emit('bindingsChanged', this.keyBindings);
+    }
+
+    /**
+     * Restores the default key bindings.
+     */
+    resetBindings() {
+        INPUT_ACTIONS.forEach(action => {
+            this.keyBindings[action] = DEFAULT_KEY_BINDINGS[action].slice();
+        });
+        this.saveBindings();
+        this.emit('bindingsChanged', this.keyBindings);
+    }
+
+    /**
+     * Binds the next key pressed to an action. Escape cancels.
+     * @param {string} action - One of INPUT_ACTIONS.
+     * @returns {Promise<string|null>} - The key code bound, or null if cancelled.
+     */
+    captureNextKey(action) {
+        if (this.capture) this.capture.resolve(null); // Only one rebind at a time
+        return new Promise(resolve => {
+            this.capture = { action, resolve };
+        });
+    }
+
+    /**
+     * Adds on-screen buttons for touch screens.
+     * @param {HTMLElement} container - Element to put the buttons in (drawn over the canvas).
+     * @returns {HTMLElement} - The element holding the buttons.
+     */
+    attachTouchControls(container) {
+        const pad = document.createElement('div');
+        pad.className = 'touch-controls';
+
+        TOUCH_ACTIONS.forEach(action => {
+            const button = document.createElement('button');
+            button.className = `touch-${action}`;
+            button.textContent = INPUT_ACTION_LABELS[action];
+
+            const release = () => this.touchesDown.delete(action);
+            button.addEventListener('pointerdown', (event) => {
+                event.preventDefault(); // Keep the touch from scrolling or selecting text
+                this.touchesDown.add(action);
+                this.touchesTapped.add(action);
+            });
+            button.addEventListener('pointerup', release);
+            button.addEventListener('pointercancel', release);
+            button.addEventListener('pointerleave', release);
+            pad.appendChild(button);
+        });
+
+        container.appendChild(pad);
+        return pad;
+    }
+}
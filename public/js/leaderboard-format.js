@@ -0,0 +1,70 @@
+/**
+ * Leaderboard Format - The boards kept for every saved level, and what a run must be to go
+ * on them. A run is submitted as its replay (see replay-format.js); the server plays the
+ * replay back headlessly and ranks the time and score it really made, so a board only ever
+ * holds runs that can be watched back.
+ * Shared by the browser (deciding which runs to submit) and the server (checking them).
+ *
+ * Leaderboards: {
+ *   levelId, levelUpdated, day,              - levelUpdated: meta.updated of the level the runs were checked on;
+ *                                              day: the UTC date ('YYYY-MM-DD') the daily boards are for
+ *   daily:   { time: [entry], score: [entry] },
+ *   allTime: { time: [entry], score: [entry] }
+ * }
+ * Entry: { name, ticks, score, replayId, submitted } - ticks to clear the level, and the score made in it
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// What a board ranks: 'time' (fewest ticks to clear) and 'score' (most points made in the level)
+const LEADERBOARD_BOARDS = ['time', 'score'];
+
+// How long a board keeps its runs: 'daily' starts over every UTC day, 'allTime' never does
+const LEADERBOARD_PERIODS = ['daily', 'allTime'];
+
+// Limits that keep boards short and checking a run quick
+const LEADERBOARD_LIMITS = {
+    size: 10,                   // Entries per board, one per player name
+    maxTicks: 60 * 60 * 10      // Ten minutes at 60 ticks per second
+};
+
+/**
+ * Formats a run's time.
+ * @param {number} ticks - Simulation ticks.
+ * @param {number} ticksPerSecond - Ticks in a second (TICKS_PER_SECOND).
+ * @returns {string} - e.g. '1:05.3'
+ */
+function formatRunTime(ticks, ticksPerSecond) {
+    const tenths = Math.floor(ticks * 10 / ticksPerSecond);
+    const seconds = Math.floor(tenths / 10);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}.${tenths % 10}`;
+}
+
+/**
+ * Checks that a valid replay (see validateReplay) is a run the leaderboards take: one that
+ * cleared the level, starting small and without power-ups, within LEADERBOARD_LIMITS.maxTicks.
+ * @param {Object} replay - The replay of the run.
+ * @returns {string[]} - A list of problems; empty when the run can be submitted.
+ */
+function checkLeaderboardRun(replay) {
+    const errors = [];
+    const power = replay.start.power;
+    if (replay.outcome !== 'cleared') errors.push('Only runs that clear the level go on the leaderboards.');
+    if (replay.ticks > LEADERBOARD_LIMITS.maxTicks) errors.push(`Leaderboard runs can't be longer than ${LEADERBOARD_LIMITS.maxTicks} ticks.`);
+    if (power.size !== 'small' || power.hurtTicks || power.effects.length) {
+        errors.push('Leaderboard runs must start small and without power-ups.');
+    }
+    return errors;
+}
+
+// Shared with the server, which checks submitted runs with the same rules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LEADERBOARD_BOARDS,
+        LEADERBOARD_PERIODS,
+        LEADERBOARD_LIMITS,
+        formatRunTime,
+        checkLeaderboardRun
+    };
+}
@@ -0,0 +1,102 @@
+/**
+ * Leaderboards - Submits every run that can go on a level's leaderboards (see
+ * leaderboard-format.js) and shows how it placed on the stage-clear screen. The server plays
+ * each run's replay back before ranking it, so the ranks shown are for the time and score the
+ * run really made, not the ones the browser claims. Runs are ranked under the name of the
+ * player's online session (see NetClient), or as Anonymous without one.
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Entries of each all-time board listed on the stage-clear screen
+const CLEAR_SCREEN_LEADERS = 3;
+
+// Names of the periods on the stage-clear screen
+const LEADERBOARD_PERIOD_LABELS = { daily: 'TODAY', allTime: 'ALL TIME' };
+
+class LeaderboardReporter extends EventBus {
+    /**
+     * @param {DevGameMaker} game - The game whose stage-clear screen shows the ranks.
+     * @param {ReplayRecorder} recorder - Records the runs to submit.
+     * @param {Object} [options] - Optional settings.
+     * @param {Function} [options.getToken] - () => the session token to rank runs under, or null for Anonymous.
+     */
+    constructor(game, recorder, options = {}) {
+        super();
+        this.game = game;
+        this.getToken = options.getToken || (() => null);
+        this.latest = null;                     // { ranks, leaderboards } of the last run ranked
+        recorder.on('recorded', (replay) => this.submit(replay));
+    }
+
+    /**
+     * Submits a recorded run if it can go on the leaderboards. Emits 'ranked' ({ ranks,
+     * leaderboards }) once the server has checked it, or 'rejected' (Error).
+     * @param {Object} replay - The run's replay (see replay-format.js).
+     * @returns {Promise<Object|null>} - { ranks, leaderboards } (see LeaderboardStore.submit), or null
+     *     if the run wasn't submitted or didn't check out.
+     */
+    async submit(replay) {
+        if (checkLeaderboardRun(replay).length) return null; // Not a leaderboard run
+
+        const token = this.getToken();
+        this.show(['CHECKING RUN…']);
+        let result;
+        try {
+            const response = await fetch(`/api/leaderboards/${encodeURIComponent(replay.levelId)}/runs`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+                body: JSON.stringify(replay)
+            });
+            result = await response.json();
+            if (!response.ok) throw new Error((result.details || [result.error]).join(' '));
+        } catch (error) {
+            console.error(`Run was not ranked: ${error.message}`);
+            this.show(['RUN NOT RANKED', error.message]);
+            this.emit('rejected', error);
+            return null;
+        }
+
+        this.latest = result;
+        this.show(this.describe(result));
+        this.emit('ranked', result);
+        return result;
+    }
+
+    /**
+     * Builds the stage-clear lines for a ranked run: where it placed, then the best few
+     * all-time runs of each board.
+     * @param {Object} result - { ranks, leaderboards }
+     * @returns {string[]}
+     */
+    describe({ ranks, leaderboards }) {
+        const value = (board, entry) => board === 'time' ? formatRunTime(entry.ticks, TICKS_PER_SECOND) : String(entry.score);
+        const lines = [];
+
+        LEADERBOARD_BOARDS.forEach(board => {
+            const periods = LEADERBOARD_PERIODS.filter(period => ranks[period][board]);
+            if (!periods.length) return;
+            const entry = leaderboards[periods[0]][board][ranks[periods[0]][board] - 1];
+            const places = periods.map(period => `#${ranks[period][board]} ${LEADERBOARD_PERIOD_LABELS[period]}`);
+            lines.push(`NEW BEST ${board.toUpperCase()} ${value(board, entry)}: ${places.join(', ')}`);
+        });
+        if (!lines.length) lines.push('NO NEW RECORD');
+
+        LEADERBOARD_BOARDS.forEach(board => {
+            const leaders = leaderboards.allTime[board].slice(0, CLEAR_SCREEN_LEADERS)
+                .map((entry, i) => `${i + 1}. ${entry.name} ${value(board, entry)}`);
+            lines.push(`TOP ${board.toUpperCase()}S  ${leaders.join('  ')}`);
+        });
+        return lines;
+    }
+
+    /**
+     * Shows lines on the stage-clear screen, unless the game has moved on from it.
+     * @param {string[]} lines - The lines.
+     */
+    show(lines) {
+        const scenes = this.game.scenes;
+        if (scenes.name === 'levelClear') scenes.clearLines = lines;
+    }
+}
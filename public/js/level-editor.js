@@ -0,0 +1,969 @@
+/**
+ * LevelEditor - In-browser level editor for the Game Dev Central Hub.
+ * Paints tiles from the SpriteManager sheets into a TileMap, places entity spawns,
+ * keeps an undo/redo history and hands the level to DevGameMaker for playtesting.
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Tools available in the editor
+const EDITOR_TOOLS = ['paint', 'erase', 'fill', 'rect', 'enemy', 'powerUp', 'player', 'warp', 'goal', 'checkpoint'];
+
+// Tools that place entity spawns, mapped to their group in level.spawns
+const SPAWN_TOOLS = { enemy: 'enemies', powerUp: 'powerUps', player: 'player', goal: 'goals', checkpoint: 'checkpoints' };
+
+// Zoom factors the editor can display at
+const EDITOR_ZOOM_LEVELS = [1, 2, 3, 4];
+
+// Maximum number of undo steps kept
+const EDITOR_HISTORY_LIMIT = 100;
+
+// Marker colours for entity spawns drawn over the map
+const SPAWN_COLORS = { player: '#e52521', enemies: '#8b4513', powerUps: '#f8d000', goals: '#43b047', checkpoints: '#9e9e9e' };
+
+// Colour of warp markers and the lines to their destinations
+const WARP_COLOR = '#00a800';
+
+// Number of sprite items per row in the palette
+const PALETTE_COLUMNS = 8;
+
+// Largest size, in pixels, of the thumbnails rendered for the gallery
+const THUMBNAIL_WIDTH = 320;
+const THUMBNAIL_HEIGHT = 180;
+
+class LevelEditor {
+    /**
+     * @param {HTMLCanvasElement} canvas - The canvas the editor draws on and receives input from.
+     * @param {SpriteManager} spriteManager - The sprite manager providing the tile sheets.
+     * @param {DevGameMaker} game - The game used for playtesting.
+     */
+    constructor(canvas, spriteManager, game) {
+        this.canvas = canvas;                   // Editor canvas (shared with the game)
+        this.ctx = canvas.getContext('2d');     // Rendering context
+        this.spriteManager = spriteManager;     // Tile sheets
+        this.game = game;                       // Game used for playtests
+        this.level = null;                      // Level being edited (level-format.js)
+        this.map = null;                        // TileMap built from the level
+        this.tool = 'paint';                    // Active tool (see EDITOR_TOOLS)
+        this.layer = 'solid';                   // Active tile layer
+        this.selectedTile = null;               // Tile ID painted by the paint/fill/rect tools
+        this.enemyType = DEFAULT_ENEMY_TYPE;    // Type given to enemies placed with the enemy tool
+        this.powerUpType = DEFAULT_POWER_UP_TYPE; // Type given to power-ups placed with the power-up tool
+        this.goalType = DEFAULT_GOAL_TYPE;      // Type given to goals placed with the goal tool
+        this.warpEntry = 'down';                // How warps placed with the warp tool are entered (see LEVEL_WARP_ENTRIES)
+        this.warpLevel = '';                    // Level ID warps placed with the warp tool lead to ('' for this level)
+        this.zoom = 2;                          // Display scale
+        this.showGrid = true;                   // Whether to draw tile grid lines
+        this.view = [0, 0];                     // Scroll offset in world pixels
+        this.undoStack = [];                    // Applied edits, newest last
+        this.redoStack = [];                    // Undone edits, newest last
+        this.stroke = null;                     // Tile edit being recorded by a mouse drag
+        this.dragStart = null;                  // Tile where a rectangle drag began
+        this.draggedSpawn = null;               // Spawn being dragged: { group, index, before }
+        this.draggedWarp = null;                // Warp whose destination is being dragged: { warp, before }
+        this.hoverTile = null;                  // Tile under the mouse [col, row]
+        this.isPlaytesting = false;             // Whether a playtest is running
+        this.ghost = null;                      // GhostRunner raced during the playtest, if any
+        this.isSuspended = false;               // Whether the game currently owns the canvas
+        this.palette = null;                    // Palette container element
+        this.eventListeners = {};               // Event listeners collection
+        this._endPlaytest = () => this.endPlaytest(); // Bound once so it can be unregistered
+
+        this._bindInput();
+        this.newLevel();
+    }
+
+    /**
+     * Registers an event listener ('levelChanged', 'historyChanged', 'tileSelected', 'playtestStarted', 'playtestEnded').
+     * @param {string} event - The name of the event.
+     * @param {Function} callback - The callback function to execute when the event occurs.
+     */
+    on(event, callback) {
+        if (!this.eventListeners[event]) {
+            this.eventListeners[event] = [];
+        }
+        this.eventListeners[event].push(callback);
+    }
+
+    /**
+     * Emits an event, calling all registered callbacks with the provided arguments.
+     * @param {string} event - The name of the event to emit.
+     * @param {...*} args - The arguments to pass to the event callbacks.
+     */
+    emit(event, ...args) {
+        if (this.eventListeners[event]) {
+            this.eventListeners[event].forEach(callback => callback(...args));
+        }
+    }
+
+    /**
+     * Starts a new, empty level.
+     * @param {Object} [options] - Level options passed to createLevel (title, width, height).
+     */
+    newLevel(options = {}) {
+        this.load(createLevel(options));
+    }
+
+    /**
+     * Opens a level for editing and clears the undo history.
+     * @param {Object} level - The level data in any supported version.
+     * @returns {boolean} - True if the level was opened.
+     */
+    load(level) {
+        let migrated;
+        try {
+            migrated = migrateLevel(level);
+        } catch (error) {
+            console.error(`Could not open level: ${error.message}`);
+            return false;
+        }
+
+        const errors = validateLevel(migrated);
+        if (errors.length) {
+            console.error('Could not open level:', errors);
+            return false;
+        }
+
+        this.level = migrated;
+        this.map = new TileMap(migrated.meta.title, migrated.map.width, migrated.map.height, levelToMapOptions(migrated));
+        this.selectedTile = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.view = [0, 0];
+        this.emit('levelChanged', this.level);
+        this.emit('historyChanged');
+        this.render();
+        return true;
+    }
+
+    /**
+     * Builds a standalone copy of the level including the current map contents.
+     * @returns {Object} - The level data.
+     */
+    toLevel() {
+        const level = JSON.parse(JSON.stringify(this.level));
+        return applyMapToLevel(level, this.map);
+    }
+
+    /**
+     * Draws the whole map, scaled down to fit THUMBNAIL_WIDTH x THUMBNAIL_HEIGHT, for publishing
+     * the level to the gallery.
+     * @returns {string} - The thumbnail as a PNG data URL.
+     */
+    renderThumbnail() {
+        const scale = Math.min(THUMBNAIL_WIDTH / this.map.pixelWidth, THUMBNAIL_HEIGHT / this.map.pixelHeight, 1);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(this.map.pixelWidth * scale));
+        canvas.height = Math.max(1, Math.round(this.map.pixelHeight * scale));
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        this.map.render(ctx, this.spriteManager, 0, 0, TILE_LAYERS, this.map.pixelWidth, this.map.pixelHeight);
+        return canvas.toDataURL('image/png');
+    }
+
+    /**
+     * Saves the level to the server, creating it on first save.
+     * @returns {Promise<Object>} - The stored level as returned by the server.
+     */
+    async save() {
+        const level = this.toLevel();
+        const url = level.id ? `/api/levels/${level.id}` : '/api/levels';
+        const response = await fetch(url, {
+            method: level.id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(level)
+        });
+        const body = await response.json();
+        if (!response.ok) {
+            throw new Error((body.details || [body.error]).join('\n'));
+        }
+
+        this.level.id = body.id; // Later saves update the same level
+        this.level.meta = body.meta;
+        return body;
+    }
+
+    /**
+     * Loads a saved level from the server into the editor.
+     * @param {string} id - The level ID.
+     * @returns {Promise<boolean>} - True if the level was opened.
+     */
+    async open(id) {
+        const response = await fetch(`/api/levels/${encodeURIComponent(id)}`);
+        if (!response.ok) {
+            console.error(`Level "${id}" could not be fetched (${response.status}).`);
+            return false;
+        }
+        return this.load(await response.json());
+    }
+
+    /**
+     * Sets the active tool.
+     * @param {string} tool - One of EDITOR_TOOLS.
+     */
+    setTool(tool) {
+        if (!EDITOR_TOOLS.includes(tool)) return;
+        this.tool = tool;
+        this.render();
+    }
+
+    /**
+     * Sets the type of enemy the enemy tool places.
+     * @param {string} type - An enemy type from the catalog (see enemies.js).
+     */
+    setEnemyType(type) {
+        this.enemyType = type;
+        if (this.tool !== 'enemy') this.setTool('enemy'); // Picking a type implies placing it
+    }
+
+    /**
+     * Sets the type of power-up the power-up tool places.
+     * @param {string} type - One of POWER_UP_TYPES (see power-ups.js).
+     */
+    setPowerUpType(type) {
+        this.powerUpType = type;
+        if (this.tool !== 'powerUp') this.setTool('powerUp'); // Picking a type implies placing it
+    }
+
+    /**
+     * Sets the type of goal the goal tool places.
+     * @param {string} type - One of GOAL_TYPES (see progression.js).
+     */
+    setGoalType(type) {
+        this.goalType = type;
+        if (this.tool !== 'goal') this.setTool('goal'); // Picking a type implies placing it
+    }
+
+    /**
+     * Sets what warps placed with the warp tool do.
+     * @param {string} entry - How they are entered: one of LEVEL_WARP_ENTRIES.
+     * @param {string} [level=''] - ID of the level they lead to, or '' for this level.
+     */
+    setWarpOptions(entry, level = '') {
+        if (LEVEL_WARP_ENTRIES.includes(entry)) this.warpEntry = entry;
+        this.warpLevel = level.trim();
+        if (this.tool !== 'warp') this.setTool('warp'); // Changing warps implies placing them
+    }
+
+    /**
+     * Sets the tile layer the tile tools edit.
+     * @param {string} layer - One of TILE_LAYERS.
+     */
+    setLayer(layer) {
+        if (!TILE_LAYERS.includes(layer)) return;
+        this.layer = layer;
+        this.render();
+    }
+
+    /**
+     * Sets the display zoom.
+     * @param {number} zoom - One of EDITOR_ZOOM_LEVELS.
+     */
+    setZoom(zoom) {
+        if (!EDITOR_ZOOM_LEVELS.includes(zoom)) return;
+        this.zoom = zoom;
+        this.scrollBy(0, 0); // Re-clamp the view for the new visible area
+    }
+
+    /**
+     * Shows or hides the tile grid.
+     * @param {boolean} visible - Whether the grid is drawn.
+     */
+    setGrid(visible) {
+        this.showGrid = visible;
+        this.render();
+    }
+
+    /**
+     * Sets the level's theme, redrawing the map and palette in it.
+     * @param {string} theme - One of LEVEL_THEMES.
+     */
+    setTheme(theme) {
+        if (!LEVEL_THEMES.includes(theme)) return;
+        this.level.theme = theme;
+        this.map.theme = theme;
+        this.renderPalette();
+        this.render();
+    }
+
+    /**
+     * Scrolls the view, keeping it inside the map.
+     * @param {number} dx - Horizontal distance in world pixels.
+     * @param {number} dy - Vertical distance in world pixels.
+     */
+    scrollBy(dx, dy) {
+        const maxX = Math.max(0, this.map.pixelWidth - this.canvas.width / this.zoom);
+        const maxY = Math.max(0, this.map.pixelHeight - this.canvas.height / this.zoom);
+        this.view[0] = Math.min(Math.max(this.view[0] + dx, 0), maxX);
+        this.view[1] = Math.min(Math.max(this.view[1] + dy, 0), maxY);
+        this.render();
+    }
+
+    /**
+     * Selects a sprite sheet item as the current tile, adding it to the level's tileset if needed.
+     * @param {string} type - The sprite type.
+     * @param {number} item - The item index within the sheet.
+     * @returns {number} - The tile ID of the selection.
+     */
+    selectTile(type, item) {
+        let id = Object.keys(this.map.tiles).map(Number)
+            .find(tileId => this.map.tiles[tileId].sprite.type === type && this.map.tiles[tileId].sprite.item === item);
+
+        if (id === undefined) {
+            id = Object.keys(this.map.tiles).reduce((max, tileId) => Math.max(max, Number(tileId)), 0) + 1;
+            this.map.defineTile(id, { sprite: { type, item }, solid: this.layer === 'solid' });
+        }
+
+        this.selectedTile = id;
+        if (SPAWN_TOOLS[this.tool] || this.tool === 'erase') {
+            this.tool = 'paint'; // Picking a tile implies painting with it
+        }
+        this.emit('tileSelected', id, this.map.tiles[id]);
+        this.renderPalette();
+        return id;
+    }
+
+    /**
+     * Changes the flags (solid, oneWay, hazard, breakable, slope, behaviour, contents, usedTile) of the selected tile.
+     * @param {Object} flags - The flags to change.
+     */
+    updateSelectedTile(flags) {
+        if (this.selectedTile === null) return;
+        this.map.defineTile(this.selectedTile, { ...this.map.tiles[this.selectedTile], ...flags });
+        this.emit('tileSelected', this.selectedTile, this.map.tiles[this.selectedTile]);
+    }
+
+    /**
+     * Builds the tile palette from the sliced sprite sheets in the SpriteManager.
+     * Call again once more sheets have finished loading.
+     * @param {HTMLElement} container - The element to fill with palette canvases.
+     * @param {string[]} [types] - Sheets to offer as tiles (defaults to every sheet).
+     */
+    buildPalette(container, types = Object.keys(this.spriteManager.sprites)) {
+        this.palette = container;
+        container.innerHTML = '';
+
+        types.forEach(type => {
+            const sheet = this.spriteManager.sprites[type];
+            if (!sheet || !sheet.items.length) return; // Unknown or empty sheet
+
+            const rows = Math.ceil(sheet.items.length / PALETTE_COLUMNS);
+            const paletteCanvas = document.createElement('canvas');
+            paletteCanvas.width = PALETTE_COLUMNS * 32;
+            paletteCanvas.height = rows * 32;
+            paletteCanvas.title = type;
+            paletteCanvas.dataset.type = type;
+            paletteCanvas.addEventListener('click', (event) => {
+                const rect = paletteCanvas.getBoundingClientRect();
+                const col = Math.floor((event.clientX - rect.left) / 32);
+                const row = Math.floor((event.clientY - rect.top) / 32);
+                const item = row * PALETTE_COLUMNS + col;
+                if (sheet.items[item]) this.selectTile(type, item);
+            });
+
+            const label = document.createElement('div');
+            label.textContent = type;
+            container.appendChild(label);
+            container.appendChild(paletteCanvas);
+        });
+
+        this.renderPalette();
+    }
+
+    /**
+     * Redraws the palette canvases, highlighting the selected tile.
+     */
+    renderPalette() {
+        if (!this.palette) return;
+        const selected = this.selectedTile !== null ? this.map.tiles[this.selectedTile].sprite : null;
+
+        this.palette.querySelectorAll('canvas').forEach(paletteCanvas => {
+            const type = paletteCanvas.dataset.type;
+            const ctx = paletteCanvas.getContext('2d');
+            ctx.imageSmoothingEnabled = false;
+            ctx.clearRect(0, 0, paletteCanvas.width, paletteCanvas.height);
+
+            this.spriteManager.sprites[type].items.forEach((position, item) => {
+                const x = (item % PALETTE_COLUMNS) * 32;
+                const y = Math.floor(item / PALETTE_COLUMNS) * 32;
+                this.spriteManager.drawSprite(ctx, type, item, x, y, 32, 32, false, { palette: this.map.theme });
+                if (selected && selected.type === type && selected.item === item) {
+                    ctx.strokeStyle = '#ff0000';
+                    ctx.lineWidth = 2;
+                    ctx.strokeRect(x + 1, y + 1, 30, 30);
+                }
+            });
+        });
+    }
+
+    /**
+     * Undoes the most recent edit.
+     */
+    undo() {
+        const edit = this.undoStack.pop();
+        if (!edit) return;
+        this._applyEdit(edit, 'before');
+        this.redoStack.push(edit);
+        this.emit('historyChanged');
+        this.render();
+    }
+
+    /**
+     * Redoes the most recently undone edit.
+     */
+    redo() {
+        const edit = this.redoStack.pop();
+        if (!edit) return;
+        this._applyEdit(edit, 'after');
+        this.undoStack.push(edit);
+        this.emit('historyChanged');
+        this.render();
+    }
+
+    /**
+     * Hands the current level to DevGameMaker, starting the player at the tile under the
+     * mouse (or the top-left of the view). The editor returns when the test ends.
+     */
+    playtest() {
+        if (this.isPlaytesting) return;
+
+        const level = this.toLevel();
+        const ts = this.map.tileSize;
+        const [col, row] = this.hoverTile || this.map.worldToTile(this.view[0] + ts, this.view[1] + ts);
+        level.spawns.player = { x: col * ts, y: row * ts };
+        level.next = null; // Only this level is being tested
+
+        this.game.world = null;
+        if (!this.game.loadLevel(level)) return;
+
+        this.game.camera.moveTo(this.view[0], this.view[1]); // Start from the editor's view and scroll to the player
+        this._startPlaying('playing');
+    }
+
+    /**
+     * Plays saved levels one after another from the game's title screen, starting at one of
+     * them. Ends like a playtest.
+     * @param {WorldMap} world - The levels to play (see progression.js).
+     * @param {string} [id] - The level to start at (defaults to the first).
+     * @returns {Promise<boolean>} - False if the level couldn't be loaded.
+     */
+    async playWorld(world, id) {
+        if (this.isPlaytesting) return false;
+        if (!await this.game.playWorld(world, id)) return false;
+        this._startPlaying('title');
+        return true;
+    }
+
+    /**
+     * Watches a replay in the game. Ends like a playtest.
+     * @param {Object} replay - The replay (see replay-format.js).
+     * @returns {Promise<boolean>} - False if its level couldn't be loaded.
+     */
+    async watchReplay(replay) {
+        if (this.isPlaytesting) return false;
+        if (!await this.game.watchReplay(replay)) return false;
+        this._startPlaying('replay');
+        return true;
+    }
+
+    /**
+     * Plays a replay's level with the replay racing alongside as a ghost. Ends like a playtest.
+     * @param {Object} replay - The replay (see replay-format.js).
+     * @returns {Promise<boolean>} - False if its level couldn't be loaded.
+     */
+    async raceGhost(replay) {
+        if (this.isPlaytesting) return false;
+        this.game.world = null;
+        if (!await this.game.openLevel(replay.levelId)) return false;
+        this.ghost = new GhostRunner(replay, this.game.currentLevel);
+        this.ghost.attach(this.game);
+        this._startPlaying('playing');
+        return true;
+    }
+
+    /**
+     * Gives the canvas to the game and starts it. Quitting from the game's menus ends the test.
+     * @param {string} scene - The scene the game starts in (see scenes.js).
+     * @private
+     */
+    _startPlaying(scene) {
+        this.isPlaytesting = true;
+        this.suspend();
+        this.game.on('gameQuit', this._endPlaytest);
+        this.game.start(scene);
+        this.emit('playtestStarted');
+    }
+
+    /**
+     * Stops a running playtest and gives the canvas back to the editor.
+     */
+    endPlaytest() {
+        if (!this.isPlaytesting) return;
+
+        this.game.off('gameQuit', this._endPlaytest);
+        this.game.stop();
+        this.game.stopReplay();
+        if (this.ghost) this.ghost.detach();
+        this.ghost = null;
+        this.isPlaytesting = false;
+        this.resume();
+        this.emit('playtestEnded');
+    }
+
+    /**
+     * Stops handling input and drawing so the game can use the canvas.
+     */
+    suspend() {
+        this.isSuspended = true;
+        this.stroke = null;
+        this.dragStart = null;
+        this.draggedSpawn = null;
+        this.draggedWarp = null;
+    }
+
+    /**
+     * Takes the canvas back after a suspend().
+     */
+    resume() {
+        this.isSuspended = false;
+        this.render();
+    }
+
+    /**
+     * Draws the map, grid, spawns and tool previews.
+     */
+    render() {
+        if (this.isSuspended || !this.map) return;
+
+        const ctx = this.ctx;
+        const ts = this.map.tileSize;
+        const [vX, vY] = this.view;
+
+        ctx.save();
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.imageSmoothingEnabled = false;
+        ctx.scale(this.zoom, this.zoom);
+
+        // Layers other than the active one are dimmed
+        TILE_LAYERS.forEach(layer => {
+            ctx.globalAlpha = layer === this.layer ? 1 : 0.4;
+            this.map.renderLayer(ctx, this.spriteManager, layer, vX, vY, this.canvas.width / this.zoom, this.canvas.height / this.zoom);
+        });
+        ctx.globalAlpha = 1;
+
+        if (this.showGrid) {
+            this._renderGrid(ctx, ts, vX, vY);
+        }
+        this._renderWarps(ctx, ts, vX, vY);
+        this._renderSpawns(ctx, ts, vX, vY);
+
+        // Rectangle preview or hovered tile outline
+        ctx.lineWidth = 1 / this.zoom;
+        ctx.strokeStyle = '#ff0000';
+        if (this.dragStart && this.hoverTile) {
+            const [x, y, w, h] = this._rectBetween(this.dragStart, this.hoverTile);
+            ctx.strokeRect(x * ts - vX, y * ts - vY, w * ts, h * ts);
+        } else if (this.hoverTile) {
+            ctx.strokeRect(this.hoverTile[0] * ts - vX, this.hoverTile[1] * ts - vY, ts, ts);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draws tile grid lines over the visible area.
+     * @private
+     */
+    _renderGrid(ctx, ts, vX, vY) {
+        const right = Math.min(this.map.pixelWidth, vX + this.canvas.width / this.zoom);
+        const bottom = Math.min(this.map.pixelHeight, vY + this.canvas.height / this.zoom);
+
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.15)';
+        ctx.lineWidth = 1 / this.zoom;
+        ctx.beginPath();
+        for (let x = Math.floor(vX / ts) * ts; x <= right; x += ts) {
+            ctx.moveTo(x - vX, 0);
+            ctx.lineTo(x - vX, bottom - vY);
+        }
+        for (let y = Math.floor(vY / ts) * ts; y <= bottom; y += ts) {
+            ctx.moveTo(0, y - vY);
+            ctx.lineTo(right - vX, y - vY);
+        }
+        ctx.stroke();
+    }
+
+    /**
+     * Draws a marker for every entity spawn.
+     * @private
+     */
+    _renderSpawns(ctx, ts, vX, vY) {
+        const drawMarker = (spawn, color, label) => {
+            ctx.fillStyle = color;
+            ctx.fillRect(spawn.x - vX + 2, spawn.y - vY + 2, ts - 4, ts - 4);
+            ctx.fillStyle = '#ffffff';
+            ctx.font = `${Math.floor(ts / 2)}px monospace`;
+            ctx.fillText(label, spawn.x - vX + ts / 4, spawn.y - vY + ts * 0.7);
+        };
+
+        const { spawns } = this.level;
+        spawns.enemies.forEach(spawn => drawMarker(spawn, SPAWN_COLORS.enemies, (spawn.type || DEFAULT_ENEMY_TYPE)[0].toUpperCase()));
+        spawns.powerUps.forEach(spawn => drawMarker(spawn, SPAWN_COLORS.powerUps, (spawn.type || DEFAULT_POWER_UP_TYPE)[0].toUpperCase()));
+        spawns.goals.forEach(spawn => drawMarker(spawn, SPAWN_COLORS.goals, (spawn.type || DEFAULT_GOAL_TYPE)[0].toUpperCase()));
+        spawns.checkpoints.forEach(spawn => drawMarker(spawn, SPAWN_COLORS.checkpoints, 'C'));
+        drawMarker(spawns.player, SPAWN_COLORS.player, 'S');
+    }
+
+    /**
+     * Draws a marker on every warp, with a line to its destination when it's in this level.
+     * @private
+     */
+    _renderWarps(ctx, ts, vX, vY) {
+        ctx.strokeStyle = WARP_COLOR;
+        ctx.fillStyle = WARP_COLOR;
+        ctx.lineWidth = 1 / this.zoom;
+        ctx.font = `${Math.floor(ts / 2)}px monospace`;
+        this.level.warps.forEach(warp => {
+            const x = warp.col * ts - vX;
+            const y = warp.row * ts - vY;
+            ctx.strokeRect(x + 1, y + 1, ts - 2, ts - 2);
+            ctx.fillText(warp.to.level ? 'L' : 'W', x + ts / 4, y + ts * 0.7); // L: leads to another level
+            if (warp.to.level) return;
+
+            ctx.beginPath();
+            ctx.moveTo(x + ts / 2, y + ts / 2);
+            ctx.lineTo(warp.to.x - vX + ts / 2, warp.to.y - vY + ts / 2);
+            ctx.stroke();
+            ctx.strokeRect(warp.to.x - vX + ts / 4, warp.to.y - vY + ts / 4, ts / 2, ts / 2);
+        });
+    }
+
+    /**
+     * Wires mouse and keyboard input on the canvas.
+     * @private
+     */
+    _bindInput() {
+        this.canvas.addEventListener('mousedown', (event) => this._onMouseDown(event));
+        this.canvas.addEventListener('mousemove', (event) => this._onMouseMove(event));
+        window.addEventListener('mouseup', () => this._onMouseUp());
+        this.canvas.addEventListener('mouseleave', () => {
+            this.hoverTile = null;
+            this.render();
+        });
+        this.canvas.addEventListener('contextmenu', (event) => event.preventDefault());
+        this.canvas.addEventListener('wheel', (event) => {
+            if (this.isSuspended) return;
+            event.preventDefault();
+            if (event.shiftKey) {
+                this.scrollBy(event.deltaY, 0); // Shift + wheel scrolls sideways
+            } else {
+                this.scrollBy(event.deltaX, event.deltaY);
+            }
+        }, { passive: false });
+        window.addEventListener('keydown', (event) => this._onKeyDown(event));
+    }
+
+    /**
+     * Converts a mouse event to the tile coordinate under the pointer.
+     * @param {MouseEvent} event - The mouse event.
+     * @returns {number[]} - [col, row]
+     * @private
+     */
+    _eventToTile(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const scaleX = this.canvas.width / rect.width;
+        const scaleY = this.canvas.height / rect.height;
+        const worldX = (event.clientX - rect.left) * scaleX / this.zoom + this.view[0];
+        const worldY = (event.clientY - rect.top) * scaleY / this.zoom + this.view[1];
+        return this.map.worldToTile(worldX, worldY);
+    }
+
+    /**
+     * Starts the action of the active tool.
+     * @private
+     */
+    _onMouseDown(event) {
+        if (this.isSuspended) return;
+        const [col, row] = this._eventToTile(event);
+        if (!this.map.inBounds(col, row)) return;
+        const erasing = event.button === 2; // Right mouse button always erases
+
+        const group = SPAWN_TOOLS[this.tool];
+        if (group) {
+            this._beginSpawnDrag(group, col, row, erasing);
+            return;
+        }
+        if (this.tool === 'warp') {
+            this._beginWarpDrag(col, row, erasing);
+            return;
+        }
+
+        switch (erasing ? 'erase' : this.tool) {
+            case 'paint':
+            case 'erase':
+                this.stroke = { type: 'tiles', layer: this.layer, changes: new Map(), erase: erasing || this.tool === 'erase' };
+                this._paintAt(col, row);
+                break;
+            case 'fill':
+                this._floodFill(col, row);
+                break;
+            case 'rect':
+                this.dragStart = [col, row];
+                break;
+        }
+        this.render();
+    }
+
+    /**
+     * Continues the active tool's drag and tracks the hovered tile.
+     * @private
+     */
+    _onMouseMove(event) {
+        if (this.isSuspended) return;
+        const [col, row] = this._eventToTile(event);
+        this.hoverTile = this.map.inBounds(col, row) ? [col, row] : null;
+
+        if (this.stroke && this.hoverTile) {
+            this._paintAt(col, row);
+        } else if (this.draggedSpawn && this.hoverTile) {
+            const spawn = this._getSpawn(this.draggedSpawn.group, this.draggedSpawn.index);
+            spawn.x = col * this.map.tileSize;
+            spawn.y = row * this.map.tileSize;
+        } else if (this.draggedWarp && this.draggedWarp.warp && this.hoverTile && !this.draggedWarp.warp.to.level) {
+            this.draggedWarp.warp.to.x = col * this.map.tileSize;
+            this.draggedWarp.warp.to.y = row * this.map.tileSize;
+        }
+        this.render();
+    }
+
+    /**
+     * Finishes the active tool's drag and records it in the history.
+     * @private
+     */
+    _onMouseUp() {
+        if (this.stroke) {
+            if (this.stroke.changes.size) {
+                this._pushEdit({
+                    type: 'tiles',
+                    layer: this.stroke.layer,
+                    changes: Array.from(this.stroke.changes, ([index, change]) => [index, change.before, change.after])
+                });
+            }
+            this.stroke = null;
+        }
+
+        if (this.dragStart && this.hoverTile) {
+            const [x, y, w, h] = this._rectBetween(this.dragStart, this.hoverTile);
+            const changes = this._recordTileChanges(this.layer, () => this.map.fillRect(this.layer, x, y, w, h, this.selectedTile || EMPTY_TILE));
+            if (changes.length) this._pushEdit({ type: 'tiles', layer: this.layer, changes });
+        }
+        this.dragStart = null;
+
+        if (this.draggedSpawn) {
+            const after = JSON.stringify(this.level.spawns);
+            if (after !== this.draggedSpawn.before) {
+                this._pushEdit({ type: 'spawns', before: this.draggedSpawn.before, after });
+            }
+            this.draggedSpawn = null;
+        }
+
+        if (this.draggedWarp) {
+            const after = JSON.stringify(this.level.warps);
+            if (after !== this.draggedWarp.before) {
+                this._pushEdit({ type: 'warps', before: this.draggedWarp.before, after });
+            }
+            this.draggedWarp = null;
+        }
+        this.render();
+    }
+
+    /**
+     * Handles editor keyboard shortcuts: undo/redo and arrow-key scrolling.
+     * @private
+     */
+    _onKeyDown(event) {
+        if (this.isSuspended || /^(INPUT|SELECT|TEXTAREA)$/.test(event.target.tagName)) return;
+        const step = this.map.tileSize * 4;
+
+        if ((event.ctrlKey || event.metaKey) && event.code === 'KeyZ') {
+            event.shiftKey ? this.redo() : this.undo();
+        } else if ((event.ctrlKey || event.metaKey) && event.code === 'KeyY') {
+            this.redo();
+        } else if (event.code === 'ArrowLeft') {
+            this.scrollBy(-step, 0);
+        } else if (event.code === 'ArrowRight') {
+            this.scrollBy(step, 0);
+        } else if (event.code === 'ArrowUp') {
+            this.scrollBy(0, -step);
+        } else if (event.code === 'ArrowDown') {
+            this.scrollBy(0, step);
+        } else {
+            return;
+        }
+        event.preventDefault();
+    }
+
+    /**
+     * Paints or erases one tile as part of the current stroke.
+     * @private
+     */
+    _paintAt(col, row) {
+        const { layer, changes, erase } = this.stroke;
+        const id = erase ? EMPTY_TILE : this.selectedTile;
+        if (id === null) return; // Nothing selected to paint with
+
+        const index = row * this.map.width + col;
+        const before = this.map.getTile(layer, col, row);
+        if (this.map.setTile(layer, col, row, id)) {
+            const change = changes.get(index);
+            changes.set(index, { before: change ? change.before : before, after: id });
+        }
+    }
+
+    /**
+     * Replaces the connected region of identical tiles with the selected tile.
+     * @private
+     */
+    _floodFill(col, row) {
+        const target = this.map.getTile(this.layer, col, row);
+        const id = this.selectedTile;
+        if (id === null || id === target) return;
+
+        const changes = this._recordTileChanges(this.layer, () => {
+            const queue = [[col, row]];
+            while (queue.length) {
+                const [x, y] = queue.pop();
+                if (!this.map.inBounds(x, y) || this.map.getTile(this.layer, x, y) !== target) continue;
+                this.map.setTile(this.layer, x, y, id);
+                queue.push([x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]);
+            }
+        });
+        this._pushEdit({ type: 'tiles', layer: this.layer, changes });
+    }
+
+    /**
+     * Runs a map mutation and returns the per-tile changes it made to a layer.
+     * @param {string} layer - The layer being changed.
+     * @param {Function} mutate - The function that changes the map.
+     * @returns {Array[]} - [index, before, after] for every changed tile.
+     * @private
+     */
+    _recordTileChanges(layer, mutate) {
+        const before = this.map.layers[layer].slice();
+        mutate();
+        const after = this.map.layers[layer];
+        const changes = [];
+        for (let i = 0; i < after.length; i++) {
+            if (before[i] !== after[i]) changes.push([i, before[i], after[i]]);
+        }
+        return changes;
+    }
+
+    /**
+     * Picks up an existing spawn under the pointer, places a new one, or removes one.
+     * @param {string} group - 'player' or a group of LEVEL_SPAWN_GROUPS.
+     * @param {number} col - Column under the pointer.
+     * @param {number} row - Row under the pointer.
+     * @param {boolean} remove - Whether to delete the spawn instead.
+     * @private
+     */
+    _beginSpawnDrag(group, col, row, remove) {
+        const ts = this.map.tileSize;
+        const before = JSON.stringify(this.level.spawns);
+        const x = col * ts;
+        const y = row * ts;
+
+        if (group === 'player') {
+            this.draggedSpawn = { group, index: 0, before };
+            Object.assign(this.level.spawns.player, { x, y });
+        } else {
+            const list = this.level.spawns[group];
+            const index = list.findIndex(spawn => spawn.x === x && spawn.y === y);
+            if (remove) {
+                if (index !== -1) list.splice(index, 1);
+                this.draggedSpawn = { group, index: -1, before }; // Recorded on mouse up
+            } else if (index !== -1) {
+                this.draggedSpawn = { group, index, before };
+            } else {
+                const type = { enemies: this.enemyType, powerUps: this.powerUpType, goals: this.goalType }[group];
+                const spawn = type ? { type, x, y } : { x, y }; // Checkpoints have no type
+                list.push(spawn);
+                this.draggedSpawn = { group, index: list.length - 1, before };
+            }
+        }
+        this.render();
+    }
+
+    /**
+     * Starts a warp from the tile under the pointer (replacing any warp already there) and
+     * drags its destination, or removes the warp there. Warps to another level have no
+     * destination to drag; the player arrives at that level's start.
+     * @param {number} col - Column under the pointer.
+     * @param {number} row - Row under the pointer.
+     * @param {boolean} remove - Whether to delete the warp instead.
+     * @private
+     */
+    _beginWarpDrag(col, row, remove) {
+        const ts = this.map.tileSize;
+        const before = JSON.stringify(this.level.warps);
+        this.level.warps = this.level.warps.filter(warp => warp.col !== col || warp.row !== row);
+
+        if (remove) {
+            this.draggedWarp = { warp: null, before }; // Recorded on mouse up
+        } else {
+            const to = this.warpLevel ? { level: this.warpLevel } : { x: col * ts, y: row * ts };
+            const warp = { col, row, enter: this.warpEntry, to };
+            this.level.warps.push(warp);
+            this.draggedWarp = { warp, before };
+        }
+        this.render();
+    }
+
+    /**
+     * Gets a spawn by group and index.
+     * @private
+     */
+    _getSpawn(group, index) {
+        return group === 'player' ? this.level.spawns.player : (this.level.spawns[group][index] || {});
+    }
+
+    /**
+     * Adds an edit to the undo history and clears the redo history.
+     * @private
+     */
+    _pushEdit(edit) {
+        this.undoStack.push(edit);
+        if (this.undoStack.length > EDITOR_HISTORY_LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.emit('historyChanged');
+    }
+
+    /**
+     * Applies one side ('before' or 'after') of a recorded edit.
+     * @private
+     */
+    _applyEdit(edit, side) {
+        if (edit.type === 'tiles') {
+            const tiles = this.map.layers[edit.layer];
+            edit.changes.forEach(([index, before, after]) => {
+                tiles[index] = side === 'before' ? before : after;
+            });
+        } else if (edit.type === 'spawns') {
+            this.level.spawns = JSON.parse(edit[side]);
+        } else if (edit.type === 'warps') {
+            this.level.warps = JSON.parse(edit[side]);
+        }
+    }
+
+    /**
+     * Normalises two corner tiles into a rectangle.
+     * @returns {number[]} - [col, row, cols, rows]
+     * @private
+     */
+    _rectBetween([x1, y1], [x2, y2]) {
+        return [Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1) + 1, Math.abs(y2 - y1) + 1];
+    }
+}
@@ -0,0 +1,419 @@
+/**
+ * Level Format - Versioned JSON schema for DevGameMaker levels.
+ * Shared by the browser (saving/loading maps) and the server (validating uploads), so a
+ * level accepted by one side is always readable by the other.
+ *
+ * Current layout (version 6):
+ * {
+ *   version: 6,
+ *   id: 'my-level-x1y2',                       // Assigned by the server
+ *   meta: { title, author, description, created, updated },
+ *   map: { width, height, tileSize, layers: { background: [], solid: [], foreground: [] } },
+ *   tileset: { '<tileId>': { sprite: { type, item }, solid, oneWay, hazard, breakable, slope, behaviour, contents, usedTile } },
+ *   spawns: { player: { x, y }, enemies: [{ type, x, y }], powerUps: [{ type, x, y }],
+ *             goals: [{ type, x, y }], checkpoints: [{ x, y }] },  // Goals clear the level (see progression.js)
+ *   music: 'aboveground_bgm',                   // One of LEVEL_MUSIC, or null
+ *   theme: 'day',                               // One of LEVEL_THEMES: the palette tiles and backgrounds are drawn in
+ *   camera: { lockRegions: [{ x, y, width, height }] }, // World-pixel areas the camera stays inside
+ *   backgrounds: [{ sprite: { type, item }, factor, y }], // Parallax layers, farthest first
+ *   warps: [{ col, row, enter, to: { x, y, level } }],  // Where each warp tile leads (see tile-behaviours.js)
+ *   timeLimit: 300,                             // Seconds to clear the level in, or null for no limit
+ *   next: null                                  // ID of the level that follows when it isn't played in a world
+ * }
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Version written by this build; older files are migrated up to it
+const LEVEL_FORMAT_VERSION = 6;
+
+// Layer names stored in a level file, in draw order
+const LEVEL_LAYERS = ['background', 'solid', 'foreground'];
+
+// Background music tracks bundled in public/sounds
+const LEVEL_MUSIC = ['aboveground_bgm', 'underground_bgm'];
+
+// Themes a level's tiles can be drawn in, as palettes of the tile sheets (see palettes.js); the first is the art as drawn
+const LEVEL_THEMES = ['day', 'night', 'underground'];
+
+// Interactive tile behaviours a tileset entry may name (implemented in tile-behaviours.js)
+const LEVEL_TILE_BEHAVIOURS = ['question', 'brick', 'coin', 'warp'];
+
+// How a warp is entered: holding down while standing on it (pipes), or by walking into it (doors)
+const LEVEL_WARP_ENTRIES = ['down', 'overlap'];
+
+// Goal types a goal spawn may name (implemented in progression.js)
+const LEVEL_GOAL_TYPES = ['flagpole', 'door'];
+
+// Spawn groups other than the player start, each a list of { type, x, y }
+const LEVEL_SPAWN_GROUPS = ['enemies', 'powerUps', 'goals', 'checkpoints'];
+
+// Size limits that keep uploads and in-memory maps reasonable
+const LEVEL_LIMITS = {
+    maxWidth: 1000,         // Tiles
+    maxHeight: 200,         // Tiles
+    maxTileSize: 64,        // Pixels
+    maxTileId: 65535,
+    maxEntities: 500,       // Enemies, power-ups, goals and checkpoints
+    maxLockRegions: 50,
+    maxBackgrounds: 8,
+    maxWarps: 100,
+    maxTimeLimit: 9999,     // Seconds
+    maxTextLength: 500      // Title, author and description
+};
+
+/**
+ * Migrations keyed by the version they upgrade from.
+ * Each one receives a level of that version and returns the next version.
+ */
+const LEVEL_MIGRATIONS = {
+    // Version 1 stored a single solid grid and a bare player start. Its size is checked before
+    // the new layers are allocated, since validation only runs once migration has finished.
+    1: (level) => {
+        const { width, height } = level;
+        if (!Number.isInteger(width) || width < 1 || width > LEVEL_LIMITS.maxWidth ||
+            !Number.isInteger(height) || height < 1 || height > LEVEL_LIMITS.maxHeight || !Array.isArray(level.tiles)) {
+            throw new Error(`Version 1 levels need a width up to ${LEVEL_LIMITS.maxWidth}, a height up to ${LEVEL_LIMITS.maxHeight} and a "tiles" array.`);
+        }
+        return {
+            version: 2,
+            id: level.id,
+            meta: {
+                title: level.name || 'Untitled',
+                author: level.author || '',
+                description: '',
+                created: level.created || null,
+                updated: level.created || null
+            },
+            map: {
+                width,
+                height,
+                tileSize: level.tileSize || 16,
+                layers: {
+                    background: new Array(width * height).fill(0),
+                    solid: level.tiles,
+                    foreground: new Array(width * height).fill(0)
+                }
+            },
+            tileset: level.tileset || {},
+            spawns: {
+                player: level.player || { x: 0, y: 0 },
+                enemies: level.enemies || [],
+                powerUps: level.powerUps || []
+            },
+            music: null
+        };
+    },
+
+    // Version 2 had no camera settings or parallax backgrounds
+    2: (level) => ({
+        ...level,
+        version: 3,
+        camera: { lockRegions: [] },
+        backgrounds: []
+    }),
+
+    // Version 3 had no warps
+    3: (level) => ({
+        ...level,
+        version: 4,
+        warps: []
+    }),
+
+    // Version 4 had no goals, checkpoints, time limit or next level
+    4: (level) => ({
+        ...level,
+        version: 5,
+        spawns: { ...level.spawns, goals: [], checkpoints: [] },
+        timeLimit: null,
+        next: null
+    }),
+
+    // Version 5 had no themes; levels with underground music get the underground theme
+    5: (level) => ({
+        ...level,
+        version: 6,
+        theme: level.music === 'underground_bgm' ? 'underground' : 'day'
+    })
+};
+
+/**
+ * Creates an empty level of the current version.
+ * @param {Object} [options] - Optional level settings.
+ * @param {string} [options.title='Untitled'] - Level title.
+ * @param {string} [options.author=''] - Author display name.
+ * @param {number} [options.width=100] - Width in tiles.
+ * @param {number} [options.height=15] - Height in tiles.
+ * @param {number} [options.tileSize=16] - Tile size in pixels.
+ * @returns {Object} - The new level.
+ */
+function createLevel(options = {}) {
+    const width = options.width || 100;
+    const height = options.height || 15;
+    const layers = {};
+    LEVEL_LAYERS.forEach(layer => {
+        layers[layer] = new Array(width * height).fill(0);
+    });
+
+    return {
+        version: LEVEL_FORMAT_VERSION,
+        id: null,
+        meta: {
+            title: options.title || 'Untitled',
+            author: options.author || '',
+            description: '',
+            created: null,
+            updated: null
+        },
+        map: { width, height, tileSize: options.tileSize || 16, layers },
+        tileset: {},
+        spawns: { player: { x: 32, y: 32 }, enemies: [], powerUps: [], goals: [], checkpoints: [] },
+        music: LEVEL_MUSIC[0],
+        theme: LEVEL_THEMES[0],
+        camera: { lockRegions: [] },
+        backgrounds: [],
+        warps: [],
+        timeLimit: null,
+        next: null
+    };
+}
+
+/**
+ * Upgrades a level of any known version to LEVEL_FORMAT_VERSION.
+ * @param {Object} level - The level to migrate (not modified).
+ * @returns {Object} - The migrated level.
+ * @throws {Error} - If the version is missing, unknown or newer than this build.
+ */
+function migrateLevel(level) {
+    if (!level || typeof level !== 'object' || !Number.isInteger(level.version)) {
+        throw new Error('Level is missing a numeric "version" field.');
+    }
+    if (level.version > LEVEL_FORMAT_VERSION) {
+        throw new Error(`Level version ${level.version} is newer than the supported version ${LEVEL_FORMAT_VERSION}.`);
+    }
+
+    let migrated = level;
+    while (migrated.version < LEVEL_FORMAT_VERSION) {
+        const migration = LEVEL_MIGRATIONS[migrated.version];
+        if (!migration) {
+            throw new Error(`No migration from level version ${migrated.version}.`);
+        }
+        migrated = migration(migrated);
+    }
+    return migrated;
+}
+
+/**
+ * Validates a level against the current schema.
+ * @param {Object} level - The level to validate (must already be migrated).
+ * @param {Object} [options] - Optional checks.
+ * @param {string[]} [options.enemyTypes] - Enemy types a spawn may name (see enemies.json); any name when omitted.
+ * @returns {string[]} - A list of problems; empty when the level is valid.
+ */
+function validateLevel(level, options = {}) {
+    const errors = [];
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isText = (value) => typeof value === 'string' && value.length <= LEVEL_LIMITS.maxTextLength;
+    const isPoint = (value) => isObject(value) && Number.isFinite(value.x) && Number.isFinite(value.y);
+
+    if (!isObject(level)) return ['Level must be an object.'];
+    if (level.version !== LEVEL_FORMAT_VERSION) {
+        errors.push(`"version" must be ${LEVEL_FORMAT_VERSION}.`);
+    }
+
+    // Metadata
+    if (!isObject(level.meta)) {
+        errors.push('"meta" must be an object.');
+    } else {
+        if (!isText(level.meta.title) || !level.meta.title.trim()) errors.push('"meta.title" must be a non-empty string.');
+        ['author', 'description'].forEach(key => {
+            if (level.meta[key] !== undefined && !isText(level.meta[key])) errors.push(`"meta.${key}" must be a string.`);
+        });
+    }
+
+    // Map and layers
+    const map = level.map;
+    if (!isObject(map)) {
+        errors.push('"map" must be an object.');
+    } else {
+        const { width, height, tileSize } = map;
+        if (!Number.isInteger(width) || width < 1 || width > LEVEL_LIMITS.maxWidth) {
+            errors.push(`"map.width" must be an integer from 1 to ${LEVEL_LIMITS.maxWidth}.`);
+        }
+        if (!Number.isInteger(height) || height < 1 || height > LEVEL_LIMITS.maxHeight) {
+            errors.push(`"map.height" must be an integer from 1 to ${LEVEL_LIMITS.maxHeight}.`);
+        }
+        if (!Number.isInteger(tileSize) || tileSize < 1 || tileSize > LEVEL_LIMITS.maxTileSize) {
+            errors.push(`"map.tileSize" must be an integer from 1 to ${LEVEL_LIMITS.maxTileSize}.`);
+        }
+        if (!isObject(map.layers)) {
+            errors.push('"map.layers" must be an object.');
+        } else {
+            LEVEL_LAYERS.forEach(layer => {
+                const tiles = map.layers[layer];
+                if (!Array.isArray(tiles) || tiles.length !== width * height) {
+                    errors.push(`"map.layers.${layer}" must be an array of width × height tile IDs.`);
+                } else if (!tiles.every(id => Number.isInteger(id) && id >= 0 && id <= LEVEL_LIMITS.maxTileId)) {
+                    errors.push(`"map.layers.${layer}" contains an invalid tile ID.`);
+                }
+            });
+        }
+    }
+
+    // Tileset: tile ID -> SpriteManager reference and flags
+    if (!isObject(level.tileset)) {
+        errors.push('"tileset" must be an object.');
+    } else {
+        Object.keys(level.tileset).forEach(id => {
+            const tile = level.tileset[id];
+            const tileId = Number(id);
+            if (!Number.isInteger(tileId) || tileId < 1 || tileId > LEVEL_LIMITS.maxTileId) {
+                errors.push(`"tileset" key "${id}" must be a tile ID from 1 to ${LEVEL_LIMITS.maxTileId}.`);
+            } else if (!isObject(tile) || !isObject(tile.sprite) || typeof tile.sprite.type !== 'string' || !Number.isInteger(tile.sprite.item)) {
+                errors.push(`"tileset.${id}" must reference a sprite as { type, item }.`);
+            } else if (tile.slope !== undefined && tile.slope !== null &&
+                !(Array.isArray(tile.slope) && tile.slope.length === 2 && tile.slope.every(Number.isFinite))) {
+                errors.push(`"tileset.${id}.slope" must be [leftHeight, rightHeight].`);
+            } else if (tile.behaviour !== undefined && tile.behaviour !== null && !LEVEL_TILE_BEHAVIOURS.includes(tile.behaviour)) {
+                errors.push(`"tileset.${id}.behaviour" must be null or one of: ${LEVEL_TILE_BEHAVIOURS.join(', ')}.`);
+            } else if (tile.contents !== undefined && tile.contents !== null && !isText(tile.contents)) {
+                errors.push(`"tileset.${id}.contents" must be 'coin' or a power-up type.`);
+            } else if (tile.usedTile !== undefined && tile.usedTile !== null && !level.tileset[tile.usedTile]) {
+                errors.push(`"tileset.${id}.usedTile" must be a tile ID in the tileset.`);
+            }
+        });
+    }
+
+    // Entity spawns
+    const spawns = level.spawns;
+    if (!isObject(spawns)) {
+        errors.push('"spawns" must be an object.');
+    } else {
+        if (!isPoint(spawns.player)) errors.push('"spawns.player" must be a point { x, y }.');
+        LEVEL_SPAWN_GROUPS.forEach(key => {
+            if (!Array.isArray(spawns[key])) {
+                errors.push(`"spawns.${key}" must be an array.`);
+            } else if (!spawns[key].every(spawn => isPoint(spawn) && (spawn.type === undefined || typeof spawn.type === 'string'))) {
+                errors.push(`"spawns.${key}" entries must be { type, x, y }.`);
+            }
+        });
+        if (Array.isArray(spawns.goals) && !spawns.goals.every(goal => goal.type === undefined || LEVEL_GOAL_TYPES.includes(goal.type))) {
+            errors.push(`"spawns.goals" types must be one of: ${LEVEL_GOAL_TYPES.join(', ')}.`);
+        }
+        const enemyTypes = options.enemyTypes;
+        if (enemyTypes && Array.isArray(spawns.enemies) && !spawns.enemies.every(enemy => enemy.type === undefined || enemyTypes.includes(enemy.type))) {
+            errors.push(`"spawns.enemies" types must be one of: ${enemyTypes.join(', ')}.`);
+        }
+        const count = LEVEL_SPAWN_GROUPS.reduce((total, key) => total + (Array.isArray(spawns[key]) ? spawns[key].length : 0), 0);
+        if (count > LEVEL_LIMITS.maxEntities) {
+            errors.push(`A level can have at most ${LEVEL_LIMITS.maxEntities} entity spawns.`);
+        }
+    }
+
+    if (level.music !== null && !LEVEL_MUSIC.includes(level.music)) {
+        errors.push(`"music" must be null or one of: ${LEVEL_MUSIC.join(', ')}.`);
+    }
+    if (!LEVEL_THEMES.includes(level.theme)) {
+        errors.push(`"theme" must be one of: ${LEVEL_THEMES.join(', ')}.`);
+    }
+
+    // Camera lock regions
+    if (!isObject(level.camera) || !Array.isArray(level.camera.lockRegions)) {
+        errors.push('"camera.lockRegions" must be an array.');
+    } else if (level.camera.lockRegions.length > LEVEL_LIMITS.maxLockRegions) {
+        errors.push(`A level can have at most ${LEVEL_LIMITS.maxLockRegions} camera lock regions.`);
+    } else if (!level.camera.lockRegions.every(region => isPoint(region) &&
+        Number.isFinite(region.width) && region.width > 0 && Number.isFinite(region.height) && region.height > 0)) {
+        errors.push('"camera.lockRegions" entries must be { x, y, width, height } with a positive size.');
+    }
+
+    // Parallax backgrounds
+    if (!Array.isArray(level.backgrounds)) {
+        errors.push('"backgrounds" must be an array.');
+    } else if (level.backgrounds.length > LEVEL_LIMITS.maxBackgrounds) {
+        errors.push(`A level can have at most ${LEVEL_LIMITS.maxBackgrounds} backgrounds.`);
+    } else if (!level.backgrounds.every(layer => isObject(layer) && isObject(layer.sprite) &&
+        typeof layer.sprite.type === 'string' && Number.isInteger(layer.sprite.item) &&
+        Number.isFinite(layer.factor) && layer.factor >= 0 && layer.factor <= 1 &&
+        (layer.y === undefined || Number.isFinite(layer.y)))) {
+        errors.push('"backgrounds" entries must be { sprite: { type, item }, factor (0 to 1), y }.');
+    }
+
+    // Warps: a destination in this level, or in another level (at its player start unless x and y are given)
+    const isDestination = (to) => isObject(to) && (to.level === undefined
+        ? isPoint(to)
+        : typeof to.level === 'string' && to.level.length > 0 && to.level.length <= LEVEL_LIMITS.maxTextLength &&
+            ((to.x === undefined && to.y === undefined) || isPoint(to)));
+    if (!Array.isArray(level.warps)) {
+        errors.push('"warps" must be an array.');
+    } else if (level.warps.length > LEVEL_LIMITS.maxWarps) {
+        errors.push(`A level can have at most ${LEVEL_LIMITS.maxWarps} warps.`);
+    } else if (!level.warps.every(warp => isObject(warp) && Number.isInteger(warp.col) && Number.isInteger(warp.row) &&
+        LEVEL_WARP_ENTRIES.includes(warp.enter) && isDestination(warp.to))) {
+        errors.push(`"warps" entries must be { col, row, enter (${LEVEL_WARP_ENTRIES.join(' or ')}), to: { x, y, level } }.`);
+    }
+
+    // Level timer and what comes next
+    if (level.timeLimit !== null && !(Number.isInteger(level.timeLimit) && level.timeLimit > 0 && level.timeLimit <= LEVEL_LIMITS.maxTimeLimit)) {
+        errors.push(`"timeLimit" must be null or a whole number of seconds from 1 to ${LEVEL_LIMITS.maxTimeLimit}.`);
+    }
+    if (level.next !== null && !(typeof level.next === 'string' && level.next.length > 0 && level.next.length <= LEVEL_LIMITS.maxTextLength)) {
+        errors.push('"next" must be null or a level ID.');
+    }
+
+    return errors;
+}
+
+/**
+ * Builds TileMap constructor options from a level.
+ * @param {Object} level - A migrated, valid level.
+ * @returns {Object} - { tileSize, tiles, layers, theme } for new TileMap(...).
+ */
+function levelToMapOptions(level) {
+    const layers = {};
+    LEVEL_LAYERS.forEach(layer => {
+        layers[layer] = level.map.layers[layer].slice();
+    });
+    return { tileSize: level.map.tileSize, tiles: level.tileset, layers, theme: level.theme };
+}
+
+/**
+ * Writes the authored state of a TileMap back into a level.
+ * @param {Object} level - The level to update (modified in place).
+ * @param {TileMap} map - The map to read from.
+ * @returns {Object} - The updated level.
+ */
+function applyMapToLevel(level, map) {
+    level.map.width = map.width;
+    level.map.height = map.height;
+    level.map.tileSize = map.tileSize;
+    LEVEL_LAYERS.forEach(layer => {
+        level.map.layers[layer] = map.layers[layer].slice();
+    });
+    level.tileset = {};
+    Object.keys(map.tiles).forEach(id => {
+        level.tileset[id] = { ...map.tiles[id] };
+    });
+    return level;
+}
+
+// Shared with the server, which validates uploads with the same rules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LEVEL_FORMAT_VERSION,
+        LEVEL_LAYERS,
+        LEVEL_MUSIC,
+        LEVEL_THEMES,
+        LEVEL_LIMITS,
+        LEVEL_TILE_BEHAVIOURS,
+        LEVEL_WARP_ENTRIES,
+        LEVEL_GOAL_TYPES,
+        LEVEL_SPAWN_GROUPS,
+        createLevel,
+        migrateLevel,
+        validateLevel,
+        levelToMapOptions,
+        applyMapToLevel
+    };
+}
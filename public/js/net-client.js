@@ -0,0 +1,527 @@
+/**
+ * NetClient - Connects DevGameMaker to the authoritative game server.
+ * Creates and joins game rooms, sends one input command per tick, predicts the local player
+ * immediately, and reconciles with the server's state snapshots by replaying any inputs the
+ * server hasn't processed yet. Snapshots arrive delta-encoded (see snapshot-codec.js) and
+ * remote players are drawn slightly in the past, blended between snapshots, so they move
+ * smoothly even when snapshots arrive unevenly. The server's signed session token is kept
+ * so a dropped connection (or a page reload) resumes the same player, room and position.
+ * Projectiles are fired by the server, which also decides what they hit; clients only
+ * replicate them from the server's world events.
+ * Emits 'roomUpdate', 'gameStarted', 'kicked', 'chatHistory', 'chatMessage', 'connectionLost',
+ * 'sessionResumed' and 'sessionExpired'.
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Remote players are drawn this far behind the server so there are usually two snapshots to blend (ms)
+const INTERPOLATION_DELAY = 100;
+
+// How strongly each snapshot corrects the estimated server clock (0..1)
+const CLOCK_SMOOTHING = 0.1;
+
+// Storage key of the session token used to reconnect as the same player
+const SESSION_TOKEN_KEY = 'pixelGameDev.sessionToken';
+
+/**
+ * InterpolationBuffer - Timestamped states of one remote entity, sampled between snapshots.
+ */
+class InterpolationBuffer {
+    /**
+     * @param {number} [maxSize=32] - Number of states to keep.
+     */
+    constructor(maxSize = 32) {
+        this.maxSize = maxSize;
+        this.states = [];                       // [{ time, state }], oldest first
+    }
+
+    /**
+     * Adds a state; states older than the newest one are ignored.
+     * @param {number} time - Server time of the state (ms).
+     * @param {Object} state - { pos, vel, grounded }
+     */
+    push(time, state) {
+        const newest = this.states[this.states.length - 1];
+        if (newest && time <= newest.time) return;
+
+        this.states.push({ time, state });
+        if (this.states.length > this.maxSize) {
+            this.states.shift();
+        }
+    }
+
+    /**
+     * Gets the state at a point in time, blending the positions of the states either side.
+     * Times past the newest state hold the newest state rather than guessing ahead.
+     * @param {number} time - Server time to sample (ms).
+     * @returns {Object|null} - The sampled state, or null if the buffer is empty.
+     */
+    sample(time) {
+        const states = this.states;
+        if (!states.length) return null;
+        if (time <= states[0].time) return states[0].state;
+
+        for (let i = 0; i < states.length - 1; i++) {
+            const from = states[i];
+            const to = states[i + 1];
+            if (time < to.time) {
+                this.states.splice(0, i); // Nothing older than `from` will be needed again
+                const t = (time - from.time) / (to.time - from.time);
+                return {
+                    ...to.state,
+                    pos: [
+                        from.state.pos[0] + (to.state.pos[0] - from.state.pos[0]) * t,
+                        from.state.pos[1] + (to.state.pos[1] - from.state.pos[1]) * t
+                    ]
+                };
+            }
+        }
+        return states[states.length - 1].state;
+    }
+}
+
+class NetClient extends EventBus {
+    /**
+     * @param {Socket} socket - A Socket.IO client socket; connected here if it isn't already, so
+     *                          create it with autoConnect: false to resume a stored session.
+     * @param {DevGameMaker} game - The game to drive.
+     * @param {Object} [options] - Optional settings.
+     * @param {Storage} [options.storage] - Where to keep the session token (e.g. sessionStorage).
+     * @param {Object} [options.profile] - Name and avatar to use (see player-profile.js).
+     */
+    constructor(socket, game, options = {}) {
+        super();
+        this.socket = socket;                   // Connection to the server
+        this.game = game;                       // Local game instance
+        this.storage = options.storage || null; // Session token storage
+        this.token = this.storage ? this.storage.getItem(SESSION_TOKEN_KEY) : null; // Proof of who we are when reconnecting
+        this.profile = options.profile || null; // Name and avatar we asked for
+        this.player = null;                     // Our player record, as the server sees it
+        this.playerId = null;                   // Our ID, assigned by the server
+        this.inputSeq = 0;                      // Sequence number of the last input sent
+        this.pendingInputs = [];                // Inputs sent but not yet acknowledged by a snapshot
+        this.room = null;                       // Details of the room we're in (see Room.describe)
+        this.snapshotHistory = new SnapshotHistory(); // Decoded snapshots, baselines for the server's deltas
+        this.remoteBuffers = {};                // playerId -> InterpolationBuffer
+        this.clockOffset = null;                // Estimated server time minus local time (ms)
+        this._onPlayerInput = (input) => this.sendInput(input); // Bound once so it can be unregistered
+        this._onFrame = (timestamp) => this.interpolateRemotePlayers(timestamp);
+
+        socket.auth = (send) => send({ token: this.token }); // Read on every (re)connect
+        socket.on('session', (session) => this.handleSession(session));
+        socket.on('currentPlayer', (player) => this.updatePlayer(player));
+        socket.on('sessionResumed', (resume) => this.handleSessionResumed(resume));
+        socket.on('disconnect', () => this.emit('connectionLost'));
+        socket.on('roomUpdate', (room) => {
+            this.room = room;
+            this.applyAvatars();
+            this.emit('roomUpdate', room);
+        });
+        socket.on('kicked', () => {
+            this.leaveGame();
+            this.emit('kicked');
+        });
+        socket.on('worldLevel', (level) => this.handleWorldLevel(level));
+        socket.on('chatHistory', ({ messages }) => this.emit('chatHistory', messages));
+        socket.on('chatMessage', (message) => this.emit('chatMessage', message));
+        socket.on('worldSnapshot', (message) => this.handleWorldSnapshot(message));
+        socket.on('worldEvent', (event) => this.handleWorldEvent(event));
+        socket.on('playerDisconnected', ({ playerId }) => {
+            delete this.game.remotePlayers[playerId];
+            delete this.remoteBuffers[playerId];
+        });
+        game.on('playerInput', this._onPlayerInput);
+        game.on('frame', this._onFrame);
+
+        if (!socket.connected && !socket.active && socket.connect) {
+            socket.connect();
+        }
+    }
+
+    /**
+     * Whether we are the host of our room.
+     * @returns {boolean}
+     */
+    get isHost() {
+        return Boolean(this.room) && this.room.hostId === this.playerId;
+    }
+
+    /**
+     * Handles the server identifying us. A new session while we thought we were in a room
+     * means we were away too long and the server has already removed us.
+     * @param {Object} session - { playerId, token, resumed }
+     */
+    handleSession(session) {
+        this.playerId = session.playerId;
+        this.token = session.token;
+        if (this.storage) this.storage.setItem(SESSION_TOKEN_KEY, session.token);
+        if (session.resumed) return;
+
+        if (this.room) {
+            this.leaveGame();
+            this.room = null;
+            this.emit('sessionExpired');
+        }
+        if (this.profile) {
+            this.setProfile(this.profile); // New sessions start with a default name and avatar
+        }
+    }
+
+    /**
+     * Picks up where we left off after reconnecting within the server's grace period. The
+     * game keeps running if it already was; after a page reload it is started again.
+     * @param {Object} resume - { room, level, seq }; level is null unless the room is playing.
+     */
+    handleSessionResumed(resume) {
+        this.room = resume.room;
+        if (resume.level && !this.game.isRunning) {
+            this.handleWorldLevel(resume.level);
+        }
+        this.inputSeq = Math.max(this.inputSeq, resume.seq); // The server ignores sequence numbers it has already seen
+        this.applyAvatars();
+        this.emit('sessionResumed', resume.room);
+    }
+
+    /**
+     * Stores our player record and dresses the local player in our avatar.
+     * @param {Object} player - Our player record from the server.
+     */
+    updatePlayer(player) {
+        this.player = player;
+        this.playerId = player.playerId;
+        this.game.player.setAvatar(player.avatar);
+    }
+
+    /**
+     * Dresses every remote player in the avatar they chose.
+     */
+    applyAvatars() {
+        if (!this.room) return;
+        this.room.players.forEach(player => {
+            const remote = this.game.remotePlayers[player.playerId];
+            if (remote) remote.setAvatar(player.avatar);
+        });
+    }
+
+    /**
+     * Changes our display name and/or avatar.
+     * @param {Object} profile - { name, avatar: { sprite, palette } }
+     * @returns {Promise<Object>} - { ok, player } or { ok: false, error }
+     */
+    async setProfile(profile) {
+        this.profile = profile;
+        const reply = await this._request('setProfile', profile);
+        if (reply.ok) this.updatePlayer(reply.player);
+        return reply;
+    }
+
+    /**
+     * Sends a request to the server and waits for its acknowledgement.
+     * @param {string} event - The request event name.
+     * @param {...*} args - The request arguments.
+     * @returns {Promise<Object>} - The server's reply ({ ok, error, ... }).
+     * @private
+     */
+    _request(event, ...args) {
+        return new Promise(resolve => this.socket.emit(event, ...args, resolve));
+    }
+
+    /**
+     * Hosts a new room.
+     * @param {Object} [options] - { levelId, maxPlayers }
+     * @returns {Promise<Object>} - { ok, room } or { ok: false, error }
+     */
+    async createRoom(options = {}) {
+        const reply = await this._request('createRoom', options);
+        if (reply.ok) this.room = reply.room;
+        return reply;
+    }
+
+    /**
+     * Joins a room by code.
+     * @param {string} code - The room's join code.
+     * @returns {Promise<Object>} - { ok, room } or { ok: false, error }
+     */
+    async joinRoom(code) {
+        const reply = await this._request('joinRoom', { code });
+        if (reply.ok) this.room = reply.room;
+        return reply;
+    }
+
+    /**
+     * Leaves the current room.
+     * @returns {Promise<Object>} - { ok }
+     */
+    async leaveRoom() {
+        this.leaveGame();
+        this.room = null;
+        return this._request('leaveRoom');
+    }
+
+    /**
+     * Starts the game for everyone in the room (host only).
+     * @returns {Promise<Object>} - { ok } or { ok: false, error }
+     */
+    startGame() {
+        return this._request('startGame');
+    }
+
+    /**
+     * Restarts the level for everyone in the room (host only).
+     * @returns {Promise<Object>} - { ok } or { ok: false, error }
+     */
+    restartGame() {
+        return this._request('restartGame');
+    }
+
+    /**
+     * Removes a player from the room (host only).
+     * @param {string} playerId - The player to kick.
+     * @returns {Promise<Object>} - { ok } or { ok: false, error }
+     */
+    kickPlayer(playerId) {
+        return this._request('kickPlayer', { playerId });
+    }
+
+    /**
+     * Sends a chat message or slash command (e.g. '/w 3 hi') to our room.
+     * @param {string} text - The message.
+     * @returns {Promise<Object>} - { ok, notice } or { ok: false, error }
+     */
+    sendChat(text) {
+        return this._request('playerChat', text);
+    }
+
+    /**
+     * Stops the local game without leaving the room.
+     */
+    leaveGame() {
+        this.game.stop();
+        this.game.remotePlayers = {};
+        this.game.projectiles.clear();
+        this.game.localProjectiles = true;
+        this.game.localTiles = true;
+        this.game.localProgression = true;
+        this.pendingInputs = [];
+        this.resetSnapshots();
+    }
+
+    /**
+     * Forgets every snapshot, remote player buffer and the server clock estimate.
+     */
+    resetSnapshots() {
+        this.snapshotHistory.clear();
+        this.remoteBuffers = {};
+        this.clockOffset = null;
+    }
+
+    /**
+     * Loads the level the server is simulating and starts the local game on it.
+     * @param {Object} level - The server's level.
+     */
+    handleWorldLevel(level) {
+        this.inputSeq = 0;
+        this.pendingInputs = [];
+        this.game.remotePlayers = {};
+        this.resetSnapshots();                  // The new simulation counts ticks from zero
+        if (this.game.loadLevel(level)) {
+            this.game.enemies = [];   // The server owns everything but the players
+            this.game.powerUps = [];
+            this.game.goals = [];     // Levels don't end online, and there is no timer
+            this.game.checkpoints = [];
+            this.game.timeLeft = null;
+            this.game.localProjectiles = false; // Our shots come back from the server as world events
+            this.game.localTiles = false; // So do the blocks we bump and the coins we collect
+            this.game.localProgression = false; // The server respawns players who fall
+            this.game.player.resetPower();
+            this.game.player.setSize(ONLINE_PLAYER_SIZE); // Match the server's new player
+            this.game.stop();         // Restarts begin from a clean loop
+            this.game.start();
+            this.emit('gameStarted', level);
+        }
+    }
+
+    /**
+     * Tags the local tick's input with a sequence number and sends it to the server.
+     * @param {Object} input - { left, right, down, jump, jumpHeld, fire }
+     */
+    sendInput(input) {
+        const command = { seq: ++this.inputSeq, ...input };
+        this.pendingInputs.push(command);
+        this.socket.emit('playerInput', command);
+    }
+
+    /**
+     * Decodes a delta-encoded world snapshot, acknowledges it and applies it.
+     * @param {Object} message - The encoded snapshot (see encodeSnapshot).
+     */
+    handleWorldSnapshot(message) {
+        const baseline = message.b === null ? null : this.snapshotHistory.get(message.b);
+        if (message.b !== null && !baseline) {
+            this.socket.emit('snapshotAck', null); // Baseline lost; ask for a full snapshot
+            return;
+        }
+
+        const entities = decodeSnapshot(message, baseline);
+        this.snapshotHistory.push(message.t, entities);
+        this.socket.emit('snapshotAck', message.t);
+        this.handleSnapshot({
+            tick: message.t,
+            players: Object.keys(entities).map(playerId => dequantizeState(playerId, entities[playerId]))
+        });
+    }
+
+    /**
+     * Replicates a projectile the server fired or removed. Our own projectiles are moved on
+     * by one tick per unacknowledged input, to line up with the predicted local player;
+     * other players' start where the server fired them, like their interpolated owners.
+     * A projectile that hit us hurts the local player, and whoever it hit takes on the power-up
+     * state the server worked out.
+     * Tile events change the map and items the same way for everyone; only the coins we
+     * collected ourselves count towards our score.
+     * @param {Object} event - A world event (see Simulation.fireProjectile, updateProjectiles,
+     *     handleTileOutcomes and updateItems).
+     */
+    handleWorldEvent(event) {
+        const game = this.game;
+        const entityFor = (playerId) => playerId === this.playerId ? game.player : (game.remotePlayers[playerId] || null);
+
+        if (event.type === 'tileChanged') {
+            if (game.currentMap) game.currentMap.setTile(event.layer, event.col, event.row, event.id);
+            game.emit('tileChanged', event);
+        } else if (event.type === 'blockBumped' || event.type === 'blockBroken') {
+            game.emit(event.type, event);
+        } else if (event.type === 'coinCollected') {
+            if (event.player === this.playerId) game.collectCoin(event);
+        } else if (event.type === 'itemSpawned') {
+            const item = new PowerUp({ x: event.pos[0], y: event.pos[1] }, event.contents);
+            item.id = event.id;
+            item.replicated = true;
+            game.powerUps.push(item);
+            game.emit('itemSpawned', item);
+        } else if (event.type === 'powerUpCollected' || event.type === 'itemRemoved') {
+            const item = game.powerUps.find(powerUp => powerUp.id === event.id);
+            if (item) item.destroy();
+            const target = event.target && entityFor(event.target);
+            if (!target) return;
+            if (item) game.emit('playerPowerUp', item);
+            target.setPowerState(event.power);
+        } else if (event.type === 'playerWarped') {
+            game.emit('playerWarped', entityFor(event.player));
+        } else if (event.type === 'projectileFired') {
+            const owner = entityFor(event.owner);
+            const projectile = game.projectiles.spawn(event.id, event.kind, owner, 0, 0, event.direction);
+            if (!projectile) return;
+            projectile.replicated = true;
+            projectile.setState({ pos: event.pos, vel: event.vel, grounded: false });
+            if (owner === game.player) {
+                this.pendingInputs.forEach(() => projectile.update(game.currentMap));
+            }
+            game.emit('projectileFired', projectile, owner);
+        } else if (event.type === 'projectileRemoved') {
+            const projectile = game.projectiles.get(event.id);
+            if (projectile) projectile.expired = true; // Released with the game's next tick
+            if (event.reason !== 'hit') return;
+
+            const target = entityFor(event.target);
+            game.emit('projectileHit', projectile, target);
+            if (target === game.player) game.hurtPlayer(event.damage, projectile); // Hit effects and lives
+            if (target) target.setPowerState(event.power);
+        }
+    }
+
+    /**
+     * Applies an authoritative snapshot: corrects the local player and buffers the others'
+     * states for interpolation.
+     * @param {Object} snapshot - { tick, players: [{ playerId, seq, pos, vel, grounded }] }
+     */
+    handleSnapshot(snapshot) {
+        const seen = {};
+        const serverTime = snapshot.tick * PHYSICS.FIXED_STEP;
+        this.updateClock(serverTime);
+
+        snapshot.players.forEach(state => {
+            seen[state.playerId] = true;
+            if (state.playerId === this.playerId) {
+                this.reconcile(state);
+                return;
+            }
+
+            if (!this.game.remotePlayers[state.playerId]) {
+                const remote = new Player({ x: state.pos[0], y: state.pos[1] });
+                const info = this.room && this.room.players.find(player => player.playerId === state.playerId);
+                if (info) remote.setAvatar(info.avatar);
+                remote.setSize(ONLINE_PLAYER_SIZE);
+                remote.setState(state);
+                this.game.remotePlayers[state.playerId] = remote;
+                this.remoteBuffers[state.playerId] = new InterpolationBuffer();
+            }
+            this.remoteBuffers[state.playerId].push(serverTime, state);
+        });
+
+        // Drop players that are no longer in the world
+        Object.keys(this.game.remotePlayers).forEach(playerId => {
+            if (!seen[playerId]) {
+                delete this.game.remotePlayers[playerId];
+                delete this.remoteBuffers[playerId];
+            }
+        });
+    }
+
+    /**
+     * Refines the estimate of the server's clock from a snapshot's time. Smoothing keeps a
+     * single late or early snapshot from making remote players jump.
+     * @param {number} serverTime - Server time of the snapshot (ms).
+     */
+    updateClock(serverTime) {
+        const offset = serverTime - performance.now();
+        this.clockOffset = this.clockOffset === null ? offset : this.clockOffset + (offset - this.clockOffset) * CLOCK_SMOOTHING;
+    }
+
+    /**
+     * Moves remote players to where they were INTERPOLATION_DELAY ago on the server.
+     * @param {number} timestamp - The frame timestamp from requestAnimationFrame.
+     */
+    interpolateRemotePlayers(timestamp) {
+        if (this.clockOffset === null) return;
+        const renderTime = timestamp + this.clockOffset - INTERPOLATION_DELAY;
+
+        Object.keys(this.remoteBuffers).forEach(playerId => {
+            const remote = this.game.remotePlayers[playerId];
+            const state = this.remoteBuffers[playerId].sample(renderTime);
+            if (remote && state) remote.setState(state);
+        });
+    }
+
+    /**
+     * Resets the local player to the server's state, then replays the inputs the server
+     * hasn't processed yet so prediction stays ahead of the round trip.
+     * @param {Object} state - The local player's authoritative state.
+     */
+    reconcile(state) {
+        const player = this.game.player;
+        const map = this.game.currentMap;
+
+        this.pendingInputs = this.pendingInputs.filter(input => input.seq > state.seq);
+        player.setState(state);
+        this.pendingInputs.forEach(input => {
+            player.applyInput(input);
+            player.update(map);
+        });
+    }
+
+    /**
+     * Stops sending input, ends our session and disconnects from the server.
+     */
+    disconnect() {
+        this.game.off('playerInput', this._onPlayerInput);
+        this.game.off('frame', this._onFrame);
+        this.leaveGame();
+        this.room = null;
+        this.token = null;
+        if (this.storage) this.storage.removeItem(SESSION_TOKEN_KEY);
+        this.socket.emit('endSession'); // Leave now rather than after the reconnect grace period
+        this.socket.disconnect();
+    }
+}
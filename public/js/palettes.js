@@ -0,0 +1,114 @@
+/**
+ * Palettes - Recolouring sprite sheets instead of drawing the same art in several colours.
+ * A palette set lists the colours a group of sheets is drawn in (its base palette); each
+ * named palette in the set swaps those colours, index for index, for its own. Sheets pick
+ * their set in the asset manifest. Effects then tint every pixel of any sheet towards a
+ * colour, e.g. a player who was just hit flashing red.
+ * SpriteManager recolours each sheet once per palette and effect, on an offscreen canvas,
+ * and draws from that copy from then on.
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// How far an effect tints each pixel towards its colour (0..1)
+const EFFECT_TINT_AMOUNT = 0.5;
+
+// How much darker an avatar's shade colour is than its main colour (0..1)
+const AVATAR_SHADE_AMOUNT = 0.4;
+
+// Effects by name: the colour each one tints towards
+const PALETTE_EFFECTS = {
+    hurt: '#ff0000',
+    'star-0': '#f8d000',
+    'star-1': '#ffffff',
+    'star-2': '#43b047'
+};
+
+// Effects an invincible player cycles through, and the ticks each one shows for
+const INVINCIBILITY_FLASH = ['star-0', 'star-1', 'star-2'];
+const INVINCIBILITY_FLASH_TICKS = 4;
+
+/**
+ * Splits a '#rrggbb' colour into its channels.
+ * @param {string} colour - The colour.
+ * @returns {number[]} - [r, g, b] (0..255)
+ */
+function parseColour(colour) {
+    const value = parseInt(colour.slice(1), 16);
+    return [value >> 16 & 0xff, value >> 8 & 0xff, value & 0xff];
+}
+
+/**
+ * Mixes two colours.
+ * @param {number[]} from - [r, g, b]
+ * @param {number[]} to - [r, g, b]
+ * @param {number} amount - How much of `to` to mix in (0..1).
+ * @returns {number[]} - [r, g, b]
+ */
+function mixColour(from, to, amount) {
+    return from.map((channel, i) => Math.round(channel + (to[i] - channel) * amount));
+}
+
+/**
+ * Darkens a colour for the shaded parts of an avatar.
+ * @param {string} colour - '#rrggbb'
+ * @returns {string} - '#rrggbb'
+ */
+function shadeColour(colour) {
+    const [r, g, b] = mixColour(parseColour(colour), [0, 0, 0], AVATAR_SHADE_AMOUNT);
+    return `#${((r << 16) | (g << 8) | b).toString(16).padStart(6, '0')}`;
+}
+
+// Palette sets by name. Each palette lists the replacement for each base colour, in order.
+const PALETTE_SETS = {
+    // Avatar sheets are drawn in the red avatar colour and its shade (see AVATAR_PALETTES)
+    avatar: {
+        base: [AVATAR_PALETTES.red, shadeColour(AVATAR_PALETTES.red)],
+        palettes: Object.fromEntries(Object.keys(AVATAR_PALETTES).map(name => [name, [AVATAR_PALETTES[name], shadeColour(AVATAR_PALETTES[name])]]))
+    },
+    // Tile sheets are drawn in the day theme: ground, ground highlight, grass, grass highlight (see LEVEL_THEMES)
+    tiles: {
+        base: ['#c84c0c', '#fcbcb0', '#00a800', '#80d010'],
+        palettes: {
+            night: ['#6c2806', '#8c7890', '#005c3c', '#3c7c50'],
+            underground: ['#00808c', '#9cdcfc', '#3c5c7c', '#7c9cbc']
+        }
+    }
+};
+
+/**
+ * Recolours an image through a palette and an effect.
+ * @param {HTMLImageElement|HTMLCanvasElement} image - The sheet in its base palette.
+ * @param {string[]|null} base - The base palette of the sheet's palette set.
+ * @param {string[]|null} palette - The palette replacing it, or null to keep the base colours.
+ * @param {string|null} effect - Tint colour of the effect to apply afterwards, or null.
+ * @returns {HTMLCanvasElement} - The recoloured copy.
+ */
+function recolourImage(image, base, palette, effect) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0);
+
+    // Base colour (packed RGB) -> replacement, so each pixel takes one lookup
+    const swaps = new Map();
+    if (base && palette) {
+        base.forEach((colour, i) => {
+            if (palette[i]) swaps.set(parseInt(colour.slice(1), 16), parseColour(palette[i]));
+        });
+    }
+    const tint = effect ? parseColour(effect) : null;
+
+    const pixels = context.getImageData(0, 0, canvas.width, canvas.height);
+    const data = pixels.data;
+    for (let i = 0; i < data.length; i += 4) {
+        if (!data[i + 3]) continue; // Transparent
+        let rgb = swaps.get((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]) || [data[i], data[i + 1], data[i + 2]];
+        if (tint) rgb = mixColour(rgb, tint, EFFECT_TINT_AMOUNT);
+        [data[i], data[i + 1], data[i + 2]] = rgb;
+    }
+    context.putImageData(pixels, 0, 0);
+    return canvas;
+}
@@ -0,0 +1,231 @@
+/**
+ * Physics - Fixed-timestep platformer physics for DevGameMaker entities.
+ * Moves entities one axis at a time and sweeps their AABB through the TileMap so fast
+ * entities cannot tunnel through solid tiles. Handles one-way platforms and slopes, and
+ * records ground/ceiling/wall contacts on the entity.
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+const PHYSICS = {
+    FIXED_STEP: 1000 / 60,      // Milliseconds per simulation tick (60 ticks per second)
+    MAX_STEPS_PER_FRAME: 5,     // Cap on ticks per frame so a long stall can't freeze the game
+    GRAVITY: 0.5,               // Downward acceleration in pixels per tick²
+    MAX_FALL_SPEED: 10,         // Terminal velocity in pixels per tick
+    SLOPE_SNAP: 4,              // Distance in pixels a grounded entity sticks to a slope going downhill
+    STEP_HEIGHT: 8,             // Ledge height in pixels a grounded entity walks up (e.g., the top of a slope)
+    JUMP_SPEED: 10,             // Upward speed in pixels per tick when a jump starts
+    JUMP_RELEASE_SPEED: 3       // Upward speed a jump is cut to when jump is let go early (short hops)
+};
+
+// Small offset so an edge lying exactly on a tile boundary is not counted inside the next tile
+const EDGE_EPSILON = 0.001;
+
+/**
+ * Creates an empty contact record for an entity.
+ * @returns {Object} - { ground, ceiling, left, right } all false.
+ */
+function createContacts() {
+    return { ground: false, ceiling: false, left: false, right: false };
+}
+
+/**
+ * Checks whether a tile blocks horizontal movement and upward movement.
+ * One-way platforms and slopes only ever block from above.
+ * @param {Object} meta - The tile metadata.
+ * @returns {boolean}
+ */
+function isFullSolid(meta) {
+    return meta.solid && !meta.oneWay && !meta.slope;
+}
+
+/**
+ * Gets the world Y of a slope tile's surface at a world X position.
+ * @param {TileMap} map - The map containing the tile.
+ * @param {Object} meta - The slope tile metadata.
+ * @param {number} col - Column of the slope tile.
+ * @param {number} row - Row of the slope tile.
+ * @param {number} x - World X in pixels.
+ * @returns {number} - World Y of the surface.
+ */
+function slopeSurfaceY(map, meta, col, row, x) {
+    const ts = map.tileSize;
+    const t = Math.min(Math.max((x - col * ts) / ts, 0), 1); // 0 at the left edge, 1 at the right edge
+    const [leftHeight, rightHeight] = meta.slope;
+    return (row + 1) * ts - (leftHeight + (rightHeight - leftHeight) * t);
+}
+
+/**
+ * Moves an entity along the X axis, stopping at the first wall in its path.
+ * Grounded entities ignore walls lower than PHYSICS.STEP_HEIGHT and step up onto them.
+ * @param {Entity} entity - The entity to move.
+ * @param {TileMap} map - The map to collide against.
+ * @param {boolean} wasGrounded - Whether the entity was on the ground before this tick.
+ */
+function sweepX(entity, map, wasGrounded) {
+    const vx = entity.vel[0];
+    if (vx === 0) return;
+
+    const ts = map.tileSize;
+    const [, , width, height] = entity.hitbox;
+    const step = wasGrounded ? PHYSICS.STEP_HEIGHT : 0;
+    const rowStart = Math.floor(entity.pos[1] / ts);
+    const rowEnd = Math.floor((entity.pos[1] + height - step - EDGE_EPSILON) / ts);
+
+    if (vx > 0) {
+        const edge = entity.pos[0] + width;
+        const colStart = Math.floor((edge - EDGE_EPSILON) / ts) + 1;
+        const colEnd = Math.floor((edge + vx - EDGE_EPSILON) / ts);
+        for (let col = colStart; col <= colEnd; col++) {
+            for (let row = rowStart; row <= rowEnd; row++) {
+                if (isFullSolid(map.getMetaAt(col, row))) {
+                    entity.pos[0] = col * ts - width; // Stop flush against the wall
+                    entity.vel[0] = 0;
+                    entity.contacts.right = true;
+                    return;
+                }
+            }
+        }
+    } else {
+        const edge = entity.pos[0];
+        const colStart = Math.floor(edge / ts) - 1;
+        const colEnd = Math.floor((edge + vx) / ts);
+        for (let col = colStart; col >= colEnd; col--) {
+            for (let row = rowStart; row <= rowEnd; row++) {
+                if (isFullSolid(map.getMetaAt(col, row))) {
+                    entity.pos[0] = (col + 1) * ts;
+                    entity.vel[0] = 0;
+                    entity.contacts.left = true;
+                    return;
+                }
+            }
+        }
+    }
+    entity.pos[0] += vx;
+    if (step > 0) stepUp(entity, map);
+}
+
+/**
+ * Lifts a grounded entity on top of a low ledge it walked into.
+ * @param {Entity} entity - The entity to adjust.
+ * @param {TileMap} map - The map to collide against.
+ */
+function stepUp(entity, map) {
+    const ts = map.tileSize;
+    const [, , width, height] = entity.hitbox;
+    const bottom = entity.pos[1] + height;
+    const row = Math.floor((bottom - EDGE_EPSILON) / ts);
+    if (bottom - row * ts > PHYSICS.STEP_HEIGHT) return; // Too tall to step onto
+
+    const colStart = Math.floor(entity.pos[0] / ts);
+    const colEnd = Math.floor((entity.pos[0] + width - EDGE_EPSILON) / ts);
+    for (let col = colStart; col <= colEnd; col++) {
+        if (isFullSolid(map.getMetaAt(col, row))) {
+            entity.pos[1] = row * ts - height;
+            return;
+        }
+    }
+}
+
+/**
+ * Moves an entity along the Y axis, landing on solid and one-way tiles and
+ * stopping at ceilings.
+ * @param {Entity} entity - The entity to move.
+ * @param {TileMap} map - The map to collide against.
+ */
+function sweepY(entity, map) {
+    const vy = entity.vel[1];
+    if (vy === 0) return;
+
+    const ts = map.tileSize;
+    const [, , width, height] = entity.hitbox;
+    const colStart = Math.floor(entity.pos[0] / ts);
+    const colEnd = Math.floor((entity.pos[0] + width - EDGE_EPSILON) / ts);
+
+    if (vy > 0) {
+        const edge = entity.pos[1] + height;
+        const rowStart = Math.floor((edge - EDGE_EPSILON) / ts) + 1;
+        const rowEnd = Math.floor((edge + vy - EDGE_EPSILON) / ts);
+        for (let row = rowStart; row <= rowEnd; row++) {
+            for (let col = colStart; col <= colEnd; col++) {
+                const meta = map.getMetaAt(col, row);
+                // One-way tiles land too: every row swept here starts below the entity's feet
+                if (meta.solid && !meta.slope) {
+                    entity.pos[1] = row * ts - height;
+                    entity.vel[1] = 0;
+                    entity.contacts.ground = true;
+                    return;
+                }
+            }
+        }
+    } else {
+        const edge = entity.pos[1];
+        const rowStart = Math.floor(edge / ts) - 1;
+        const rowEnd = Math.floor((edge + vy) / ts);
+        for (let row = rowStart; row >= rowEnd; row--) {
+            for (let col = colStart; col <= colEnd; col++) {
+                if (isFullSolid(map.getMetaAt(col, row))) {
+                    entity.pos[1] = (row + 1) * ts;
+                    entity.vel[1] = 0;
+                    entity.contacts.ceiling = true;
+                    return;
+                }
+            }
+        }
+    }
+    entity.pos[1] += vy;
+}
+
+/**
+ * Places an entity on top of the slope under its feet, if any.
+ * Entities that sank into a slope are pushed up onto it, and entities that were grounded
+ * last tick stay glued to it while walking downhill.
+ * @param {Entity} entity - The entity to adjust.
+ * @param {TileMap} map - The map to collide against.
+ * @param {boolean} wasGrounded - Whether the entity was on the ground before this tick.
+ */
+function snapToSlope(entity, map, wasGrounded) {
+    if (entity.vel[1] < 0) return; // Jumping up through a slope is allowed
+
+    const ts = map.tileSize;
+    const [, , width, height] = entity.hitbox;
+    const footX = entity.pos[0] + width / 2;
+    const bottom = entity.pos[1] + height;
+    const col = Math.floor(footX / ts);
+    const footRow = Math.floor((bottom - EDGE_EPSILON) / ts);
+
+    let surface = null;
+    for (let row = footRow - 1; row <= footRow + 1; row++) {
+        const meta = map.getMetaAt(col, row);
+        if (!meta.slope) continue;
+
+        const y = slopeSurfaceY(map, meta, col, row, footX);
+        const sunkIn = bottom >= y && bottom - y <= ts;
+        const justAbove = wasGrounded && y > bottom && y - bottom <= PHYSICS.SLOPE_SNAP;
+        if ((sunkIn || justAbove) && (surface === null || y < surface)) {
+            surface = y; // Highest matching surface wins
+        }
+    }
+
+    if (surface !== null) {
+        entity.pos[1] = surface - height;
+        entity.vel[1] = 0;
+        entity.contacts.ground = true;
+    }
+}
+
+/**
+ * Moves an entity by its velocity for one tick, resolving collisions against the map
+ * and refreshing its contact flags.
+ * @param {Entity} entity - The entity to move (needs pos, vel, hitbox and contacts).
+ * @param {TileMap} map - The map to collide against.
+ */
+function moveAndCollide(entity, map) {
+    const wasGrounded = entity.contacts.ground;
+    entity.contacts = createContacts();
+
+    sweepX(entity, map, wasGrounded);
+    sweepY(entity, map);
+    snapToSlope(entity, map, wasGrounded);
+}
@@ -0,0 +1,88 @@
+/**
+ * Player Profile - Display names and avatars players choose for online play.
+ * Shared by the browser (profile form, drawing other players) and the server (validating
+ * what clients send), so both accept exactly the same profiles.
+ *
+ * Profile: { name, avatar: { sprite, palette } }
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Display name rules
+const PROFILE_NAME_MAX_LENGTH = 16;
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_\- ]+$/;
+
+// Avatar sprites players can pick, drawn from /sprites/avatars/<name>.png
+const AVATAR_SPRITES = ['runner', 'knight', 'robot'];
+
+// Avatar palettes and the colour each one tints the player with
+const AVATAR_PALETTES = {
+    red: '#e52521',
+    green: '#43b047',
+    blue: '#3a6ee8',
+    yellow: '#f8d000',
+    purple: '#8e44ad',
+    white: '#f0f0f0'
+};
+
+/**
+ * Builds the avatar a player gets before choosing one. Palettes rotate so players who
+ * never pick one still look different from each other.
+ * @param {number} [index=0] - Any number that differs between players (e.g. connection number).
+ * @returns {Object} - { sprite, palette }
+ */
+function createDefaultAvatar(index = 0) {
+    const palettes = Object.keys(AVATAR_PALETTES);
+    return { sprite: AVATAR_SPRITES[0], palette: palettes[Math.abs(index) % palettes.length] };
+}
+
+/**
+ * Cleans up a profile sent by a client: trims and collapses the name's whitespace and
+ * keeps only known fields. Fields that are missing are left out.
+ * @param {Object} profile - The raw profile.
+ * @returns {Object} - { name?, avatar? }
+ */
+function normalizeProfile(profile) {
+    const normalized = {};
+    if (!profile || typeof profile !== 'object') return normalized;
+
+    if (typeof profile.name === 'string') {
+        normalized.name = profile.name.replace(/\s+/g, ' ').trim();
+    }
+    if (profile.avatar && typeof profile.avatar === 'object') {
+        normalized.avatar = { sprite: profile.avatar.sprite, palette: profile.avatar.palette };
+    }
+    return normalized;
+}
+
+/**
+ * Validates a normalized profile.
+ * @param {Object} profile - { name?, avatar? }
+ * @returns {string[]} - Human-readable problems; empty when the profile is valid.
+ */
+function validateProfile(profile) {
+    const errors = [];
+
+    if (profile.name !== undefined) {
+        if (!profile.name) errors.push('Name must not be empty.');
+        else if (profile.name.length > PROFILE_NAME_MAX_LENGTH) errors.push(`Name can be at most ${PROFILE_NAME_MAX_LENGTH} characters.`);
+        else if (!PROFILE_NAME_PATTERN.test(profile.name)) errors.push('Name can only use letters, numbers, spaces, "-" and "_".');
+    }
+    if (profile.avatar !== undefined) {
+        if (!AVATAR_SPRITES.includes(profile.avatar.sprite)) errors.push(`Unknown avatar sprite "${profile.avatar.sprite}".`);
+        if (!Object.prototype.hasOwnProperty.call(AVATAR_PALETTES, profile.avatar.palette)) errors.push(`Unknown avatar palette "${profile.avatar.palette}".`);
+    }
+    return errors;
+}
+
+// Shared with the server, which validates the profiles clients send
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AVATAR_SPRITES,
+        AVATAR_PALETTES,
+        createDefaultAvatar,
+        normalizeProfile,
+        validateProfile
+    };
+}
@@ -0,0 +1,181 @@
+/**
+ * Power-ups - The power-up registry, timed player effects and player size states.
+ * A power-up either grows the player into a size state (small -> big -> fire) or gives them
+ * a timed effect. Effects count down in simulation ticks, so they stop while the game is
+ * paused and end with a restart. Collecting an effect the player already has follows the
+ * effect's stacking rule:
+ *   'refresh' - Start the timer over (keeping whichever is longer).
+ *   'extend'  - Add the new duration to the time left, up to maxDuration.
+ *   'stack'   - Add a stack, up to maxStacks, and start the timer over.
+ *
+ * Power-up type: { label, size } or { label, effect, duration }
+ * Effect type: { label, stacking, maxStacks, maxDuration, modifiers: { name: amount per stack } }
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Player size states, weakest first. A hit drops the player to their downgrade state before it costs health.
+const PLAYER_SIZES = {
+    small: { label: 'Small', rank: 0, hitbox: [16, 16], sheetSuffix: '', projectile: null, downgrade: null },
+    big: { label: 'Big', rank: 1, hitbox: [16, 32], sheetSuffix: '-big', projectile: null, downgrade: 'small' },
+    fire: { label: 'Fire', rank: 2, hitbox: [16, 32], sheetSuffix: '-fire', projectile: 'fireball', downgrade: 'big' }
+};
+
+// Size players start online sessions in; rooms have no power-ups yet, so everyone can throw fireballs
+const ONLINE_PLAYER_SIZE = 'fire';
+
+// Timed effects by name (see registerPlayerEffect)
+const PLAYER_EFFECTS = {
+    invincibility: { label: 'Star', stacking: 'refresh' },
+    speed: { label: 'Speed', stacking: 'stack', maxStacks: 3, modifiers: { runSpeed: 0.25 } }
+};
+
+// Power-up types by name (see registerPowerUpType); durations are in ticks
+const POWER_UP_TYPES = {
+    mushroom: { label: 'Mushroom', size: 'big' },
+    fireFlower: { label: 'Fire flower', size: 'fire' },
+    invincibility: { label: 'Star', effect: 'invincibility', duration: 600 },
+    speed: { label: 'Speed boots', effect: 'speed', duration: 480 }
+};
+
+// Used for power-up spawns without a type
+const DEFAULT_POWER_UP_TYPE = 'mushroom';
+
+/**
+ * Adds or replaces a timed effect.
+ * @param {string} name - The effect's name.
+ * @param {Object} definition - { label, stacking, maxStacks, maxDuration, modifiers }
+ */
+function registerPlayerEffect(name, definition) {
+    PLAYER_EFFECTS[name] = { label: name, stacking: 'refresh', ...definition };
+}
+
+/**
+ * Adds or replaces a power-up type.
+ * @param {string} name - The power-up's name, used as the spawn type in levels.
+ * @param {Object} definition - { label, size } or { label, effect, duration }
+ * @returns {string[]} - Problems with the definition; it is only added when there are none.
+ */
+function registerPowerUpType(name, definition) {
+    const errors = [];
+    if (!definition || typeof definition !== 'object') return [`Power-up "${name}" must be an object.`];
+    if (definition.size !== undefined && !PLAYER_SIZES[definition.size]) errors.push(`Power-up "${name}": unknown size "${definition.size}".`);
+    if (definition.effect !== undefined && !PLAYER_EFFECTS[definition.effect]) errors.push(`Power-up "${name}": unknown effect "${definition.effect}".`);
+    if (definition.effect !== undefined && !(Number.isInteger(definition.duration) && definition.duration > 0)) {
+        errors.push(`Power-up "${name}": "duration" must be a whole number of ticks.`);
+    }
+    if (!errors.length) POWER_UP_TYPES[name] = { label: name, ...definition };
+    return errors;
+}
+
+/**
+ * PlayerEffects - The timed effects active on one player.
+ */
+class PlayerEffects {
+    constructor() {
+        this.active = {};                       // Effect name -> { remaining, duration, stacks }
+    }
+
+    /**
+     * Starts an effect, or applies its stacking rule if it's already active.
+     * @param {string} name - The effect's name (see PLAYER_EFFECTS).
+     * @param {number} duration - How long it lasts (ticks).
+     * @returns {boolean} - False for an unknown effect.
+     */
+    add(name, duration) {
+        const definition = PLAYER_EFFECTS[name];
+        if (!definition) return false;
+
+        const current = this.active[name];
+        if (!current) {
+            this.active[name] = { remaining: duration, duration, stacks: 1 };
+            return true;
+        }
+
+        switch (definition.stacking) {
+            case 'extend':
+                current.remaining = Math.min(current.remaining + duration, definition.maxDuration || Infinity);
+                current.duration = Math.max(current.duration, current.remaining);
+                break;
+            case 'stack':
+                current.stacks = Math.min(current.stacks + 1, definition.maxStacks || 1);
+                current.remaining = current.duration = Math.max(current.remaining, duration);
+                break;
+            default: // 'refresh'
+                current.remaining = current.duration = Math.max(current.remaining, duration);
+        }
+        return true;
+    }
+
+    /**
+     * Whether an effect is active.
+     * @param {string} name - The effect's name.
+     * @returns {boolean}
+     */
+    has(name) {
+        return Boolean(this.active[name]);
+    }
+
+    /**
+     * Ticks left of an effect.
+     * @param {string} name - The effect's name.
+     * @returns {number} - 0 when it isn't active.
+     */
+    remaining(name) {
+        return this.active[name] ? this.active[name].remaining : 0;
+    }
+
+    /**
+     * Adds up a modifier over every active effect, e.g. 'runSpeed'.
+     * @param {string} modifier - The modifier's name.
+     * @returns {number} - The total (0 when no effect has it).
+     */
+    modifier(modifier) {
+        return Object.keys(this.active).reduce((total, name) => {
+            const modifiers = PLAYER_EFFECTS[name].modifiers || {};
+            return total + (modifiers[modifier] || 0) * this.active[name].stacks;
+        }, 0);
+    }
+
+    /**
+     * Counts every effect down by one tick and ends those that have run out.
+     * @returns {string[]} - Names of the effects that ended.
+     */
+    update() {
+        const ended = [];
+        Object.keys(this.active).forEach(name => {
+            if (--this.active[name].remaining <= 0) {
+                delete this.active[name];
+                ended.push(name);
+            }
+        });
+        return ended;
+    }
+
+    /**
+     * Ends every effect.
+     */
+    clear() {
+        this.active = {};
+    }
+
+    /**
+     * Lists the active effects for saving or sending.
+     * @returns {Object[]} - [{ name, remaining, duration, stacks }]
+     */
+    serialize() {
+        return Object.keys(this.active).map(name => ({ name, ...this.active[name] }));
+    }
+
+    /**
+     * Replaces the active effects with a saved list. Unknown effects are skipped.
+     * @param {Object[]} effects - [{ name, remaining, duration, stacks }] (see serialize).
+     */
+    restore(effects) {
+        this.clear();
+        effects.forEach(({ name, remaining, duration, stacks }) => {
+            if (PLAYER_EFFECTS[name] && remaining > 0) this.active[name] = { remaining, duration, stacks };
+        });
+    }
+}
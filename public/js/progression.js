@@ -0,0 +1,191 @@
+/**
+ * Progression - Level goals, checkpoints and the worlds levels are played through.
+ * Touching a goal clears the level: flagpoles score more the higher the player grabs them,
+ * exit doors give a flat bonus. Checkpoints become the respawn point once touched. A world
+ * map lists levels in play order and remembers which ones have been cleared.
+ *
+ * Goal type: { label, size: [width, height], bonuses: [[minHeight, score], ...] }
+ * minHeight is how far up the goal the player touched (0 at the bottom, 1 at the top); the
+ * first tier they reach is scored, so tiers are listed highest first.
+ * World map definition: { title, levels: ['<levelId>' | { id, title }, ...] }
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Goal types by name (must match LEVEL_GOAL_TYPES in level-format.js)
+const GOAL_TYPES = {
+    flagpole: {
+        label: 'Flagpole',
+        size: [8, 144],
+        bonuses: [[0.9, 5000], [0.7, 2000], [0.5, 800], [0.3, 400], [0, 100]]
+    },
+    door: {
+        label: 'Exit door',
+        size: [16, 32],
+        bonuses: [[0, 1000]]
+    }
+};
+
+// Used for goal spawns without a type
+const DEFAULT_GOAL_TYPE = 'flagpole';
+
+// Score for each second left on the level timer when the level is cleared
+const TIME_BONUS_PER_SECOND = 50;
+
+// Simulation ticks in one second of the level timer
+const TICKS_PER_SECOND = Math.round(1000 / PHYSICS.FIXED_STEP);
+
+// Where world map progress is remembered
+const WORLD_PROGRESS_STORAGE_KEY = 'pixelGameDev.worldProgress';
+
+/**
+ * Goal - Clears the level when the player touches it.
+ */
+class Goal extends Entity {
+    /**
+     * @param {Object} pos - The tile the goal stands in { x, y }; taller goals reach up from it.
+     * @param {string} [type=DEFAULT_GOAL_TYPE] - One of GOAL_TYPES.
+     * @param {number} [tileSize=16] - The map's tile size, in pixels.
+     */
+    constructor(pos, type = DEFAULT_GOAL_TYPE, tileSize = 16) {
+        super(pos, new Sprite(null));
+        this.type = GOAL_TYPES[type] ? type : DEFAULT_GOAL_TYPE; // Key of GOAL_TYPES
+        this.gravity = 0;                       // Goals stay where they were placed
+        this.color = this.type === 'door' ? '#8b4513' : '#43b047'; // Fallback colour
+        [this.hitbox[2], this.hitbox[3]] = GOAL_TYPES[this.type].size;
+        this.pos[1] = this.hitbox[1] = pos.y + tileSize - this.hitbox[3]; // Stands on the same ground as its tile
+    }
+
+    /**
+     * Works out the bonus for a player touching the goal, from how high they touched it.
+     * @param {Player} player - The player.
+     * @returns {number} - The score bonus.
+     */
+    bonusFor(player) {
+        const [, y, , height] = this.hitbox;
+        const touched = Math.min(Math.max((y + height - (player.hitbox[1] + player.hitbox[3])) / height, 0), 1);
+        const tier = GOAL_TYPES[this.type].bonuses.find(([minHeight]) => touched >= minHeight);
+        return tier ? tier[1] : 0;
+    }
+
+    render(ctx, vX = 0, vY = 0) {
+        const [x, y, w, h] = this.hitbox;
+        ctx.fillStyle = this.color;
+        if (this.type !== 'flagpole') {
+            ctx.fillRect(x - vX, y - vY, w, h);
+            return;
+        }
+        ctx.fillRect(x - vX + w / 2 - 1, y - vY, 2, h); // Pole
+        ctx.beginPath();                                // Flag
+        ctx.moveTo(x - vX + w / 2, y - vY + 2);
+        ctx.lineTo(x - vX + w / 2 - 14, y - vY + 8);
+        ctx.lineTo(x - vX + w / 2, y - vY + 14);
+        ctx.fill();
+    }
+}
+
+/**
+ * Checkpoint - Becomes the player's respawn point once they touch it.
+ */
+class Checkpoint extends Entity {
+    /**
+     * @param {Object} pos - Where the player respawns { x, y }.
+     * @param {number} [tileSize=16] - The map's tile size, in pixels.
+     */
+    constructor(pos, tileSize = 16) {
+        super(pos, new Sprite(null));
+        this.gravity = 0;
+        this.reached = false;                   // Set once the player has touched it
+        this.hitbox[3] = 32;                    // Tall enough to touch while jumping past
+        this.pos[1] = this.hitbox[1] = pos.y + tileSize - this.hitbox[3]; // Stands on the same ground as the spawn point
+    }
+
+    render(ctx, vX = 0, vY = 0) {
+        const [x, y, w, h] = this.hitbox;
+        ctx.fillStyle = this.reached ? '#43b047' : '#9e9e9e'; // Lights up once reached
+        ctx.fillRect(x - vX + w / 2 - 1, y - vY, 2, h);
+        ctx.fillRect(x - vX + w / 2, y - vY, 8, 6);
+    }
+}
+
+/**
+ * Checks a world map definition.
+ * @param {Object} definition - { title, levels }
+ * @returns {string[]} - A list of problems; empty when the definition is valid.
+ */
+function validateWorldMap(definition) {
+    if (!definition || typeof definition !== 'object') return ['World map must be an object.'];
+    const errors = [];
+    if (typeof definition.title !== 'string' || !definition.title.trim()) errors.push('World map needs a title.');
+    if (!Array.isArray(definition.levels) || !definition.levels.length) {
+        errors.push('World map needs at least one level.');
+    } else if (!definition.levels.every(level => typeof level === 'string' ? level.length > 0 :
+        level && typeof level.id === 'string' && level.id.length > 0)) {
+        errors.push('World map levels must be level IDs or { id, title }.');
+    }
+    return errors;
+}
+
+/**
+ * WorldMap - Levels played one after another, and which of them have been cleared.
+ */
+class WorldMap {
+    /**
+     * @param {Object} definition - { title, levels } (see validateWorldMap).
+     * @param {Object} [options] - Optional settings.
+     * @param {Storage} [options.storage=localStorage] - Where progress is saved (null to not save).
+     */
+    constructor(definition, options = {}) {
+        const errors = validateWorldMap(definition);
+        if (errors.length) throw new Error(`Invalid world map: ${errors.join(' ')}`);
+
+        this.title = definition.title;
+        this.levels = definition.levels.map(level => typeof level === 'string' ? { id: level, title: level } : { title: level.id, ...level });
+        this.storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.cleared = new Set(this.loadProgress()); // IDs of the levels cleared so far
+    }
+
+    /**
+     * Gets the level that follows another.
+     * @param {string} id - A level ID.
+     * @returns {Object|null} - { id, title }, or null after the last level (or for a level not in the world).
+     */
+    after(id) {
+        const index = this.levels.findIndex(level => level.id === id);
+        return index === -1 ? null : this.levels[index + 1] || null;
+    }
+
+    /**
+     * Whether a level can be played: the first level, and any level after a cleared one.
+     * @param {string} id - A level ID.
+     * @returns {boolean}
+     */
+    isUnlocked(id) {
+        const index = this.levels.findIndex(level => level.id === id);
+        return index === 0 || (index > 0 && this.cleared.has(this.levels[index - 1].id));
+    }
+
+    /**
+     * Records a level as cleared and saves the progress.
+     * @param {string} id - The level ID.
+     */
+    markCleared(id) {
+        if (!this.levels.some(level => level.id === id) || this.cleared.has(id)) return;
+        this.cleared.add(id);
+        if (this.storage) this.storage.setItem(`${WORLD_PROGRESS_STORAGE_KEY}.${this.title}`, JSON.stringify(Array.from(this.cleared)));
+    }
+
+    /**
+     * Reads the saved progress for this world.
+     * @returns {string[]} - IDs of the levels cleared.
+     */
+    loadProgress() {
+        try {
+            const saved = this.storage && JSON.parse(this.storage.getItem(`${WORLD_PROGRESS_STORAGE_KEY}.${this.title}`));
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            return []; // Unreadable progress starts the world over
+        }
+    }
+}
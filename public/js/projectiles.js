@@ -0,0 +1,217 @@
+/**
+ * Projectiles - Fireballs, bullets and anything else that is shot.
+ * Projectiles are pooled and reused, expire after a lifetime, fly straight or fall and
+ * bounce (fireball-style), and burst on walls. Each owner can only have a few of each kind
+ * in the air at once.
+ * Shared by the browser and the server simulation, which decides what projectiles hit in
+ * online games.
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Projectile kinds
+const PROJECTILE_TYPES = {
+    fireball: {
+        hitbox: [8, 8],
+        speed: 4,               // Horizontal speed in pixels per tick
+        gravity: 0.5,           // Falls like other entities...
+        bounce: 4,              // ...and bounces off the ground with this upward speed
+        lifetime: 120,          // Ticks before it fizzles out
+        damage: 1,
+        maxPerOwner: 2          // Live fireballs one owner may have
+    },
+    bullet: {
+        hitbox: [8, 4],
+        speed: 3,
+        gravity: 0,             // Flies straight
+        bounce: 0,
+        lifetime: 180,
+        damage: 1,
+        maxPerOwner: 3
+    }
+};
+
+/**
+ * Projectile - One pooled projectile. fire() brings it to life; it's released back to the
+ * pool once `expired` is set.
+ */
+class Projectile extends Entity {
+    constructor() {
+        super({ x: 0, y: 0 }, new Sprite(null));
+        this.id = 0;                            // Unique while alive; the server's ID online
+        this.kind = null;                       // Key of PROJECTILE_TYPES
+        this.owner = null;                      // Who fired it (an entity offline, a player ID on the server)
+        this.direction = 1;                     // 1 flying right, -1 flying left
+        this.age = 0;                           // Ticks since it was fired
+        this.expired = true;                    // Set when it hits something, fizzles out or leaves the map
+        this.replicated = false;                // Mirrors a projectile the server fired; only the server decides what it hits
+        this.color = '#ff7a00';                 // Fallback colour
+        this.animator = createAnimator('projectile');
+    }
+
+    /**
+     * Launches the projectile.
+     * @param {number} id - Its ID.
+     * @param {string} kind - Key of PROJECTILE_TYPES.
+     * @param {*} owner - Who fired it.
+     * @param {number} x - World X of its centre.
+     * @param {number} y - World Y of its centre.
+     * @param {number} direction - 1 to fly right, -1 to fly left.
+     */
+    fire(id, kind, owner, x, y, direction) {
+        const type = PROJECTILE_TYPES[kind];
+        this.id = id;
+        this.kind = kind;
+        this.owner = owner;
+        this.direction = direction < 0 ? -1 : 1;
+        this.facing = this.direction;
+        this.age = 0;
+        this.expired = false;
+        this.replicated = false;
+        this.dying = false;
+        this.isDestroyed = false;
+        this.gravity = type.gravity;
+        this.damage = type.damage;
+        this.sheet = `projectile-${kind}`;
+        this.hitbox[2] = type.hitbox[0];
+        this.hitbox[3] = type.hitbox[1];
+        this.setPosition(x - type.hitbox[0] / 2, y - type.hitbox[1] / 2);
+        this.vel = [this.direction * type.speed, 0];
+        this.animator.play('idle', true);
+    }
+
+    /**
+     * Moves the projectile one tick. It bounces along the ground if its kind bounces, and
+     * expires on walls, at the end of its lifetime or below the map.
+     * @param {TileMap} [map] - The map to collide against.
+     */
+    update(map) {
+        const type = PROJECTILE_TYPES[this.kind];
+        this.vel[0] = this.direction * type.speed;
+        super.update(map);
+        this.age++;
+
+        if (this.grounded && type.bounce) {
+            this.vel[1] = -type.bounce;
+        }
+        if (this.contacts.left || this.contacts.right || (this.grounded && !type.bounce) ||
+            this.contacts.ceiling || this.fellOffMap || this.age >= type.lifetime) {
+            this.expired = true;
+        }
+    }
+
+    /**
+     * Gets the state needed to replicate the projectile to other clients.
+     * @returns {Object} - { id, kind, pos, vel, direction }
+     */
+    getState() {
+        return { id: this.id, kind: this.kind, pos: this.pos.slice(), vel: this.vel.slice(), direction: this.direction };
+    }
+}
+
+/**
+ * ProjectilePool - The live projectiles of one world, reusing expired ones.
+ */
+class ProjectilePool {
+    constructor() {
+        this.active = [];                       // Projectiles in the air
+        this.free = [];                         // Expired projectiles ready for reuse
+        this.nextId = 1;                        // ID given to the next projectile fired
+    }
+
+    /**
+     * Counts an owner's live projectiles of one kind.
+     * @param {*} owner - The owner.
+     * @param {string} kind - Key of PROJECTILE_TYPES.
+     * @returns {number}
+     */
+    countFor(owner, kind) {
+        return this.active.filter(projectile => projectile.owner === owner && projectile.kind === kind).length;
+    }
+
+    /**
+     * Whether an owner may fire another projectile of a kind.
+     * @param {*} owner - The owner.
+     * @param {string} kind - Key of PROJECTILE_TYPES.
+     * @returns {boolean}
+     */
+    canFire(owner, kind) {
+        return Boolean(PROJECTILE_TYPES[kind]) && this.countFor(owner, kind) < PROJECTILE_TYPES[kind].maxPerOwner;
+    }
+
+    /**
+     * Fires a projectile if the owner is under its limit.
+     * @param {string} kind - Key of PROJECTILE_TYPES.
+     * @param {*} owner - Who fires it.
+     * @param {number} x - World X of its centre.
+     * @param {number} y - World Y of its centre.
+     * @param {number} direction - 1 to fly right, -1 to fly left.
+     * @returns {Projectile|null} - The projectile, or null if the owner is at its limit.
+     */
+    fire(kind, owner, x, y, direction) {
+        if (!this.canFire(owner, kind)) return null;
+        return this.spawn(this.nextId++, kind, owner, x, y, direction);
+    }
+
+    /**
+     * Adds a projectile without checking limits, e.g. one the server fired.
+     * @param {number} id - Its ID.
+     * @param {string} kind - Key of PROJECTILE_TYPES.
+     * @param {*} owner - Who fired it.
+     * @param {number} x - World X of its centre.
+     * @param {number} y - World Y of its centre.
+     * @param {number} direction - 1 to fly right, -1 to fly left.
+     * @returns {Projectile|null} - The projectile, or null for an unknown kind.
+     */
+    spawn(id, kind, owner, x, y, direction) {
+        if (!PROJECTILE_TYPES[kind]) return null;
+        const projectile = this.free.pop() || new Projectile();
+        projectile.fire(id, kind, owner, x, y, direction);
+        this.active.push(projectile);
+        return projectile;
+    }
+
+    /**
+     * Finds a live projectile by ID.
+     * @param {number} id - The projectile's ID.
+     * @returns {Projectile|null}
+     */
+    get(id) {
+        return this.active.find(projectile => projectile.id === id) || null;
+    }
+
+    /**
+     * Moves every projectile one tick.
+     * @param {TileMap} [map] - The map to collide against.
+     * @returns {Projectile[]} - Projectiles that expired on their own this tick (already released).
+     */
+    update(map) {
+        this.active.forEach(projectile => projectile.update(map));
+        const expired = this.active.filter(projectile => projectile.expired);
+        this.releaseExpired();
+        return expired;
+    }
+
+    /**
+     * Returns expired projectiles to the pool.
+     */
+    releaseExpired() {
+        this.active = this.active.filter(projectile => {
+            if (!projectile.expired) return true;
+            this.free.push(projectile);
+            return false;
+        });
+    }
+
+    /**
+     * Expires every projectile, e.g. when a level restarts.
+     */
+    clear() {
+        this.active.forEach(projectile => {
+            projectile.expired = true;
+        });
+        this.releaseExpired();
+    }
+}
+
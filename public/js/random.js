@@ -0,0 +1,66 @@
+/**
+ * SeededRandom - Random numbers that come out the same every time for the same seed.
+ * Everything random in the simulation draws from the game's SeededRandom, so a run can be
+ * repeated exactly from its seed and inputs (see replay.js). Only picking a fresh seed uses
+ * Math.random.
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+/**
+ * Picks a seed for a new run.
+ * @returns {number} - An unsigned 32-bit integer.
+ */
+function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+class SeededRandom {
+    /**
+     * @param {number} [seed] - Unsigned 32-bit seed (defaults to a fresh one from randomSeed()).
+     */
+    constructor(seed = randomSeed()) {
+        this.seed = seed >>> 0;                 // Seed the sequence started from
+        this.state = this.seed;                 // Advances with every number drawn
+    }
+
+    /**
+     * Draws the next number (mulberry32).
+     * @returns {number} - A number from 0 (inclusive) to 1 (exclusive).
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Draws a number in a range.
+     * @param {number} min - Lowest value (inclusive).
+     * @param {number} max - Highest value (exclusive).
+     * @returns {number}
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Draws a whole number in a range.
+     * @param {number} min - Lowest value (inclusive).
+     * @param {number} max - Highest value (inclusive).
+     * @returns {number}
+     */
+    integer(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Starts the sequence over from the seed.
+     */
+    reset() {
+        this.state = this.seed;
+    }
+}
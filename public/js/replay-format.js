@@ -0,0 +1,148 @@
+/**
+ * Replay Format - How a recorded run is stored, and the checks a replay must pass.
+ * A run is repeated exactly from the level it was played on, the seed the game's random
+ * numbers started from, the state the player started in and the input of every tick it was
+ * played for (see replay.js). Each tick's input is packed into a bitmask, and repeats of the
+ * same mask are stored as runs, so holding right for ten seconds takes a single entry.
+ * Shared by the browser (recording and playback) and the server (validating uploads).
+ *
+ * Replay: {
+ *   version, levelId, seed,
+ *   start: { score, coins, lives, power },   - power as from Player.getPowerState()
+ *   inputs: [[mask, ticks], ...],            - Input runs, first tick first
+ *   ticks,                                   - Ticks played (the sum of the run lengths)
+ *   outcome,                                 - One of REPLAY_OUTCOMES
+ *   score,                                   - Score when the run ended
+ *   name                                     - Who played it (optional)
+ * }
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Current replay format version; replays of any other version can't be played back
+const REPLAY_FORMAT_VERSION = 1;
+
+// Input actions stored in a replay, lowest bit first
+const REPLAY_INPUT_ACTIONS = ['left', 'right', 'down', 'jump', 'jumpHeld', 'fire'];
+
+// How a recorded run can end
+const REPLAY_OUTCOMES = ['cleared', 'gameOver', 'quit'];
+
+// Upper bounds that keep replay files a sensible size
+const REPLAY_LIMITS = {
+    maxTicks: 60 * 60 * 30,     // Thirty minutes at 60 ticks per second
+    maxNameLength: 16
+};
+
+/**
+ * Packs one tick's input into a bitmask.
+ * @param {Object} input - { left, right, down, jump, jumpHeld, fire }
+ * @returns {number}
+ */
+function encodeReplayInput(input) {
+    return REPLAY_INPUT_ACTIONS.reduce((mask, action, bit) => input[action] ? mask | (1 << bit) : mask, 0);
+}
+
+/**
+ * Unpacks a bitmask into one tick's input.
+ * @param {number} mask - From encodeReplayInput().
+ * @returns {Object} - { left, right, down, jump, jumpHeld, fire }
+ */
+function decodeReplayInput(mask) {
+    const input = {};
+    REPLAY_INPUT_ACTIONS.forEach((action, bit) => {
+        input[action] = Boolean(mask & (1 << bit));
+    });
+    return input;
+}
+
+/**
+ * Collapses per-tick masks into runs of the same mask.
+ * @param {number[]} masks - One mask per tick.
+ * @returns {Array[]} - [[mask, ticks], ...]
+ */
+function compressReplayInputs(masks) {
+    const runs = [];
+    masks.forEach(mask => {
+        const last = runs[runs.length - 1];
+        if (last && last[0] === mask) {
+            last[1]++;
+        } else {
+            runs.push([mask, 1]);
+        }
+    });
+    return runs;
+}
+
+/**
+ * Expands input runs back into one mask per tick.
+ * @param {Array[]} runs - From compressReplayInputs().
+ * @returns {number[]}
+ */
+function expandReplayInputs(runs) {
+    const masks = [];
+    runs.forEach(([mask, ticks]) => {
+        for (let i = 0; i < ticks; i++) masks.push(mask);
+    });
+    return masks;
+}
+
+/**
+ * Checks a replay against the format.
+ * @param {Object} replay - The replay to check.
+ * @returns {string[]} - A list of problems; empty when the replay is valid.
+ */
+function validateReplay(replay) {
+    if (!replay || typeof replay !== 'object') return ['Replay must be an object.'];
+    const errors = [];
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+    if (replay.version !== REPLAY_FORMAT_VERSION) errors.push(`Replay version must be ${REPLAY_FORMAT_VERSION}.`);
+    if (typeof replay.levelId !== 'string' || !replay.levelId) errors.push('Replay needs the ID of a saved level.');
+    if (!Number.isInteger(replay.seed) || replay.seed < 0 || replay.seed > 0xffffffff) errors.push('Replay seed must be an unsigned 32-bit integer.');
+
+    const start = replay.start;
+    if (!start || typeof start !== 'object') {
+        errors.push('Replay needs its start state.');
+    } else {
+        ['score', 'coins', 'lives'].forEach(field => {
+            if (!isCount(start[field])) errors.push(`Replay start ${field} must be a whole number of at least 0.`);
+        });
+        const power = start.power;
+        if (!power || typeof power.size !== 'string' || !isCount(power.health) || !isCount(power.hurtTicks) || !Array.isArray(power.effects)) {
+            errors.push('Replay start power must be { size, health, hurtTicks, effects }.');
+        }
+    }
+
+    if (!Array.isArray(replay.inputs) || !replay.inputs.every(run => Array.isArray(run) && run.length === 2 &&
+        isCount(run[0]) && run[0] < 1 << REPLAY_INPUT_ACTIONS.length && Number.isInteger(run[1]) && run[1] > 0)) {
+        errors.push('Replay inputs must be [mask, ticks] runs.');
+    } else {
+        const ticks = replay.inputs.reduce((total, run) => total + run[1], 0);
+        if (ticks !== replay.ticks) errors.push('Replay ticks must match its inputs.');
+        if (ticks > REPLAY_LIMITS.maxTicks) errors.push(`Replay can't be longer than ${REPLAY_LIMITS.maxTicks} ticks.`);
+    }
+
+    if (!REPLAY_OUTCOMES.includes(replay.outcome)) errors.push(`Replay outcome must be one of: ${REPLAY_OUTCOMES.join(', ')}.`);
+    if (!isCount(replay.score)) errors.push('Replay score must be a whole number of at least 0.');
+    if (replay.name !== undefined && (typeof replay.name !== 'string' || replay.name.length > REPLAY_LIMITS.maxNameLength)) {
+        errors.push(`Replay name must be text of at most ${REPLAY_LIMITS.maxNameLength} characters.`);
+    }
+    return errors;
+}
+
+// Shared with the server, which validates uploaded replays with the same rules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REPLAY_FORMAT_VERSION,
+        REPLAY_INPUT_ACTIONS,
+        REPLAY_OUTCOMES,
+        REPLAY_LIMITS,
+        encodeReplayInput,
+        decodeReplayInput,
+        compressReplayInputs,
+        expandReplayInputs,
+        validateReplay
+    };
+}
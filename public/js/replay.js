@@ -0,0 +1,317 @@
+/**
+ * Replay - Recording runs and playing them back through DevGameMaker.
+ * The recorder stores the input of every tick a level is played for, along with the level,
+ * the seed of the game's random numbers and the state the player started in (see
+ * replay-format.js). Playing that input back into the same level from the same seed repeats
+ * the run exactly, because the simulation advances in fixed ticks and draws every random
+ * number from the seed. Playback can be paused, sped up or slowed down, and scrubbed to
+ * any tick by replaying up to it.
+ * A ghost is a replay played back in a second, headless game in step with the live one and
+ * drawn as a translucent player to race against.
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Playback speeds, slowest first
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// How far one scrub press moves through a replay (seconds)
+const REPLAY_SCRUB_SECONDS = 5;
+
+// Opacity ghosts are drawn with
+const GHOST_ALPHA = 0.4;
+
+/**
+ * ReplayRecorder - Records each run of a saved level played on a game.
+ * A run starts whenever a level loads or the game restarts, and ends when the level is
+ * cleared, the game is over or the player quits; runs cut short by loading another level
+ * are dropped. Online games and replays being watched aren't recorded.
+ */
+class ReplayRecorder extends EventBus {
+    constructor() {
+        super();
+        this.game = null;                       // Game being recorded
+        this.recording = null;                  // Run in progress: { levelId, seed, start, masks }
+        this.last = null;                       // The last finished replay
+        this.listeners = {                      // Game event -> handler, kept so detach() can remove them
+            levelLoaded: () => this.begin(),
+            gameRestarted: () => this.begin(),
+            playerInput: (input) => this.record(input),
+            levelCleared: () => this.finish('cleared'),
+            gameOver: () => this.finish('gameOver'),
+            gameQuit: () => this.finish('quit')
+        };
+    }
+
+    /**
+     * Starts recording a game's runs.
+     * @param {DevGameMaker} game - The game to record.
+     */
+    attach(game) {
+        this.detach();
+        this.game = game;
+        Object.keys(this.listeners).forEach(event => game.on(event, this.listeners[event]));
+    }
+
+    /**
+     * Stops recording, dropping any run in progress.
+     */
+    detach() {
+        if (!this.game) return;
+        Object.keys(this.listeners).forEach(event => this.game.off(event, this.listeners[event]));
+        this.game = null;
+        this.recording = null;
+    }
+
+    /**
+     * Starts a new run from the game's current state.
+     */
+    begin() {
+        const game = this.game;
+        const level = game.currentLevel;
+        if (!game.localProgression || game.replay || !level || !level.id) {
+            this.recording = null; // Nothing to record, or nothing that could be played back
+            return;
+        }
+        this.recording = {
+            levelId: level.id,
+            seed: game.random.seed,
+            start: { score: game.score, coins: game.coins, lives: game.playerLives, power: game.player.getPowerState() },
+            masks: []
+        };
+    }
+
+    /**
+     * Adds one tick's input to the run.
+     * @param {Object} input - The input command the tick ran with.
+     */
+    record(input) {
+        if (this.recording) this.recording.masks.push(encodeReplayInput(input));
+    }
+
+    /**
+     * Ends the run and keeps it as the last replay. Emits 'recorded' (replay).
+     * @param {string} outcome - One of REPLAY_OUTCOMES.
+     * @returns {Object|null} - The replay, or null if nothing was being recorded.
+     */
+    finish(outcome) {
+        const recording = this.recording;
+        this.recording = null;
+        if (!recording || !recording.masks.length) return null;
+
+        this.last = {
+            version: REPLAY_FORMAT_VERSION,
+            levelId: recording.levelId,
+            seed: recording.seed,
+            start: recording.start,
+            inputs: compressReplayInputs(recording.masks),
+            ticks: recording.masks.length,
+            outcome,
+            score: this.game.score
+        };
+        this.emit('recorded', this.last);
+        return this.last;
+    }
+}
+
+/**
+ * ReplayPlayer - Plays a replay back through a game. While the game's `replay` is set to
+ * the player, the replay's input takes the place of the controls.
+ */
+class ReplayPlayer extends EventBus {
+    /**
+     * @param {DevGameMaker} game - The game to play the replay in.
+     * @param {Object} replay - The replay (see replay-format.js).
+     * @param {Object} level - The level it was recorded on.
+     */
+    constructor(game, replay, level) {
+        super();
+        const errors = validateReplay(replay);
+        if (errors.length) throw new Error(`Invalid replay: ${errors.join(' ')}`);
+
+        this.game = game;
+        this.replay = replay;
+        this.level = JSON.parse(JSON.stringify(level)); // Reloaded on every restart
+        this.level.next = null;                 // Playback ends with the replay's own level
+        this.masks = expandReplayInputs(replay.inputs); // One input mask per tick
+        this.position = 0;                      // Ticks played back so far
+        this.isPaused = false;
+        this.speed = 1;                         // One of REPLAY_SPEEDS
+        this.isSeeking = false;                 // Set while skipping ticks to reach a position
+        this.hasEnded = false;                  // Set once every recorded tick has been played
+    }
+
+    /**
+     * Whether every recorded tick has been played.
+     * @returns {boolean}
+     */
+    get isFinished() {
+        return this.position >= this.masks.length;
+    }
+
+    /**
+     * Gives the game the next tick's input. Ticks after the level ended weren't recorded,
+     * and neither is anything after the last recorded tick, so those get no input.
+     * @returns {Object} - { left, right, down, jump, jumpHeld, fire }
+     */
+    nextInput() {
+        if (this.game.levelState !== 'playing' || this.isFinished) return createInput();
+        return decodeReplayInput(this.masks[this.position++]);
+    }
+
+    /**
+     * Loads the level from the replay's seed and start state, ready to play the first tick.
+     * @returns {boolean} - False if the level couldn't be loaded.
+     */
+    restart() {
+        const { game, replay } = this;
+        game.world = null;
+        if (!game.loadLevel(this.level, { seed: replay.seed })) return false;
+        game.score = replay.start.score;
+        game.coins = replay.start.coins;
+        game.playerLives = replay.start.lives;
+        game.player.setPowerState(replay.start.power);
+        this.position = 0;
+        this.hasEnded = false;
+        return true;
+    }
+
+    /**
+     * Moves playback to a tick by playing up to it, from the start when going backwards.
+     * Emits 'seeked' (position).
+     * @param {number} tick - The tick to go to.
+     */
+    seek(tick) {
+        const target = Math.min(Math.max(Math.round(tick), 0), this.masks.length);
+        if (target < this.position && !this.restart()) return;
+
+        this.isSeeking = true;
+        while (this.position < target && this.game.levelState === 'playing') {
+            this.game.step();
+        }
+        this.isSeeking = false;
+        this.game.accumulator = 0;
+        this.game.resetCamera();
+        this.emit('seeked', this.position);
+    }
+
+    play() {
+        if (this.hasEnded) this.seek(0); // Playing a finished replay starts it over
+        this.isPaused = false;
+    }
+
+    pause() {
+        this.isPaused = true;
+    }
+
+    togglePause() {
+        this.isPaused ? this.play() : this.pause();
+    }
+
+    /**
+     * Changes the playback speed one step.
+     * @param {number} direction - 1 for faster, -1 for slower.
+     */
+    changeSpeed(direction) {
+        const index = REPLAY_SPEEDS.indexOf(this.speed) + direction;
+        this.speed = REPLAY_SPEEDS[Math.min(Math.max(index, 0), REPLAY_SPEEDS.length - 1)];
+    }
+
+    /**
+     * Plays the replay on for the time since the previous frame, scaled by the speed.
+     * Emits 'ended' once every recorded tick has been played.
+     * @param {number} elapsed - Time since the previous frame (ms).
+     */
+    update(elapsed) {
+        if (this.isPaused) return;
+        this.game.simulate(elapsed * this.speed);
+        if (this.isFinished && !this.hasEnded) {
+            this.hasEnded = true;
+            this.emit('ended');
+        }
+    }
+}
+
+/**
+ * GhostRunner - Races a replay alongside the live game. The replay plays in a headless game
+ * of its own, one tick for every tick the live player plays, and its player is drawn
+ * translucently over the live world. The ghost starts over whenever the live game loads
+ * or restarts its level, and only shows on the level it was recorded on.
+ */
+class GhostRunner {
+    /**
+     * @param {Object} replay - The replay to race (see replay-format.js).
+     * @param {Object} level - The level it was recorded on.
+     */
+    constructor(replay, level) {
+        this.ghostGame = new DevGameMaker({ input: new InputManager({ storage: null }), loop: new ManualLoop(), autoStart: false });
+        this.playback = new ReplayPlayer(this.ghostGame, replay, level);
+        this.ghostGame.replay = this.playback;
+        this.game = null;                       // Live game the ghost races in
+        this.visible = false;                   // Whether the live game is on the ghost's level
+        this.listeners = {                      // Live game event -> handler, kept so detach() can remove them
+            levelLoaded: () => this.restart(),
+            gameRestarted: () => this.restart(),
+            playerInput: () => this.step(),
+            rendered: (context, vX, vY) => this.render(context, vX, vY)
+        };
+    }
+
+    /**
+     * The ghost's player.
+     * @returns {Player}
+     */
+    get player() {
+        return this.ghostGame.player;
+    }
+
+    /**
+     * Starts racing in a live game.
+     * @param {DevGameMaker} game - The live game.
+     */
+    attach(game) {
+        this.detach();
+        this.game = game;
+        Object.keys(this.listeners).forEach(event => game.on(event, this.listeners[event]));
+        this.restart();
+    }
+
+    /**
+     * Stops racing.
+     */
+    detach() {
+        if (!this.game) return;
+        Object.keys(this.listeners).forEach(event => this.game.off(event, this.listeners[event]));
+        this.game = null;
+    }
+
+    /**
+     * Puts the ghost back at the start of its run, if the live game is on its level.
+     */
+    restart() {
+        const level = this.game.currentLevel;
+        this.visible = Boolean(level) && level.id === this.playback.replay.levelId && this.playback.restart();
+    }
+
+    /**
+     * Plays the ghost's next tick. It stays where its run ended.
+     */
+    step() {
+        if (this.visible && !this.playback.isFinished) this.ghostGame.step();
+    }
+
+    /**
+     * Draws the ghost over the live world.
+     * @param {CanvasRenderingContext2D} context - The rendering context.
+     * @param {number} vX - Viewport X offset.
+     * @param {number} vY - Viewport Y offset.
+     */
+    render(context, vX, vY) {
+        if (!this.visible) return;
+        context.save();
+        context.globalAlpha = GHOST_ALPHA;
+        this.player.render(context, vX, vY, this.game.spriteManager);
+        context.restore();
+    }
+}
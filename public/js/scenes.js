@@ -0,0 +1,499 @@
+/**
+ * Scenes - The screens the game moves between: title, level select, playing, paused, level
+ * clear, game over, options and watching a replay. The SceneManager runs one scene at a time; every animation
+ * frame it updates the current scene (which reads the controls and, while playing, advances
+ * the simulation) and then draws it, over the game world for scenes that show it.
+ *
+ * Scene: {
+ *   showsWorld,                        - Draw the level and HUD underneath the scene
+ *   pausesGame,                        - The game (and its audio) counts as paused meanwhile
+ *   enter(game, scenes, params),       - Called when the scene starts, with go()'s params
+ *   exit(game, scenes),                - Called when another scene takes over
+ *   update(game, scenes, elapsed),     - Called once per frame (elapsed in ms)
+ *   render(context, game, scenes)      - Draws the scene
+ * }
+ * Every hook is optional. Menus move with up and down and choose with jump or fire; pause
+ * goes back.
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Background behind scenes that don't show the world
+const SCENE_BACKGROUND = '#101828';
+
+// Dims the world behind scenes drawn over it
+const SCENE_OVERLAY = 'rgba(0, 0, 0, 0.6)';
+
+// How much one press changes a volume in the options menu
+const VOLUME_STEP = 0.1;
+
+/**
+ * Menu - A list of items to move through and choose from.
+ * Item: { label: string | () => string, choose(), adjust(direction), disabled() }
+ * Items with adjust() change with left and right (e.g. volumes); disabled items can't be chosen.
+ */
+class Menu {
+    /**
+     * @param {Object[]} items - The menu items.
+     */
+    constructor(items) {
+        this.items = items;                     // Items, top to bottom
+        this.selected = 0;                      // Index of the highlighted item
+    }
+
+    /**
+     * Moves the highlight, adjusts or chooses the highlighted item from this frame's controls.
+     * @param {SceneManager} scenes - The scene manager reading the controls.
+     */
+    update(scenes) {
+        const count = this.items.length;
+        if (scenes.wasPressed('down')) {
+            this.selected = (this.selected + 1) % count; // Wraps, so down alone reaches everything
+        } else if (scenes.wasPressed('up')) {
+            this.selected = (this.selected + count - 1) % count;
+        }
+
+        const item = this.items[this.selected];
+        const direction = scenes.wasPressed('right') - scenes.wasPressed('left');
+        if (item.adjust && direction) {
+            item.adjust(direction);
+        } else if (scenes.wasChosen() && item.choose && !(item.disabled && item.disabled())) {
+            item.choose();
+        }
+    }
+
+    /**
+     * Draws the items centred below a heading.
+     * @param {CanvasRenderingContext2D} context - The rendering context.
+     * @param {string} heading - Text above the items.
+     * @param {string[]} [lines=[]] - Smaller lines between the heading and the items.
+     */
+    render(context, heading, lines = []) {
+        const { width, height } = context.canvas;
+        const top = height / 2 - (this.items.length + lines.length) * 8;
+
+        context.save();
+        context.textAlign = 'center';
+        context.fillStyle = '#ffffff';
+        context.font = '16px monospace';
+        context.fillText(heading, width / 2, top - 16);
+        context.font = '10px monospace';
+        lines.forEach((line, i) => context.fillText(line, width / 2, top + 4 + i * 14));
+
+        this.items.forEach((item, i) => {
+            const label = typeof item.label === 'function' ? item.label() : item.label;
+            const y = top + (lines.length + i) * 14 + 16;
+            const disabled = item.disabled && item.disabled();
+            context.fillStyle = disabled ? '#808080' : (i === this.selected ? '#f8d000' : '#ffffff');
+            context.fillText(i === this.selected ? `> ${label} <` : label, width / 2, y);
+        });
+        context.restore();
+    }
+}
+
+/**
+ * Draws a translucent layer over the world so a menu on top can be read.
+ * @param {CanvasRenderingContext2D} context - The rendering context.
+ */
+function dimWorld(context) {
+    context.fillStyle = SCENE_OVERLAY;
+    context.fillRect(0, 0, context.canvas.width, context.canvas.height);
+}
+
+/**
+ * Formats a number of ticks as minutes and seconds.
+ * @param {number} ticks - Simulation ticks.
+ * @returns {string} - e.g. '1:05'
+ */
+function formatTicks(ticks) {
+    const seconds = Math.floor(ticks / TICKS_PER_SECOND);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Starts a level from the first life with no score, downloading it first unless it's
+ * already loaded. Goes to the playing scene once it's ready.
+ * @param {DevGameMaker} game - The game.
+ * @param {SceneManager} scenes - The scene manager.
+ * @param {string|null} id - The level ID, or null for the current level.
+ */
+function startLevel(game, scenes, id) {
+    if (!id || (game.currentLevel && game.currentLevel.id === id)) {
+        game.restartGame();
+        return;
+    }
+    scenes.isLoading = true;
+    scenes.message = 'Loading…';
+    game.openLevel(id).then(map => {
+        scenes.isLoading = false;
+        scenes.message = map ? null : 'The level could not be loaded';
+        if (map) game.restartGame();
+    });
+}
+
+/**
+ * Returns from the options to the scene they were opened from.
+ * @param {SceneManager} scenes - The scene manager.
+ */
+function leaveOptions(scenes) {
+    scenes.go(scenes.optionsBack, { keepMenu: true });
+}
+
+/**
+ * Leaves the game for the title screen. Emits 'gameQuit' so whoever started the game (e.g.
+ * the editor's playtest) can take over.
+ * @param {DevGameMaker} game - The game.
+ * @param {SceneManager} scenes - The scene manager.
+ */
+function quitGame(game, scenes) {
+    scenes.go('title');
+    game.emit('gameQuit');
+}
+
+// Scenes by name
+const SCENES = {
+    /**
+     * The world's title with start, level select and options.
+     */
+    title: {
+        enter(game, scenes) {
+            scenes.menu = new Menu([
+                { label: 'Start', choose: () => startLevel(game, scenes, game.world ? game.world.levels[0].id : null) },
+                { label: 'Level select', choose: () => scenes.go('levelSelect') },
+                { label: 'Options', choose: () => scenes.go('options') }
+            ]);
+        },
+        update(game, scenes) {
+            if (!scenes.isLoading) scenes.menu.update(scenes);
+        },
+        render(context, game, scenes) {
+            const title = game.world ? game.world.title : (game.currentLevel ? game.currentLevel.meta.title : 'Pixel Game');
+            scenes.menu.render(context, title.toUpperCase(), scenes.message ? [scenes.message] : []);
+        }
+    },
+
+    /**
+     * The world's levels; locked levels (those after a level not yet cleared) are greyed out.
+     */
+    levelSelect: {
+        enter(game, scenes) {
+            const levels = game.world ? game.world.levels
+                : (game.currentLevel ? [{ id: game.currentLevel.id, title: game.currentLevel.meta.title }] : []);
+            scenes.menu = new Menu([
+                ...levels.map(level => ({
+                    label: () => game.world && game.world.cleared.has(level.id) ? `${level.title} *` : level.title,
+                    disabled: () => Boolean(game.world) && !game.world.isUnlocked(level.id),
+                    choose: () => startLevel(game, scenes, level.id)
+                })),
+                { label: 'Back', choose: () => scenes.go('title') }
+            ]);
+        },
+        update(game, scenes) {
+            if (scenes.isLoading) return;
+            if (scenes.wasPressed('pause')) {
+                scenes.go('title');
+            } else {
+                scenes.menu.update(scenes);
+            }
+        },
+        render(context, game, scenes) {
+            scenes.menu.render(context, 'SELECT A LEVEL', scenes.message ? [scenes.message] : []);
+        }
+    },
+
+    /**
+     * The game itself: runs the simulation, and pauses or restarts on request.
+     */
+    playing: {
+        showsWorld: true,
+        update(game, scenes, elapsed) {
+            if (scenes.wasPressed('pause')) {
+                game.togglePause();
+                return;
+            }
+            if (scenes.wasPressed('restart')) game.restartGame();
+            game.simulate(elapsed);
+        }
+    },
+
+    /**
+     * The world stands still behind a menu to resume, restart, change options or quit.
+     */
+    paused: {
+        showsWorld: true,
+        pausesGame: true,
+        enter(game, scenes, params) {
+            if (params.keepMenu && scenes.menu) return; // Back from the options
+            scenes.menu = new Menu([
+                { label: 'Resume', choose: () => game.togglePause() },
+                { label: 'Restart', choose: () => game.restartGame() },
+                { label: 'Options', choose: () => scenes.go('options', { back: 'paused' }) },
+                { label: 'Quit', choose: () => quitGame(game, scenes) }
+            ]);
+        },
+        update(game, scenes) {
+            if (scenes.wasPressed('pause')) {
+                game.togglePause();
+            } else {
+                scenes.menu.update(scenes);
+            }
+        },
+        render(context, game, scenes) {
+            dimWorld(context);
+            scenes.menu.render(context, 'PAUSED');
+        }
+    },
+
+    /**
+     * The stage-clear screen: the simulation keeps running while the time bonus is tallied
+     * and the next level loads. When nothing follows, offers to play again or quit.
+     */
+    levelClear: {
+        showsWorld: true,
+        enter(game, scenes) {
+            scenes.menu = null;
+            scenes.clearLines = [];
+        },
+        update(game, scenes, elapsed) {
+            if (game.levelState === 'playing') {
+                scenes.go('playing'); // The next level has loaded
+                return;
+            }
+            if (game.levelState === 'finished' && !scenes.menu) {
+                scenes.menu = new Menu([
+                    { label: 'Play again', choose: () => game.restartGame() },
+                    { label: 'Quit', choose: () => quitGame(game, scenes) }
+                ]);
+            }
+            if (scenes.menu) {
+                scenes.menu.update(scenes);
+            } else {
+                game.simulate(elapsed);
+            }
+        },
+        render(context, game, scenes) {
+            dimWorld(context);
+            const lines = [`SCORE ${game.score}`];
+            if (game.timeLeft !== null) lines.push(`TIME ${Math.ceil(game.timeLeft / TICKS_PER_SECOND)}`);
+            lines.push(...scenes.clearLines);
+            const heading = scenes.menu && game.world ? `${game.world.title.toUpperCase()} CLEAR!` : 'COURSE CLEAR!';
+            (scenes.menu || new Menu([])).render(context, heading, lines);
+        }
+    },
+
+    /**
+     * Out of lives: continue from the current level or quit.
+     */
+    gameOver: {
+        showsWorld: true,
+        enter(game, scenes) {
+            scenes.menu = new Menu([
+                { label: 'Continue', choose: () => game.continueGame() },
+                { label: 'Quit', choose: () => quitGame(game, scenes) }
+            ]);
+        },
+        update(game, scenes) {
+            scenes.menu.update(scenes);
+        },
+        render(context, game, scenes) {
+            dimWorld(context);
+            scenes.menu.render(context, 'GAME OVER', [`SCORE ${game.score}`]);
+        }
+    },
+
+    /**
+     * Music and effect volumes, and the key for each action. Choosing an action waits for
+     * the next key pressed (Escape cancels).
+     */
+    options: {
+        pausesGame: true,
+        enter(game, scenes, params) {
+            scenes.optionsBack = params.back || 'title';
+            const audio = game.audio;
+            const volumeItem = (bus, label) => ({
+                label: () => audio ? `${label} ${Math.round(audio.buses[bus].volume * 100)}%` : `${label} -`,
+                adjust: (direction) => {
+                    if (audio) audio.setVolume(bus, audio.buses[bus].volume + direction * VOLUME_STEP);
+                },
+                disabled: () => !audio
+            });
+            scenes.optionsMenu = new Menu([
+                volumeItem('music', 'Music'),
+                volumeItem('sfx', 'Effects'),
+                ...INPUT_ACTIONS.map(action => ({
+                    label: () => {
+                        if (scenes.rebinding === action) return `${INPUT_ACTION_LABELS[action]}: press a key`;
+                        const keys = game.input.keyBindings[action];
+                        return `${INPUT_ACTION_LABELS[action]}: ${keys.length ? keys.map(describeKey).join(' / ') : 'none'}`;
+                    },
+                    choose: () => {
+                        scenes.rebinding = action;
+                        game.input.captureNextKey(action).then(() => {
+                            scenes.rebinding = null;
+                        });
+                    }
+                })),
+                { label: 'Reset controls', choose: () => game.input.resetBindings() },
+                { label: 'Back', choose: () => leaveOptions(scenes) }
+            ]);
+        },
+        exit(game, scenes) {
+            scenes.rebinding = null;
+        },
+        update(game, scenes) {
+            if (scenes.rebinding) return; // Waiting for a key
+            if (scenes.wasPressed('pause')) {
+                leaveOptions(scenes);
+            } else {
+                scenes.optionsMenu.update(scenes);
+            }
+        },
+        render(context, game, scenes) {
+            scenes.optionsMenu.render(context, 'OPTIONS', ['Left and right change volumes']);
+        }
+    },
+
+    /**
+     * Watching a replay (see replay.js): jump or fire pauses and plays, left and right scrub
+     * back and forward, up and down change the speed, and pause stops watching.
+     */
+    replay: {
+        showsWorld: true,
+        exit(game) {
+            game.stopReplay();
+        },
+        update(game, scenes, elapsed) {
+            const replay = game.replay;
+            if (!replay || scenes.wasPressed('pause')) {
+                quitGame(game, scenes);
+                return;
+            }
+            if (scenes.wasChosen()) replay.togglePause();
+            const scrub = scenes.wasPressed('right') - scenes.wasPressed('left');
+            if (scrub) replay.seek(replay.position + scrub * REPLAY_SCRUB_SECONDS * TICKS_PER_SECOND);
+            const speed = scenes.wasPressed('up') - scenes.wasPressed('down');
+            if (speed) replay.changeSpeed(speed);
+            replay.update(elapsed);
+        },
+        render(context, game) {
+            const replay = game.replay;
+            if (!replay) return;
+            const { width, height } = context.canvas;
+            const state = replay.hasEnded ? 'ENDED' : (replay.isPaused ? 'PAUSED' : 'PLAYING');
+            const name = replay.replay.name ? ` ${replay.replay.name.toUpperCase()}` : '';
+
+            context.save();
+            context.fillStyle = SCENE_OVERLAY;
+            context.fillRect(0, height - 24, width, 24);
+            context.fillStyle = '#f8d000';
+            context.fillRect(0, height - 24, width * replay.position / Math.max(replay.masks.length, 1), 2); // Progress
+            context.fillStyle = '#ffffff';
+            context.font = '10px monospace';
+            context.textAlign = 'left';
+            context.fillText(`REPLAY${name} ${state} ${replay.speed}x`, 8, height - 8);
+            context.textAlign = 'right';
+            context.fillText(`${formatTicks(replay.position)} / ${formatTicks(replay.masks.length)}`, width - 8, height - 8);
+            context.restore();
+        }
+    }
+};
+
+class SceneManager {
+    /**
+     * @param {DevGameMaker} game - The game the scenes belong to.
+     * @param {Object} [scenes=SCENES] - Scene name -> scene.
+     */
+    constructor(game, scenes = SCENES) {
+        this.game = game;                       // Game being shown
+        this.scenes = scenes;                   // Scenes by name
+        this.name = null;                       // Name of the current scene
+        this.current = null;                    // The current scene
+        this.previous = null;                   // Name of the scene before it
+        this.menu = null;                       // Menu of the current menu scene
+        this.optionsMenu = null;                // Menu of the options scene (kept apart so the pause menu survives it)
+        this.optionsBack = 'title';             // Scene the options return to
+        this.rebinding = null;                  // Action waiting for a key in the options
+        this.message = null;                    // Status line shown by menu scenes (e.g. a failed load)
+        this.clearLines = [];                   // Extra lines the stage-clear screen shows (e.g. leaderboard ranks)
+        this.isLoading = false;                 // Set while a menu is waiting for a level to download
+
+        game.on('levelCleared', () => {
+            if (!game.replay) this.go('levelClear'); // A replay plays on to its end
+        });
+        game.on('gameOver', () => {
+            if (!game.replay) this.go('gameOver');
+        });
+    }
+
+    /**
+     * Switches to another scene. Emits 'sceneChanged' (name, previous) on the game, and
+     * 'pauseToggled' when the game becomes paused or stops being paused.
+     * @param {string} name - The scene's name.
+     * @param {Object} [params={}] - Passed to the scene's enter().
+     * @returns {boolean} - False for an unknown scene.
+     */
+    go(name, params = {}) {
+        const scene = this.scenes[name];
+        if (!scene) {
+            console.error(`Scene "${name}" not found.`);
+            return false;
+        }
+
+        if (this.current && this.current.exit) this.current.exit(this.game, this);
+        this.previous = this.name;
+        this.name = name;
+        this.current = scene;
+        this.message = null;
+
+        const paused = Boolean(scene.pausesGame);
+        if (paused !== this.game.isPaused) {
+            this.game.isPaused = paused;
+            this.game.emit('pauseToggled', paused);
+        }
+        if (scene.enter) scene.enter(this.game, this, params);
+        this.game.emit('sceneChanged', name, this.previous);
+        return true;
+    }
+
+    /**
+     * Whether an action went down this frame, unless another control has the keyboard.
+     * @param {string} action - One of INPUT_ACTIONS.
+     * @returns {boolean}
+     */
+    wasPressed(action) {
+        return !this.game.inputBlocked && this.game.input.wasPressed(action);
+    }
+
+    /**
+     * Whether the player chose the highlighted menu item this frame: jump or fire. The
+     * default up keys also jump, so a jump that comes with up counts as up instead.
+     * @returns {boolean}
+     */
+    wasChosen() {
+        return this.wasPressed('fire') || (this.wasPressed('jump') && !this.wasPressed('up'));
+    }
+
+    /**
+     * Updates the current scene.
+     * @param {number} elapsed - Time since the previous frame (ms).
+     */
+    update(elapsed) {
+        if (this.current && this.current.update) this.current.update(this.game, this, elapsed);
+    }
+
+    /**
+     * Draws the current scene, over the game world if it shows it.
+     * @param {CanvasRenderingContext2D} context - The rendering context.
+     */
+    render(context) {
+        if (!context) return;
+        if (this.current && this.current.showsWorld) {
+            this.game.renderEntities();
+        } else {
+            context.fillStyle = SCENE_BACKGROUND;
+            context.fillRect(0, 0, context.canvas.width, context.canvas.height);
+        }
+        if (this.current && this.current.render) this.current.render(context, this.game, this);
+    }
+}
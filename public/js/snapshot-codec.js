@@ -0,0 +1,164 @@
+/**
+ * Snapshot Codec - Compact network encoding for world state snapshots.
+ * Entity states are quantized to integers, and each snapshot is delta-encoded against a
+ * baseline snapshot the receiver has acknowledged: only entities whose quantized fields
+ * changed are sent, and only the fields that changed. Shared by the server (encoding) and
+ * the browser (decoding) so both sides quantize identically.
+ *
+ * Encoded snapshot: { t: tick, b: baselineTick | null, c: { id: [mask, ...values] }, r: [removedIds] }
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Quantization: positions to 1/8 pixel, velocities to 1/16 pixel per tick
+const SNAPSHOT_POSITION_SCALE = 8;
+const SNAPSHOT_VELOCITY_SCALE = 16;
+
+// Order of the quantized fields of an entity; bit i of a delta mask refers to field i
+const SNAPSHOT_FIELDS = ['x', 'y', 'vx', 'vy', 'grounded', 'seq'];
+
+// Number of snapshots each side remembers as possible baselines
+const SNAPSHOT_HISTORY_SIZE = 64;
+
+/**
+ * Quantizes a player state into integer fields.
+ * @param {Object} state - { pos, vel, grounded, seq }
+ * @returns {number[]} - Values in SNAPSHOT_FIELDS order.
+ */
+function quantizeState(state) {
+    return [
+        Math.round(state.pos[0] * SNAPSHOT_POSITION_SCALE),
+        Math.round(state.pos[1] * SNAPSHOT_POSITION_SCALE),
+        Math.round(state.vel[0] * SNAPSHOT_VELOCITY_SCALE),
+        Math.round(state.vel[1] * SNAPSHOT_VELOCITY_SCALE),
+        state.grounded ? 1 : 0,
+        state.seq || 0
+    ];
+}
+
+/**
+ * Turns quantized fields back into a player state.
+ * @param {string} playerId - The entity's ID.
+ * @param {number[]} fields - Values in SNAPSHOT_FIELDS order.
+ * @returns {Object} - { playerId, pos, vel, grounded, seq }
+ */
+function dequantizeState(playerId, fields) {
+    return {
+        playerId,
+        pos: [fields[0] / SNAPSHOT_POSITION_SCALE, fields[1] / SNAPSHOT_POSITION_SCALE],
+        vel: [fields[2] / SNAPSHOT_VELOCITY_SCALE, fields[3] / SNAPSHOT_VELOCITY_SCALE],
+        grounded: fields[4] === 1,
+        seq: fields[5]
+    };
+}
+
+/**
+ * Delta-encodes a snapshot against a baseline.
+ * @param {number} tick - The snapshot's tick.
+ * @param {Object} entities - Quantized entities of this snapshot (id -> fields).
+ * @param {Object|null} baseline - Quantized entities of the baseline, or null for a full snapshot.
+ * @param {number|null} baselineTick - The baseline's tick, or null for a full snapshot.
+ * @returns {Object} - The encoded snapshot.
+ */
+function encodeSnapshot(tick, entities, baseline, baselineTick) {
+    const base = baseline || {};
+    const changed = {};
+
+    Object.keys(entities).forEach(id => {
+        const fields = entities[id];
+        const previous = base[id];
+        let mask = 0;
+        const values = [];
+
+        fields.forEach((value, i) => {
+            if (!previous || previous[i] !== value) {
+                mask |= 1 << i;
+                values.push(value);
+            }
+        });
+        if (mask) changed[id] = [mask, ...values]; // Unchanged entities are left out entirely
+    });
+
+    const removed = Object.keys(base).filter(id => !entities[id]);
+    return { t: tick, b: baseline ? baselineTick : null, c: changed, r: removed };
+}
+
+/**
+ * Rebuilds the full quantized entities of an encoded snapshot.
+ * @param {Object} message - The encoded snapshot.
+ * @param {Object|null} baseline - Quantized entities of the baseline tick (null for full snapshots).
+ * @returns {Object} - Quantized entities (id -> fields).
+ */
+function decodeSnapshot(message, baseline) {
+    const entities = {};
+    const base = baseline || {};
+
+    Object.keys(base).forEach(id => {
+        if (!message.r.includes(id)) entities[id] = base[id].slice();
+    });
+
+    Object.keys(message.c).forEach(id => {
+        const [mask, ...values] = message.c[id];
+        const fields = entities[id] || new Array(SNAPSHOT_FIELDS.length).fill(0);
+        let next = 0;
+        for (let i = 0; i < SNAPSHOT_FIELDS.length; i++) {
+            if (mask & (1 << i)) fields[i] = values[next++];
+        }
+        entities[id] = fields;
+    });
+    return entities;
+}
+
+/**
+ * SnapshotHistory - Remembers the most recent quantized snapshots by tick.
+ */
+class SnapshotHistory {
+    /**
+     * @param {number} [size=SNAPSHOT_HISTORY_SIZE] - Number of snapshots to keep.
+     */
+    constructor(size = SNAPSHOT_HISTORY_SIZE) {
+        this.size = size;
+        this.snapshots = new Map(); // tick -> entities, oldest first
+    }
+
+    /**
+     * Stores a snapshot, evicting the oldest one when full.
+     * @param {number} tick - The snapshot's tick.
+     * @param {Object} entities - Quantized entities (id -> fields).
+     */
+    push(tick, entities) {
+        this.snapshots.set(tick, entities);
+        if (this.snapshots.size > this.size) {
+            this.snapshots.delete(this.snapshots.keys().next().value);
+        }
+    }
+
+    /**
+     * Gets a stored snapshot.
+     * @param {number} tick - The snapshot's tick.
+     * @returns {Object|null} - Quantized entities, or null if it's no longer stored.
+     */
+    get(tick) {
+        return this.snapshots.get(tick) || null;
+    }
+
+    /**
+     * Forgets every stored snapshot.
+     */
+    clear() {
+        this.snapshots.clear();
+    }
+}
+
+// Shared with the server, which encodes snapshots with the same rules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SNAPSHOT_FIELDS,
+        quantizeState,
+        dequantizeState,
+        encodeSnapshot,
+        decodeSnapshot,
+        SnapshotHistory
+    };
+}
@@ -0,0 +1,131 @@
+/**
+ * SpriteManager - Slices loaded sprite sheets into indexed frames and draws them, recoloured
+ * through palettes and effects where asked (see palettes.js).
+ * Shared by the Game Dev Central Hub editor and the DevGameMaker renderer.
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+/**
+ * SpriteManager class to handle sprite retrieval and color manipulation.
+ */
+class SpriteManager {
+    constructor() {
+        this.sprites = {};  // Object to store all sprite types
+    }
+
+    /**
+     * Adds a loaded sprite sheet (see AssetLoader) and slices it into frames, row by row.
+     * @param {string} type - The type of the sprite (e.g., 'grass', 'floor').
+     * @param {HTMLImageElement|HTMLCanvasElement} image - The decoded sheet.
+     * @param {number} spriteWidth - The width of each sprite in pixels (16 for 16x16).
+     * @param {number} spriteHeight - The height of each sprite in pixels (16 for 16x16).
+     * @param {string} [palettes] - Key of PALETTE_SETS the sheet is drawn in, if it can be recoloured.
+     */
+    addSprite(type, image, spriteWidth, spriteHeight, palettes = null) {
+        const cols = Math.floor(image.width / spriteWidth);  // Number of columns
+        const rows = Math.floor(image.height / spriteHeight);  // Number of rows
+        const items = [];
+
+        for (let i = 0; i < rows * cols; i++) {
+            items.push({ index: i, x: (i % cols) * spriteWidth, y: Math.floor(i / cols) * spriteHeight });
+        }
+        this.sprites[type] = {
+            image,
+            spriteWidth,
+            spriteHeight,
+            items,
+            palettes: PALETTE_SETS[palettes] || null,
+            recoloured: {}  // 'palette|effect' -> recoloured copy of the sheet
+        };
+    }
+
+    /**
+     * Adds every sheet an AssetLoader loaded.
+     * @param {Object} sheets - Sheet name -> { image, frameWidth, frameHeight, palettes } (see AssetLoader.load).
+     */
+    addSheets(sheets) {
+        Object.keys(sheets).forEach(type => {
+            const { image, frameWidth, frameHeight, palettes } = sheets[type];
+            this.addSprite(type, image, frameWidth, frameHeight, palettes);
+        });
+    }
+
+    /**
+     * Gets a sheet's image in a palette and under an effect, recolouring it the first time.
+     * A palette the sheet's palette set doesn't have, or an unknown effect, is ignored.
+     * @param {string} type - The type of the sprite.
+     * @param {Object} [recolour] - { palette, effect }: a palette of the sheet's set and/or a key of PALETTE_EFFECTS.
+     * @returns {HTMLImageElement|HTMLCanvasElement|null} - The image, or null for an unknown type.
+     */
+    getSheetImage(type, recolour = null) {
+        const spriteInfo = this.sprites[type];
+        if (!spriteInfo) return null;
+
+        const palette = recolour && spriteInfo.palettes && spriteInfo.palettes.palettes[recolour.palette] ? recolour.palette : null;
+        const effect = recolour && PALETTE_EFFECTS[recolour.effect] ? recolour.effect : null;
+        if (!palette && !effect) return spriteInfo.image;
+
+        const key = `${palette || ''}|${effect || ''}`;
+        if (!spriteInfo.recoloured[key]) {
+            spriteInfo.recoloured[key] = recolourImage(spriteInfo.image, palette && spriteInfo.palettes.base,
+                palette && spriteInfo.palettes.palettes[palette], effect && PALETTE_EFFECTS[effect]);
+        }
+        return spriteInfo.recoloured[key];
+    }
+
+    /**
+     * Retrieves a sprite by type and item number.
+     * @param {Object} request - { type, item, palette, effect }; palette and effect are optional (see getSheetImage).
+     * @returns {Object|null} - { image, position } with the sheet in the requested colours, or null if not found.
+     */
+    getSprite(request) {
+        const { type, item, palette, effect } = request;
+        const spriteInfo = this.sprites[type];
+
+        if (spriteInfo && spriteInfo.items[item]) {
+            return {
+                image: this.getSheetImage(type, { palette, effect }),  // The whole sheet, recoloured
+                position: spriteInfo.items[item]  // Gets the position of the requested item
+            };
+        } else {
+            console.error(`Sprite of type "${type}" or item "${item}" not found.`);
+            return null;
+        }
+    }
+
+    /**
+     * Draws a single sprite sheet item onto a canvas.
+     * @param {CanvasRenderingContext2D} ctx - The rendering context.
+     * @param {string} type - The type of the sprite.
+     * @param {number} item - The item index within the sheet.
+     * @param {number} x - Destination X in pixels.
+     * @param {number} y - Destination Y in pixels.
+     * @param {number} [width] - Destination width (defaults to the sprite width).
+     * @param {number} [height] - Destination height (defaults to the sprite height).
+     * @param {boolean} [flipX=false] - Mirror the sprite horizontally (e.g. to face left).
+     * @param {Object} [recolour] - { palette, effect } to draw it in (see getSheetImage).
+     * @returns {boolean} - True if the sprite was drawn.
+     */
+    drawSprite(ctx, type, item, x, y, width, height, flipX = false, recolour = null) {
+        const spriteInfo = this.sprites[type];
+        const position = spriteInfo && spriteInfo.items[item];
+        if (!position) return false;  // Unknown sheet or item
+
+        const image = recolour ? this.getSheetImage(type, recolour) : spriteInfo.image;
+        const w = width || spriteInfo.spriteWidth;
+        const h = height || spriteInfo.spriteHeight;
+        if (!flipX) {
+            ctx.drawImage(image, position.x, position.y, spriteInfo.spriteWidth, spriteInfo.spriteHeight, x, y, w, h);
+            return true;
+        }
+
+        ctx.save();
+        ctx.translate(x + w, y);
+        ctx.scale(-1, 1);  // Mirror around the sprite's right edge so it stays in place
+        ctx.drawImage(image, position.x, position.y, spriteInfo.spriteWidth, spriteInfo.spriteHeight, 0, 0, w, h);
+        ctx.restore();
+        return true;
+    }
+}
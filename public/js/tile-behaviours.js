@@ -0,0 +1,159 @@
+/**
+ * Tile Behaviours - Interactive tiles: question blocks, bricks, coins and warps.
+ * A tile's metadata names its behaviour (bricks can also just be marked breakable). After
+ * the player moves, interactWithTiles() runs the behaviour hooks the move triggered:
+ *   bump(cell, player, context)    - The player's head hit the tile from below.
+ *   stomp(cell, player, context)   - The player is standing on the tile.
+ *   overlap(cell, player, context) - The player is inside the tile (non-solid tiles only).
+ * cell: { col, row, meta }. context: { map, warps }.
+ *
+ * Hooks change the map themselves and return outcomes describing what happened, which the
+ * game turns into score, spawns and sounds (and the server into world events):
+ *   { type: 'tileChanged', layer, col, row, id }
+ *   { type: 'blockBumped', col, row }
+ *   { type: 'blockBroken', col, row }
+ *   { type: 'coinCollected', col, row }
+ *   { type: 'itemSpawned', col, row, contents }  - contents is 'coin' or a power-up type.
+ *   { type: 'warp', col, row, to }              - to: { x, y, level } (see level-format.js)
+ * Tiles only change through TileMap.setTile, so TileMap.reset() puts every one back.
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Score for each coin collected, from a coin tile or a question block
+const COIN_SCORE = 200;
+
+// What a question block without contents gives
+const DEFAULT_BLOCK_CONTENTS = 'coin';
+
+/**
+ * Changes a solid-layer tile and describes the change.
+ * @param {TileMap} map - The map.
+ * @param {number} col - Column index.
+ * @param {number} row - Row index.
+ * @param {number} id - The new tile ID.
+ * @returns {Object} - A 'tileChanged' outcome.
+ */
+function replaceTile(map, col, row, id) {
+    map.setTile('solid', col, row, id);
+    return { type: 'tileChanged', layer: 'solid', col, row, id };
+}
+
+/**
+ * Finds the warp leaving from a tile.
+ * @param {Object[]} warps - The level's warps.
+ * @param {number} col - Column index.
+ * @param {number} row - Row index.
+ * @returns {Object|null} - { col, row, enter, to }
+ */
+function findWarp(warps, col, row) {
+    return warps.find(warp => warp.col === col && warp.row === row) || null;
+}
+
+// Behaviours by name; a tile's metadata picks one with `behaviour`
+const TILE_BEHAVIOURS = {
+    /**
+     * Gives its contents when bumped, then turns into its used tile.
+     */
+    question: {
+        bump({ col, row, meta }, player, { map }) {
+            return [
+                replaceTile(map, col, row, meta.usedTile || EMPTY_TILE),
+                { type: 'blockBumped', col, row },
+                { type: 'itemSpawned', col, row, contents: meta.contents || DEFAULT_BLOCK_CONTENTS }
+            ];
+        }
+    },
+
+    /**
+     * Breaks when a powered-up player bumps it; a small player only bumps it.
+     */
+    brick: {
+        bump({ col, row }, player, { map }) {
+            if (!PLAYER_SIZES[player.size].rank) return [{ type: 'blockBumped', col, row }];
+            return [replaceTile(map, col, row, EMPTY_TILE), { type: 'blockBroken', col, row }];
+        }
+    },
+
+    /**
+     * Collected by touching it.
+     */
+    coin: {
+        overlap({ col, row }, player, { map }) {
+            return [replaceTile(map, col, row, EMPTY_TILE), { type: 'coinCollected', col, row }];
+        }
+    },
+
+    /**
+     * Takes the player to the tile's warp destination: pipes by holding down on top of them,
+     * doors by walking into them.
+     */
+    warp: {
+        stomp({ col, row }, player, { warps }) {
+            const warp = findWarp(warps, col, row);
+            if (!warp || warp.enter !== 'down' || !player.holdingDown) return [];
+            return [{ type: 'warp', col, row, to: warp.to }];
+        },
+        overlap({ col, row }, player, { warps }) {
+            const warp = findWarp(warps, col, row);
+            if (!warp || warp.enter !== 'overlap') return [];
+            return [{ type: 'warp', col, row, to: warp.to }];
+        }
+    }
+};
+
+/**
+ * Gets the behaviour of a tile, if it has one. Breakable tiles without one act as bricks.
+ * @param {Object} meta - The tile's metadata.
+ * @returns {Object|null} - An entry of TILE_BEHAVIOURS.
+ */
+function getTileBehaviour(meta) {
+    return TILE_BEHAVIOURS[meta.behaviour || (meta.breakable ? 'brick' : null)] || null;
+}
+
+/**
+ * Runs the tile behaviours the player triggered with their last move: the block their head
+ * bumped (the one nearest their middle), the tile under their middle while standing, and
+ * every tile they are inside. Only the first warp taken counts.
+ * @param {Player} player - The player, after update().
+ * @param {TileMap} map - The map they moved through.
+ * @param {Object[]} [warps=[]] - The level's warps.
+ * @returns {Object[]} - The outcomes, in order.
+ */
+function interactWithTiles(player, map, warps = []) {
+    if (!map || player.dying) return [];
+
+    const context = { map, warps };
+    const outcomes = [];
+    const run = (hook, col, row) => {
+        const meta = map.getMetaAt(col, row);
+        const behaviour = getTileBehaviour(meta);
+        if (!behaviour || !behaviour[hook]) return false;
+        const results = behaviour[hook]({ col, row, meta }, player, context);
+        outcomes.push(...results);
+        return results.length > 0;
+    };
+
+    const ts = map.tileSize;
+    const [x, y, width, height] = player.hitbox;
+    const middleCol = Math.floor((x + width / 2) / ts);
+    const leftCol = Math.floor(x / ts);
+    const rightCol = Math.floor((x + width - EDGE_EPSILON) / ts);
+
+    if (player.contacts.ceiling) {
+        const row = Math.floor((y - EDGE_EPSILON) / ts);
+        [middleCol, leftCol, rightCol].some(col => run('bump', col, row));
+    }
+    if (player.grounded) {
+        run('stomp', middleCol, Math.floor((y + height + EDGE_EPSILON) / ts));
+    }
+    for (let row = Math.floor(y / ts); row <= Math.floor((y + height - EDGE_EPSILON) / ts); row++) {
+        for (let col = leftCol; col <= rightCol; col++) {
+            if (!map.getMetaAt(col, row).solid) run('overlap', col, row);
+        }
+    }
+
+    const firstWarp = outcomes.findIndex(outcome => outcome.type === 'warp');
+    return outcomes.filter((outcome, i) => outcome.type !== 'warp' || i === firstWarp);
+}
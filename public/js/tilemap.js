@@ -0,0 +1,250 @@
+/**
+ * TileMap - Layered tile grid used by DevGameMaker levels.
+ * Holds tile IDs for the background, solid and foreground layers, a metadata table
+ * describing how each tile ID behaves, and the authored state restored by reset().
+ *
+ * Author: BadNintendo (https://github.com/BadNintendo/mario)
+ * © 2024 StickPM. All Rights Reserved.
+ */
+
+// Layer names in draw order
+const TILE_LAYERS = ['background', 'solid', 'foreground'];
+
+// Tile ID used for empty cells
+const EMPTY_TILE = 0;
+
+// Metadata used for any tile ID that has no entry in the tile table
+const DEFAULT_TILE_META = {
+    solid: false,       // Blocks movement from every side
+    oneWay: false,      // Only blocks movement from above
+    hazard: false,      // Hurts the player on contact
+    breakable: false,   // Can be destroyed (e.g., bricks)
+    slope: null,        // [leftHeight, rightHeight] surface heights in pixels for slope tiles
+    behaviour: null,    // Interactive behaviour from TILE_BEHAVIOURS (e.g., 'question', 'coin')
+    contents: null,     // What a question block gives: 'coin' or a power-up type
+    usedTile: null      // Tile ID a question block turns into once emptied
+};
+
+class TileMap {
+    /**
+     * Creates a new tile map.
+     * @param {string} name - The unique name of the map (e.g., 'Level1').
+     * @param {number} width - Width of the map in tiles.
+     * @param {number} height - Height of the map in tiles.
+     * @param {Object} [options] - Optional map settings.
+     * @param {number} [options.tileSize=16] - Size of a single tile in pixels.
+     * @param {Object} [options.tiles] - Tile table keyed by tile ID (see defineTile).
+     * @param {Object} [options.layers] - Initial tile IDs per layer, as flat row-major arrays.
+     * @param {string} [options.theme] - Palette the tile sheets are drawn in (see LEVEL_THEMES).
+     */
+    constructor(name, width, height, options = {}) {
+        this.name = name;                           // Map name
+        this.width = width;                         // Width in tiles
+        this.height = height;                       // Height in tiles
+        this.tileSize = options.tileSize || 16;     // Tile size in pixels
+        this.tiles = {};                            // Tile table: ID -> { sprite, solid, oneWay, hazard, breakable, behaviour }
+        this.layers = {};                           // Layer name -> flat array of tile IDs
+        this.authoredState = null;                  // Snapshot of the layers restored by reset()
+        this.theme = options.theme || null;         // Palette the tile sheets are drawn in
+
+        TILE_LAYERS.forEach(layer => {
+            const source = options.layers && options.layers[layer];
+            this.layers[layer] = source ? source.slice(0, width * height) : new Array(width * height).fill(EMPTY_TILE);
+        });
+
+        Object.keys(options.tiles || {}).forEach(id => this.defineTile(Number(id), options.tiles[id]));
+
+        this.markAuthored(); // The initial layout is the authored state
+    }
+
+    /**
+     * Width of the map in pixels.
+     * @returns {number}
+     */
+    get pixelWidth() {
+        return this.width * this.tileSize;
+    }
+
+    /**
+     * Height of the map in pixels.
+     * @returns {number}
+     */
+    get pixelHeight() {
+        return this.height * this.tileSize;
+    }
+
+    /**
+     * Adds or replaces a tile definition in the tile table.
+     * @param {number} id - The tile ID (0 is reserved for empty cells).
+     * @param {Object} definition - The tile definition.
+     * @param {Object} definition.sprite - SpriteManager reference: { type, item }.
+     * @param {boolean} [definition.solid] - Whether the tile blocks movement.
+     * @param {boolean} [definition.oneWay] - Whether the tile only blocks from above.
+     * @param {boolean} [definition.hazard] - Whether the tile hurts the player.
+     * @param {boolean} [definition.breakable] - Whether the tile can be broken.
+     * @param {number[]} [definition.slope] - Surface heights [left, right] in pixels for slope tiles.
+     * @param {string} [definition.behaviour] - Interactive behaviour (see tile-behaviours.js).
+     * @param {string} [definition.contents] - What a question block gives: 'coin' or a power-up type.
+     * @param {number} [definition.usedTile] - Tile ID a question block turns into once emptied.
+     */
+    defineTile(id, definition) {
+        if (id === EMPTY_TILE) {
+            console.error(`Tile ID ${EMPTY_TILE} is reserved for empty cells.`);
+            return;
+        }
+        this.tiles[id] = { ...DEFAULT_TILE_META, ...definition };
+    }
+
+    /**
+     * Gets the metadata for a tile ID.
+     * @param {number} id - The tile ID.
+     * @returns {Object} - The tile metadata (defaults for unknown or empty tiles).
+     */
+    getTileMeta(id) {
+        return this.tiles[id] || DEFAULT_TILE_META;
+    }
+
+    /**
+     * Checks whether a tile coordinate lies inside the map.
+     * @param {number} col - Column index.
+     * @param {number} row - Row index.
+     * @returns {boolean}
+     */
+    inBounds(col, row) {
+        return col >= 0 && row >= 0 && col < this.width && row < this.height;
+    }
+
+    /**
+     * Gets the tile ID at a tile coordinate.
+     * @param {string} layer - The layer name (e.g., 'solid').
+     * @param {number} col - Column index.
+     * @param {number} row - Row index.
+     * @returns {number} - The tile ID, or EMPTY_TILE when out of bounds.
+     */
+    getTile(layer, col, row) {
+        if (!this.layers[layer] || !this.inBounds(col, row)) return EMPTY_TILE;
+        return this.layers[layer][row * this.width + col];
+    }
+
+    /**
+     * Sets the tile ID at a tile coordinate.
+     * @param {string} layer - The layer name.
+     * @param {number} col - Column index.
+     * @param {number} row - Row index.
+     * @param {number} id - The tile ID to place (EMPTY_TILE to erase).
+     * @returns {boolean} - True if the tile was changed.
+     */
+    setTile(layer, col, row, id) {
+        if (!this.layers[layer] || !this.inBounds(col, row)) return false;
+        const index = row * this.width + col;
+        if (this.layers[layer][index] === id) return false;
+        this.layers[layer][index] = id;
+        return true;
+    }
+
+    /**
+     * Fills a rectangle of tiles with the same tile ID.
+     * @param {string} layer - The layer name.
+     * @param {number} col - Left column.
+     * @param {number} row - Top row.
+     * @param {number} cols - Number of columns to fill.
+     * @param {number} rows - Number of rows to fill.
+     * @param {number} id - The tile ID to place.
+     */
+    fillRect(layer, col, row, cols, rows, id) {
+        for (let y = row; y < row + rows; y++) {
+            for (let x = col; x < col + cols; x++) {
+                this.setTile(layer, x, y, id);
+            }
+        }
+    }
+
+    /**
+     * Gets the metadata of the solid-layer tile at a tile coordinate.
+     * Cells outside the map are treated as empty.
+     * @param {number} col - Column index.
+     * @param {number} row - Row index.
+     * @returns {Object} - The tile metadata.
+     */
+    getMetaAt(col, row) {
+        return this.getTileMeta(this.getTile('solid', col, row));
+    }
+
+    /**
+     * Converts a world position in pixels to a tile coordinate.
+     * @param {number} x - World X in pixels.
+     * @param {number} y - World Y in pixels.
+     * @returns {number[]} - [col, row]
+     */
+    worldToTile(x, y) {
+        return [Math.floor(x / this.tileSize), Math.floor(y / this.tileSize)];
+    }
+
+    /**
+     * Stores the current layers as the authored state that reset() restores.
+     */
+    markAuthored() {
+        this.authoredState = {};
+        TILE_LAYERS.forEach(layer => {
+            this.authoredState[layer] = this.layers[layer].slice();
+        });
+    }
+
+    /**
+     * Restores every layer back to the authored state.
+     */
+    reset() {
+        TILE_LAYERS.forEach(layer => {
+            this.layers[layer] = this.authoredState[layer].slice();
+        });
+    }
+
+    /**
+     * Renders the map layers through the SpriteManager sprite sheets.
+     * @param {CanvasRenderingContext2D} ctx - The rendering context.
+     * @param {SpriteManager} spriteManager - The sprite manager holding the tile sheets.
+     * @param {number} [vX=0] - Viewport X offset in pixels.
+     * @param {number} [vY=0] - Viewport Y offset in pixels.
+     * @param {string[]} [layers=TILE_LAYERS] - The layers to draw, in order.
+     * @param {number} [viewWidth=ctx.canvas.width] - Width of the visible area in world pixels.
+     * @param {number} [viewHeight=ctx.canvas.height] - Height of the visible area in world pixels.
+     */
+    render(ctx, spriteManager, vX = 0, vY = 0, layers = TILE_LAYERS, viewWidth = ctx.canvas.width, viewHeight = ctx.canvas.height) {
+        layers.forEach(layer => this.renderLayer(ctx, spriteManager, layer, vX, vY, viewWidth, viewHeight));
+    }
+
+    /**
+     * Renders the visible part of a single layer of the map. Tiles outside the view are skipped,
+     * so drawing cost depends on the screen size rather than the level's length.
+     * @param {CanvasRenderingContext2D} ctx - The rendering context.
+     * @param {SpriteManager} spriteManager - The sprite manager holding the tile sheets.
+     * @param {string} layer - The layer name.
+     * @param {number} [vX=0] - Viewport X offset in pixels.
+     * @param {number} [vY=0] - Viewport Y offset in pixels.
+     * @param {number} [viewWidth=ctx.canvas.width] - Width of the visible area in world pixels.
+     * @param {number} [viewHeight=ctx.canvas.height] - Height of the visible area in world pixels.
+     */
+    renderLayer(ctx, spriteManager, layer, vX = 0, vY = 0, viewWidth = ctx.canvas.width, viewHeight = ctx.canvas.height) {
+        const tiles = this.layers[layer];
+        if (!tiles) return;
+        const recolour = this.theme ? { palette: this.theme } : null;
+
+        const firstCol = Math.max(0, Math.floor(vX / this.tileSize));
+        const firstRow = Math.max(0, Math.floor(vY / this.tileSize));
+        const lastCol = Math.min(this.width - 1, Math.floor((vX + viewWidth) / this.tileSize));
+        const lastRow = Math.min(this.height - 1, Math.floor((vY + viewHeight) / this.tileSize));
+
+        for (let row = firstRow; row <= lastRow; row++) {
+            for (let col = firstCol; col <= lastCol; col++) {
+                const id = tiles[row * this.width + col];
+                if (id === EMPTY_TILE) continue; // Nothing to draw
+
+                const meta = this.tiles[id];
+                if (!meta || !meta.sprite) continue; // Tile without artwork
+
+                spriteManager.drawSprite(ctx, meta.sprite.type, meta.sprite.item,
+                    col * this.tileSize - vX, row * this.tileSize - vY, this.tileSize, this.tileSize, false, recolour);
+            }
+        }
+    }
+}
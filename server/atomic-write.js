@@ -0,0 +1,23 @@
+const fs = require('fs'); // Import file system module
+const crypto = require('crypto'); // Import crypto for unique temporary file names
+
+/**
+ * Writes a file atomically: the contents go to a temporary file beside it, which is then
+ * renamed over the target, so readers see the old file or the new one and never half of
+ * either. Each write gets its own temporary file, so writes to the same file can't mix.
+ * @param {string} target - The file path.
+ * @param {string|Buffer} contents - What to write.
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(target, contents) {
+    const temp = `${target}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+        await fs.promises.writeFile(temp, contents);
+        await fs.promises.rename(temp, target);
+    } catch (error) {
+        await fs.promises.unlink(temp).catch(() => {}); // Don't leave a partial file behind
+        throw error;
+    }
+}
+
+module.exports = { writeFileAtomic };
@@ -0,0 +1,234 @@
+// Longest chat message accepted, in characters
+const CHAT_MAX_LENGTH = 200;
+
+// Messages kept per room and sent to players when they join
+const CHAT_HISTORY_SIZE = 50;
+
+// Each player may send CHAT_RATE_LIMIT messages per CHAT_RATE_INTERVAL milliseconds
+const CHAT_RATE_LIMIT = 5;
+const CHAT_RATE_INTERVAL = 10000;
+
+// Clients a KeyedRateLimiter tracks before it forgets the idle ones
+const KEYED_LIMITER_PRUNE_SIZE = 1000;
+
+// Slash commands and their usage, shown by /help
+const CHAT_COMMANDS = {
+    w: '/w <player> <message> - whisper to one player',
+    me: '/me <action> - describe what you are doing',
+    mute: '/mute <player> - stop a player chatting (host only)',
+    unmute: '/unmute <player> - let a muted player chat again (host only)',
+    kick: '/kick <player> - remove a player from the room (host only)',
+    help: '/help - list chat commands'
+};
+
+/**
+ * Error raised when a chat message or command is rejected. The message is shown to the sender.
+ */
+class ChatError extends Error {
+    /**
+     * @param {string} message - Why the message was rejected.
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'ChatError';
+    }
+}
+
+/**
+ * Cleans up raw chat text: removes control characters, collapses whitespace and enforces
+ * the length limit.
+ * @param {*} text - The text sent by the client.
+ * @returns {string} - The cleaned text (empty if there's nothing to send).
+ * @throws {ChatError} - If the text isn't a string or is too long.
+ */
+function sanitizeChatText(text) {
+    if (typeof text !== 'string') throw new ChatError('Messages must be text');
+
+    const cleaned = text.replace(/[\u0000-\u001f\u007f]/g, ' ').replace(/\s+/g, ' ').trim();
+    if (cleaned.length > CHAT_MAX_LENGTH) {
+        throw new ChatError(`Messages can be at most ${CHAT_MAX_LENGTH} characters`);
+    }
+    return cleaned;
+}
+
+/**
+ * Splits a slash command into its name and arguments.
+ * @param {string} text - Sanitized chat text.
+ * @returns {Object|null} - { name, args, rest } or null if the text isn't a command.
+ */
+function parseChatCommand(text) {
+    const match = /^\/(\w+)(?:\s+(.*))?$/.exec(text);
+    if (!match) return null;
+
+    const rest = match[2] || '';
+    return { name: match[1].toLowerCase(), args: rest ? rest.split(' ') : [], rest };
+}
+
+/**
+ * WordFilter - Masks blocked words in chat messages.
+ */
+class WordFilter {
+    /**
+     * @param {string[]} [words] - Words to mask (case-insensitive, whole words only).
+     */
+    constructor(words = []) {
+        const escaped = words
+            .map(word => word.trim())
+            .filter(Boolean)
+            .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        this.pattern = escaped.length ? new RegExp(`\\b(${escaped.join('|')})\\b`, 'gi') : null;
+    }
+
+    /**
+     * Replaces every blocked word with asterisks.
+     * @param {string} text - The text to filter.
+     * @returns {string}
+     */
+    clean(text) {
+        return this.pattern ? text.replace(this.pattern, word => '*'.repeat(word.length)) : text;
+    }
+}
+
+/**
+ * RateLimiter - Token bucket limiting how often something may happen, e.g. one player chatting
+ * (see KeyedRateLimiter for one bucket per client).
+ */
+class RateLimiter {
+    /**
+     * @param {number} [limit=CHAT_RATE_LIMIT] - Actions allowed per interval.
+     * @param {number} [interval=CHAT_RATE_INTERVAL] - Interval length (ms).
+     */
+    constructor(limit = CHAT_RATE_LIMIT, interval = CHAT_RATE_INTERVAL) {
+        this.limit = limit;
+        this.interval = interval;
+        this.tokens = limit;                    // Actions available right now
+        this.lastRefill = Date.now();           // When tokens were last topped up
+    }
+
+    /**
+     * Uses up one action if any are available.
+     * @returns {boolean} - True if the action is allowed.
+     */
+    take() {
+        const now = Date.now();
+        this.tokens = Math.min(this.limit, this.tokens + (now - this.lastRefill) * this.limit / this.interval);
+        this.lastRefill = now;
+
+        if (this.tokens < 1) return false;
+        this.tokens -= 1;
+        return true;
+    }
+}
+
+/**
+ * KeyedRateLimiter - A RateLimiter for each client (e.g. per IP address), so one client using
+ * up its actions doesn't lock everyone else out. Clients idle for a whole interval are
+ * forgotten once there are many, since they'd have a full bucket anyway.
+ */
+class KeyedRateLimiter {
+    /**
+     * @param {number} limit - Actions each client may take per interval.
+     * @param {number} interval - Interval length (ms).
+     */
+    constructor(limit, interval) {
+        this.limit = limit;
+        this.interval = interval;
+        this.limiters = new Map();              // Client key -> RateLimiter
+    }
+
+    /**
+     * Uses up one of a client's actions if any are available.
+     * @param {string} key - Who is acting (e.g. an IP address).
+     * @returns {boolean} - True if the action is allowed.
+     */
+    take(key) {
+        let limiter = this.limiters.get(key);
+        if (!limiter) {
+            if (this.limiters.size >= KEYED_LIMITER_PRUNE_SIZE) this.prune();
+            limiter = new RateLimiter(this.limit, this.interval);
+            this.limiters.set(key, limiter);
+        }
+        return limiter.take();
+    }
+
+    /**
+     * Forgets clients that haven't acted for a whole interval.
+     */
+    prune() {
+        const now = Date.now();
+        this.limiters.forEach((limiter, key) => {
+            if (now - limiter.lastRefill >= this.interval) this.limiters.delete(key);
+        });
+    }
+}
+
+/**
+ * ChatChannel - A room's chat: scrollback history and muted players.
+ */
+class ChatChannel {
+    /**
+     * @param {number} [historySize=CHAT_HISTORY_SIZE] - Messages kept for players who join later.
+     */
+    constructor(historySize = CHAT_HISTORY_SIZE) {
+        this.historySize = historySize;
+        this.history = [];                      // Recent public messages, oldest first
+        this.mutedIds = new Set();              // Players the host has muted
+        this.nextId = 1;                        // ID of the next message
+    }
+
+    /**
+     * Creates a message and, unless it's private, adds it to the history.
+     * @param {Object} fields - { type, from, name, to, text }; type is 'chat', 'emote', 'whisper' or 'system'.
+     * @returns {Object} - The message { id, type, from, name, to, text, time }.
+     */
+    post(fields) {
+        const message = {
+            id: this.nextId++,
+            type: fields.type,
+            from: fields.from || null,
+            name: fields.name || null,
+            to: fields.to || null,
+            text: fields.text,
+            time: Date.now()
+        };
+
+        if (message.type !== 'whisper') {
+            this.history.push(message);
+            if (this.history.length > this.historySize) {
+                this.history.shift();
+            }
+        }
+        return message;
+    }
+
+    /**
+     * Whether a player is muted.
+     * @param {string} playerId - The player's ID.
+     * @returns {boolean}
+     */
+    isMuted(playerId) {
+        return this.mutedIds.has(playerId);
+    }
+
+    /**
+     * Mutes or unmutes a player.
+     * @param {string} playerId - The player's ID.
+     * @param {boolean} muted - Whether the player should be muted.
+     */
+    setMuted(playerId, muted) {
+        if (muted) this.mutedIds.add(playerId);
+        else this.mutedIds.delete(playerId);
+    }
+}
+
+module.exports = {
+    ChatChannel,
+    ChatError,
+    RateLimiter,
+    KeyedRateLimiter,
+    WordFilter,
+    sanitizeChatText,
+    parseChatCommand,
+    CHAT_COMMANDS,
+    CHAT_MAX_LENGTH
+};
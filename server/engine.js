@@ -0,0 +1,55 @@
+const fs = require('fs'); // Import file system module
+const path = require('path'); // Import path module for file path handling
+const vm = require('vm'); // Import vm to evaluate the browser scripts in a sandbox
+
+// Browser engine scripts the server needs, in the order the hub page loads them
+const ENGINE_SCRIPTS = ['event-bus.js', 'random.js', 'tilemap.js', 'physics.js', 'camera.js', 'level-format.js', 'replay-format.js', 'animation.js',
+    'input.js', 'enemies.js', 'power-ups.js', 'tile-behaviours.js', 'entities.js', 'game-adapters.js', 'build.js', 'projectiles.js', 'progression.js',
+    'hud.js', 'scenes.js', 'replay.js'];
+
+// Engine classes and functions read back out of the sandbox
+const ENGINE_EXPORTS = ['TileMap', 'Player', 'PowerUp', 'ProjectilePool', 'PROJECTILE_TYPES', 'ONLINE_PLAYER_SIZE', 'PHYSICS', 'interactWithTiles',
+    'createInput', 'createLevel', 'migrateLevel', 'validateLevel', 'levelToMapOptions', 'applyMapToLevel', 'DevGameMaker', 'InputManager', 'ManualLoop',
+    'registerEnemyTypes', 'ENEMY_TYPES', 'WorldMap', 'SeededRandom', 'ReplayRecorder', 'ReplayPlayer', 'PLAYER_LIVES', 'TICKS_PER_SECOND'];
+
+// Enemy catalog the hub page loads, so headless games have the same enemies as the clients
+const ENEMY_CATALOG = path.join(__dirname, '..', 'public', 'data', 'enemies.json');
+
+let engine = null; // Loaded once and shared by every simulation
+
+/**
+ * Load the browser game engine headlessly so the server runs the exact same Player physics
+ * as the clients. The scripts declare plain globals, so they are evaluated together in one
+ * sandboxed context and the classes the server needs are read back out of it. The enemy
+ * catalog is registered too.
+ * @returns {Object} - The engine, keyed by the names in ENGINE_EXPORTS.
+ */
+function loadEngine() {
+    if (engine) return engine;
+
+    const context = vm.createContext({ console, Math });
+    ENGINE_SCRIPTS.forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '..', 'public', 'js', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+
+    engine = vm.runInContext(`({ ${ENGINE_EXPORTS.join(', ')} })`, context);
+    const errors = engine.registerEnemyTypes(JSON.parse(fs.readFileSync(ENEMY_CATALOG, 'utf8')));
+    if (errors.length) console.error('Skipped invalid enemy types:', errors);
+    return engine;
+}
+
+/**
+ * Create a whole game (levels, enemies, goals, scenes) that runs without a page: nothing is
+ * drawn, nothing listens to a keyboard and frames only run when game.loop.advance() is called,
+ * so a run can be stepped frame by frame and comes out the same every time.
+ * Controls come from game.pendingInput, or from game.input.
+ * @param {Object} [options] - Extra DevGameMaker options (e.g. a different loop).
+ * @returns {DevGameMaker} - The game, not yet started.
+ */
+function createHeadlessGame(options = {}) {
+    const { DevGameMaker, InputManager, ManualLoop } = loadEngine();
+    return new DevGameMaker({ input: new InputManager({ storage: null }), loop: new ManualLoop(), autoStart: false, ...options });
+}
+
+module.exports = { loadEngine, createHeadlessGame };
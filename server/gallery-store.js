@@ -0,0 +1,259 @@
+const fs = require('fs'); // Import file system module
+const path = require('path'); // Import path module for file path handling
+const { LevelStore } = require('./level-store');
+const { KeyedQueue } = require('./keyed-queue');
+const { writeFileAtomic } = require('./atomic-write');
+const { ValidationError } = require('./validation-error');
+const { GALLERY_SORTS, GALLERY_LIMITS, GALLERY_THUMBNAIL_PREFIX, validatePublication, validateRating } = require('../public/js/gallery-format');
+
+// Fields of a publication that are stored; anything else is dropped
+const PUBLICATION_FIELDS = ['title', 'description', 'tags', 'author'];
+
+// Tags listed for browsing, most used first
+const GALLERY_TAG_LIST_LENGTH = 20;
+
+/**
+ * GalleryStore - The community gallery of published levels, kept as JSON files (plus a PNG
+ * thumbnail each) in a directory on the local filesystem. An entry shares its ID with the
+ * saved level it publishes, and keeps its play and clear counts and ratings when the level
+ * is published again.
+ *
+ * Entry: { id, title, description, tags, author, published, updated, plays, clears, ratings: { raterId: stars } }
+ */
+class GalleryStore {
+    /**
+     * @param {string} directory - The directory that holds the gallery files.
+     */
+    constructor(directory) {
+        this.directory = directory;
+        this.queue = new KeyedQueue();          // Changes to one entry run in turn
+        fs.mkdirSync(directory, { recursive: true }); // Create the storage folder on first run
+    }
+
+    /**
+     * Gets the file path of an entry.
+     * @param {string} id - The entry (level) ID.
+     * @returns {string}
+     * @private
+     */
+    _filePath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    /**
+     * Gets the file path of an entry's thumbnail.
+     * @param {string} id - The entry (level) ID.
+     * @returns {string}
+     * @private
+     */
+    _thumbnailPath(id) {
+        return path.join(this.directory, `${id}.png`);
+    }
+
+    /**
+     * Builds the public view of an entry: everything but who rated it.
+     * @param {Object} entry - The stored entry.
+     * @returns {Object} - { id, title, description, tags, author, published, updated, plays, clears, rating: { average, count } }
+     */
+    static summarize(entry) {
+        const { ratings, ...summary } = entry;
+        const stars = Object.values(ratings);
+        const average = stars.length ? stars.reduce((total, value) => total + value, 0) / stars.length : 0;
+        return { ...summary, rating: { average: Math.round(average * 10) / 10, count: stars.length } };
+    }
+
+    /**
+     * Reads an entry.
+     * @param {string} id - The entry (level) ID.
+     * @returns {Promise<Object|null>} - The stored entry, or null if it doesn't exist or is unreadable.
+     */
+    async get(id) {
+        if (!LevelStore.isValidId(id)) return null;
+
+        try {
+            const entry = JSON.parse(await fs.promises.readFile(this._filePath(id), 'utf8'));
+            entry.id = id; // The file name is the source of truth
+            return entry;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read gallery entry "${id}":`, error.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Reads an entry's thumbnail.
+     * @param {string} id - The entry (level) ID.
+     * @returns {Promise<Buffer|null>} - The PNG, or null if there is none.
+     */
+    async getThumbnail(id) {
+        if (!LevelStore.isValidId(id)) return null;
+
+        try {
+            return await fs.promises.readFile(this._thumbnailPath(id));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return null;
+        }
+    }
+
+    /**
+     * Lists one page of entries, matching a search and tag, in one of GALLERY_SORTS.
+     * @param {Object} [options] - Optional filters.
+     * @param {string} [options.sort='newest'] - 'newest', 'popular' (most played) or 'top' (best rated).
+     * @param {string} [options.query] - Text to find in the title, description, author or tags.
+     * @param {string} [options.tag] - Only entries with this tag.
+     * @param {number} [options.page=1] - Page number, from 1.
+     * @returns {Promise<Object>} - { entries: [summary], total, page, pages, tags: [{ tag, count }] }
+     */
+    async list(options = {}) {
+        const sort = GALLERY_SORTS.includes(options.sort) ? options.sort : GALLERY_SORTS[0];
+        const query = String(options.query || '').trim().toLowerCase();
+        const files = await fs.promises.readdir(this.directory);
+        const summaries = [];
+        const tagCounts = {};
+
+        for (const file of files) {
+            if (!file.endsWith('.json')) continue;
+            const entry = await this.get(path.basename(file, '.json'));
+            if (!entry) continue; // Unreadable files are skipped rather than failing the list
+            entry.tags.forEach(tag => {
+                tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+            });
+
+            if (options.tag && !entry.tags.includes(options.tag)) continue;
+            const text = [entry.title, entry.description, entry.author || '', ...entry.tags].join(' ').toLowerCase();
+            if (query && !text.includes(query)) continue;
+            summaries.push(GalleryStore.summarize(entry));
+        }
+
+        const newest = (a, b) => String(b.published).localeCompare(String(a.published));
+        const orders = {
+            newest,
+            popular: (a, b) => b.plays - a.plays || newest(a, b),
+            top: (a, b) => b.rating.average - a.rating.average || b.rating.count - a.rating.count || newest(a, b)
+        };
+        summaries.sort(orders[sort]);
+
+        const pages = Math.max(1, Math.ceil(summaries.length / GALLERY_LIMITS.pageSize));
+        const page = Math.min(Math.max(Math.floor(Number(options.page)) || 1, 1), pages);
+        const tags = Object.keys(tagCounts)
+            .map(tag => ({ tag, count: tagCounts[tag] }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+            .slice(0, GALLERY_TAG_LIST_LENGTH);
+
+        return {
+            entries: summaries.slice((page - 1) * GALLERY_LIMITS.pageSize, page * GALLERY_LIMITS.pageSize),
+            total: summaries.length,
+            page,
+            pages,
+            tags
+        };
+    }
+
+    /**
+     * Publishes a level, or updates its entry if it was published before.
+     * @param {Object} publication - { levelId, title, description, tags, author, thumbnail } (see gallery-format.js).
+     * @returns {Promise<Object>} - The entry's summary.
+     * @throws {ValidationError} - If the publication is invalid.
+     */
+    async publish(publication) {
+        const errors = validatePublication(publication);
+        if (!errors.length && !LevelStore.isValidId(publication.levelId)) errors.push('Publication needs the ID of a saved level.');
+        if (errors.length) {
+            throw new ValidationError(errors, 'Gallery request failed validation.');
+        }
+
+        const id = publication.levelId;
+        return this._update(id, async (existing) => {
+            const now = new Date().toISOString();
+            const entry = existing || { id, published: now, plays: 0, clears: 0, ratings: {} };
+            PUBLICATION_FIELDS.forEach(field => {
+                if (publication[field] !== undefined) entry[field] = publication[field];
+            });
+            entry.title = entry.title.trim();
+            entry.updated = now;
+
+            const thumbnail = Buffer.from(publication.thumbnail.slice(GALLERY_THUMBNAIL_PREFIX.length), 'base64');
+            await writeFileAtomic(this._thumbnailPath(id), thumbnail);
+            return entry;
+        });
+    }
+
+    /**
+     * Records a player's rating of an entry, replacing any rating they gave it before.
+     * @param {string} id - The entry (level) ID.
+     * @param {Object} rating - { raterId, stars }
+     * @returns {Promise<Object|null>} - The entry's summary, or null if it doesn't exist.
+     * @throws {ValidationError} - If the rating is invalid.
+     */
+    async rate(id, rating) {
+        const errors = validateRating(rating);
+        if (errors.length) {
+            throw new ValidationError(errors, 'Gallery request failed validation.');
+        }
+
+        return this._update(id, async (entry) => {
+            if (!entry) return null;
+            entry.ratings[rating.raterId] = rating.stars;
+            return entry;
+        });
+    }
+
+    /**
+     * Counts a play of an entry, or a clear of it.
+     * @param {string} id - The entry (level) ID.
+     * @param {boolean} [cleared=false] - Count a clear (of a checked run) instead of a play.
+     * @returns {Promise<Object|null>} - The entry's summary, or null if it doesn't exist.
+     */
+    async recordPlay(id, cleared = false) {
+        return this._update(id, async (entry) => {
+            if (!entry) return null;
+            if (cleared) {
+                entry.clears++;
+            } else {
+                entry.plays++;
+            }
+            return entry;
+        });
+    }
+
+    /**
+     * Takes an entry out of the gallery.
+     * @param {string} id - The entry (level) ID.
+     * @returns {Promise<boolean>} - True if an entry was removed.
+     */
+    async remove(id) {
+        if (!LevelStore.isValidId(id)) return false;
+
+        return this.queue.run(id, async () => {
+            try {
+                await fs.promises.unlink(this._filePath(id));
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+            await fs.promises.unlink(this._thumbnailPath(id)).catch(() => {}); // The thumbnail may never have been written
+            return true;
+        });
+    }
+
+    /**
+     * Reads an entry, changes it and writes it back, after any earlier change to it has finished.
+     * @param {string} id - The entry (level) ID.
+     * @param {Function} change - async (entry|null) => the entry to write, or null to write nothing.
+     * @returns {Promise<Object|null>} - The written entry's summary, or null.
+     * @private
+     */
+    _update(id, change) {
+        return this.queue.run(id, async () => {
+            const entry = await change(await this.get(id));
+            if (!entry) return null;
+            await writeFileAtomic(this._filePath(id), JSON.stringify(entry));
+            return GalleryStore.summarize(entry);
+        });
+    }
+}
+
+module.exports = { GalleryStore };
@@ -0,0 +1,28 @@
+/**
+ * KeyedQueue - Runs async tasks one after another per key, so a read-change-write of one
+ * stored file (e.g. a gallery entry) never interleaves with another change to the same file.
+ * Tasks for different keys run side by side.
+ */
+class KeyedQueue {
+    constructor() {
+        this.pending = {};                      // Key -> the last queued task, settled either way
+    }
+
+    /**
+     * Runs a task once every task queued before it for the same key has finished.
+     * @param {string} key - What the task changes (e.g. an entry ID).
+     * @param {Function} task - async () => result
+     * @returns {Promise<*>} - The task's result.
+     */
+    run(key, task) {
+        const run = (this.pending[key] || Promise.resolve()).then(task, task);
+        const settled = run.catch(() => {});
+        this.pending[key] = settled;
+        settled.then(() => {
+            if (this.pending[key] === settled) delete this.pending[key]; // Nothing queued after it
+        });
+        return run;
+    }
+}
+
+module.exports = { KeyedQueue };
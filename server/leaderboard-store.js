@@ -0,0 +1,189 @@
+const fs = require('fs'); // Import file system module
+const path = require('path'); // Import path module for file path handling
+const { LevelStore } = require('./level-store');
+const { KeyedQueue } = require('./keyed-queue');
+const { writeFileAtomic } = require('./atomic-write');
+const { ValidationError } = require('./validation-error');
+const { LEADERBOARD_BOARDS, LEADERBOARD_PERIODS, LEADERBOARD_LIMITS } = require('../public/js/leaderboard-format');
+
+// How each board orders its entries, best first; earlier runs win ties
+const BOARD_ORDERS = {
+    time: (a, b) => a.ticks - b.ticks || b.score - a.score || a.submitted.localeCompare(b.submitted),
+    score: (a, b) => b.score - a.score || a.ticks - b.ticks || a.submitted.localeCompare(b.submitted)
+};
+
+/**
+ * Gets the UTC date the daily boards are for.
+ * @param {Date} [date=new Date()] - The moment to get the day of.
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+function leaderboardDay(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Builds a period's empty boards.
+ * @returns {Object} - { time: [], score: [] }
+ */
+function createBoards() {
+    return Object.fromEntries(LEADERBOARD_BOARDS.map(board => [board, []]));
+}
+
+/**
+ * LeaderboardStore - Every saved level's leaderboards (see leaderboard-format.js), kept as one
+ * JSON file per level in a directory on the local filesystem. Runs must have been checked
+ * (see run-verifier.js) before they're submitted; the daily boards are emptied when the first
+ * run of a new UTC day is read or submitted. The boards are stamped with the version of the
+ * level (its meta.updated) their runs were checked on, so editing a level empties them.
+ */
+class LeaderboardStore {
+    /**
+     * @param {string} directory - The directory that holds the leaderboard files.
+     */
+    constructor(directory) {
+        this.directory = directory;
+        this.queue = new KeyedQueue();          // Submissions to one level run in turn
+        fs.mkdirSync(directory, { recursive: true }); // Create the storage folder on first run
+    }
+
+    /**
+     * Gets the file path of a level's leaderboards.
+     * @param {string} levelId - The level ID.
+     * @returns {string}
+     * @private
+     */
+    _filePath(levelId) {
+        return path.join(this.directory, `${levelId}.json`);
+    }
+
+    /**
+     * Reads a level's leaderboards. A level nobody has submitted a run of since it was last
+     * changed has empty boards.
+     * @param {string} levelId - The level ID.
+     * @param {string} levelUpdated - The saved level's meta.updated.
+     * @returns {Promise<Object|null>} - The leaderboards, or null for an invalid level ID.
+     */
+    async get(levelId, levelUpdated) {
+        if (!LevelStore.isValidId(levelId)) return null;
+        return this._current(levelId, levelUpdated, await this._read(levelId));
+    }
+
+    /**
+     * Adds a checked run to a level's boards. On each board a player keeps only their best
+     * run, and only the best LEADERBOARD_LIMITS.size runs stay on it.
+     * @param {string} levelId - The level ID.
+     * @param {string} levelUpdated - The meta.updated of the level the run was checked on.
+     * @param {Object} entry - { name, ticks, score, replayId }
+     * @returns {Promise<Object>} - { ranks, leaderboards }: ranks.<period>.<board> is the run's place
+     *     (from 1), or null where it didn't make the board or beat the player's own best.
+     * @throws {ValidationError} - If the level ID is invalid, or the level has changed since the run was checked.
+     */
+    async submit(levelId, levelUpdated, entry) {
+        if (!LevelStore.isValidId(levelId)) {
+            throw new ValidationError(['Runs need the ID of a saved level.'], 'Run failed validation.');
+        }
+
+        return this.queue.run(levelId, async () => {
+            const stored = await this._read(levelId);
+            if (stored && String(stored.levelUpdated) > levelUpdated) {
+                throw new ValidationError(['The level was changed while the run was being checked.'], 'Run failed validation.');
+            }
+            const leaderboards = this._current(levelId, levelUpdated, stored);
+            const record = { name: entry.name, ticks: entry.ticks, score: entry.score, replayId: entry.replayId, submitted: new Date().toISOString() };
+            const ranks = {};
+            LEADERBOARD_PERIODS.forEach(period => {
+                ranks[period] = {};
+                LEADERBOARD_BOARDS.forEach(board => {
+                    ranks[period][board] = this._place(leaderboards[period][board], BOARD_ORDERS[board], record);
+                });
+            });
+
+            await writeFileAtomic(this._filePath(levelId), JSON.stringify(leaderboards));
+            return { ranks, leaderboards };
+        });
+    }
+
+    /**
+     * Deletes a level's leaderboards.
+     * @param {string} levelId - The level ID.
+     * @returns {Promise<boolean>} - True if there were any.
+     */
+    async remove(levelId) {
+        if (!LevelStore.isValidId(levelId)) return false;
+
+        return this.queue.run(levelId, async () => {
+            try {
+                await fs.promises.unlink(this._filePath(levelId));
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Reads a level's leaderboards file as it was written.
+     * @param {string} levelId - The level ID.
+     * @returns {Promise<Object|null>} - The stored leaderboards, or null if there are none or they're unreadable.
+     * @private
+     */
+    async _read(levelId) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this._filePath(levelId), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read leaderboards of "${levelId}":`, error.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Brings stored leaderboards up to date: empty boards for a new version of the level, and
+     * empty daily boards for a new day.
+     * @param {string} levelId - The level ID.
+     * @param {string} levelUpdated - The saved level's meta.updated.
+     * @param {Object|null} stored - The stored leaderboards (see _read).
+     * @returns {Object} - The leaderboards.
+     * @private
+     */
+    _current(levelId, levelUpdated, stored) {
+        const day = leaderboardDay();
+        let leaderboards = stored;
+        if (!leaderboards || leaderboards.levelUpdated !== levelUpdated) {
+            leaderboards = { levelId, levelUpdated, day, daily: createBoards(), allTime: createBoards() }; // Runs on another version don't count
+        }
+        if (leaderboards.day !== day) {
+            leaderboards.day = day; // A new day starts with empty daily boards
+            leaderboards.daily = createBoards();
+        }
+        leaderboards.levelId = levelId; // The file name is the source of truth
+        return leaderboards;
+    }
+
+    /**
+     * Puts a run on a board, in place of the same player's run if it beats it.
+     * @param {Object[]} entries - The board's entries, best first (changed in place).
+     * @param {Function} order - The board's order (see BOARD_ORDERS).
+     * @param {Object} record - The run.
+     * @returns {number|null} - The run's place from 1, or null if it isn't on the board.
+     * @private
+     */
+    _place(entries, order, record) {
+        const name = record.name.toLowerCase();
+        const previous = entries.findIndex(entry => entry.name.toLowerCase() === name);
+        if (previous !== -1) {
+            if (order(record, entries[previous]) >= 0) return null; // The player's best stands
+            entries.splice(previous, 1);
+        }
+
+        entries.push(record);
+        entries.sort(order);
+        entries.splice(LEADERBOARD_LIMITS.size);
+        const place = entries.indexOf(record) + 1;
+        return place || null;
+    }
+}
+
+module.exports = { LeaderboardStore };
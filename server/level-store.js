@@ -0,0 +1,189 @@
+const fs = require('fs'); // Import file system module
+const path = require('path'); // Import path module for file path handling
+const crypto = require('crypto'); // Import crypto for random level IDs
+const { KeyedQueue } = require('./keyed-queue');
+const { writeFileAtomic } = require('./atomic-write');
+const { ValidationError } = require('./validation-error');
+const { migrateLevel, validateLevel } = require('../public/js/level-format');
+
+// Level IDs double as file names, so only allow safe characters
+const LEVEL_ID_PATTERN = /^[a-z0-9-]{1,64}$/;
+
+/**
+ * LevelStore - Saves levels as JSON files in a directory on the local filesystem.
+ * Every level written is migrated to the current format version and validated first.
+ */
+class LevelStore {
+    /**
+     * @param {string} directory - The directory that holds the level files.
+     * @param {Object} [options] - Optional settings.
+     * @param {string[]} [options.enemyTypes] - Enemy types a level may spawn (see validateLevel); any when omitted.
+     */
+    constructor(directory, options = {}) {
+        this.directory = directory;
+        this.enemyTypes = options.enemyTypes;
+        this.queue = new KeyedQueue();          // Changes to one level run in turn
+        fs.mkdirSync(directory, { recursive: true }); // Create the storage folder on first run
+    }
+
+    /**
+     * Checks whether a string is a well-formed level ID.
+     * @param {string} id - The ID to check.
+     * @returns {boolean}
+     */
+    static isValidId(id) {
+        return typeof id === 'string' && LEVEL_ID_PATTERN.test(id);
+    }
+
+    /**
+     * Builds a new level ID from a title plus a random suffix.
+     * @param {string} title - The level title.
+     * @returns {string} - e.g. 'castle-run-3f9a1c'
+     */
+    static createId(title) {
+        const slug = String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48);
+        return `${slug || 'level'}-${crypto.randomBytes(3).toString('hex')}`;
+    }
+
+    /**
+     * Gets the file path of a level.
+     * @param {string} id - The level ID.
+     * @returns {string}
+     * @private
+     */
+    _filePath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    /**
+     * Migrates and validates a level.
+     * @param {Object} level - The level to check.
+     * @returns {Object} - The migrated level.
+     * @throws {ValidationError} - If the level can't be migrated or is invalid.
+     * @private
+     */
+    _prepare(level) {
+        let migrated;
+        try {
+            migrated = migrateLevel(level);
+        } catch (error) {
+            throw new ValidationError([error.message], 'Level failed validation.');
+        }
+
+        const errors = validateLevel(migrated, { enemyTypes: this.enemyTypes });
+        if (errors.length) {
+            throw new ValidationError(errors, 'Level failed validation.');
+        }
+        return migrated;
+    }
+
+    /**
+     * Lists summaries of every stored level, most recently updated first.
+     * @returns {Promise<Object[]>} - [{ id, title, author, description, width, height, updated }]
+     */
+    async list() {
+        const files = await fs.promises.readdir(this.directory);
+        const summaries = [];
+
+        for (const file of files) {
+            if (!file.endsWith('.json')) continue;
+            const level = await this.get(path.basename(file, '.json'));
+            if (!level) continue; // Unreadable files are skipped rather than failing the list
+            summaries.push({
+                id: level.id,
+                title: level.meta.title,
+                author: level.meta.author,
+                description: level.meta.description,
+                width: level.map.width,
+                height: level.map.height,
+                updated: level.meta.updated
+            });
+        }
+        return summaries.sort((a, b) => String(b.updated).localeCompare(String(a.updated)));
+    }
+
+    /**
+     * Reads a level, migrating older files to the current version. Files that no longer pass
+     * validation (e.g. edited by hand, or naming an enemy type that was removed) are treated as
+     * unreadable, so nothing downstream has to cope with a broken level.
+     * @param {string} id - The level ID.
+     * @returns {Promise<Object|null>} - The level, or null if it doesn't exist, is unreadable or invalid.
+     */
+    async get(id) {
+        if (!LevelStore.isValidId(id)) return null;
+
+        try {
+            const raw = await fs.promises.readFile(this._filePath(id), 'utf8');
+            const level = this._prepare(JSON.parse(raw));
+            level.id = id; // The file name is the source of truth
+            return level;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read level "${id}":`, error.details ? error.details.join(' ') : error.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Creates a new level with a fresh ID.
+     * @param {Object} level - The level to store.
+     * @returns {Promise<Object>} - The stored level.
+     * @throws {ValidationError} - If the level is invalid.
+     */
+    async create(level) {
+        const prepared = this._prepare(level);
+        const now = new Date().toISOString();
+
+        prepared.id = LevelStore.createId(prepared.meta.title);
+        prepared.meta.created = now;
+        prepared.meta.updated = now;
+
+        await this.queue.run(prepared.id, () => writeFileAtomic(this._filePath(prepared.id), JSON.stringify(prepared)));
+        return prepared;
+    }
+
+    /**
+     * Replaces an existing level.
+     * @param {string} id - The level ID.
+     * @param {Object} level - The new level contents.
+     * @returns {Promise<Object|null>} - The stored level, or null if it doesn't exist.
+     * @throws {ValidationError} - If the level is invalid.
+     */
+    async update(id, level) {
+        const prepared = this._prepare(level);
+
+        return this.queue.run(id, async () => {
+            const existing = await this.get(id);
+            if (!existing) return null;
+
+            prepared.id = id;
+            prepared.meta.created = existing.meta.created; // Creation time can't be rewritten
+            prepared.meta.updated = new Date().toISOString();
+
+            await writeFileAtomic(this._filePath(id), JSON.stringify(prepared));
+            return prepared;
+        });
+    }
+
+    /**
+     * Deletes a level.
+     * @param {string} id - The level ID.
+     * @returns {Promise<boolean>} - True if a level was deleted.
+     */
+    async remove(id) {
+        if (!LevelStore.isValidId(id)) return false;
+
+        return this.queue.run(id, async () => {
+            try {
+                await fs.promises.unlink(this._filePath(id));
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+        });
+    }
+}
+
+module.exports = { LevelStore };
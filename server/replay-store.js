@@ -0,0 +1,135 @@
+const fs = require('fs'); // Import file system module
+const path = require('path'); // Import path module for file path handling
+const crypto = require('crypto'); // Import crypto for random replay IDs
+const { writeFileAtomic } = require('./atomic-write');
+const { ValidationError } = require('./validation-error');
+const { validateReplay } = require('../public/js/replay-format');
+
+// Replay IDs double as file names, so only allow the IDs createId() makes
+const REPLAY_ID_PATTERN = /^[a-f0-9]{12}$/;
+
+// Fields of an uploaded replay that are stored; anything else is dropped
+const REPLAY_FIELDS = ['version', 'levelId', 'seed', 'start', 'inputs', 'ticks', 'outcome', 'score', 'name'];
+
+/**
+ * ReplayStore - Saves recorded runs as JSON files in a directory on the local filesystem,
+ * so players can watch and race each other's runs. Every replay written is validated first.
+ */
+class ReplayStore {
+    /**
+     * @param {string} directory - The directory that holds the replay files.
+     */
+    constructor(directory) {
+        this.directory = directory;
+        fs.mkdirSync(directory, { recursive: true }); // Create the storage folder on first run
+    }
+
+    /**
+     * Checks whether a string is a well-formed replay ID.
+     * @param {string} id - The ID to check.
+     * @returns {boolean}
+     */
+    static isValidId(id) {
+        return typeof id === 'string' && REPLAY_ID_PATTERN.test(id);
+    }
+
+    /**
+     * Builds a new random replay ID.
+     * @returns {string} - e.g. '3f9a1c0b7d2e'
+     */
+    static createId() {
+        return crypto.randomBytes(6).toString('hex');
+    }
+
+    /**
+     * Gets the file path of a replay.
+     * @param {string} id - The replay ID.
+     * @returns {string}
+     * @private
+     */
+    _filePath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    /**
+     * Lists summaries of the stored replays of a level, cleared runs first and quickest first.
+     * @param {string} levelId - The level ID.
+     * @returns {Promise<Object[]>} - [{ id, levelId, name, outcome, score, ticks, created }]
+     */
+    async list(levelId) {
+        const files = await fs.promises.readdir(this.directory);
+        const summaries = [];
+
+        for (const file of files) {
+            if (!file.endsWith('.json')) continue;
+            const replay = await this.get(path.basename(file, '.json'));
+            if (!replay || replay.levelId !== levelId) continue; // Unreadable files are skipped rather than failing the list
+            const { id, name, outcome, score, ticks, created } = replay;
+            summaries.push({ id, levelId, name, outcome, score, ticks, created });
+        }
+        const rank = (summary) => summary.outcome === 'cleared' ? 0 : 1;
+        return summaries.sort((a, b) => rank(a) - rank(b) || a.ticks - b.ticks);
+    }
+
+    /**
+     * Reads a replay.
+     * @param {string} id - The replay ID.
+     * @returns {Promise<Object|null>} - The replay, or null if it doesn't exist or is unreadable.
+     */
+    async get(id) {
+        if (!ReplayStore.isValidId(id)) return null;
+
+        try {
+            const replay = JSON.parse(await fs.promises.readFile(this._filePath(id), 'utf8'));
+            replay.id = id; // The file name is the source of truth
+            return replay;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read replay "${id}":`, error.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Stores a new replay with a fresh ID.
+     * @param {Object} replay - The replay to store.
+     * @returns {Promise<Object>} - The stored replay.
+     * @throws {ValidationError} - If the replay is invalid.
+     */
+    async create(replay) {
+        const errors = validateReplay(replay);
+        if (errors.length) {
+            throw new ValidationError(errors, 'Replay failed validation.');
+        }
+
+        const prepared = {};
+        REPLAY_FIELDS.forEach(field => {
+            if (replay[field] !== undefined) prepared[field] = replay[field];
+        });
+        prepared.id = ReplayStore.createId();
+        prepared.created = new Date().toISOString();
+
+        await writeFileAtomic(this._filePath(prepared.id), JSON.stringify(prepared));
+        return prepared;
+    }
+
+    /**
+     * Deletes a replay.
+     * @param {string} id - The replay ID.
+     * @returns {Promise<boolean>} - True if a replay was deleted.
+     */
+    async remove(id) {
+        if (!ReplayStore.isValidId(id)) return false;
+
+        try {
+            await fs.promises.unlink(this._filePath(id));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+}
+
+module.exports = { ReplayStore };
@@ -0,0 +1,240 @@
+const crypto = require('crypto'); // Import crypto for room codes
+const { Simulation } = require('./simulation'); // Authoritative game world
+const { quantizeState, encodeSnapshot, SnapshotHistory } = require('../public/js/snapshot-codec'); // Snapshot wire format
+const { ChatChannel } = require('./chat'); // Room chat history and mutes
+
+// Characters used in room codes (no 0/O or 1/I to avoid misreading)
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 5;
+
+// Player limits for a room
+const DEFAULT_MAX_PLAYERS = 8;
+const MAX_PLAYERS_LIMIT = 16;
+
+/**
+ * Room - A hosted game session: a Socket.IO room with its own level, player list,
+ * host and simulation.
+ */
+class Room {
+    /**
+     * @param {string} code - The room's join code.
+     * @param {string} hostId - The player ID of the host.
+     * @param {Object} level - The level played in this room.
+     * @param {Object} [options] - Optional room settings.
+     * @param {number} [options.maxPlayers] - Maximum number of players (1 to MAX_PLAYERS_LIMIT).
+     * @param {Function} [options.onSnapshot] - Called with (room, snapshot) while the game runs.
+     * @param {Function} [options.onEvent] - Called with (room, event) for world events (e.g. projectiles) while the game runs.
+     */
+    constructor(code, hostId, level, options = {}) {
+        const maxPlayers = Number.isInteger(options.maxPlayers) ? options.maxPlayers : DEFAULT_MAX_PLAYERS;
+
+        this.code = code;                       // Join code shown to players
+        this.hostId = hostId;                   // Player who can start, restart and kick
+        this.level = level;                     // Level everyone in the room plays
+        this.maxPlayers = Math.min(Math.max(maxPlayers, 1), MAX_PLAYERS_LIMIT);
+        this.playerIds = new Set();             // Players currently in the room
+        this.state = 'lobby';                   // 'lobby' until the host starts, then 'playing'
+        this.simulation = null;                 // Running simulation while playing
+        this.snapshots = new SnapshotHistory(); // Recent quantized snapshots, used as delta baselines
+        this.snapshotAcks = new Map();          // playerId -> tick of the last snapshot the client acknowledged
+        this.chat = new ChatChannel();          // Chat scrollback and muted players
+        this.onSnapshot = options.onSnapshot || (() => {});
+        this.onEvent = options.onEvent || (() => {});
+    }
+
+    /**
+     * The Socket.IO room name used for broadcasts.
+     * @returns {string}
+     */
+    get channel() {
+        return `room:${this.code}`;
+    }
+
+    /**
+     * Whether the room has reached its player limit.
+     * @returns {boolean}
+     */
+    isFull() {
+        return this.playerIds.size >= this.maxPlayers;
+    }
+
+    /**
+     * Adds a player; players joining mid-game are dropped straight into the simulation.
+     * @param {string} playerId - The player's ID.
+     */
+    addPlayer(playerId) {
+        this.playerIds.add(playerId);
+        if (this.simulation) {
+            this.simulation.addPlayer(playerId);
+        }
+    }
+
+    /**
+     * Removes a player, handing the host role to the longest-present player if needed.
+     * @param {string} playerId - The player's ID.
+     */
+    removePlayer(playerId) {
+        this.playerIds.delete(playerId);
+        this.snapshotAcks.delete(playerId);
+        if (this.simulation) {
+            this.simulation.removePlayer(playerId);
+        }
+        if (this.hostId === playerId) {
+            this.hostId = this.playerIds.values().next().value || null;
+        }
+    }
+
+    /**
+     * Starts a fresh simulation of the level with everyone in the room.
+     */
+    start() {
+        this.stop();
+        this.snapshots.clear();                 // Ticks restart from zero, so old baselines are meaningless
+        this.snapshotAcks.clear();
+        this.simulation = new Simulation(this.level, {
+            onSnapshot: (snapshot) => this.onSnapshot(this, snapshot),
+            onEvent: (event) => this.onEvent(this, event)
+        });
+        this.playerIds.forEach(playerId => this.simulation.addPlayer(playerId));
+        this.state = 'playing';
+    }
+
+    /**
+     * Stops the simulation and returns the room to the lobby.
+     */
+    stop() {
+        if (this.simulation) {
+            this.simulation.stop();
+            this.simulation = null;
+        }
+        this.state = 'lobby';
+    }
+
+    /**
+     * Gets the level as it is being played: with the tiles players have changed while the
+     * game runs (see Simulation.getLevel), otherwise as authored.
+     * @returns {Object}
+     */
+    getWorldLevel() {
+        return this.simulation ? this.simulation.getLevel() : this.level;
+    }
+
+    /**
+     * Quantizes a simulation snapshot and remembers it as a future delta baseline.
+     * @param {Object} snapshot - The simulation snapshot { tick, players }.
+     * @returns {Object} - The quantized entities (playerId -> fields).
+     */
+    recordSnapshot(snapshot) {
+        const entities = {};
+        snapshot.players.forEach(state => {
+            entities[state.playerId] = quantizeState(state);
+        });
+        this.snapshots.push(snapshot.tick, entities);
+        return entities;
+    }
+
+    /**
+     * Delta-encodes a recorded snapshot for one player, against the last snapshot they
+     * acknowledged. Players without a usable baseline get a full snapshot.
+     * @param {string} playerId - The receiving player's ID.
+     * @param {number} tick - The tick of a recorded snapshot.
+     * @returns {Object|null} - The encoded snapshot, or null if the tick isn't recorded.
+     */
+    encodeSnapshotFor(playerId, tick) {
+        const entities = this.snapshots.get(tick);
+        if (!entities) return null;
+
+        const baselineTick = this.snapshotAcks.get(playerId);
+        const baseline = baselineTick === undefined ? null : this.snapshots.get(baselineTick);
+        return encodeSnapshot(tick, entities, baseline, baselineTick);
+    }
+
+    /**
+     * Records that a player received a snapshot. Acks for unknown or older ticks are ignored;
+     * a null tick means the client lost its baseline and needs a full snapshot.
+     * @param {string} playerId - The player's ID.
+     * @param {number|null} tick - The acknowledged snapshot's tick.
+     * @returns {boolean} - True if the player's baseline changed.
+     */
+    acknowledgeSnapshot(playerId, tick) {
+        if (!this.playerIds.has(playerId)) return false;
+        if (tick === null) return this.snapshotAcks.delete(playerId);
+        if (!Number.isInteger(tick) || !this.snapshots.get(tick)) return false;
+
+        const previous = this.snapshotAcks.get(playerId);
+        if (previous !== undefined && tick <= previous) return false;
+        this.snapshotAcks.set(playerId, tick);
+        return true;
+    }
+
+    /**
+     * Summarises the room for clients.
+     * @param {Object} players - The server's player records, keyed by player ID.
+     * @returns {Object} - { code, hostId, maxPlayers, state, level, players }
+     */
+    describe(players) {
+        return {
+            code: this.code,
+            hostId: this.hostId,
+            maxPlayers: this.maxPlayers,
+            state: this.state,
+            level: { id: this.level.id, title: this.level.meta.title },
+            players: Array.from(this.playerIds, playerId => players[playerId]).filter(Boolean)
+        };
+    }
+}
+
+/**
+ * RoomManager - Creates, finds and removes rooms by join code.
+ */
+class RoomManager {
+    /**
+     * @param {Object} [options] - Optional settings.
+     * @param {Function} [options.onSnapshot] - Called with (room, snapshot) for every running room.
+     * @param {Function} [options.onEvent] - Called with (room, event) for every running room.
+     */
+    constructor(options = {}) {
+        this.rooms = new Map();                 // code -> Room
+        this.onSnapshot = options.onSnapshot || (() => {});
+        this.onEvent = options.onEvent || (() => {});
+    }
+
+    /**
+     * Creates a room with a unique code.
+     * @param {string} hostId - The player ID of the host.
+     * @param {Object} level - The level to play.
+     * @param {Object} [options] - Room options (maxPlayers).
+     * @returns {Room} - The new room.
+     */
+    createRoom(hostId, level, options = {}) {
+        let code;
+        do {
+            code = Array.from({ length: ROOM_CODE_LENGTH }, () => ROOM_CODE_ALPHABET[crypto.randomInt(ROOM_CODE_ALPHABET.length)]).join('');
+        } while (this.rooms.has(code));
+
+        const room = new Room(code, hostId, level, { ...options, onSnapshot: this.onSnapshot, onEvent: this.onEvent });
+        this.rooms.set(code, room);
+        return room;
+    }
+
+    /**
+     * Finds a room by code (case-insensitive).
+     * @param {string} code - The join code.
+     * @returns {Room|null}
+     */
+    getRoom(code) {
+        if (typeof code !== 'string') return null;
+        return this.rooms.get(code.trim().toUpperCase()) || null;
+    }
+
+    /**
+     * Stops and removes a room.
+     * @param {Room} room - The room to remove.
+     */
+    removeRoom(room) {
+        room.stop();
+        this.rooms.delete(room.code);
+    }
+}
+
+module.exports = { Room, RoomManager, DEFAULT_MAX_PLAYERS, MAX_PLAYERS_LIMIT };
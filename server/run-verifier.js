@@ -0,0 +1,116 @@
+const { Worker, isMainThread, parentPort } = require('worker_threads'); // Runs are checked off the main thread
+const { loadEngine, createHeadlessGame } = require('./engine'); // Shared browser engine, loaded headlessly
+const { validateReplay } = require('../public/js/replay-format');
+const { checkLeaderboardRun } = require('../public/js/leaderboard-format');
+
+/**
+ * Play a run's replay back headlessly, from its seed and start state, to find the time and
+ * score it really made. A run is only taken if it starts fresh (see checkLeaderboardRun, and
+ * no more than the usual lives and full health) and clears the level on its last recorded tick
+ * with the score it claims; anything else was forged, or recorded on another version of the
+ * level.
+ * @param {Object} replay - The run's replay (see replay-format.js).
+ * @param {Object} level - The saved level it was played on.
+ * @returns {Object} - { errors, run }: the problems found, or the run as { ticks, score } where
+ *     score is what the run made in the level, time bonus included.
+ */
+function verifyRun(replay, level) {
+    const invalid = validateReplay(replay);
+    const errors = invalid.length ? invalid : checkLeaderboardRun(replay);
+    if (errors.length) return { errors, run: null };
+
+    const { Player, ReplayPlayer, PLAYER_LIVES } = loadEngine();
+    if (replay.start.lives > PLAYER_LIVES) errors.push(`Leaderboard runs must start with at most ${PLAYER_LIVES} lives.`);
+    if (replay.start.power.health !== new Player(level.spawns.player).maxHealth) errors.push('Leaderboard runs must start at full health.');
+    if (errors.length) return { errors, run: null };
+
+    const game = createHeadlessGame();
+    const player = new ReplayPlayer(game, replay, level);
+    if (!player.restart()) return { errors: ['The level could not be loaded.'], run: null };
+    game.replay = player;
+    while (game.levelState === 'playing' && !player.isFinished) {
+        game.step();
+    }
+
+    if (game.levelState !== 'cleared' || player.position !== replay.ticks) {
+        return { errors: ['The replay does not clear the level on its last tick.'], run: null };
+    }
+    if (game.score !== replay.score) {
+        return { errors: [`The replay scores ${game.score}, not ${replay.score}.`], run: null };
+    }
+    while (game.levelState === 'cleared' && game.timeLeft > 0) {
+        game.step(); // Tally the time bonus
+    }
+    return { errors: [], run: { ticks: replay.ticks, score: game.score - replay.start.score } };
+}
+
+/**
+ * RunChecker - Checks runs (see verifyRun) one at a time on a worker thread, so replaying a
+ * long run doesn't hold up every room's simulation and socket on the main thread. The worker
+ * is started on the first check, and again after it stops.
+ */
+class RunChecker {
+    constructor() {
+        this.worker = null;                     // The worker thread, once started
+        this.pending = new Map();               // Check ID -> { resolve, reject }
+        this.nextId = 1;                        // ID of the next check
+    }
+
+    /**
+     * Checks a run on the worker thread.
+     * @param {Object} replay - The run's replay (see replay-format.js).
+     * @param {Object} level - The saved level it was played on.
+     * @returns {Promise<Object>} - { errors, run } (see verifyRun).
+     */
+    check(replay, level) {
+        const worker = this._start();
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            worker.postMessage({ id, replay, level });
+        });
+    }
+
+    /**
+     * Starts the worker thread unless it's running.
+     * @returns {Worker}
+     * @private
+     */
+    _start() {
+        if (this.worker) return this.worker;
+
+        const worker = new Worker(__filename);
+        worker.on('message', ({ id, result, error }) => {
+            const check = this.pending.get(id);
+            this.pending.delete(id);
+            if (error) {
+                check.reject(new Error(error));
+            } else {
+                check.resolve(result);
+            }
+        });
+        const stopped = (error) => {
+            if (this.worker !== worker) return; // Already replaced
+            this.worker = null;
+            this.pending.forEach(check => check.reject(error));
+            this.pending.clear();
+        };
+        worker.on('error', stopped);
+        worker.on('exit', (code) => stopped(new Error(`The run checker stopped (exit code ${code}).`)));
+        this.worker = worker;
+        return worker;
+    }
+}
+
+// On the worker thread: check each run the main thread sends
+if (!isMainThread) {
+    parentPort.on('message', ({ id, replay, level }) => {
+        try {
+            parentPort.postMessage({ id, result: verifyRun(replay, level) });
+        } catch (error) {
+            parentPort.postMessage({ id, error: error.message });
+        }
+    });
+}
+
+module.exports = { verifyRun, RunChecker };
@@ -0,0 +1,71 @@
+const crypto = require('crypto'); // Import crypto for IDs and token signatures
+
+// How long a disconnected player is kept so they can reconnect to the same session (ms)
+const SESSION_GRACE_PERIOD = 30000;
+
+/**
+ * SessionTokens - Issues and checks signed session tokens.
+ * A token names a player ID and carries an HMAC signature, so clients can prove which player
+ * they were when they reconnect but can't forge someone else's token.
+ */
+class SessionTokens {
+    /**
+     * @param {string} [secret] - Signing key. Defaults to a random key, so tokens only survive
+     *                            as long as the server process unless a fixed secret is configured.
+     */
+    constructor(secret) {
+        this.secret = secret || crypto.randomBytes(32).toString('hex');
+    }
+
+    /**
+     * Creates a new, unguessable player ID.
+     * @returns {string}
+     */
+    static createPlayerId() {
+        return crypto.randomBytes(12).toString('base64url');
+    }
+
+    /**
+     * Signs a token for a player.
+     * @param {string} playerId - The player's ID.
+     * @returns {string} - The token ('<payload>.<signature>').
+     */
+    sign(playerId) {
+        const payload = Buffer.from(JSON.stringify({ playerId, issued: Date.now() })).toString('base64url');
+        return `${payload}.${this._signature(payload)}`;
+    }
+
+    /**
+     * Checks a token's signature.
+     * @param {*} token - The token sent by a client.
+     * @returns {string|null} - The player ID it was issued for, or null if it isn't valid.
+     */
+    verify(token) {
+        if (typeof token !== 'string') return null;
+        const [payload, signature] = token.split('.');
+        if (!payload || !signature) return null;
+
+        const expected = Buffer.from(this._signature(payload));
+        const actual = Buffer.from(signature);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+        try {
+            const { playerId } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            return typeof playerId === 'string' ? playerId : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Computes the signature of a token payload.
+     * @param {string} payload - The encoded payload.
+     * @returns {string}
+     * @private
+     */
+    _signature(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+}
+
+module.exports = { SessionTokens, SESSION_GRACE_PERIOD };
@@ -0,0 +1,323 @@
+const { loadEngine } = require('./engine'); // Shared browser engine, loaded headlessly
+
+// Inputs buffered per player; older ones are dropped so a flood of inputs can't speed a player up
+const MAX_BUFFERED_INPUTS = 10;
+
+// Ticks without any input after which an idle player is simulated anyway (so nobody hovers mid-air)
+const IDLE_TICKS_BEFORE_STEP = 30;
+
+/**
+ * Build the default world: a flat floor the width of the level.
+ * @returns {Object} - A level in the current format.
+ */
+function createDefaultLevel() {
+    const { createLevel } = loadEngine();
+    const level = createLevel({ title: 'Lobby', width: 60, height: 15 });
+    const { width, height, layers } = level.map;
+
+    level.tileset[1] = { sprite: { type: 'floor', item: 0 }, solid: true };
+    for (let col = 0; col < width; col++) {
+        layers.solid[(height - 1) * width + col] = 1; // Bottom row is the floor
+    }
+    level.spawns.player = { x: 32, y: (height - 3) * level.map.tileSize };
+    return level;
+}
+
+/**
+ * Simulation - Authoritative, headless game world.
+ * Runs the shared Player physics at a fixed tick rate, driven only by the input commands
+ * clients send, and reports state snapshots that clients reconcile against.
+ * Projectiles are simulated here too: the server decides which player each one hits and
+ * reports every projectile fired and removed as a world event for clients to replicate.
+ * So are interactive tiles: every block bumped or broken, coin collected and item that
+ * comes out of a block is a world event, so all clients see the same map.
+ */
+class Simulation {
+    /**
+     * @param {Object} level - The level to simulate (any supported format version).
+     * @param {Object} [options] - Optional simulation settings.
+     * @param {number} [options.snapshotRate=20] - State snapshots sent per second.
+     * @param {Function} [options.onSnapshot] - Called with every snapshot.
+     * @param {Function} [options.onEvent] - Called with every world event (see fireProjectile, updateProjectiles,
+     *     handleTileOutcomes, updateItems).
+     */
+    constructor(level, options = {}) {
+        const engine = loadEngine();
+        const migrated = engine.migrateLevel(level);
+        const errors = engine.validateLevel(migrated, { enemyTypes: Object.keys(engine.ENEMY_TYPES) });
+        if (errors.length) {
+            throw new Error(`Invalid simulation level: ${errors.join(' ')}`);
+        }
+
+        this.engine = engine;
+        this.level = migrated;                  // Level sent to clients so they load the same map
+        this.map = new engine.TileMap(migrated.meta.title, migrated.map.width, migrated.map.height,
+            engine.levelToMapOptions(migrated));
+        this.players = {};                      // playerId -> { entity, inputs, lastSeq, idleTicks }
+        this.projectiles = new engine.ProjectilePool(); // Projectiles in the air, owned by player ID
+        this.items = [];                        // Power-ups that came out of blocks, waiting to be collected
+        this.nextItemId = 1;                    // ID given to the next item
+        this.tick = 0;                          // Simulation ticks run so far
+        this.ticksPerSnapshot = Math.max(1, Math.round(1000 / engine.PHYSICS.FIXED_STEP / (options.snapshotRate || 20)));
+        this.onSnapshot = options.onSnapshot || (() => {});
+        this.onEvent = options.onEvent || (() => {});
+        this.timer = null;                      // Interval driving the loop
+        this.accumulator = 0;                   // Unsimulated time carried between intervals (ms)
+        this.lastTime = 0;                      // Time of the previous interval (ms)
+    }
+
+    /**
+     * Adds a player at the level's start position.
+     * @param {string} playerId - The player's ID.
+     * @returns {Object} - The player's initial state.
+     */
+    addPlayer(playerId) {
+        const entity = new this.engine.Player(this.level.spawns.player);
+        entity.setSize(this.engine.ONLINE_PLAYER_SIZE);
+        this.players[playerId] = { entity, inputs: [], lastSeq: 0, idleTicks: 0 };
+        this.start(); // Simulate while anyone is connected
+        return this.getPlayerState(playerId);
+    }
+
+    /**
+     * Removes a player from the world.
+     * @param {string} playerId - The player's ID.
+     */
+    removePlayer(playerId) {
+        delete this.players[playerId];
+        if (!Object.keys(this.players).length) {
+            this.stop(); // Nobody left to simulate
+        }
+    }
+
+    /**
+     * Queues an input command from a client. Commands are applied one per tick in sequence
+     * order; malformed, repeated or out-of-order commands are ignored.
+     * @param {string} playerId - The player's ID.
+     * @param {Object} input - { seq, left, right, down, jump, jumpHeld, fire }
+     * @returns {boolean} - True if the command was accepted.
+     */
+    queueInput(playerId, input) {
+        const player = this.players[playerId];
+        if (!player || !input || !Number.isInteger(input.seq)) return false;
+
+        const lastQueued = player.inputs.length ? player.inputs[player.inputs.length - 1].seq : player.lastSeq;
+        if (input.seq <= lastQueued) return false;
+
+        player.inputs.push({
+            seq: input.seq,
+            left: input.left === true,
+            right: input.right === true,
+            down: input.down === true,
+            jump: input.jump === true,
+            jumpHeld: input.jumpHeld === true,
+            fire: input.fire === true
+        });
+        if (player.inputs.length > MAX_BUFFERED_INPUTS) {
+            player.inputs.shift(); // The client will be corrected by the next snapshot
+        }
+        return true;
+    }
+
+    /**
+     * Advances the world by one fixed tick.
+     */
+    step() {
+        Object.keys(this.players).forEach(playerId => {
+            const player = this.players[playerId];
+            const input = player.inputs.shift();
+            if (input) {
+                player.entity.applyInput(input);
+                player.lastSeq = input.seq;
+                player.idleTicks = 0;
+            } else if (++player.idleTicks < IDLE_TICKS_BEFORE_STEP) {
+                return; // Wait for the client's next command rather than guessing
+            }
+
+            const shot = player.entity.takeShot();
+            if (shot) this.fireProjectile(playerId, shot);
+            player.entity.update(this.map);
+            player.entity.updateTimers();
+            this.handleTileOutcomes(playerId, this.engine.interactWithTiles(player.entity, this.map, this.level.warps));
+
+            if (player.entity.fellOffMap) {
+                player.entity.spawnAt(this.level.spawns.player); // Back to the start
+            }
+        });
+        this.updateProjectiles();
+        this.updateItems();
+
+        this.tick++;
+        if (this.tick % this.ticksPerSnapshot === 0) {
+            this.onSnapshot(this.getSnapshot());
+        }
+    }
+
+    /**
+     * Launches a player's shot unless they already have as many projectiles in the air as
+     * its kind allows. Reports { type: 'projectileFired', tick, owner, id, kind, pos, vel, direction }.
+     * @param {string} playerId - The player who fired.
+     * @param {Object} shot - { kind, x, y, direction } (see Player.takeShot)
+     */
+    fireProjectile(playerId, shot) {
+        const projectile = this.projectiles.fire(shot.kind, playerId, shot.x, shot.y, shot.direction);
+        if (projectile) {
+            this.onEvent({ type: 'projectileFired', tick: this.tick, owner: playerId, ...projectile.getState() });
+        }
+    }
+
+    /**
+     * Moves every projectile and works out what it hits: any player but the one who fired
+     * it, who is hurt (dropping a size first). Reports { type: 'projectileRemoved', tick, id,
+     * reason, target, damage, power } for each projectile that hits a player (reason 'hit',
+     * target the player's ID, power their new power-up state) or a wall, fizzles out or
+     * leaves the map (reason 'expired').
+     */
+    updateProjectiles() {
+        this.projectiles.update(this.map).forEach(projectile => {
+            this.onEvent({ type: 'projectileRemoved', tick: this.tick, id: projectile.id, reason: 'expired', target: null });
+        });
+
+        this.projectiles.active.forEach(projectile => {
+            const target = Object.keys(this.players).find(playerId =>
+                playerId !== projectile.owner && projectile.isCollideWith(this.players[playerId].entity));
+            if (!target) return;
+            projectile.expired = true;
+
+            const entity = this.players[target].entity;
+            entity.takeDamage(projectile.damage);
+            if (entity.health <= 0) entity.health = entity.maxHealth; // Lives are counted by each client
+            this.onEvent({
+                type: 'projectileRemoved', tick: this.tick, id: projectile.id, reason: 'hit', target,
+                damage: projectile.damage, power: entity.getPowerState()
+            });
+        });
+        this.projectiles.releaseExpired();
+    }
+
+    /**
+     * Reports what a player did to interactive tiles and carries out the rest. Events:
+     * { type: 'tileChanged', tick, layer, col, row, id }
+     * { type: 'blockBumped' | 'blockBroken' | 'coinCollected', tick, player, col, row }
+     * { type: 'itemSpawned', tick, id, contents, pos } for power-ups (coins from blocks are coinCollected)
+     * { type: 'playerWarped', tick, player } after moving the player. Warps to other levels
+     * are ignored, since everyone in a room plays the same level.
+     * @param {string} playerId - The player who triggered the tiles.
+     * @param {Object[]} outcomes - Outcomes from interactWithTiles().
+     */
+    handleTileOutcomes(playerId, outcomes) {
+        const tick = this.tick;
+        outcomes.forEach(outcome => {
+            const { col, row } = outcome;
+            switch (outcome.type) {
+                case 'tileChanged':
+                    this.onEvent({ type: 'tileChanged', tick, layer: outcome.layer, col, row, id: outcome.id });
+                    break;
+                case 'blockBumped':
+                case 'blockBroken':
+                case 'coinCollected':
+                    this.onEvent({ type: outcome.type, tick, player: playerId, col, row });
+                    break;
+                case 'itemSpawned': {
+                    if (outcome.contents === 'coin') {
+                        this.onEvent({ type: 'coinCollected', tick, player: playerId, col, row });
+                        break;
+                    }
+                    const ts = this.map.tileSize;
+                    const item = new this.engine.PowerUp({ x: col * ts, y: (row - 1) * ts }, outcome.contents);
+                    item.id = this.nextItemId++;
+                    this.items.push(item);
+                    this.onEvent({ type: 'itemSpawned', tick, id: item.id, contents: item.type, pos: item.pos.slice() });
+                    break;
+                }
+                case 'warp':
+                    if (outcome.to.level && outcome.to.level !== this.level.id) break;
+                    this.players[playerId].entity.spawnAt(outcome.to);
+                    this.onEvent({ type: 'playerWarped', tick, player: playerId });
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Moves the items that came out of blocks and gives each to the first player touching
+     * it. Reports { type: 'powerUpCollected', tick, id, target, power } with the player's new
+     * power-up state, or { type: 'itemRemoved', tick, id } for items that fell off the map.
+     */
+    updateItems() {
+        this.items = this.items.filter(item => {
+            item.update(this.map);
+            const target = Object.keys(this.players).find(playerId => this.players[playerId].entity.isCollideWith(item));
+            if (!target) {
+                if (item.fellOffMap) this.onEvent({ type: 'itemRemoved', tick: this.tick, id: item.id });
+                return !item.fellOffMap;
+            }
+
+            const entity = this.players[target].entity;
+            item.activate(entity);
+            this.onEvent({ type: 'powerUpCollected', tick: this.tick, id: item.id, target, power: entity.getPowerState() });
+            return false;
+        });
+    }
+
+    /**
+     * Gets the level as it stands now, with the tiles players have changed, for players
+     * joining a game that is already running.
+     * @returns {Object} - A level in the current format.
+     */
+    getLevel() {
+        return this.engine.applyMapToLevel(JSON.parse(JSON.stringify(this.level)), this.map);
+    }
+
+    /**
+     * Gets the authoritative state of one player.
+     * @param {string} playerId - The player's ID.
+     * @returns {Object|null} - { playerId, seq, pos, vel, grounded }
+     */
+    getPlayerState(playerId) {
+        const player = this.players[playerId];
+        if (!player) return null;
+        return { playerId, seq: player.lastSeq, ...player.entity.getState() };
+    }
+
+    /**
+     * Gets a snapshot of every player in the world.
+     * @returns {Object} - { tick, players: [...] }
+     */
+    getSnapshot() {
+        return {
+            tick: this.tick,
+            players: Object.keys(this.players).map(playerId => this.getPlayerState(playerId))
+        };
+    }
+
+    /**
+     * Starts the fixed-rate loop if it isn't running.
+     */
+    start() {
+        if (this.timer) return;
+        const stepMs = this.engine.PHYSICS.FIXED_STEP;
+        this.lastTime = Date.now();
+        this.accumulator = 0;
+
+        this.timer = setInterval(() => {
+            const now = Date.now();
+            this.accumulator = Math.min(this.accumulator + now - this.lastTime, stepMs * this.engine.PHYSICS.MAX_STEPS_PER_FRAME);
+            this.lastTime = now;
+            while (this.accumulator >= stepMs) {
+                this.step();
+                this.accumulator -= stepMs;
+            }
+        }, stepMs);
+    }
+
+    /**
+     * Stops the loop.
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = { Simulation, createDefaultLevel };
@@ -0,0 +1,18 @@
+/**
+ * Error raised when something a client sent fails validation: a level, a replay, a gallery
+ * publication or rating, or a leaderboard run. The HTTP API answers it with a 400 and the
+ * details (see sendStoreError in app.js).
+ */
+class ValidationError extends Error {
+    /**
+     * @param {string[]} details - The individual validation problems.
+     * @param {string} [message='Request failed validation.'] - What failed, e.g. 'Level failed validation.'
+     */
+    constructor(details, message = 'Request failed validation.') {
+        super(message);
+        this.name = 'ValidationError';
+        this.details = details;
+    }
+}
+
+module.exports = { ValidationError };
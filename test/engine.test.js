@@ -0,0 +1,119 @@
+/**
+ * Engine tests - The headless engine (see server/engine.js) must come out the same every time
+ * it's stepped with the same inputs: online rooms, replays and the leaderboard run checks all
+ * rely on it. Run with `npm test`.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadEngine, createHeadlessGame } = require('../server/engine');
+const { validateReplay } = require('../public/js/replay-format');
+const { verifyRun } = require('../server/run-verifier');
+
+// Ticks a test run may take before it's given up on
+const MAX_TEST_TICKS = 3000;
+
+/**
+ * Builds a short level: flat ground, a walker to jump and a flagpole to reach.
+ * @returns {Object} - The level, with an ID as if it had been saved.
+ */
+function createTestLevel() {
+    const { createLevel } = loadEngine();
+    const level = createLevel({ title: 'Sprint', width: 60, height: 15 });
+    for (let x = 0; x < 60; x++) level.map.layers.solid[14 * 60 + x] = 1;
+    level.tileset = { 1: { sprite: { type: 'grass', item: 0 }, solid: true } };
+    level.spawns.player = { x: 32, y: 208 };
+    level.spawns.goals = [{ type: 'flagpole', x: 400, y: 208 }];
+    level.spawns.enemies = [{ type: 'walker', x: 300, y: 208 }];
+    level.timeLimit = 100;
+    level.id = 'sprint-test';
+    level.meta.updated = '2024-01-01T00:00:00.000Z';
+    return level;
+}
+
+/**
+ * Runs right, hopping every 40 ticks.
+ * @param {number} tick - The tick to get controls for.
+ * @returns {Object} - The controls.
+ */
+function sprint(tick) {
+    return { right: true, jump: tick % 40 === 0, jumpHeld: tick % 40 < 15 };
+}
+
+/**
+ * Plays a level headlessly, recording the run.
+ * @param {Function} controls - (tick) => the controls to hold that tick.
+ * @param {Function} [onStep] - Called with the game after every tick.
+ * @returns {Object} - { game, replay }
+ */
+function playLevel(controls, onStep = () => {}) {
+    const { ReplayRecorder } = loadEngine();
+    const game = createHeadlessGame();
+    const recorder = new ReplayRecorder();
+    recorder.attach(game);
+    game.loadLevel(createTestLevel());
+    for (let tick = 0; tick < MAX_TEST_TICKS && game.levelState === 'playing'; tick++) {
+        Object.assign(game.pendingInput, controls(tick));
+        game.step();
+        onStep(game);
+    }
+    return { game, replay: recorder.last };
+}
+
+/**
+ * Captures what a tick left behind: the player, the enemies and the score.
+ * @param {DevGameMaker} game - The game.
+ * @returns {Object}
+ */
+function captureState(game) {
+    return {
+        tick: game.tick,
+        player: { pos: [...game.player.pos], vel: [...game.player.vel], size: game.player.size },
+        enemies: game.enemies.map(enemy => ({ type: enemy.type, pos: [...enemy.pos] })),
+        score: game.score,
+        levelState: game.levelState
+    };
+}
+
+test('Game.step comes out the same, frame by frame, for the same inputs', () => {
+    const first = [];
+    const second = [];
+    playLevel(sprint, game => first.push(captureState(game)));
+    playLevel(sprint, game => second.push(captureState(game)));
+
+    assert.ok(first.length > 1);
+    assert.strictEqual(first[first.length - 1].levelState, 'cleared');
+    first.forEach((state, i) => assert.deepStrictEqual(second[i], state, `Tick ${i} differs`));
+    assert.strictEqual(second.length, first.length);
+});
+
+test('a recorded run plays back to the same outcome, ticks and score', () => {
+    const { ReplayPlayer } = loadEngine();
+    const { game: played, replay } = playLevel(sprint);
+    const saved = JSON.parse(JSON.stringify(replay)); // As stored and sent over the API
+    assert.deepStrictEqual(validateReplay(saved), []);
+    assert.strictEqual(saved.outcome, 'cleared');
+
+    const game = createHeadlessGame();
+    const player = new ReplayPlayer(game, saved, createTestLevel());
+    assert.ok(player.restart());
+    game.replay = player;
+    while (game.levelState === 'playing' && !player.isFinished) game.step();
+
+    assert.strictEqual(game.levelState, 'cleared');
+    assert.strictEqual(player.position, saved.ticks);
+    assert.strictEqual(game.score, saved.score);
+    assert.deepStrictEqual(game.player.pos, played.player.pos);
+});
+
+test('verifyRun ranks a recorded run and rejects a forged score', () => {
+    const { replay } = playLevel(sprint);
+
+    const { errors, run } = verifyRun(replay, createTestLevel());
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(run.ticks, replay.ticks);
+    assert.ok(run.score >= replay.score - replay.start.score);
+
+    const forged = verifyRun({ ...replay, score: replay.score + 500 }, createTestLevel());
+    assert.strictEqual(forged.run, null);
+    assert.ok(forged.errors.length);
+});